@@ -0,0 +1,10 @@
+const { flushViewCounts } = require("../utils/views");
+
+// Write view counts buffered in Redis to posts and photos
+module.exports = {
+  name: "flush-view-counts",
+  intervalMs: 60 * 1000,
+  run: async () => {
+    await flushViewCounts();
+  },
+};
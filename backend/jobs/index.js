@@ -0,0 +1,9 @@
+// Background jobs run by utils/scheduler
+module.exports = [
+  require("./publishScheduledPosts"),
+  require("./purgeTrash"),
+  require("./flushViewCounts"),
+  require("./rankPosts"),
+  require("./sendEmailDigests"),
+  require("./releaseHeldNotifications"),
+];
@@ -0,0 +1,13 @@
+const { publishDuePosts } = require("../utils/publishing");
+
+// Publish scheduled posts once their publishAt time has passed
+module.exports = {
+  name: "publish-scheduled-posts",
+  intervalMs: 60 * 1000,
+  run: async () => {
+    const published = await publishDuePosts();
+    if (published > 0) {
+      console.log(`Published ${published} scheduled posts`);
+    }
+  },
+};
@@ -0,0 +1,13 @@
+const { purgeExpiredTrash } = require("../utils/trash");
+
+// Permanently delete posts and photos whose trash retention has run out
+module.exports = {
+  name: "purge-trash",
+  intervalMs: 60 * 60 * 1000,
+  run: async () => {
+    const { posts, photos } = await purgeExpiredTrash();
+    if (posts + photos > 0) {
+      console.log(`Purged ${posts} posts and ${photos} photos from the trash`);
+    }
+  },
+};
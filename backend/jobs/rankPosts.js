@@ -0,0 +1,10 @@
+const { rankPosts } = require("../utils/ranking");
+
+// Refresh hot and rising scores used by the ranked post lists
+module.exports = {
+  name: "rank-posts",
+  intervalMs: 5 * 60 * 1000,
+  run: async () => {
+    await rankPosts();
+  },
+};
@@ -0,0 +1,13 @@
+const { releaseHeldNotifications } = require("../utils/notifications");
+
+// Push notifications held during quiet hours once a member's window ends
+module.exports = {
+  name: "release-held-notifications",
+  intervalMs: 60 * 1000,
+  run: async () => {
+    const released = await releaseHeldNotifications();
+    if (released > 0) {
+      console.log(`Pushed ${released} notifications held for quiet hours`);
+    }
+  },
+};
@@ -0,0 +1,13 @@
+const { sendEmailDigests } = require("../utils/digests");
+
+// Email members their pending notifications, at most once per digest period
+module.exports = {
+  name: "send-email-digests",
+  intervalMs: 15 * 60 * 1000,
+  run: async () => {
+    const sent = await sendEmailDigests();
+    if (sent > 0) {
+      console.log(`Sent ${sent} notification email digests`);
+    }
+  },
+};
@@ -1,6 +1,9 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 
+// Suspended members may still manage their session and notifications
+const SUSPENSION_EXEMPT_PATHS = ["/api/auth", "/api/notifications"];
+
 const protect = async (req, res, next) => {
   let token;
 
@@ -29,6 +32,20 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (
+        req.method !== "GET" &&
+        req.user.isSuspended() &&
+        !SUSPENSION_EXEMPT_PATHS.includes(req.baseUrl)
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: "ACCOUNT_SUSPENDED",
+            message: `Your account is suspended until ${req.user.moderation.suspendedUntil.toISOString()}`,
+          },
+        });
+      }
+
       next();
     } catch (error) {
       console.error("Auth Error:", error.message);
@@ -53,6 +70,30 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Stream authentication - EventSource cannot set headers, so the same JWT
+// may also be passed as a `token` query parameter
+const protectStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return protect(req, res, next);
+};
+
+// Optional authentication - attaches req.user when a valid token is sent,
+// otherwise continues as a guest
+const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer")) {
+    try {
+      const decoded = jwt.verify(header.split(" ")[1], process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id).select("-password");
+    } catch (error) {
+      req.user = null;
+    }
+  }
+  next();
+};
+
 // Generate JWT token
 const generateToken = (id) => {
   return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -75,14 +116,16 @@ const admin = (req, res, next) => {
   }
 };
 
+// Whether a user may moderate posts and comments
+const isModerator = (user) =>
+  Boolean(
+    user &&
+    (user.isAdmin || user.role === "admin" || user.role === "moderator"),
+  );
+
 // Moderator middleware
 const moderator = (req, res, next) => {
-  if (
-    req.user &&
-    (req.user.isAdmin ||
-      req.user.role === "admin" ||
-      req.user.role === "moderator")
-  ) {
+  if (isModerator(req.user)) {
     next();
   } else {
     return res.status(403).json({
@@ -95,4 +138,12 @@ const moderator = (req, res, next) => {
   }
 };
 
-module.exports = { protect, generateToken, admin, moderator };
+module.exports = {
+  protect,
+  protectStream,
+  optionalAuth,
+  generateToken,
+  admin,
+  moderator,
+  isModerator,
+};
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// What a member has to reach to earn a badge; see utils/badges.js
+const CRITERIA_TYPES = [
+  "postCount",
+  "likesReceived",
+  "photoCount",
+  "membershipDays",
+  "reputation",
+  "boardTopContributor",
+];
+
+const badgeDefinitionSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Badge key is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9-]+$/, "Use lowercase letters, numbers and dashes"],
+    },
+    name: {
+      type: String,
+      required: [true, "Badge name is required"],
+      trim: true,
+      maxlength: [50, "Badge name cannot exceed 50 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    icon: {
+      type: String,
+      default: "🏅",
+    },
+    criteria: {
+      type: {
+        type: String,
+        enum: CRITERIA_TYPES,
+        required: true,
+      },
+      threshold: {
+        type: Number,
+        min: 1,
+        required: true,
+      },
+      // boardTopContributor only; null means any board
+      board: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Board",
+        default: null,
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("BadgeDefinition", badgeDefinitionSchema);
+module.exports.CRITERIA_TYPES = CRITERIA_TYPES;
@@ -40,6 +40,10 @@ const boardSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    subscriberCount: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+// Replies deeper than this are rejected so threads stay readable
+const MAX_COMMENT_DEPTH = 4;
+
+const commentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // null for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: MAX_COMMENT_DEPTH,
+    },
+    content: {
+      type: String,
+      required: [true, "Comment content is required"],
+      trim: true,
+      maxlength: [5000, "Comment cannot exceed 5000 characters"],
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    likes: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    likeCount: {
+      type: Number,
+      default: 0,
+    },
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    // Comments with replies are blanked instead of removed to keep the thread intact
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Add indexes for performance
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ user: 1, createdAt: -1 });
+
+// Hide the body and author of deleted comments
+commentSchema.methods.toJSON = function () {
+  const comment = this.toObject();
+  if (comment.isDeleted) {
+    comment.content = "";
+    comment.user = null;
+  }
+  return comment;
+};
+
+module.exports = mongoose.model("Comment", commentSchema);
+module.exports.MAX_COMMENT_DEPTH = MAX_COMMENT_DEPTH;
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+const conversationSchema = new mongoose.Schema(
+  {
+    participants: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+    ],
+    // Sorted participant IDs; guarantees one conversation per pair of users
+    participantKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    lastMessage: {
+      content: String,
+      sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      createdAt: Date,
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // userId -> messages that user has not read yet
+    unreadCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+
+// Key shared by both directions of a conversation between two users
+conversationSchema.statics.keyFor = function (userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join("_");
+};
+
+// Total unread messages across all of a user's conversations
+conversationSchema.statics.unreadTotal = async function (userId) {
+  const [result] = await this.aggregate([
+    { $match: { participants: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $ifNull: [`$unreadCounts.${userId}`, 0] } },
+      },
+    },
+  ]);
+  return result ? result.total : 0;
+};
+
+module.exports = mongoose.model("Conversation", conversationSchema);
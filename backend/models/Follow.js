@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const followSchema = new mongoose.Schema(
+  {
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One relationship per pair; also serves "who does X follow" lookups
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+// Recount a user's follower/following totals from the relationships
+followSchema.statics.syncCounts = async function (userId) {
+  const [followerCount, followingCount] = await Promise.all([
+    this.countDocuments({ following: userId }),
+    this.countDocuments({ follower: userId }),
+  ]);
+  await mongoose.model("User").findByIdAndUpdate(userId, {
+    $set: {
+      "stats.followerCount": followerCount,
+      "stats.followingCount": followingCount,
+    },
+  });
+  return { followerCount, followingCount };
+};
+
+module.exports = mongoose.model("Follow", followSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      type: String,
+      required: [true, "Message content is required"],
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Thread changes a moderator can make to posts
+const MODERATION_ACTIONS = ["move", "merge", "split"];
+
+const moderationLogSchema = new mongoose.Schema(
+  {
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS,
+      required: true,
+    },
+    // Post the action was taken on
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Thread merged into, or the new thread split off
+    targetPost: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    // Boards before and after a move
+    fromBoards: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Board",
+      },
+    ],
+    toBoards: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Board",
+      },
+    ],
+    // Comments carried to the target post
+    comments: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Comment",
+      },
+    ],
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ action: 1, createdAt: -1 });
+moderationLogSchema.index({ post: 1 });
+
+module.exports = mongoose.model("ModerationLog", moderationLogSchema);
+module.exports.MODERATION_ACTIONS = MODERATION_ACTIONS;
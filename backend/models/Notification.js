@@ -9,17 +9,59 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["like", "comment", "reply", "follow", "mention", "system"],
+      enum: [
+        "like",
+        "comment",
+        "reply",
+        "follow",
+        "mention",
+        "bookmark",
+        "system",
+        "board",
+        "message",
+      ],
       required: true,
     },
+    // Most recent actor; grouped notifications also list every actor below
     fromUser: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    actors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    actorCount: {
+      type: Number,
+      default: 1,
+    },
+    // Bumped whenever another actor joins the group; inbox order follows it
+    activityAt: {
+      type: Date,
+      default: Date.now,
+    },
     post: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Post",
     },
+    photo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Photo",
+    },
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+    },
+    board: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Board",
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+    },
     message: {
       type: String,
       required: true,
@@ -28,6 +70,27 @@ const notificationSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Where the recipient wants this notification delivered
+    channels: {
+      inApp: {
+        type: Boolean,
+        default: true,
+      },
+      email: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Set once the notification has been included in an email digest
+    emailedAt: {
+      type: Date,
+      default: null,
+    },
+    // Arrived during the recipient's quiet hours and not pushed live yet
+    held: {
+      type: Boolean,
+      default: false,
+    },
     metadata: {
       type: Map,
       of: String,
@@ -42,5 +105,15 @@ const notificationSchema = new mongoose.Schema(
 // Index for faster queries
 notificationSchema.index({ user: 1, createdAt: -1 });
 notificationSchema.index({ user: 1, read: 1 });
+notificationSchema.index({ user: 1, type: 1, fromUser: 1 });
+notificationSchema.index({ user: 1, activityAt: -1 });
+
+notificationSchema.index({ "channels.email": 1, emailedAt: 1 });
+notificationSchema.index({ held: 1, user: 1 });
+
+// Query for notifications shown in the user's in-app inbox
+notificationSchema.statics.inboxQuery = function (userId, extra = {}) {
+  return { user: userId, "channels.inApp": { $ne: false }, ...extra };
+};
 
 module.exports = mongoose.model("Notification", notificationSchema);
@@ -124,6 +124,16 @@ const photoSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set while the photo is in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -137,6 +147,7 @@ photoSchema.index({ aquariumType: 1 });
 photoSchema.index({ "metadata.visionStatus": 1 });
 photoSchema.index({ "metadata.views": -1 });
 photoSchema.index({ "metadata.likes": -1 });
+photoSchema.index({ deletedAt: 1 });
 
 // Virtual for variant URLs
 photoSchema.virtual("variants", {
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const pollVoteSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Poll option ids; more than one only for multiple choice polls
+    options: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// One ballot per member per poll
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("PollVote", pollVoteSchema);
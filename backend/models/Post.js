@@ -1,4 +1,23 @@
 const mongoose = require("mongoose");
+const { renderMarkdown, renderExcerpt } = require("../utils/markdown");
+
+// Drafts and scheduled posts are only visible to their author
+const UNPUBLISHED_STATUSES = ["draft", "scheduled"];
+const POST_STATUSES = ["published", ...UNPUBLISHED_STATUSES];
+
+// Posts saved before drafts existed have no status and count as published.
+// Posts in the trash or merged into another thread are left out of
+// everything that uses this filter.
+const PUBLISHED_FILTER = {
+  status: { $nin: UNPUBLISHED_STATUSES },
+  deletedAt: null,
+  mergedInto: null,
+};
+
+// Drafts may be saved half-written; everything else needs a title and body
+function isPublishable() {
+  return !UNPUBLISHED_STATUSES.includes(this.status);
+}
 
 const postSchema = new mongoose.Schema(
   {
@@ -9,15 +28,57 @@ const postSchema = new mongoose.Schema(
     },
     title: {
       type: String,
-      required: [true, "Title is required"],
+      required: [isPublishable, "Title is required"],
       trim: true,
       maxlength: [200, "Title cannot exceed 200 characters"],
     },
     content: {
       type: String,
-      required: [true, "Content is required"],
+      required: [isPublishable, "Content is required"],
       maxlength: [10000, "Content cannot exceed 10000 characters"],
     },
+    // Sanitized HTML rendered from the Markdown content
+    contentHtml: {
+      type: String,
+      default: "",
+    },
+    excerptHtml: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: POST_STATUSES,
+      default: "published",
+    },
+    // When a scheduled post goes live
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    // Set while the post is in the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Series the post is a part of; its place is kept in Series.posts
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Series",
+      default: null,
+    },
+    // Set when moderators merge this thread into another; the post stays
+    // behind as a stub that redirects there
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
     boards: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -32,6 +93,34 @@ const postSchema = new mongoose.Schema(
         },
       },
     ],
+    // Optional poll; votes are stored as PollVote documents
+    poll: {
+      type: new mongoose.Schema({
+        question: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Poll question cannot exceed 200 characters"],
+        },
+        options: [
+          {
+            text: {
+              type: String,
+              trim: true,
+              maxlength: [100, "Poll options cannot exceed 100 characters"],
+            },
+          },
+        ],
+        multiple: {
+          type: Boolean,
+          default: false,
+        },
+        closesAt: {
+          type: Date,
+          default: null,
+        },
+      }),
+      default: null,
+    },
     media: [
       {
         type: {
@@ -66,10 +155,51 @@ const postSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Ranking scores kept up to date by the rank-posts job
+      hotScore: {
+        type: Number,
+        default: 0,
+      },
+      risingScore: {
+        type: Number,
+        default: 0,
+      },
+      // Pinned to the top of every list the post appears in
       isPinned: {
         type: Boolean,
         default: false,
       },
+      // Pinned only within these boards
+      pinnedBoards: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Board",
+        },
+      ],
+      // Locked threads take no new comments or edits
+      isLocked: {
+        type: Boolean,
+        default: false,
+      },
+      lockedAt: {
+        type: Date,
+        default: null,
+      },
+      // Set when the title, content, tags or boards change after posting
+      editedAt: {
+        type: Date,
+        default: null,
+      },
+      revisionCount: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Comment the author marked as the answer to their question
+    acceptedAnswer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
     },
     engagement: {
       likes: [
@@ -97,6 +227,15 @@ postSchema.index({ user: 1 });
 postSchema.index({ boards: 1 });
 postSchema.index({ "tags.tag": 1 });
 postSchema.index({ "metadata.likeCount": -1 });
+postSchema.index({ "metadata.hotScore": -1 });
+postSchema.index({ "metadata.risingScore": -1 });
+postSchema.index({ "metadata.commentCount": -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ "metadata.isPinned": 1 });
+postSchema.index({ "metadata.pinnedBoards": 1 });
+postSchema.index({ deletedAt: 1 });
+postSchema.index({ mergedInto: 1 });
+postSchema.index({ series: 1 });
 
 // Update the updatedAt timestamp before saving
 postSchema.pre("save", function (next) {
@@ -104,4 +243,27 @@ postSchema.pre("save", function (next) {
   next();
 });
 
+// Keep the rendered HTML in step with the Markdown source
+postSchema.pre("save", function (next) {
+  if (this.isModified("content")) {
+    this.contentHtml = renderMarkdown(this.content);
+    this.excerptHtml = renderExcerpt(this.content);
+  }
+  next();
+});
+
+postSchema.pre("findOneAndUpdate", function (next) {
+  const update = this.getUpdate() || {};
+  const content = update.$set?.content ?? update.content;
+  if (typeof content === "string") {
+    this.set({
+      contentHtml: renderMarkdown(content),
+      excerptHtml: renderExcerpt(content),
+    });
+  }
+  next();
+});
+
 module.exports = mongoose.model("Post", postSchema);
+module.exports.UNPUBLISHED_STATUSES = UNPUBLISHED_STATUSES;
+module.exports.PUBLISHED_FILTER = PUBLISHED_FILTER;
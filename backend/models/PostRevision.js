@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Snapshot of a post's editable fields; revision 1 is the original post
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    tags: [
+      {
+        type: String,
+      },
+    ],
+    boards: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Board",
+      },
+    ],
+    // Set when a moderator restored an earlier revision
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model("PostRevision", postRevisionSchema);
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+const REPORT_TARGET_TYPES = ["post", "photo", "comment", "user"];
+
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "dangerous_advice",
+  "misinformation",
+  "inappropriate",
+  "other",
+];
+
+// What a moderator did when closing a report
+const REPORT_ACTIONS = ["dismiss", "remove", "warn", "suspend"];
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    // Post, photo, comment or user being reported
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Author of the reported content (the user themselves for user reports)
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Post a reported comment belongs to, for linking back to it
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Details cannot exceed 1000 characters"],
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+    resolution: {
+      action: {
+        type: String,
+        enum: REPORT_ACTIONS,
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Note cannot exceed 1000 characters"],
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, target: 1 });
+
+module.exports = mongoose.model("Report", reportSchema);
+module.exports.REPORT_TARGET_TYPES = REPORT_TARGET_TYPES;
+module.exports.REPORT_REASONS = REPORT_REASONS;
+module.exports.REPORT_ACTIONS = REPORT_ACTIONS;
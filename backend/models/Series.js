@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Parts a single series can hold
+const MAX_SERIES_PARTS = 100;
+
+const seriesSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Series title is required"],
+      trim: true,
+      maxlength: [150, "Series title cannot exceed 150 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+      default: "",
+    },
+    // Posts in reading order
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Post",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+seriesSchema.index({ user: 1, updatedAt: -1 });
+
+module.exports = mongoose.model("Series", seriesSchema);
+module.exports.MAX_SERIES_PARTS = MAX_SERIES_PARTS;
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Site-wide settings editable by admins, stored as one document per key
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Read a setting, filling in any fields it does not define from defaults
+settingSchema.statics.getValue = async function (key, defaults = {}) {
+  const setting = await this.findOne({ key }).lean();
+  return { ...defaults, ...(setting?.value || {}) };
+};
+
+settingSchema.statics.setValue = function (key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId } },
+    { upsert: true, new: true },
+  );
+};
+
+module.exports = mongoose.model("Setting", settingSchema);
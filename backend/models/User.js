@@ -1,6 +1,18 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 
+// Delivery channels for one notification type
+const channelPreference = (inApp = true, email = false) => ({
+  inApp: {
+    type: Boolean,
+    default: inApp,
+  },
+  email: {
+    type: Boolean,
+    default: email,
+  },
+});
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -52,10 +64,63 @@ const userSchema = new mongoose.Schema(
           type: Boolean,
           default: false,
         },
+        // Master switch for all notifications
         notifications: {
           type: Boolean,
           default: true,
         },
+        notificationSettings: {
+          types: {
+            like: channelPreference(),
+            comment: channelPreference(true, true),
+            reply: channelPreference(true, true),
+            follow: channelPreference(),
+            mention: channelPreference(true, true),
+            bookmark: channelPreference(),
+            system: channelPreference(true, true),
+            board: channelPreference(),
+            message: channelPreference(true, true),
+          },
+          // Notifications are still stored but only pushed live once
+          // this window ends, and email digests wait for it too
+          quietHours: {
+            enabled: {
+              type: Boolean,
+              default: false,
+            },
+            start: {
+              type: String,
+              match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:mm format"],
+              default: "22:00",
+            },
+            end: {
+              type: String,
+              match: [/^([01]\d|2[0-3]):[0-5]\d$/, "Use HH:mm format"],
+              default: "07:00",
+            },
+            timezone: {
+              type: String,
+              default: "UTC",
+            },
+          },
+          mutedPosts: [
+            {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Post",
+            },
+          ],
+          mutedBoards: [
+            {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Board",
+            },
+          ],
+          // When the last email digest went out
+          digestSentAt: {
+            type: Date,
+            default: null,
+          },
+        },
       },
     },
     stats: {
@@ -71,6 +136,96 @@ const userSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      followingCount: {
+        type: Number,
+        default: 0,
+      },
+      // Weighted sum of reputationCounts; see utils/reputation.js
+      reputation: {
+        type: Number,
+        default: 0,
+      },
+      reputationCounts: {
+        postLikes: {
+          type: Number,
+          default: 0,
+        },
+        photoLikes: {
+          type: Number,
+          default: 0,
+        },
+        bookmarks: {
+          type: Number,
+          default: 0,
+        },
+        acceptedAnswers: {
+          type: Number,
+          default: 0,
+        },
+      },
+    },
+    // Earned achievement badges; see utils/badges.js
+    badges: [
+      {
+        badge: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "BadgeDefinition",
+          required: true,
+        },
+        // Set for board-specific badges such as top contributor
+        board: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Board",
+          default: null,
+        },
+        awardedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Blocked users cannot interact with this user; blocked and muted
+    // users are hidden from this user's lists and notifications
+    blockedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    mutedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Boards and tags that feed the personalized home feed
+    subscriptions: {
+      boards: [
+        {
+          board: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Board",
+            required: true,
+          },
+          subscribedAt: {
+            type: Date,
+            default: Date.now,
+          },
+          // New-post alerts: one per post, a daily grouped entry, or none
+          alerts: {
+            type: String,
+            enum: ["off", "instant", "digest"],
+            default: "off",
+          },
+        },
+      ],
+      tags: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+        },
+      ],
     },
     role: {
       type: String,
@@ -85,6 +240,21 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Warnings and suspensions handed out from the moderation queue
+    moderation: {
+      warningCount: {
+        type: Number,
+        default: 0,
+      },
+      suspendedUntil: {
+        type: Date,
+        default: null,
+      },
+      suspensionReason: {
+        type: String,
+        default: "",
+      },
+    },
   },
   {
     timestamps: true,
@@ -100,11 +270,20 @@ userSchema.pre("save", async function (next) {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
+// Find subscribers when a post lands in a board
+userSchema.index({ "subscriptions.boards.board": 1 });
+
 // Compare password method
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Suspended members can still sign in and read, but not post or interact
+userSchema.methods.isSuspended = function () {
+  const until = this.moderation?.suspendedUntil;
+  return Boolean(until && until > new Date());
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
@@ -2,10 +2,46 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
 const Photo = require("../models/Photo");
 const Tag = require("../models/Tag");
+const PostRevision = require("../models/PostRevision");
+const PollVote = require("../models/PollVote");
+const Series = require("../models/Series");
+const Report = require("../models/Report");
+const ModerationLog = require("../models/ModerationLog");
+const { MODERATION_ACTIONS } = require("../models/ModerationLog");
+const Follow = require("../models/Follow");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
 const { protect, admin } = require("../middleware/auth");
 const { cache } = require("../utils/redis");
+const {
+  REPUTATION_SOURCES,
+  MAX_WEIGHT,
+  getWeights,
+  saveWeights,
+} = require("../utils/reputation");
+const {
+  withPurgeDate,
+  trashPost,
+  restorePost,
+  purgePost,
+  trashPhoto,
+  restorePhoto,
+  purgePhoto,
+} = require("../utils/trash");
+
+// What the admin trash can hold
+const TRASH_TYPES = {
+  post: { model: Post, restore: restorePost, purge: purgePost, label: "Post" },
+  photo: {
+    model: Photo,
+    restore: restorePhoto,
+    purge: purgePhoto,
+    label: "Photo",
+  },
+};
 
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard statistics
@@ -21,8 +57,8 @@ router.get("/stats", protect, admin, async (req, res) => {
       newUsersToday,
     ] = await Promise.all([
       User.countDocuments(),
-      Post.countDocuments(),
-      Photo.countDocuments(),
+      Post.countDocuments(PUBLISHED_FILTER),
+      Photo.countDocuments({ deletedAt: null }),
       Tag.countDocuments(),
       User.countDocuments({ isActive: true }),
       User.countDocuments({
@@ -168,10 +204,37 @@ router.delete("/users/:userId", protect, admin, async (req, res) => {
       });
     }
 
-    // Clean up user's posts and photos
+    // Clean up user's posts, their edit history, poll votes, series and photos
+    const postIds = await Post.distinct("_id", { user: req.params.userId });
+    await PostRevision.deleteMany({ post: { $in: postIds } });
+    await PollVote.deleteMany({
+      $or: [{ post: { $in: postIds } }, { user: req.params.userId }],
+    });
     await Post.deleteMany({ user: req.params.userId });
+    await Series.deleteMany({ user: req.params.userId });
     await Photo.deleteMany({ user: req.params.userId });
 
+    // Remove follow relationships and fix the other side's counters
+    const follows = await Follow.find({
+      $or: [{ follower: user._id }, { following: user._id }],
+    });
+    await Follow.deleteMany({
+      $or: [{ follower: user._id }, { following: user._id }],
+    });
+    const affected = new Set(
+      follows.flatMap((f) => [f.follower.toString(), f.following.toString()]),
+    );
+    affected.delete(user._id.toString());
+    await Promise.all([...affected].map((id) => Follow.syncCounts(id)));
+
+    // Remove the user's private conversations
+    const conversations = await Conversation.find({
+      participants: user._id,
+    }).select("_id");
+    const conversationIds = conversations.map((c) => c._id);
+    await Message.deleteMany({ conversation: { $in: conversationIds } });
+    await Conversation.deleteMany({ _id: { $in: conversationIds } });
+
     // Invalidate cache
     await cache.delPattern("users:*");
 
@@ -198,8 +261,18 @@ router.get("/posts", protect, admin, async (req, res) => {
   try {
     const { page = 1, limit = 20, userId, reported } = req.query;
 
-    const query = {};
+    // Drafts stay private to their authors
+    const query = { ...PUBLISHED_FILTER };
     if (userId) query.user = userId;
+    // Only posts with open reports
+    if (reported === "true") {
+      query._id = {
+        $in: await Report.distinct("target", {
+          targetType: "post",
+          status: "open",
+        }),
+      };
+    }
 
     const posts = await Post.find(query)
       .sort({ createdAt: -1 })
@@ -238,7 +311,7 @@ router.get("/posts", protect, admin, async (req, res) => {
 // @access  Admin
 router.delete("/posts/:postId", protect, admin, async (req, res) => {
   try {
-    const post = await Post.findByIdAndDelete(req.params.postId);
+    const post = await trashPost(req.params.postId, req.user._id);
 
     if (!post) {
       return res.status(404).json({
@@ -250,18 +323,9 @@ router.delete("/posts/:postId", protect, admin, async (req, res) => {
       });
     }
 
-    // Update user's post count
-    await User.findByIdAndUpdate(post.user, {
-      $inc: { "stats.postCount": -1 },
-    });
-
-    // Invalidate cache
-    await cache.del(`post:${req.params.postId}`);
-    await cache.delPattern("posts:*");
-
     res.json({
       success: true,
-      message: "Post deleted successfully",
+      message: "Post moved to trash",
     });
   } catch (error) {
     console.error("Delete Post Error:", error);
@@ -282,13 +346,13 @@ router.get("/photos", protect, admin, async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
 
-    const photos = await Photo.find()
+    const photos = await Photo.find({ deletedAt: null })
       .sort({ "metadata.uploadedAt": -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
       .populate("user", "username email");
 
-    const total = await Photo.countDocuments();
+    const total = await Photo.countDocuments({ deletedAt: null });
 
     res.json({
       success: true,
@@ -319,7 +383,7 @@ router.get("/photos", protect, admin, async (req, res) => {
 // @access  Admin
 router.delete("/photos/:photoId", protect, admin, async (req, res) => {
   try {
-    const photo = await Photo.findByIdAndDelete(req.params.photoId);
+    const photo = await trashPhoto(req.params.photoId, req.user._id);
 
     if (!photo) {
       return res.status(404).json({
@@ -331,14 +395,9 @@ router.delete("/photos/:photoId", protect, admin, async (req, res) => {
       });
     }
 
-    // Update user's photo count
-    await User.findByIdAndUpdate(photo.user, {
-      $inc: { "stats.photoCount": -1 },
-    });
-
     res.json({
       success: true,
-      message: "Photo deleted successfully",
+      message: "Photo moved to trash",
     });
   } catch (error) {
     console.error("Delete Photo Error:", error);
@@ -352,6 +411,189 @@ router.delete("/photos/:photoId", protect, admin, async (req, res) => {
   }
 });
 
+// Reply for a trash type the admin trash does not hold
+const sendInvalidTrashType = (res) =>
+  res.status(400).json({
+    success: false,
+    error: {
+      code: "INVALID_TYPE",
+      message: "Trash type must be post or photo",
+    },
+  });
+
+// @route   GET /api/admin/trash
+// @desc    Get deleted posts or photos awaiting purge (admin)
+// @access  Admin
+router.get("/trash", protect, admin, async (req, res) => {
+  try {
+    const { type = "post", page = 1, limit = 20 } = req.query;
+    const trashType = TRASH_TYPES[type];
+    if (!trashType) {
+      return sendInvalidTrashType(res);
+    }
+
+    const query = { deletedAt: { $ne: null } };
+    const items = await trashType.model
+      .find(query)
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("user", "username email")
+      .populate("deletedBy", "username");
+
+    const total = await trashType.model.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        items: items.map(withPurgeDate),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get Trash Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error fetching trash",
+      },
+    });
+  }
+});
+
+// @route   POST /api/admin/trash/:type/:itemId/restore
+// @desc    Restore a deleted post or photo (admin)
+// @access  Admin
+router.post(
+  "/trash/:type/:itemId/restore",
+  protect,
+  admin,
+  async (req, res) => {
+    try {
+      const trashType = TRASH_TYPES[req.params.type];
+      if (!trashType) {
+        return sendInvalidTrashType(res);
+      }
+
+      const item = await trashType.restore(req.params.itemId);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: `${trashType.label} not found in trash`,
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: item,
+        message: `${trashType.label} restored`,
+      });
+    } catch (error) {
+      console.error("Restore Trash Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error restoring item",
+        },
+      });
+    }
+  },
+);
+
+// @route   DELETE /api/admin/trash/:type/:itemId
+// @desc    Permanently delete a post or photo from the trash (admin)
+// @access  Admin
+router.delete("/trash/:type/:itemId", protect, admin, async (req, res) => {
+  try {
+    const trashType = TRASH_TYPES[req.params.type];
+    if (!trashType) {
+      return sendInvalidTrashType(res);
+    }
+
+    const item = await trashType.purge(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: `${trashType.label} not found in trash`,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${trashType.label} permanently deleted`,
+    });
+  } catch (error) {
+    console.error("Purge Trash Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error deleting item",
+      },
+    });
+  }
+});
+
+// @route   GET /api/admin/moderation-log
+// @desc    Audit log of threads moved, merged and split by moderators
+// @access  Admin
+router.get("/moderation-log", protect, admin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, action } = req.query;
+
+    const query = {};
+    if (MODERATION_ACTIONS.includes(action)) query.action = action;
+
+    const entries = await ModerationLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("moderator", "username profile.avatar")
+      .populate("post", "title mergedInto deletedAt")
+      .populate("targetPost", "title deletedAt")
+      .populate("fromBoards toBoards", "name icon");
+
+    const total = await ModerationLog.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get Moderation Log Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error fetching moderation log",
+      },
+    });
+  }
+});
+
 // @route   GET /api/admin/tags
 // @desc    Get all tags (admin)
 // @access  Admin
@@ -439,4 +681,71 @@ router.delete("/tags/:tagId", protect, admin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/reputation/weights
+// @desc    Get reputation point weights
+// @access  Admin
+router.get("/reputation/weights", protect, admin, async (req, res) => {
+  try {
+    const weights = await getWeights();
+
+    res.json({
+      success: true,
+      data: {
+        weights,
+        sources: REPUTATION_SOURCES,
+        maxWeight: MAX_WEIGHT,
+      },
+    });
+  } catch (error) {
+    console.error("Get Reputation Weights Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting reputation weights",
+      },
+    });
+  }
+});
+
+// @route   PUT /api/admin/reputation/weights
+// @desc    Update reputation point weights and rescore all users
+// @access  Admin
+router.put("/reputation/weights", protect, admin, async (req, res) => {
+  try {
+    const invalid = REPUTATION_SOURCES.filter((source) => {
+      if (req.body[source] === undefined) return false;
+      const value = Number(req.body[source]);
+      return !Number.isInteger(value) || value < 0 || value > MAX_WEIGHT;
+    });
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: `Weights must be whole numbers from 0 to ${MAX_WEIGHT}: ${invalid.join(", ")}`,
+        },
+      });
+    }
+
+    const weights = await saveWeights(req.body, req.user._id);
+    await cache.delPattern("users:*");
+
+    res.json({
+      success: true,
+      data: { weights },
+      message: "Reputation weights updated",
+    });
+  } catch (error) {
+    console.error("Update Reputation Weights Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error updating reputation weights",
+      },
+    });
+  }
+});
+
 module.exports = router;
@@ -98,6 +98,7 @@ router.get("/:albumId", async (req, res) => {
       .populate("user", "username profile.avatar")
       .populate({
         path: "photos",
+        match: { deletedAt: null },
         options: { sort: { "metadata.uploadedAt": -1 } },
       });
 
@@ -344,7 +345,10 @@ router.post("/:albumId/photos/:photoId", protect, async (req, res) => {
       });
     }
 
-    const photo = await Photo.findById(req.params.photoId);
+    const photo = await Photo.findOne({
+      _id: req.params.photoId,
+      deletedAt: null,
+    });
 
     if (!photo) {
       return res.status(404).json({
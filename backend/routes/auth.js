@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const { generateToken, protect } = require("../middleware/auth");
+const { evaluateBadges } = require("../utils/badges");
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -137,6 +138,9 @@ router.post(
       // Generate token
       const token = generateToken(user._id);
 
+      // Membership anniversaries are checked whenever the member shows up
+      evaluateBadges(user._id, { event: "visit" });
+
       res.json({
         success: true,
         data: {
@@ -164,6 +168,7 @@ router.post(
 router.get("/me", protect, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
+    evaluateBadges(user._id, { event: "visit" });
     res.json({
       success: true,
       data: user,
@@ -0,0 +1,367 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const BadgeDefinition = require("../models/BadgeDefinition");
+const { CRITERIA_TYPES } = require("../models/BadgeDefinition");
+const User = require("../models/User");
+const { protect, admin } = require("../middleware/auth");
+const { evaluateBadges, invalidateDefinitions } = require("../utils/badges");
+
+// Default badge definitions
+const defaultBadges = [
+  {
+    key: "first-post",
+    name: "First Post",
+    description: "Published a first post",
+    icon: "✏️",
+    criteria: { type: "postCount", threshold: 1 },
+    sortOrder: 0,
+  },
+  {
+    key: "100-likes",
+    name: "Crowd Favourite",
+    description: "Received 100 likes on posts and photos",
+    icon: "❤️",
+    criteria: { type: "likesReceived", threshold: 100 },
+    sortOrder: 1,
+  },
+  {
+    key: "showcase-10",
+    name: "Showcase Star",
+    description: "Shared 10 public photos",
+    icon: "📸",
+    criteria: { type: "photoCount", threshold: 10 },
+    sortOrder: 2,
+  },
+  {
+    key: "one-year",
+    name: "One Year Member",
+    description: "Member for a year",
+    icon: "🎂",
+    criteria: { type: "membershipDays", threshold: 365 },
+    sortOrder: 3,
+  },
+  {
+    key: "top-contributor",
+    name: "Top Contributor",
+    description: "Wrote the most posts in a board (at least 10)",
+    icon: "🏆",
+    criteria: { type: "boardTopContributor", threshold: 10 },
+    sortOrder: 4,
+  },
+];
+
+const badgeValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be 1-50 characters"),
+  body("criteria.type")
+    .isIn(CRITERIA_TYPES)
+    .withMessage(`Criteria type must be one of: ${CRITERIA_TYPES.join(", ")}`),
+  body("criteria.threshold")
+    .isInt({ min: 1 })
+    .withMessage("Threshold must be a whole number of at least 1"),
+  body("criteria.board")
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage("Invalid board"),
+];
+
+const sendValidationError = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Validation failed",
+      details: errors.array(),
+    },
+  });
+
+// Fields admins may set on a badge
+const pickBadgeFields = ({
+  name,
+  description,
+  icon,
+  criteria,
+  isActive,
+  sortOrder,
+}) => ({
+  name,
+  description,
+  icon,
+  criteria: criteria && {
+    type: criteria.type,
+    threshold: criteria.threshold,
+    board:
+      criteria.type === "boardTopContributor" && criteria.board
+        ? criteria.board
+        : null,
+  },
+  isActive,
+  sortOrder,
+});
+
+// Drop undefined keys so updates only touch the fields sent
+const compact = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined),
+  );
+
+// @route   GET /api/badges
+// @desc    Get active badge definitions
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const badges = await BadgeDefinition.find({ isActive: true })
+      .sort({ sortOrder: 1 })
+      .populate("criteria.board", "name icon");
+
+    res.json({
+      success: true,
+      data: badges,
+    });
+  } catch (error) {
+    console.error("Get Badges Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting badges",
+      },
+    });
+  }
+});
+
+// @route   GET /api/badges/all
+// @desc    Get all badge definitions with how many members earned each
+// @access  Admin
+router.get("/all", protect, admin, async (req, res) => {
+  try {
+    const [badges, counts] = await Promise.all([
+      BadgeDefinition.find()
+        .sort({ sortOrder: 1 })
+        .populate("criteria.board", "name icon"),
+      User.aggregate([
+        { $unwind: "$badges" },
+        { $group: { _id: "$badges.badge", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const earnedCounts = new Map(
+      counts.map((c) => [c._id.toString(), c.count]),
+    );
+
+    res.json({
+      success: true,
+      data: badges.map((badge) => ({
+        ...badge.toJSON(),
+        earnedCount: earnedCounts.get(badge._id.toString()) || 0,
+      })),
+    });
+  } catch (error) {
+    console.error("Get All Badges Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting badges",
+      },
+    });
+  }
+});
+
+// @route   POST /api/badges
+// @desc    Create a badge definition
+// @access  Admin
+router.post(
+  "/",
+  protect,
+  admin,
+  [
+    body("key")
+      .trim()
+      .matches(/^[a-z0-9-]{2,50}$/)
+      .withMessage("Key must be 2-50 lowercase letters, numbers or dashes"),
+    ...badgeValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors);
+      }
+
+      if (await BadgeDefinition.exists({ key: req.body.key })) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "DUPLICATE_ERROR",
+            message: "A badge with this key already exists",
+          },
+        });
+      }
+
+      const badge = await BadgeDefinition.create({
+        key: req.body.key,
+        ...compact(pickBadgeFields(req.body)),
+      });
+      await invalidateDefinitions();
+
+      res.status(201).json({
+        success: true,
+        data: badge,
+        message: "Badge created",
+      });
+    } catch (error) {
+      console.error("Create Badge Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error creating badge",
+        },
+      });
+    }
+  },
+);
+
+// @route   POST /api/badges/init
+// @desc    Create the default badges that do not exist yet
+// @access  Admin
+router.post("/init", protect, admin, async (req, res) => {
+  try {
+    let created = 0;
+    for (const badgeData of defaultBadges) {
+      if (!(await BadgeDefinition.exists({ key: badgeData.key }))) {
+        await BadgeDefinition.create(badgeData);
+        created += 1;
+      }
+    }
+    await invalidateDefinitions();
+
+    res.json({
+      success: true,
+      data: {
+        created,
+        skipped: defaultBadges.length - created,
+      },
+      message: `Created ${created} badges`,
+    });
+  } catch (error) {
+    console.error("Init Badges Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error creating default badges",
+      },
+    });
+  }
+});
+
+// @route   POST /api/badges/evaluate
+// @desc    Award badges to existing members who already qualify
+// @access  Admin
+router.post("/evaluate", protect, admin, async (req, res) => {
+  // Runs in the background; large communities can take a while
+  (async () => {
+    try {
+      const cursor = User.find({ isActive: true }).select("_id").cursor();
+      for await (const user of cursor) {
+        await evaluateBadges(user._id);
+      }
+    } catch (error) {
+      console.error("Evaluate All Badges Error:", error);
+    }
+  })();
+
+  res.status(202).json({
+    success: true,
+    message: "Badge evaluation started",
+  });
+});
+
+// @route   PUT /api/badges/:id
+// @desc    Update a badge definition
+// @access  Admin
+router.put("/:id", protect, admin, badgeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors);
+    }
+
+    const badge = await BadgeDefinition.findByIdAndUpdate(
+      req.params.id,
+      { $set: compact(pickBadgeFields(req.body)) },
+      { new: true, runValidators: true },
+    );
+
+    if (!badge) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Badge not found",
+        },
+      });
+    }
+    await invalidateDefinitions();
+
+    res.json({
+      success: true,
+      data: badge,
+      message: "Badge updated",
+    });
+  } catch (error) {
+    console.error("Update Badge Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error updating badge",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/badges/:id
+// @desc    Delete a badge definition and take it back from members
+// @access  Admin
+router.delete("/:id", protect, admin, async (req, res) => {
+  try {
+    const badge = await BadgeDefinition.findByIdAndDelete(req.params.id);
+
+    if (!badge) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Badge not found",
+        },
+      });
+    }
+
+    await User.updateMany(
+      { "badges.badge": badge._id },
+      { $pull: { badges: { badge: badge._id } } },
+    );
+    await invalidateDefinitions();
+
+    res.json({
+      success: true,
+      message: "Badge deleted",
+    });
+  } catch (error) {
+    console.error("Delete Badge Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error deleting badge",
+      },
+    });
+  }
+});
+
+module.exports = router;
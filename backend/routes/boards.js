@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, validationResult } = require("express-validator");
 const Board = require("../models/Board");
 const Post = require("../models/Post");
+const User = require("../models/User");
 const { protect, admin } = require("../middleware/auth");
 const { cache, redisClient } = require("../utils/redis");
 
@@ -121,6 +122,42 @@ router.get("/all", protect, admin, async (req, res) => {
   }
 });
 
+// 訂閱的提醒模式
+const ALERT_MODES = ["off", "instant", "digest"];
+
+// @route   GET /api/boards/subscriptions
+// @desc    取得我訂閱的看板
+// @access  Private
+router.get("/subscriptions", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("subscriptions.boards")
+      .populate(
+        "subscriptions.boards.board",
+        "name slug icon color description postCount isActive",
+      );
+
+    // 略過已刪除或停用的看板
+    const subscriptions = (user.subscriptions?.boards || []).filter(
+      (s) => s.board && s.board.isActive,
+    );
+
+    res.json({
+      success: true,
+      data: subscriptions,
+    });
+  } catch (error) {
+    console.error("Get Board Subscriptions Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "取得訂閱看板失敗",
+      },
+    });
+  }
+});
+
 // @route   GET /api/boards/slug/:slug
 // @desc    取得單個看板
 // @access  Public
@@ -518,4 +555,99 @@ router.put("/:id/toggle", protect, admin, async (req, res) => {
   }
 });
 
+// @route   POST /api/boards/:id/subscribe
+// @desc    訂閱看板，或更新提醒模式
+// @access  Private
+router.post("/:id/subscribe", protect, async (req, res) => {
+  try {
+    const { alerts = "off" } = req.body;
+    if (!ALERT_MODES.includes(alerts)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "無效的提醒模式",
+        },
+      });
+    }
+
+    const board = await Board.findOne({ _id: req.params.id, isActive: true });
+    if (!board) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "看板不存在",
+        },
+      });
+    }
+
+    // 已訂閱時只更新提醒模式
+    const updated = await User.updateOne(
+      { _id: req.user._id, "subscriptions.boards.board": board._id },
+      { $set: { "subscriptions.boards.$.alerts": alerts } },
+    );
+
+    if (updated.matchedCount === 0) {
+      const added = await User.updateOne(
+        { _id: req.user._id, "subscriptions.boards.board": { $ne: board._id } },
+        { $push: { "subscriptions.boards": { board: board._id, alerts } } },
+      );
+      if (added.modifiedCount > 0) {
+        await Board.findByIdAndUpdate(board._id, {
+          $inc: { subscriberCount: 1 },
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { board: board._id, alerts, subscribed: true },
+      message: updated.matchedCount === 0 ? "已訂閱看板" : "已更新提醒設定",
+    });
+  } catch (error) {
+    console.error("Subscribe Board Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "訂閱看板失敗",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/boards/:id/subscribe
+// @desc    取消訂閱看板
+// @access  Private
+router.delete("/:id/subscribe", protect, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, "subscriptions.boards.board": req.params.id },
+      { $pull: { "subscriptions.boards": { board: req.params.id } } },
+    );
+
+    if (result.modifiedCount > 0) {
+      await Board.findByIdAndUpdate(req.params.id, {
+        $inc: { subscriberCount: -1 },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { board: req.params.id, subscribed: false },
+      message: "已取消訂閱",
+    });
+  } catch (error) {
+    console.error("Unsubscribe Board Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "取消訂閱失敗",
+      },
+    });
+  }
+});
+
 module.exports = router;
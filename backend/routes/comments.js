@@ -0,0 +1,569 @@
+const express = require("express");
+const router = express.Router({ mergeParams: true });
+const { body, validationResult } = require("express-validator");
+const Comment = require("../models/Comment");
+const { MAX_COMMENT_DEPTH } = require("../models/Comment");
+const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
+const { protect, isModerator } = require("../middleware/auth");
+const { hasBlocked, sendBlocked } = require("../utils/blocks");
+const { cache } = require("../utils/redis");
+const {
+  createNotification,
+  retractNotification,
+  notifyMentions,
+} = require("../utils/notifications");
+const { adjustReputation } = require("../utils/reputation");
+const { removeComment } = require("../utils/moderation");
+
+const commentValidation = [
+  body("content")
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("Comment must be 1-5000 characters"),
+];
+
+// Locked threads only take comments from moderators
+const sendLocked = (res) =>
+  res.status(403).json({
+    success: false,
+    error: {
+      code: "THREAD_LOCKED",
+      message: "This thread is locked",
+    },
+  });
+
+// Invalidate the cached post so the comment counter stays accurate
+const invalidatePostCache = async (postId) => {
+  await cache.del(`post:${postId}`);
+  await cache.delPattern("posts:*");
+};
+
+// Fetch one page of comments under the given parent (null = top level)
+const getCommentPage = async (
+  postId,
+  parent,
+  { page = 1, limit = 20, sort },
+) => {
+  const query = { post: postId, parent };
+  const sortOrder = sort === "newest" ? { createdAt: -1 } : { createdAt: 1 };
+
+  const comments = await Comment.find(query)
+    .sort(sortOrder)
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .populate("user", "username profile.avatar");
+
+  const total = await Comment.countDocuments(query);
+
+  return {
+    comments,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// @route   GET /api/posts/:postId/comments
+// @desc    Get top-level comments for a post
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const post = await Post.exists({
+      _id: req.params.postId,
+      deletedAt: null,
+    });
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Post not found",
+        },
+      });
+    }
+
+    const data = await getCommentPage(req.params.postId, null, req.query);
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get Comments Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting comments",
+      },
+    });
+  }
+});
+
+// @route   GET /api/posts/:postId/comments/:commentId/replies
+// @desc    Get replies to a comment
+// @access  Public
+router.get("/:commentId/replies", async (req, res) => {
+  try {
+    const comment = await Comment.exists({
+      _id: req.params.commentId,
+      post: req.params.postId,
+    });
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Comment not found",
+        },
+      });
+    }
+
+    const data = await getCommentPage(
+      req.params.postId,
+      req.params.commentId,
+      req.query,
+    );
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get Replies Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting replies",
+      },
+    });
+  }
+});
+
+// @route   POST /api/posts/:postId/comments
+// @desc    Add a comment or reply to a post
+// @access  Private
+router.post("/", protect, commentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      ...PUBLISHED_FILTER,
+    });
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Post not found",
+        },
+      });
+    }
+
+    if (post.metadata.isLocked && !isModerator(req.user)) {
+      return sendLocked(res);
+    }
+
+    const { content, parent: parentId } = req.body;
+    let parent = null;
+
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, post: post._id });
+      if (!parent || parent.isDeleted) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Parent comment not found",
+          },
+        });
+      }
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "MAX_DEPTH_REACHED",
+            message: "Cannot reply any deeper in this thread",
+          },
+        });
+      }
+    }
+
+    // Neither the post author nor the parent's author may have blocked the commenter
+    if (
+      (await hasBlocked(post.user, req.user._id)) ||
+      (parent && (await hasBlocked(parent.user, req.user._id)))
+    ) {
+      return sendBlocked(res);
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      user: req.user._id,
+      parent: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      content,
+    });
+
+    if (parent) {
+      await Comment.findByIdAndUpdate(parent._id, {
+        $inc: { replyCount: 1 },
+      });
+    }
+
+    await Post.findByIdAndUpdate(post._id, {
+      $inc: { "metadata.commentCount": 1 },
+    });
+    await invalidatePostCache(post._id);
+
+    // Notify the post author, or the parent comment's author for replies
+    const recipient = parent ? parent.user : post.user;
+    await createNotification({
+      user: recipient,
+      type: parent ? "reply" : "comment",
+      fromUser: req.user._id,
+      post: post._id,
+      comment: comment._id,
+      message: parent ? "replied to your comment" : "commented on your post",
+    });
+    await notifyMentions(
+      content,
+      {
+        fromUser: req.user._id,
+        post: post._id,
+        comment: comment._id,
+        message: "mentioned you in a comment",
+      },
+      [recipient],
+    );
+
+    await comment.populate("user", "username profile.avatar");
+
+    res.status(201).json({
+      success: true,
+      data: comment,
+      message: parent ? "Reply added" : "Comment added",
+    });
+  } catch (error) {
+    console.error("Create Comment Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error adding comment",
+      },
+    });
+  }
+});
+
+// @route   PUT /api/posts/:postId/comments/:commentId
+// @desc    Edit a comment
+// @access  Private
+router.put("/:commentId", protect, commentValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Validation failed",
+          details: errors.array(),
+        },
+      });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.postId,
+    });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Comment not found",
+        },
+      });
+    }
+
+    // Check ownership
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: "FORBIDDEN",
+          message: "Not authorized to edit this comment",
+        },
+      });
+    }
+
+    const post = await Post.findById(req.params.postId).select(
+      "metadata.isLocked",
+    );
+    if (post?.metadata.isLocked && !isModerator(req.user)) {
+      return sendLocked(res);
+    }
+
+    comment.content = req.body.content;
+    comment.isEdited = true;
+    await comment.save();
+
+    await comment.populate("user", "username profile.avatar");
+
+    res.json({
+      success: true,
+      data: comment,
+      message: "Comment updated",
+    });
+  } catch (error) {
+    console.error("Update Comment Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error updating comment",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:postId/comments/:commentId
+// @desc    Delete a comment
+// @access  Private (owner or moderator)
+router.delete("/:commentId", protect, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.postId,
+    });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Comment not found",
+        },
+      });
+    }
+
+    if (
+      comment.user.toString() !== req.user._id.toString() &&
+      !isModerator(req.user)
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: "FORBIDDEN",
+          message: "Not authorized to delete this comment",
+        },
+      });
+    }
+
+    const { removed, removedParents } = await removeComment(comment);
+
+    res.json({
+      success: true,
+      data: {
+        _id: comment._id,
+        parent: comment.parent,
+        removed,
+        removedParents,
+      },
+      message: "Comment deleted",
+    });
+  } catch (error) {
+    console.error("Delete Comment Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error deleting comment",
+      },
+    });
+  }
+});
+
+// @route   POST /api/posts/:postId/comments/:commentId/like
+// @desc    Like/unlike a comment
+// @access  Private
+router.post("/:commentId/like", protect, async (req, res) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.postId,
+    });
+
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Comment not found",
+        },
+      });
+    }
+
+    const likeIndex = comment.likes.indexOf(req.user._id);
+
+    // Unliking is always allowed; new likes respect the author's blocks
+    if (likeIndex === -1 && (await hasBlocked(comment.user, req.user._id))) {
+      return sendBlocked(res);
+    }
+
+    if (likeIndex > -1) {
+      // Unlike
+      comment.likes.splice(likeIndex, 1);
+      comment.likeCount -= 1;
+    } else {
+      // Like
+      comment.likes.push(req.user._id);
+      comment.likeCount += 1;
+    }
+
+    await comment.save();
+
+    const notification = {
+      user: comment.user,
+      type: "like",
+      fromUser: req.user._id,
+      post: comment.post,
+      comment: comment._id,
+      message: "liked your comment",
+    };
+    if (likeIndex === -1) {
+      await createNotification(notification);
+    } else {
+      await retractNotification(notification);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        liked: likeIndex === -1,
+        likeCount: comment.likeCount,
+      },
+      message: likeIndex === -1 ? "Comment liked" : "Comment unliked",
+    });
+  } catch (error) {
+    console.error("Like Comment Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error liking comment",
+      },
+    });
+  }
+});
+
+// @route   POST /api/posts/:postId/comments/:commentId/accept
+// @desc    Accept a comment as the answer, or clear the accepted answer
+// @access  Private (post author)
+router.post("/:commentId/accept", protect, async (req, res) => {
+  try {
+    const [post, comment] = await Promise.all([
+      Post.findOne({ _id: req.params.postId, deletedAt: null }),
+      Comment.findOne({
+        _id: req.params.commentId,
+        post: req.params.postId,
+      }),
+    ]);
+
+    if (!post || !comment || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Comment not found",
+        },
+      });
+    }
+
+    if (post.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: "FORBIDDEN",
+          message: "Only the post author can accept an answer",
+        },
+      });
+    }
+
+    if (comment.user.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_ANSWER",
+          message: "You cannot accept your own comment",
+        },
+      });
+    }
+
+    const previousId = post.acceptedAnswer;
+    const accepted = previousId?.toString() !== comment._id.toString();
+
+    // Only one answer per post; switching moves the points
+    if (previousId) {
+      const previous = await Comment.findById(previousId).select("user");
+      if (previous && previous.user.toString() !== post.user.toString()) {
+        await adjustReputation(previous.user, "acceptedAnswers", -1);
+      }
+    }
+
+    post.acceptedAnswer = accepted ? comment._id : null;
+    await Post.findByIdAndUpdate(post._id, {
+      acceptedAnswer: post.acceptedAnswer,
+    });
+
+    if (accepted) {
+      await adjustReputation(comment.user, "acceptedAnswers", 1);
+      await createNotification({
+        user: comment.user,
+        type: "system",
+        fromUser: req.user._id,
+        post: post._id,
+        comment: comment._id,
+        message: "accepted your comment as the answer",
+      });
+    }
+    await invalidatePostCache(post._id);
+
+    res.json({
+      success: true,
+      data: {
+        acceptedAnswer: post.acceptedAnswer,
+      },
+      message: accepted ? "Answer accepted" : "Answer unaccepted",
+    });
+  } catch (error) {
+    console.error("Accept Answer Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error accepting answer",
+      },
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,436 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { protect } = require("../middleware/auth");
+const { cache } = require("../utils/redis");
+const {
+  createNotification,
+  publishUnreadCount,
+} = require("../utils/notifications");
+const { publish } = require("../utils/realtime");
+const { hasBlocked, sendBlocked } = require("../utils/blocks");
+
+const PARTICIPANT_FIELDS = "username profile.avatar";
+
+const messageValidation = [
+  body("content")
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Message must be 1-2000 characters"),
+];
+
+const sendValidationError = (res, errors) =>
+  res.status(400).json({
+    success: false,
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Validation failed",
+      details: errors.array(),
+    },
+  });
+
+// Shape a conversation for one participant: the other user and their unread count
+const formatConversation = (conversation, userId) => {
+  const data = conversation.toObject();
+  const me = userId.toString();
+  data.otherUser =
+    data.participants.find((p) => (p._id || p).toString() !== me) || null;
+  data.unreadCount = conversation.unreadCounts.get(me) || 0;
+  delete data.unreadCounts;
+  delete data.participantKey;
+  return data;
+};
+
+// Load a conversation the current user takes part in
+const findConversation = (conversationId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+  return Conversation.findOne({
+    _id: conversationId,
+    participants: userId,
+  }).populate("participants", PARTICIPANT_FIELDS);
+};
+
+const sendNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message: "Conversation not found",
+    },
+  });
+
+// Either side blocking the other closes the conversation
+const isBlockedPair = async (userA, userB) =>
+  (await hasBlocked(userA, userB)) || (await hasBlocked(userB, userA));
+
+/**
+ * Store a message, bump the recipient's unread count and notify both sides
+ */
+const deliverMessage = async (conversation, sender, recipientId, content) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: sender._id,
+    content,
+  });
+
+  await Conversation.findByIdAndUpdate(conversation._id, {
+    $set: {
+      lastMessage: {
+        content: message.content,
+        sender: sender._id,
+        createdAt: message.createdAt,
+      },
+      lastMessageAt: message.createdAt,
+      [`unreadCounts.${sender._id}`]: 0,
+    },
+    $inc: { [`unreadCounts.${recipientId}`]: 1 },
+  });
+
+  await message.populate("sender", PARTICIPANT_FIELDS);
+
+  // Live update for every open tab of both participants
+  await Promise.all(
+    [recipientId, sender._id].map(async (userId) =>
+      publish(userId, "message", {
+        conversationId: conversation._id,
+        message,
+        unreadCount: await Conversation.unreadTotal(userId),
+      }),
+    ),
+  );
+
+  // Messages in the same conversation share one unread notification
+  await createNotification({
+    user: recipientId,
+    type: "message",
+    fromUser: sender._id,
+    conversation: conversation._id,
+    message: "sent you a message",
+  });
+
+  return message;
+};
+
+// @route   GET /api/messages/conversations
+// @desc    Get the current user's conversations, most recent first
+// @access  Private
+router.get("/conversations", protect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = {
+      participants: req.user._id,
+      "lastMessage.createdAt": { $exists: true },
+    };
+
+    const conversations = await Conversation.find(query)
+      .sort({ lastMessageAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("participants", PARTICIPANT_FIELDS);
+
+    const total = await Conversation.countDocuments(query);
+    const unreadCount = await Conversation.unreadTotal(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        conversations: conversations.map((c) =>
+          formatConversation(c, req.user._id),
+        ),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+        unreadCount,
+      },
+    });
+  } catch (error) {
+    console.error("Get Conversations Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting conversations",
+      },
+    });
+  }
+});
+
+// @route   GET /api/messages/unread-count
+// @desc    Get total unread messages
+// @access  Private
+router.get("/unread-count", protect, async (req, res) => {
+  try {
+    const count = await Conversation.unreadTotal(req.user._id);
+
+    res.json({
+      success: true,
+      data: { count },
+    });
+  } catch (error) {
+    console.error("Get Unread Messages Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting unread messages",
+      },
+    });
+  }
+});
+
+// @route   POST /api/messages
+// @desc    Send a message to a user, starting a conversation if needed
+// @access  Private
+router.post(
+  "/",
+  protect,
+  [
+    body("recipient").isMongoId().withMessage("Invalid recipient"),
+    ...messageValidation,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors);
+      }
+
+      const { recipient: recipientId, content } = req.body;
+
+      if (recipientId === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "INVALID_RECIPIENT",
+            message: "You cannot message yourself",
+          },
+        });
+      }
+
+      const recipient = await User.findById(recipientId).select("isActive");
+      if (!recipient || !recipient.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "User not found",
+          },
+        });
+      }
+
+      if (await isBlockedPair(recipient._id, req.user._id)) {
+        return sendBlocked(res);
+      }
+
+      const participantKey = Conversation.keyFor(req.user._id, recipient._id);
+      const conversation = await Conversation.findOneAndUpdate(
+        { participantKey },
+        {
+          $setOnInsert: {
+            participantKey,
+            participants: [req.user._id, recipient._id],
+          },
+        },
+        { upsert: true, new: true },
+      );
+
+      const message = await deliverMessage(
+        conversation,
+        req.user,
+        recipient._id,
+        content,
+      );
+
+      res.status(201).json({
+        success: true,
+        data: {
+          conversationId: conversation._id,
+          message,
+        },
+      });
+    } catch (error) {
+      console.error("Send Message Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error sending message",
+        },
+      });
+    }
+  },
+);
+
+// @route   GET /api/messages/conversations/:conversationId
+// @desc    Get a conversation and a page of its messages (newest first)
+// @access  Private
+router.get("/conversations/:conversationId", protect, async (req, res) => {
+  try {
+    const { before, limit = 30 } = req.query;
+
+    const conversation = await findConversation(
+      req.params.conversationId,
+      req.user._id,
+    );
+    if (!conversation) {
+      return sendNotFound(res);
+    }
+
+    // Older pages continue from the oldest message already loaded
+    const query = { conversation: conversation._id };
+    if (before && !isNaN(Date.parse(before))) {
+      query.createdAt = { $lt: new Date(before) };
+    }
+
+    const messages = await Message.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit) + 1)
+      .populate("sender", PARTICIPANT_FIELDS);
+
+    const hasMore = messages.length > parseInt(limit);
+    if (hasMore) messages.pop();
+
+    const otherUser = conversation.participants.find(
+      (p) => p._id.toString() !== req.user._id.toString(),
+    );
+
+    res.json({
+      success: true,
+      data: {
+        conversation: formatConversation(conversation, req.user._id),
+        messages,
+        hasMore,
+        canMessage: otherUser
+          ? !(await isBlockedPair(otherUser._id, req.user._id))
+          : false,
+      },
+    });
+  } catch (error) {
+    console.error("Get Conversation Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting conversation",
+      },
+    });
+  }
+});
+
+// @route   POST /api/messages/conversations/:conversationId
+// @desc    Reply in a conversation
+// @access  Private
+router.post(
+  "/conversations/:conversationId",
+  protect,
+  messageValidation,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return sendValidationError(res, errors);
+      }
+
+      const conversation = await findConversation(
+        req.params.conversationId,
+        req.user._id,
+      );
+      if (!conversation) {
+        return sendNotFound(res);
+      }
+
+      const recipient = conversation.participants.find(
+        (p) => p._id.toString() !== req.user._id.toString(),
+      );
+      if (!recipient || (await isBlockedPair(recipient._id, req.user._id))) {
+        return sendBlocked(res);
+      }
+
+      const message = await deliverMessage(
+        conversation,
+        req.user,
+        recipient._id,
+        req.body.content,
+      );
+
+      res.status(201).json({
+        success: true,
+        data: {
+          conversationId: conversation._id,
+          message,
+        },
+      });
+    } catch (error) {
+      console.error("Reply Message Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error sending message",
+        },
+      });
+    }
+  },
+);
+
+// @route   PUT /api/messages/conversations/:conversationId/read
+// @desc    Mark a conversation and its message notifications as read
+// @access  Private
+router.put("/conversations/:conversationId/read", protect, async (req, res) => {
+  try {
+    const conversation = await findConversation(
+      req.params.conversationId,
+      req.user._id,
+    );
+    if (!conversation) {
+      return sendNotFound(res);
+    }
+
+    await Conversation.findByIdAndUpdate(conversation._id, {
+      $set: { [`unreadCounts.${req.user._id}`]: 0 },
+    });
+
+    const { modifiedCount } = await Notification.updateMany(
+      {
+        user: req.user._id,
+        type: "message",
+        conversation: conversation._id,
+        read: false,
+      },
+      { read: true },
+    );
+    if (modifiedCount > 0) {
+      await cache.del(`notifications:count:${req.user._id}`);
+      await publishUnreadCount(req.user._id);
+    }
+
+    const unreadCount = await Conversation.unreadTotal(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        conversationId: conversation._id,
+        unreadCount,
+      },
+    });
+  } catch (error) {
+    console.error("Mark Conversation Read Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error marking conversation as read",
+      },
+    });
+  }
+});
+
+module.exports = router;
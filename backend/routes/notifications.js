@@ -1,33 +1,50 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Notification = require("../models/Notification");
-const { protect } = require("../middleware/auth");
+const User = require("../models/User");
+const { protect, protectStream } = require("../middleware/auth");
 const { cache } = require("../utils/redis");
+const {
+  visibleInboxQuery,
+  countUnread,
+  populateVisibleActors,
+  createNotification,
+  publishUnreadCount,
+} = require("../utils/notifications");
+const { addClient, writeEvent } = require("../utils/realtime");
 
 // @route   GET /api/notifications
 // @desc    Get user notifications
 // @access  Private
 router.get("/", protect, async (req, res) => {
   try {
-    const { page = 1, limit = 20, unreadOnly = false } = req.query;
+    const { page = 1, limit = 20, unreadOnly = false, read, type } = req.query;
 
-    const query = { user: req.user._id };
+    const query = visibleInboxQuery(req.user);
     if (unreadOnly === "true") {
       query.read = false;
+    } else if (read === "true" || read === "false") {
+      query.read = read === "true";
+    }
+    if (type) {
+      // Accepts a single type or a comma-separated list
+      query.type = { $in: type.split(",") };
     }
 
     const notifications = await Notification.find(query)
-      .sort({ createdAt: -1 })
+      .sort({ activityAt: -1, createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
       .populate("fromUser", "username profile.avatar")
-      .populate("post", "title");
+      .populate("post", "title")
+      .populate("photo", "title thumbnailUrl")
+      .populate("board", "name icon color");
+
+    await populateVisibleActors(notifications, req.user);
 
     const total = await Notification.countDocuments(query);
-    const unreadCount = await Notification.countDocuments({
-      user: req.user._id,
-      read: false,
-    });
+    const unreadCount = await countUnread(req.user);
 
     res.json({
       success: true,
@@ -67,10 +84,7 @@ router.get("/count", protect, async (req, res) => {
       return res.json(cachedCount);
     }
 
-    const count = await Notification.countDocuments({
-      user: req.user._id,
-      read: false,
-    });
+    const count = await countUnread(req.user);
 
     const responseData = {
       success: true,
@@ -93,6 +107,347 @@ router.get("/count", protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/notifications/stream
+// @desc    Server-Sent Events stream of new notifications and unread count
+// @access  Private (JWT via Authorization header or ?token=)
+router.get("/stream", protectStream, async (req, res) => {
+  try {
+    addClient(req.user._id, req, res);
+
+    // Send the current count so the client starts in sync
+    const count = await countUnread(req.user);
+    writeEvent(res, "count", { count });
+  } catch (error) {
+    console.error("Notification Stream Error:", error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error opening notification stream",
+        },
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Notification types users can configure
+const PREFERENCE_TYPES = [
+  "like",
+  "comment",
+  "reply",
+  "follow",
+  "mention",
+  "bookmark",
+  "system",
+  "board",
+  "message",
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Shape problems in a preferences update, one message each
+const getPreferenceErrors = ({ types, quietHours }) => {
+  const errors = [];
+  if (types) {
+    if (!isPlainObject(types)) {
+      errors.push("Types must map each notification type to its channels");
+    } else {
+      for (const [type, channels] of Object.entries(types)) {
+        if (!isPlainObject(channels)) {
+          errors.push(`Channels for ${type} must be an object`);
+        }
+      }
+    }
+  }
+  if (quietHours && !isPlainObject(quietHours)) {
+    errors.push("Quiet hours must be an object");
+  }
+  return errors;
+};
+
+// Load the current user's notification preferences for the response
+const getPreferences = async (userId) => {
+  const user = await User.findById(userId)
+    .select("profile.preferences")
+    .populate("profile.preferences.notificationSettings.mutedPosts", "title")
+    .populate(
+      "profile.preferences.notificationSettings.mutedBoards",
+      "name icon color",
+    );
+  const { notifications, notificationSettings } =
+    user.toObject().profile.preferences;
+  return { enabled: notifications, ...notificationSettings };
+};
+
+// @route   GET /api/notifications/preferences
+// @desc    Get notification preferences
+// @access  Private
+router.get("/preferences", protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getPreferences(req.user._id),
+    });
+  } catch (error) {
+    console.error("Get Notification Preferences Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting notification preferences",
+      },
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update notification preferences
+// @access  Private
+router.put("/preferences", protect, async (req, res) => {
+  try {
+    const { enabled, types, quietHours, mutedPosts, mutedBoards } = req.body;
+
+    const preferenceErrors = getPreferenceErrors(req.body);
+    if (preferenceErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: preferenceErrors.join("; "),
+        },
+      });
+    }
+
+    const prefix = "profile.preferences.notificationSettings";
+    const updateFields = {};
+
+    if (enabled !== undefined) {
+      updateFields["profile.preferences.notifications"] = Boolean(enabled);
+    }
+
+    if (types) {
+      for (const [type, channels] of Object.entries(types)) {
+        if (!PREFERENCE_TYPES.includes(type)) continue;
+        if (channels.inApp !== undefined) {
+          updateFields[`${prefix}.types.${type}.inApp`] = Boolean(
+            channels.inApp,
+          );
+        }
+        if (channels.email !== undefined) {
+          updateFields[`${prefix}.types.${type}.email`] = Boolean(
+            channels.email,
+          );
+        }
+      }
+    }
+
+    if (quietHours) {
+      if (quietHours.timezone) {
+        try {
+          new Intl.DateTimeFormat("en-GB", { timeZone: quietHours.timezone });
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: "VALIDATION_ERROR",
+              message: "Unknown timezone",
+            },
+          });
+        }
+      }
+      for (const field of ["enabled", "start", "end", "timezone"]) {
+        if (quietHours[field] !== undefined) {
+          updateFields[`${prefix}.quietHours.${field}`] = quietHours[field];
+        }
+      }
+    }
+
+    if (Array.isArray(mutedPosts)) {
+      updateFields[`${prefix}.mutedPosts`] = mutedPosts;
+    }
+    if (Array.isArray(mutedBoards)) {
+      updateFields[`${prefix}.mutedBoards`] = mutedBoards;
+    }
+
+    await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updateFields },
+      { runValidators: true },
+    );
+
+    res.json({
+      success: true,
+      data: await getPreferences(req.user._id),
+      message: "Notification preferences updated",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: error.message,
+        },
+      });
+    }
+    console.error("Update Notification Preferences Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error updating notification preferences",
+      },
+    });
+  }
+});
+
+// @route   POST /api/notifications/mute
+// @desc    Mute or unmute notifications for a post or board
+// @access  Private
+router.post("/mute", protect, async (req, res) => {
+  try {
+    const { post, board, muted = true } = req.body;
+    const field = post ? "mutedPosts" : board ? "mutedBoards" : null;
+
+    if (!field) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "A post or board is required",
+        },
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(post || board)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: post ? "Invalid post" : "Invalid board",
+        },
+      });
+    }
+
+    const path = `profile.preferences.notificationSettings.${field}`;
+    await User.findByIdAndUpdate(req.user._id, {
+      [muted ? "$addToSet" : "$pull"]: { [path]: post || board },
+    });
+
+    res.json({
+      success: true,
+      data: { post, board, muted: Boolean(muted) },
+      message: muted ? "Notifications muted" : "Notifications unmuted",
+    });
+  } catch (error) {
+    console.error("Mute Notifications Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error updating muted notifications",
+      },
+    });
+  }
+});
+
+// Validate a list of notification IDs sent for a bulk action
+const getBulkIds = (body) => {
+  const { ids } = body || {};
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > 500) {
+    return null;
+  }
+  return ids.every((id) => mongoose.Types.ObjectId.isValid(id)) ? ids : null;
+};
+
+// @route   PUT /api/notifications/read
+// @desc    Mark several notifications as read
+// @access  Private
+router.put("/read", protect, async (req, res) => {
+  try {
+    const ids = getBulkIds(req.body);
+    if (!ids) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Provide between 1 and 500 notification IDs",
+        },
+      });
+    }
+
+    const result = await Notification.updateMany(
+      { _id: { $in: ids }, user: req.user._id, read: false },
+      { $set: { read: true } },
+    );
+
+    // Invalidate count cache
+    await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { ids, modified: result.modifiedCount },
+      message: "Notifications marked as read",
+    });
+  } catch (error) {
+    console.error("Bulk Mark Notifications Read Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error marking notifications as read",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/notifications
+// @desc    Delete several notifications
+// @access  Private
+router.delete("/", protect, async (req, res) => {
+  try {
+    const ids = getBulkIds(req.body);
+    if (!ids) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Provide between 1 and 500 notification IDs",
+        },
+      });
+    }
+
+    const result = await Notification.deleteMany({
+      _id: { $in: ids },
+      user: req.user._id,
+    });
+
+    // Invalidate count cache
+    await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { ids, deleted: result.deletedCount },
+      message: "Notifications deleted",
+    });
+  } catch (error) {
+    console.error("Bulk Delete Notifications Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error deleting notifications",
+      },
+    });
+  }
+});
+
 // @route   PUT /api/notifications/:notificationId/read
 // @desc    Mark notification as read
 // @access  Private
@@ -118,6 +473,7 @@ router.put("/:notificationId/read", protect, async (req, res) => {
 
     // Invalidate count cache
     await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
 
     res.json({
       success: true,
@@ -148,6 +504,7 @@ router.put("/read-all", protect, async (req, res) => {
 
     // Invalidate count cache
     await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
 
     res.json({
       success: true,
@@ -187,6 +544,7 @@ router.delete("/:notificationId", protect, async (req, res) => {
 
     // Invalidate count cache
     await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
 
     res.json({
       success: true,
@@ -204,20 +562,5 @@ router.delete("/:notificationId", protect, async (req, res) => {
   }
 });
 
-// Helper function to create notification
-const createNotification = async (data) => {
-  try {
-    const notification = await Notification.create(data);
-
-    // Clear user's notification count cache
-    await cache.del(`notifications:count:${data.user}`);
-
-    return notification;
-  } catch (error) {
-    console.error("Create Notification Error:", error);
-    return null;
-  }
-};
-
 module.exports = router;
 module.exports.createNotification = createNotification;
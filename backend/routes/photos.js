@@ -9,7 +9,25 @@ const User = require("../models/User");
 const Tag = require("../models/Tag");
 const { mediaService } = require("../utils/media");
 const { getAITags, getImageVariants } = require("../utils/cloudinary");
-const { protect } = require("../middleware/auth");
+const { protect, optionalAuth } = require("../middleware/auth");
+const {
+  createNotification,
+  retractNotification,
+} = require("../utils/notifications");
+const {
+  hasBlocked,
+  getHiddenUserIds,
+  sendBlocked,
+} = require("../utils/blocks");
+const { adjustReputation } = require("../utils/reputation");
+const { evaluateBadges } = require("../utils/badges");
+const {
+  withPurgeDate,
+  trashPhoto,
+  restorePhoto,
+  purgePhoto,
+} = require("../utils/trash");
+const { recordView } = require("../utils/views");
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -154,6 +172,7 @@ router.post("/upload", protect, upload.single("image"), async (req, res) => {
     await User.findByIdAndUpdate(req.user._id, {
       $inc: { "stats.photoCount": 1 },
     });
+    evaluateBadges(req.user._id, { event: "photo" });
 
     // Track tag usage
     const uniqueTagNames = [...new Set(allTags.map((t) => t.toLowerCase()))];
@@ -204,7 +223,7 @@ router.post("/upload", protect, upload.single("image"), async (req, res) => {
 // @route   GET /api/photos
 // @desc    Get all photos with pagination
 // @access  Public
-router.get("/", async (req, res) => {
+router.get("/", optionalAuth, async (req, res) => {
   try {
     const {
       page = 1,
@@ -214,11 +233,19 @@ router.get("/", async (req, res) => {
       visionStatus,
     } = req.query;
 
-    const query = {};
+    const query = { deletedAt: null };
     if (aquariumType) query.aquariumType = aquariumType;
     if (userId) query.user = userId;
     if (visionStatus) query.visionStatus = visionStatus;
 
+    // Hide photos from users the viewer blocked or muted
+    const hiddenUsers = getHiddenUserIds(req.user);
+    if (hiddenUsers.length > 0) {
+      query.user = userId
+        ? { $eq: userId, $nin: hiddenUsers }
+        : { $nin: hiddenUsers };
+    }
+
     const photos = await Photo.find(query)
       .sort({ "metadata.uploadedAt": -1 })
       .skip((page - 1) * limit)
@@ -251,15 +278,120 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Photo in the owner's own trash; photos removed by moderators are only
+// restorable from the admin trash
+const findOwnTrashedPhoto = (photoId, userId) =>
+  Photo.findOne({
+    _id: photoId,
+    user: userId,
+    deletedBy: userId,
+    deletedAt: { $ne: null },
+  }).select("_id");
+
+const sendNotInTrash = (res) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message: "Photo not found in trash",
+    },
+  });
+
+// @route   GET /api/photos/trash
+// @desc    Get my deleted photos awaiting purge
+// @access  Private
+router.get("/trash", protect, async (req, res) => {
+  try {
+    const photos = await Photo.find({
+      user: req.user._id,
+      deletedBy: req.user._id,
+      deletedAt: { $ne: null },
+    })
+      .sort({ deletedAt: -1 })
+      .select("title imageUrl thumbnailUrl aquariumType deletedAt");
+
+    res.json({
+      success: true,
+      data: photos.map(withPurgeDate),
+    });
+  } catch (error) {
+    console.error("Get Trash Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting trash",
+      },
+    });
+  }
+});
+
+// @route   POST /api/photos/trash/:photoId/restore
+// @desc    Restore one of my deleted photos
+// @access  Private
+router.post("/trash/:photoId/restore", protect, async (req, res) => {
+  try {
+    const trashed = await findOwnTrashedPhoto(req.params.photoId, req.user._id);
+    const photo = trashed && (await restorePhoto(trashed._id));
+
+    if (!photo) {
+      return sendNotInTrash(res);
+    }
+
+    res.json({
+      success: true,
+      data: photo,
+      message: "Photo restored",
+    });
+  } catch (error) {
+    console.error("Restore Photo Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error restoring photo",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/photos/trash/:photoId
+// @desc    Permanently delete one of my deleted photos and its media
+// @access  Private
+router.delete("/trash/:photoId", protect, async (req, res) => {
+  try {
+    const trashed = await findOwnTrashedPhoto(req.params.photoId, req.user._id);
+    const photo = trashed && (await purgePhoto(trashed._id));
+
+    if (!photo) {
+      return sendNotInTrash(res);
+    }
+
+    res.json({
+      success: true,
+      message: "Photo permanently deleted",
+    });
+  } catch (error) {
+    console.error("Purge Photo Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error deleting photo",
+      },
+    });
+  }
+});
+
 // @route   GET /api/photos/:photoId
 // @desc    Get single photo
 // @access  Public
-router.get("/:photoId", async (req, res) => {
+router.get("/:photoId", optionalAuth, async (req, res) => {
   try {
-    const photo = await Photo.findById(req.params.photoId).populate(
-      "user",
-      "username profile.avatar profile.bio",
-    );
+    const photo = await Photo.findOne({
+      _id: req.params.photoId,
+      deletedAt: null,
+    }).populate("user", "username profile.avatar profile.bio");
 
     if (!photo) {
       return res.status(404).json({
@@ -271,9 +403,8 @@ router.get("/:photoId", async (req, res) => {
       });
     }
 
-    // Increment view count
-    photo.metadata.views += 1;
-    await photo.save();
+    // Views are buffered, so the response does not wait for them
+    recordView("photo", photo._id, req);
 
     // Get image variants on demand
     const variants = getImageVariants(photo.imageUrl);
@@ -302,7 +433,10 @@ router.get("/:photoId", async (req, res) => {
 // @access  Private
 router.put("/:photoId", protect, async (req, res) => {
   try {
-    let photo = await Photo.findById(req.params.photoId);
+    let photo = await Photo.findOne({
+      _id: req.params.photoId,
+      deletedAt: null,
+    });
 
     if (!photo) {
       return res.status(404).json({
@@ -370,11 +504,14 @@ router.put("/:photoId", protect, async (req, res) => {
 });
 
 // @route   DELETE /api/photos/:photoId
-// @desc    Delete photo
+// @desc    Move photo to the trash
 // @access  Private
 router.delete("/:photoId", protect, async (req, res) => {
   try {
-    const photo = await Photo.findById(req.params.photoId);
+    const photo = await Photo.findOne({
+      _id: req.params.photoId,
+      deletedAt: null,
+    });
 
     if (!photo) {
       return res.status(404).json({
@@ -397,29 +534,11 @@ router.delete("/:photoId", protect, async (req, res) => {
       });
     }
 
-    // Delete from media provider if URL is external
-    if (photo.imageUrl && photo.imageUrl.startsWith("http")) {
-      await mediaService.delete(photo.imageUrl);
-    }
-
-    // Delete local file if exists
-    if (photo.imageUrl && !photo.imageUrl.startsWith("http")) {
-      const filePath = path.join(__dirname, "..", photo.imageUrl);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-      }
-    }
-
-    await Photo.findByIdAndDelete(req.params.photoId);
-
-    // Update user's photo count
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { "stats.photoCount": -1 },
-    });
+    await trashPhoto(photo._id, req.user._id);
 
     res.json({
       success: true,
-      message: "Photo deleted successfully",
+      message: "Photo moved to trash",
     });
   } catch (error) {
     console.error("Delete Photo Error:", error);
@@ -438,7 +557,10 @@ router.delete("/:photoId", protect, async (req, res) => {
 // @access  Private
 router.post("/:photoId/like", protect, async (req, res) => {
   try {
-    const photo = await Photo.findById(req.params.photoId);
+    const photo = await Photo.findOne({
+      _id: req.params.photoId,
+      deletedAt: null,
+    });
 
     if (!photo) {
       return res.status(404).json({
@@ -452,6 +574,11 @@ router.post("/:photoId/like", protect, async (req, res) => {
 
     const likeIndex = photo.likes.indexOf(req.user._id);
 
+    // Unliking is always allowed; new likes respect the owner's blocks
+    if (likeIndex === -1 && (await hasBlocked(photo.user, req.user._id))) {
+      return sendBlocked(res);
+    }
+
     if (likeIndex > -1) {
       // Unlike
       photo.likes.splice(likeIndex, 1);
@@ -464,6 +591,26 @@ router.post("/:photoId/like", protect, async (req, res) => {
 
     await photo.save();
 
+    const notification = {
+      user: photo.user,
+      type: "like",
+      fromUser: req.user._id,
+      photo: photo._id,
+      message: "liked your photo",
+    };
+    if (likeIndex === -1) {
+      await createNotification(notification);
+    } else {
+      await retractNotification(notification);
+    }
+    if (photo.user.toString() !== req.user._id.toString()) {
+      await adjustReputation(
+        photo.user,
+        "photoLikes",
+        likeIndex === -1 ? 1 : -1,
+      );
+    }
+
     res.json({
       success: true,
       data: {
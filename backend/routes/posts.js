@@ -1,80 +1,346 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
 const Post = require("../models/Post");
+const { PUBLISHED_FILTER, UNPUBLISHED_STATUSES } = require("../models/Post");
 const User = require("../models/User");
-const Tag = require("../models/Tag");
 const Board = require("../models/Board");
-const { protect } = require("../middleware/auth");
+const Follow = require("../models/Follow");
+const PostRevision = require("../models/PostRevision");
+const PollVote = require("../models/PollVote");
+const Comment = require("../models/Comment");
+const Photo = require("../models/Photo");
+const {
+  protect,
+  optionalAuth,
+  moderator,
+  isModerator,
+} = require("../middleware/auth");
 const { cache, redisClient } = require("../utils/redis");
+const {
+  createNotification,
+  retractNotification,
+} = require("../utils/notifications");
+const {
+  hasBlocked,
+  getHiddenUserIds,
+  sendBlocked,
+} = require("../utils/blocks");
+const { adjustReputation } = require("../utils/reputation");
+const {
+  hasVersionedChanges,
+  saveRevision,
+  ensureOriginalRevision,
+  diffRevisions,
+} = require("../utils/revisions");
+const {
+  getPublishErrors,
+  runPublishEffects,
+  publishPost,
+} = require("../utils/publishing");
+const { renderMarkdown } = require("../utils/markdown");
+const { movePost, mergePost, splitPost } = require("../utils/threads");
+const { syncBoardCounts } = require("../utils/postCounts");
+const {
+  normalizePoll,
+  getPollErrors,
+  isPollClosed,
+  getPollResults,
+} = require("../utils/polls");
+const {
+  withPurgeDate,
+  trashPost,
+  restorePost,
+  purgePost,
+} = require("../utils/trash");
+const { recordView } = require("../utils/views");
+const { POST_SORTS, SORT_PERIODS, getSortSpec } = require("../utils/ranking");
+const { getRelatedPosts, getRelatedPhotos } = require("../utils/related");
+
+// Author fields shown in post bylines: reputation and earned badge icons
+const AUTHOR_POPULATE = {
+  path: "user",
+  select: "username profile.avatar stats.reputation badges",
+  populate: { path: "badges.badge", select: "name icon sortOrder" },
+};
+
+const MAX_POST_MEDIA = 10;
+
+// Post images must be gallery photos the author uploaded, so a post only
+// points at files this server issued. Returns null for anything else.
+const normalizeMedia = async (media, userId) => {
+  if (!Array.isArray(media) || media.length > MAX_POST_MEDIA) return null;
+
+  const urls = media.map((item) => item?.url);
+  if (urls.some((url) => typeof url !== "string")) return null;
+
+  const owned = await Photo.find({
+    user: userId,
+    imageUrl: { $in: urls },
+    deletedAt: null,
+  }).distinct("imageUrl");
+  if (!urls.every((url) => owned.includes(url))) return null;
+
+  return urls.map((url) => ({ type: "image", url }));
+};
+
+const sendInvalidMedia = (res) =>
+  res.status(400).json({
+    success: false,
+    error: {
+      code: "VALIDATION_ERROR",
+      message: "Post images must be photos you uploaded",
+    },
+  });
 
 // @route   GET /api/posts
-// @desc    Get all posts with pagination and filtering
+// @desc    Get all posts with pagination, filtering and a named sort
 // @access  Public
-router.get("/", async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      sort = "-metadata.createdAt",
-      tag,
-      board,
-    } = req.query;
+router.get(
+  "/",
+  optionalAuth,
+  [
+    query("sort")
+      .optional()
+      .isIn(POST_SORTS)
+      .withMessage(`Sort must be one of: ${POST_SORTS.join(", ")}`),
+    query("period")
+      .optional()
+      .isIn(Object.keys(SORT_PERIODS))
+      .withMessage(
+        `Period must be one of: ${Object.keys(SORT_PERIODS).join(", ")}`,
+      ),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
 
-    // Generate cache key
-    const cacheKey = `posts:${JSON.stringify(req.query)}`;
+      const { page = 1, limit = 20, tag, board } = req.query;
+      const { sort, filter: sortFilter } = getSortSpec(
+        req.query.sort,
+        req.query.period,
+      );
 
-    // Try to get from cache
-    const cachedData = await cache.get(cacheKey);
-    if (cachedData) {
-      return res.json(cachedData);
+      // Lists filtered by the viewer's blocks and mutes are not shared
+      const hiddenUsers = getHiddenUserIds(req.user);
+      const useCache = hiddenUsers.length === 0;
+
+      // Generate cache key
+      const cacheKey = `posts:${JSON.stringify(req.query)}`;
+
+      // Try to get from cache
+      const cachedData = useCache ? await cache.get(cacheKey) : null;
+      if (cachedData) {
+        return res.json(cachedData);
+      }
+
+      const query = { ...PUBLISHED_FILTER };
+
+      if (hiddenUsers.length > 0) {
+        query.user = { $nin: hiddenUsers };
+      }
+
+      // Filter by tag
+      if (tag) {
+        query["tags.tag"] = tag;
+      }
+
+      // Filter by board
+      if (board) {
+        query.boards = board;
+      }
+
+      // Pinned posts lead the first page and are left out of the pages
+      const pinnedQuery = {
+        ...query,
+        $or: [
+          { "metadata.isPinned": true },
+          ...(board ? [{ "metadata.pinnedBoards": board }] : []),
+        ],
+      };
+      const pinnedIds = await Post.distinct("_id", pinnedQuery);
+      query._id = { $nin: pinnedIds };
+      // Pinned posts stay on top whatever the period; only the rest are limited
+      Object.assign(query, sortFilter);
+
+      const pinned =
+        parseInt(page) === 1 && pinnedIds.length > 0
+          ? await Post.find({ _id: { $in: pinnedIds } })
+              .sort(sort)
+              .populate(AUTHOR_POPULATE)
+              .populate("boards", "name slug icon color")
+          : [];
+
+      const regular = await Post.find(query)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .populate(AUTHOR_POPULATE)
+        .populate("boards", "name slug icon color");
+      const posts = [...pinned, ...regular];
+
+      const total = await Post.countDocuments(query);
+
+      const responseData = {
+        success: true,
+        data: {
+          posts,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit),
+          },
+        },
+      };
+
+      // Cache for 2 minutes
+      if (useCache) {
+        await cache.set(cacheKey, responseData, 120);
+      }
+
+      res.json(responseData);
+    } catch (error) {
+      console.error("Get Posts Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error getting posts",
+        },
+      });
     }
+  },
+);
+
+// Escape user-supplied text for use inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Feed cursors encode the last post's creation time and ID
+const encodeCursor = (post) =>
+  Buffer.from(`${post.metadata.createdAt.getTime()}_${post._id}`).toString(
+    "base64url",
+  );
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(cursor, "base64url").toString().split("_");
+  const createdAt = new Date(Number(time));
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { createdAt, id };
+};
+
+// @route   GET /api/posts/feed
+// @desc    Personalized feed from followed users, subscribed boards and watched tags
+// @access  Private
+router.get("/feed", protect, async (req, res) => {
+  try {
+    const { cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const [follows, user] = await Promise.all([
+      Follow.find({ follower: req.user._id }).select("following"),
+      User.findById(req.user._id).select("subscriptions"),
+    ]);
 
-    const query = {};
+    const followedUsers = follows.map((f) => f.following);
+    const boards = (user.subscriptions?.boards || []).map((s) => s.board);
+    const tags = user.subscriptions?.tags || [];
+
+    const sources = [];
+    if (followedUsers.length > 0) {
+      sources.push({ user: { $in: followedUsers } });
+    }
+    if (boards.length > 0) {
+      sources.push({ boards: { $in: boards } });
+    }
+    if (tags.length > 0) {
+      // Post tags keep the author's casing; watched tags are lowercase
+      sources.push({
+        "tags.tag": {
+          $in: tags.map((tag) => new RegExp(`^${escapeRegex(tag)}$`, "i")),
+        },
+      });
+    }
 
-    // Filter by tag
-    if (tag) {
-      query["tags.tag"] = tag;
+    if (sources.length === 0) {
+      return res.json({
+        success: true,
+        data: {
+          posts: [],
+          nextCursor: null,
+          hasMore: false,
+        },
+      });
     }
 
-    // Filter by board
-    if (board) {
-      query.boards = board;
+    const query = {
+      $and: [
+        { $or: sources },
+        { user: { $nin: [req.user._id, ...getHiddenUserIds(req.user)] } },
+        PUBLISHED_FILTER,
+      ],
+    };
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Invalid cursor",
+          },
+        });
+      }
+      query.$and.push({
+        $or: [
+          { "metadata.createdAt": { $lt: position.createdAt } },
+          {
+            "metadata.createdAt": position.createdAt,
+            _id: { $lt: position.id },
+          },
+        ],
+      });
     }
 
+    // Fetch one extra post to learn whether another page exists
     const posts = await Post.find(query)
-      .sort(sort)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .populate("user", "username profile.avatar")
+      .sort({ "metadata.createdAt": -1, _id: -1 })
+      .limit(limit + 1)
+      .populate(AUTHOR_POPULATE)
       .populate("boards", "name slug icon color");
 
-    const total = await Post.countDocuments(query);
+    const hasMore = posts.length > limit;
+    const page = posts.slice(0, limit);
 
-    const responseData = {
+    res.json({
       success: true,
       data: {
-        posts,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit),
-        },
+        posts: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+        hasMore,
       },
-    };
-
-    // Cache for 2 minutes
-    await cache.set(cacheKey, responseData, 120);
-
-    res.json(responseData);
+    });
   } catch (error) {
-    console.error("Get Posts Error:", error);
+    console.error("Get Feed Error:", error);
     res.status(500).json({
       success: false,
       error: {
         code: "SERVER_ERROR",
-        message: "Error getting posts",
+        message: "Error getting feed",
       },
     });
   }
@@ -97,23 +363,21 @@ router.get("/search", async (req, res) => {
       });
     }
 
-    const posts = await Post.find({
+    const query = {
+      ...PUBLISHED_FILTER,
       $or: [
         { title: { $regex: q, $options: "i" } },
         { content: { $regex: q, $options: "i" } },
       ],
-    })
+    };
+
+    const posts = await Post.find(query)
       .sort("-metadata.createdAt")
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
-      .populate("user", "username profile.avatar");
+      .populate(AUTHOR_POPULATE);
 
-    const total = await Post.countDocuments({
-      $or: [
-        { title: { $regex: q, $options: "i" } },
-        { content: { $regex: q, $options: "i" } },
-      ],
-    });
+    const total = await Post.countDocuments(query);
 
     res.json({
       success: true,
@@ -139,10 +403,189 @@ router.get("/search", async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/drafts
+// @desc    Get my drafts and scheduled posts
+// @access  Private
+router.get("/drafts", protect, async (req, res) => {
+  try {
+    const drafts = await Post.find({
+      user: req.user._id,
+      status: { $in: UNPUBLISHED_STATUSES },
+      deletedAt: null,
+    })
+      .sort({ updatedAt: -1 })
+      .select("title content status publishAt boards tags updatedAt")
+      .populate("boards", "name slug icon color");
+
+    res.json({
+      success: true,
+      data: drafts,
+    });
+  } catch (error) {
+    console.error("Get Drafts Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting drafts",
+      },
+    });
+  }
+});
+
+// Post in the author's own trash; posts removed by moderators are only
+// restorable from the admin trash
+const findOwnTrashedPost = (postId, userId) =>
+  Post.findOne({
+    _id: postId,
+    user: userId,
+    deletedBy: userId,
+    deletedAt: { $ne: null },
+  }).select("_id");
+
+const sendNotInTrash = (res) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message: "Post not found in trash",
+    },
+  });
+
+// @route   GET /api/posts/trash
+// @desc    Get my deleted posts awaiting purge
+// @access  Private
+router.get("/trash", protect, async (req, res) => {
+  try {
+    const posts = await Post.find({
+      user: req.user._id,
+      deletedBy: req.user._id,
+      deletedAt: { $ne: null },
+    })
+      .sort({ deletedAt: -1 })
+      .select("title content status boards deletedAt")
+      .populate("boards", "name slug icon color");
+
+    res.json({
+      success: true,
+      data: posts.map(withPurgeDate),
+    });
+  } catch (error) {
+    console.error("Get Trash Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting trash",
+      },
+    });
+  }
+});
+
+// @route   POST /api/posts/trash/:postId/restore
+// @desc    Restore one of my deleted posts
+// @access  Private
+router.post("/trash/:postId/restore", protect, async (req, res) => {
+  try {
+    const trashed = await findOwnTrashedPost(req.params.postId, req.user._id);
+    const post = trashed && (await restorePost(trashed._id));
+
+    if (!post) {
+      return sendNotInTrash(res);
+    }
+
+    res.json({
+      success: true,
+      data: post,
+      message: "Post restored",
+    });
+  } catch (error) {
+    console.error("Restore Post Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error restoring post",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/posts/trash/:postId
+// @desc    Permanently delete one of my deleted posts
+// @access  Private
+router.delete("/trash/:postId", protect, async (req, res) => {
+  try {
+    const trashed = await findOwnTrashedPost(req.params.postId, req.user._id);
+    const post = trashed && (await purgePost(trashed._id));
+
+    if (!post) {
+      return sendNotInTrash(res);
+    }
+
+    res.json({
+      success: true,
+      message: "Post permanently deleted",
+    });
+  } catch (error) {
+    console.error("Purge Post Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error deleting post",
+      },
+    });
+  }
+});
+
+// @route   POST /api/posts/preview
+// @desc    Render Markdown exactly as it will appear once posted
+// @access  Private
+router.post(
+  "/preview",
+  protect,
+  [
+    body("content")
+      .isString()
+      .isLength({ max: 10000 })
+      .withMessage("Content cannot exceed 10000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { html: renderMarkdown(req.body.content) },
+      });
+    } catch (error) {
+      console.error("Preview Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error rendering preview",
+        },
+      });
+    }
+  },
+);
+
 // @route   GET /api/posts/:postId
-// @desc    Get single post
+// @desc    Get single post (drafts only for their author)
 // @access  Public
-router.get("/:postId", async (req, res) => {
+router.get("/:postId", optionalAuth, async (req, res) => {
   try {
     // Generate cache key
     const cacheKey = `post:${req.params.postId}`;
@@ -150,15 +593,24 @@ router.get("/:postId", async (req, res) => {
     // Try to get from cache
     const cachedData = await cache.get(cacheKey);
     if (cachedData) {
+      // Views are buffered, so the response does not wait for them
+      recordView("post", req.params.postId, req);
       return res.json(cachedData);
     }
 
-    const post = await Post.findById(req.params.postId)
-      .populate("user", "username profile.avatar profile.bio")
+    const post = await Post.findOne({ _id: req.params.postId, deletedAt: null })
+      .populate({
+        ...AUTHOR_POPULATE,
+        select: "username profile.avatar profile.bio stats.reputation badges",
+      })
       .populate("boards", "name slug icon color")
       .populate("engagement.likes", "username");
 
-    if (!post) {
+    const isDraft = post && UNPUBLISHED_STATUSES.includes(post.status);
+    if (
+      !post ||
+      (isDraft && post.user._id.toString() !== req.user?._id.toString())
+    ) {
       return res.status(404).json({
         success: false,
         error: {
@@ -168,9 +620,15 @@ router.get("/:postId", async (req, res) => {
       });
     }
 
-    // Increment view count (don't cache this change immediately)
-    post.metadata.viewCount += 1;
-    await post.save();
+    // Drafts are neither counted nor cached
+    if (isDraft) {
+      return res.json({
+        success: true,
+        data: post,
+      });
+    }
+
+    recordView("post", post._id, req);
 
     const responseData = {
       success: true,
@@ -196,21 +654,33 @@ router.get("/:postId", async (req, res) => {
 // @route   POST /api/posts
 // @desc    Create new post
 // @access  Private
+// Drafts skip the publish checks so half-written posts can be autosaved
+const unlessDraft = (validator) =>
+  validator.if(body("status").not().equals("draft"));
+
 router.post(
   "/",
   protect,
   [
-    body("title")
+    unlessDraft(body("title"))
       .trim()
       .isLength({ min: 3, max: 200 })
       .withMessage("Title must be 3-200 characters"),
-    body("content")
+    unlessDraft(body("content"))
       .trim()
       .isLength({ min: 10 })
       .withMessage("Content must be at least 10 characters"),
-    body("boards")
+    unlessDraft(body("boards"))
       .isArray({ min: 1 })
       .withMessage("Please select at least one board"),
+    body("status")
+      .optional()
+      .isIn(["draft", "published"])
+      .withMessage("Status must be draft or published"),
+    body("publishAt")
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage("Publish time must be a valid date"),
   ],
   async (req, res) => {
     try {
@@ -233,56 +703,63 @@ router.post(
         ? manualTags.map((tag) => ({ tag: tag.trim() }))
         : [];
 
+      // A future publishAt schedules the post instead of publishing it now
+      const publishAt = req.body.publishAt
+        ? new Date(req.body.publishAt)
+        : null;
+      let status = req.body.status === "draft" ? "draft" : "published";
+      if (status === "published" && publishAt > new Date()) {
+        status = "scheduled";
+      }
+
+      const postMedia = media ? await normalizeMedia(media, req.user._id) : [];
+      if (!postMedia) {
+        return sendInvalidMedia(res);
+      }
+
+      const pollErrors = status === "draft" ? [] : getPollErrors(req.body.poll);
+      if (pollErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: pollErrors.join("; "),
+          },
+        });
+      }
+
       const post = await Post.create({
         user: req.user._id,
         title,
         content,
-        boards,
+        boards: boards || [],
         tags,
-        media: media || [],
-      });
-
-      // Update user's post count
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { "stats.postCount": 1 },
-      });
-
-      // Track tag usage - increment usage count for all unique tags
-      if (tags.length > 0) {
-        const uniqueTagNames = [
-          ...new Set(tags.map((t) => t.tag.toLowerCase())),
-        ];
-        await Promise.all(
-          uniqueTagNames.map(async (tagName) => {
-            await Tag.findOneAndUpdate(
-              { name: tagName },
-              { $inc: { usageCount: 1 } },
-              { upsert: true, new: true },
-            );
-          }),
-        );
-      }
+        media: postMedia,
+        poll: normalizePoll(req.body.poll),
+        status,
+        publishAt: status === "scheduled" ? publishAt : null,
+        metadata: { revisionCount: status === "published" ? 1 : 0 },
+      });
 
-      // Update board post counts
-      if (boards && boards.length > 0) {
-        await Promise.all(
-          boards.map(async (boardId) => {
-            await Board.findByIdAndUpdate(boardId, {
-              $inc: { postCount: 1 },
-            });
-          }),
-        );
+      if (status === "published") {
+        await runPublishEffects(post);
       }
 
       await post.populate([
-        { path: "user", select: "username profile.avatar" },
+        AUTHOR_POPULATE,
         { path: "boards", select: "name slug icon color" },
       ]);
 
+      const messages = {
+        draft: "Draft saved",
+        scheduled: "Post scheduled",
+        published: "Post created successfully",
+      };
+
       res.status(201).json({
         success: true,
         data: post,
-        message: "Post created successfully",
+        message: messages[status],
       });
     } catch (error) {
       console.error("Create Post Error:", error);
@@ -302,7 +779,11 @@ router.post(
 // @access  Private
 router.put("/:postId", protect, async (req, res) => {
   try {
-    let post = await Post.findById(req.params.postId);
+    let post = await Post.findOne({
+      _id: req.params.postId,
+      deletedAt: null,
+      mergedInto: null,
+    });
 
     if (!post) {
       return res.status(404).json({
@@ -325,47 +806,86 @@ router.put("/:postId", protect, async (req, res) => {
       });
     }
 
-    const { title, content, boards, tags, media } = req.body;
-    const updateFields = {};
+    if (post.metadata.isLocked && !isModerator(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: "THREAD_LOCKED",
+          message: "This thread is locked",
+        },
+      });
+    }
 
-    if (title) updateFields.title = title;
-    if (content) updateFields.content = content;
-    if (boards) {
-      // Handle board changes
-      const oldBoards = post.boards.map((b) => b.toString());
-      const newBoards = boards;
-
-      // Decrement old board counts
-      await Promise.all(
-        oldBoards
-          .filter((b) => !newBoards.includes(b))
-          .map(async (boardId) => {
-            await Board.findByIdAndUpdate(boardId, { $inc: { postCount: -1 } });
-          }),
-      );
+    const media = req.body.media
+      ? await normalizeMedia(req.body.media, post.user)
+      : undefined;
+    if (media === null) {
+      return sendInvalidMedia(res);
+    }
 
-      // Increment new board counts
-      await Promise.all(
-        newBoards
-          .filter((b) => !oldBoards.includes(b))
-          .map(async (boardId) => {
-            await Board.findByIdAndUpdate(boardId, { $inc: { postCount: 1 } });
-          }),
-      );
+    // Drafts autosave as-is; counters and history start once published
+    if (UNPUBLISHED_STATUSES.includes(post.status)) {
+      ["title", "content", "boards"].forEach((field) => {
+        if (req.body[field] !== undefined) post[field] = req.body[field];
+      });
+      if (media) post.media = media;
+      if (req.body.tags) {
+        post.tags = req.body.tags.map((tag) =>
+          typeof tag === "object" ? tag : { tag: tag.trim() },
+        );
+      }
+      // Polls are fixed once published, so they can only change here
+      if (req.body.poll !== undefined) {
+        post.poll = normalizePoll(req.body.poll);
+      }
+      await post.save();
+      await post.populate([
+        AUTHOR_POPULATE,
+        { path: "boards", select: "name slug icon color" },
+      ]);
+
+      return res.json({
+        success: true,
+        data: post,
+        message: "Draft saved",
+      });
+    }
 
+    const { title, content, boards, tags } = req.body;
+    const updateFields = {};
+
+    if (title) updateFields.title = title;
+    if (content) updateFields.content = content;
+    if (boards) {
+      await syncBoardCounts(post.boards, boards);
       updateFields.boards = boards;
     }
-    if (tags) updateFields.tags = tags;
+    if (tags) {
+      updateFields.tags = tags.map((tag) =>
+        typeof tag === "object" ? tag : { tag: tag.trim() },
+      );
+    }
     if (media) updateFields.media = media;
 
-    post = await Post.findByIdAndUpdate(
-      req.params.postId,
-      { $set: updateFields },
-      { new: true, runValidators: true },
-    )
-      .populate("user", "username profile.avatar")
+    const update = { $set: updateFields };
+    const versioned = hasVersionedChanges(post, updateFields);
+    if (versioned) {
+      await ensureOriginalRevision(post);
+      updateFields["metadata.editedAt"] = new Date();
+      update.$inc = { "metadata.revisionCount": 1 };
+    }
+
+    post = await Post.findByIdAndUpdate(req.params.postId, update, {
+      new: true,
+      runValidators: true,
+    })
+      .populate(AUTHOR_POPULATE)
       .populate("boards", "name slug icon color");
 
+    if (versioned) {
+      await saveRevision(post, req.user._id);
+    }
+
     // Invalidate cache
     await cache.del(`post:${req.params.postId}`);
     await cache.delPattern("posts:*");
@@ -388,11 +908,14 @@ router.put("/:postId", protect, async (req, res) => {
 });
 
 // @route   DELETE /api/posts/:postId
-// @desc    Delete post
+// @desc    Move post to the trash
 // @access  Private
 router.delete("/:postId", protect, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      deletedAt: null,
+    });
 
     if (!post) {
       return res.status(404).json({
@@ -415,20 +938,11 @@ router.delete("/:postId", protect, async (req, res) => {
       });
     }
 
-    await Post.findByIdAndDelete(req.params.postId);
-
-    // Update user's post count
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { "stats.postCount": -1 },
-    });
-
-    // Invalidate cache
-    await cache.del(`post:${req.params.postId}`);
-    await cache.delPattern("posts:*");
+    await trashPost(post._id, req.user._id);
 
     res.json({
       success: true,
-      message: "Post deleted successfully",
+      message: "Post moved to trash",
     });
   } catch (error) {
     console.error("Delete Post Error:", error);
@@ -447,7 +961,10 @@ router.delete("/:postId", protect, async (req, res) => {
 // @access  Private
 router.post("/:postId/like", protect, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      ...PUBLISHED_FILTER,
+    });
 
     if (!post) {
       return res.status(404).json({
@@ -461,6 +978,11 @@ router.post("/:postId/like", protect, async (req, res) => {
 
     const likeIndex = post.engagement.likes.indexOf(req.user._id);
 
+    // Unliking is always allowed; new likes respect the author's blocks
+    if (likeIndex === -1 && (await hasBlocked(post.user, req.user._id))) {
+      return sendBlocked(res);
+    }
+
     if (likeIndex > -1) {
       // Unlike
       post.engagement.likes.splice(likeIndex, 1);
@@ -476,6 +998,22 @@ router.post("/:postId/like", protect, async (req, res) => {
     // Invalidate cache
     await cache.del(`post:${req.params.postId}`);
 
+    const notification = {
+      user: post.user,
+      type: "like",
+      fromUser: req.user._id,
+      post: post._id,
+      message: "liked your post",
+    };
+    if (likeIndex === -1) {
+      await createNotification(notification);
+    } else {
+      await retractNotification(notification);
+    }
+    if (post.user.toString() !== req.user._id.toString()) {
+      await adjustReputation(post.user, "postLikes", likeIndex === -1 ? 1 : -1);
+    }
+
     res.json({
       success: true,
       data: {
@@ -501,7 +1039,10 @@ router.post("/:postId/like", protect, async (req, res) => {
 // @access  Private
 router.post("/:postId/bookmark", protect, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      ...PUBLISHED_FILTER,
+    });
 
     if (!post) {
       return res.status(404).json({
@@ -525,6 +1066,26 @@ router.post("/:postId/bookmark", protect, async (req, res) => {
 
     await post.save();
 
+    const notification = {
+      user: post.user,
+      type: "bookmark",
+      fromUser: req.user._id,
+      post: post._id,
+      message: "bookmarked your post",
+    };
+    if (bookmarkIndex === -1) {
+      await createNotification(notification);
+    } else {
+      await retractNotification(notification);
+    }
+    if (post.user.toString() !== req.user._id.toString()) {
+      await adjustReputation(
+        post.user,
+        "bookmarks",
+        bookmarkIndex === -1 ? 1 : -1,
+      );
+    }
+
     res.json({
       success: true,
       data: {
@@ -544,16 +1105,1088 @@ router.post("/:postId/bookmark", protect, async (req, res) => {
   }
 });
 
-// @route   GET /api/posts/:postId/boards
-// @desc    Get boards for a post
+// @route   POST /api/posts/:postId/publish
+// @desc    Publish a draft now, or schedule it with { publishAt }
+// @access  Private
+router.post(
+  "/:postId/publish",
+  protect,
+  [
+    body("publishAt")
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage("Publish time must be a valid date"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const post = await Post.findOne({
+        _id: req.params.postId,
+        user: req.user._id,
+        status: { $in: UNPUBLISHED_STATUSES },
+        deletedAt: null,
+      });
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Draft not found",
+          },
+        });
+      }
+
+      const publishErrors = getPublishErrors(post);
+      if (publishErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: publishErrors.join("; "),
+          },
+        });
+      }
+
+      const publishAt = req.body.publishAt
+        ? new Date(req.body.publishAt)
+        : null;
+      let published;
+      if (publishAt > new Date()) {
+        post.status = "scheduled";
+        post.publishAt = publishAt;
+        published = await post.save();
+      } else {
+        published = await publishPost(post._id);
+      }
+
+      // Another request or the scheduler published it first
+      if (!published) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: "ALREADY_PUBLISHED",
+            message: "This post has already been published",
+          },
+        });
+      }
+
+      await published.populate([
+        AUTHOR_POPULATE,
+        { path: "boards", select: "name slug icon color" },
+      ]);
+
+      res.json({
+        success: true,
+        data: published,
+        message:
+          published.status === "scheduled"
+            ? "Post scheduled"
+            : "Post published successfully",
+      });
+    } catch (error) {
+      console.error("Publish Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error publishing post",
+        },
+      });
+    }
+  },
+);
+
+// @route   POST /api/posts/:postId/unschedule
+// @desc    Turn a scheduled post back into a draft
+// @access  Private
+router.post("/:postId/unschedule", protect, async (req, res) => {
+  try {
+    const post = await Post.findOneAndUpdate(
+      {
+        _id: req.params.postId,
+        user: req.user._id,
+        status: "scheduled",
+        deletedAt: null,
+      },
+      { $set: { status: "draft", publishAt: null } },
+      { new: true },
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Scheduled post not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: post,
+      message: "Post moved back to drafts",
+    });
+  } catch (error) {
+    console.error("Unschedule Post Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error unscheduling post",
+      },
+    });
+  }
+});
+
+// Post whose history the viewer may read (drafts only for their author),
+// or null
+const findRevisionedPost = async (postId, viewer) => {
+  const post = await Post.findOne({ _id: postId, deletedAt: null }).select(
+    "user status metadata",
+  );
+  if (
+    post &&
+    UNPUBLISHED_STATUSES.includes(post.status) &&
+    post.user.toString() !== viewer?._id.toString()
+  ) {
+    return null;
+  }
+  return post;
+};
+
+// @route   GET /api/posts/:postId/revisions
+// @desc    Get the edit history of a post, newest first
 // @access  Public
-router.get("/:postId/boards", async (req, res) => {
+router.get("/:postId/revisions", optionalAuth, async (req, res) => {
+  try {
+    const post = await findRevisionedPost(req.params.postId, req.user);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Post not found",
+        },
+      });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .sort({ revision: -1 })
+      .select("-content")
+      .populate("editor", "username profile.avatar");
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        current: post.metadata.revisionCount,
+      },
+    });
+  } catch (error) {
+    console.error("Get Post Revisions Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting post revisions",
+      },
+    });
+  }
+});
+
+// @route   GET /api/posts/:postId/revisions/diff
+// @desc    Compare two revisions (?from=1&to=3, defaults to the latest edit)
+// @access  Public
+router.get("/:postId/revisions/diff", optionalAuth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId).populate(
-      "boards",
-      "name slug icon color description",
+    const post = await findRevisionedPost(req.params.postId, req.user);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Post not found",
+        },
+      });
+    }
+
+    const latest = await PostRevision.findOne({ post: post._id })
+      .sort({ revision: -1 })
+      .select("revision");
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "This post has no revisions",
+        },
+      });
+    }
+
+    const to = parseInt(req.query.to) || latest.revision;
+    const from = parseInt(req.query.from) || Math.max(to - 1, 1);
+
+    const [fromRevision, toRevision] = await Promise.all(
+      [from, to].map((revision) =>
+        PostRevision.findOne({ post: post._id, revision })
+          .populate("editor", "username profile.avatar")
+          .populate("boards", "name icon"),
+      ),
     );
 
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Revision not found",
+        },
+      });
+    }
+
+    const summary = (revision) => ({
+      _id: revision._id,
+      revision: revision.revision,
+      editor: revision.editor,
+      restoredFrom: revision.restoredFrom,
+      createdAt: revision.createdAt,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: summary(fromRevision),
+        to: summary(toRevision),
+        changes: diffRevisions(fromRevision, toRevision),
+      },
+    });
+  } catch (error) {
+    console.error("Diff Post Revisions Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error comparing post revisions",
+      },
+    });
+  }
+});
+
+// @route   POST /api/posts/:postId/revisions/:revision/restore
+// @desc    Restore an earlier revision as the post's current version
+// @access  Moderator
+router.post(
+  "/:postId/revisions/:revision/restore",
+  protect,
+  moderator,
+  async (req, res) => {
+    try {
+      const post = await Post.findOne({
+        _id: req.params.postId,
+        deletedAt: null,
+        mergedInto: null,
+      });
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Post not found",
+          },
+        });
+      }
+
+      const revision = await PostRevision.findOne({
+        post: post._id,
+        revision: parseInt(req.params.revision),
+      });
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Revision not found",
+          },
+        });
+      }
+
+      const restoredFields = {
+        title: revision.title,
+        content: revision.content,
+        tags: revision.tags.map((tag) => ({ tag })),
+        boards: revision.boards,
+      };
+
+      if (!hasVersionedChanges(post, restoredFields)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "NO_CHANGES",
+            message: "The post already matches this revision",
+          },
+        });
+      }
+
+      await syncBoardCounts(post.boards, revision.boards);
+
+      const updatedPost = await Post.findByIdAndUpdate(
+        post._id,
+        {
+          $set: { ...restoredFields, "metadata.editedAt": new Date() },
+          $inc: { "metadata.revisionCount": 1 },
+        },
+        { new: true, runValidators: true },
+      )
+        .populate(AUTHOR_POPULATE)
+        .populate("boards", "name slug icon color");
+
+      await saveRevision(updatedPost, req.user._id, {
+        restoredFrom: revision.revision,
+      });
+
+      await createNotification({
+        user: post.user,
+        type: "system",
+        fromUser: req.user._id,
+        post: post._id,
+        message: `restored revision ${revision.revision} of your post`,
+      });
+
+      // Invalidate cache
+      await cache.del(`post:${req.params.postId}`);
+      await cache.delPattern("posts:*");
+
+      res.json({
+        success: true,
+        data: updatedPost,
+        message: `Revision ${revision.revision} restored`,
+      });
+    } catch (error) {
+      console.error("Restore Post Revision Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error restoring post revision",
+        },
+      });
+    }
+  },
+);
+
+// @route   PUT /api/posts/:postId/pin
+// @desc    Pin or unpin a post everywhere, or within one of its boards
+// @access  Private/Moderator
+router.put(
+  "/:postId/pin",
+  protect,
+  moderator,
+  [
+    body("isPinned")
+      .isBoolean()
+      .withMessage("isPinned must be true or false")
+      .toBoolean(true),
+    body("board").optional().isMongoId().withMessage("Invalid board"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const post = await Post.findOne({
+        _id: req.params.postId,
+        ...PUBLISHED_FILTER,
+      }).select("boards metadata");
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Post not found",
+          },
+        });
+      }
+
+      const { isPinned, board } = req.body;
+      let update;
+      if (board) {
+        if (!post.boards.some((id) => id.toString() === board)) {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: "VALIDATION_ERROR",
+              message: "Post is not in this board",
+            },
+          });
+        }
+        update = isPinned
+          ? { $addToSet: { "metadata.pinnedBoards": board } }
+          : { $pull: { "metadata.pinnedBoards": board } };
+      } else {
+        update = { $set: { "metadata.isPinned": isPinned } };
+      }
+
+      const updatedPost = await Post.findByIdAndUpdate(post._id, update, {
+        new: true,
+      }).select("metadata.isPinned metadata.pinnedBoards");
+
+      // Invalidate cache
+      await cache.del(`post:${req.params.postId}`);
+      await cache.delPattern("posts:*");
+
+      res.json({
+        success: true,
+        data: {
+          isPinned: updatedPost.metadata.isPinned,
+          pinnedBoards: updatedPost.metadata.pinnedBoards,
+        },
+        message: isPinned ? "Post pinned" : "Post unpinned",
+      });
+    } catch (error) {
+      console.error("Pin Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error pinning post",
+        },
+      });
+    }
+  },
+);
+
+// @route   PUT /api/posts/:postId/lock
+// @desc    Lock a thread against new comments and edits, or unlock it
+// @access  Private/Moderator
+router.put(
+  "/:postId/lock",
+  protect,
+  moderator,
+  [
+    body("isLocked")
+      .isBoolean()
+      .withMessage("isLocked must be true or false")
+      .toBoolean(true),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { isLocked } = req.body;
+      const post = await Post.findOneAndUpdate(
+        { _id: req.params.postId, ...PUBLISHED_FILTER },
+        {
+          $set: {
+            "metadata.isLocked": isLocked,
+            "metadata.lockedAt": isLocked ? new Date() : null,
+          },
+        },
+        { new: true },
+      ).select("metadata.isLocked metadata.lockedAt");
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Post not found",
+          },
+        });
+      }
+
+      // Invalidate cache
+      await cache.del(`post:${req.params.postId}`);
+      await cache.delPattern("posts:*");
+
+      res.json({
+        success: true,
+        data: {
+          isLocked: post.metadata.isLocked,
+          lockedAt: post.metadata.lockedAt,
+        },
+        message: isLocked ? "Thread locked" : "Thread unlocked",
+      });
+    } catch (error) {
+      console.error("Lock Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error locking thread",
+        },
+      });
+    }
+  },
+);
+
+// Active boards among the given ids, or null when any is missing or closed
+const findActiveBoards = async (boardIds) => {
+  const uniqueIds = [...new Set(boardIds.map((id) => id.toString()))];
+  const boards = await Board.find({
+    _id: { $in: uniqueIds },
+    isActive: true,
+  }).select("name icon");
+  return boards.length === uniqueIds.length ? boards : null;
+};
+
+const reasonValidator = body("reason")
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage("Reason cannot exceed 500 characters");
+
+// @route   POST /api/posts/:postId/move
+// @desc    Move a post to different boards
+// @access  Private/Moderator
+router.post(
+  "/:postId/move",
+  protect,
+  moderator,
+  [
+    body("boards")
+      .isArray({ min: 1 })
+      .withMessage("Please select at least one board"),
+    body("boards.*").isMongoId().withMessage("Invalid board"),
+    reasonValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const post = await Post.findOne({
+        _id: req.params.postId,
+        ...PUBLISHED_FILTER,
+      });
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Post not found",
+          },
+        });
+      }
+
+      const boards = await findActiveBoards(req.body.boards);
+      if (!boards) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Board not found",
+          },
+        });
+      }
+
+      const currentIds = post.boards.map((b) => b.toString()).sort();
+      const newIds = boards.map((b) => b._id.toString()).sort();
+      if (currentIds.join() === newIds.join()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "NO_CHANGES",
+            message: "The post is already in these boards",
+          },
+        });
+      }
+
+      const updatedPost = await movePost(
+        post,
+        boards,
+        req.user,
+        req.body.reason,
+      );
+      await updatedPost.populate("boards", "name slug icon color");
+
+      res.json({
+        success: true,
+        data: {
+          boards: updatedPost.boards,
+          pinnedBoards: updatedPost.metadata.pinnedBoards,
+        },
+        message: "Post moved",
+      });
+    } catch (error) {
+      console.error("Move Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error moving post",
+        },
+      });
+    }
+  },
+);
+
+// @route   POST /api/posts/:postId/merge
+// @desc    Merge a duplicate thread and its comments into another thread
+// @access  Private/Moderator
+router.post(
+  "/:postId/merge",
+  protect,
+  moderator,
+  [
+    body("target").isMongoId().withMessage("Invalid target post"),
+    reasonValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      if (req.body.target === req.params.postId) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "A post cannot be merged into itself",
+          },
+        });
+      }
+
+      const [post, target] = await Promise.all([
+        Post.findOne({ _id: req.params.postId, ...PUBLISHED_FILTER }),
+        Post.findOne({ _id: req.body.target, ...PUBLISHED_FILTER }),
+      ]);
+
+      if (!post || !target) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: post ? "Target post not found" : "Post not found",
+          },
+        });
+      }
+
+      const movedComments = await mergePost(
+        post,
+        target,
+        req.user,
+        req.body.reason,
+      );
+
+      res.json({
+        success: true,
+        data: {
+          mergedInto: target._id,
+          movedComments,
+        },
+        message: "Threads merged",
+      });
+    } catch (error) {
+      console.error("Merge Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error merging threads",
+        },
+      });
+    }
+  },
+);
+
+// @route   POST /api/posts/:postId/split
+// @desc    Split comments and their replies off into a new thread
+// @access  Private/Moderator
+router.post(
+  "/:postId/split",
+  protect,
+  moderator,
+  [
+    body("comments")
+      .isArray({ min: 1 })
+      .withMessage("Please select at least one comment"),
+    body("comments.*").isMongoId().withMessage("Invalid comment"),
+    body("title")
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage("Title must be 3-200 characters"),
+    body("boards")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Please select at least one board"),
+    body("boards.*").isMongoId().withMessage("Invalid board"),
+    reasonValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const post = await Post.findOne({
+        _id: req.params.postId,
+        ...PUBLISHED_FILTER,
+      });
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Post not found",
+          },
+        });
+      }
+
+      const commentIds = [...new Set(req.body.comments)];
+      const comments = await Comment.find({
+        _id: { $in: commentIds },
+        post: post._id,
+      });
+      if (comments.length !== commentIds.length) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Comment not found in this thread",
+          },
+        });
+      }
+      // The earliest selected comment becomes the new post's body
+      if (comments.some((c) => c.isDeleted)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Deleted comments cannot be split off",
+          },
+        });
+      }
+
+      const boards = await findActiveBoards(req.body.boards || post.boards);
+      if (!boards) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Board not found",
+          },
+        });
+      }
+
+      const newPost = await splitPost(
+        post,
+        comments,
+        { title: req.body.title, boards: boards.map((b) => b._id) },
+        req.user,
+        req.body.reason,
+      );
+      await newPost.populate([
+        AUTHOR_POPULATE,
+        { path: "boards", select: "name slug icon color" },
+      ]);
+
+      res.status(201).json({
+        success: true,
+        data: newPost,
+        message: "Thread split",
+      });
+    } catch (error) {
+      console.error("Split Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error splitting thread",
+        },
+      });
+    }
+  },
+);
+
+// Published post that carries a poll, or null
+const findPollPost = (postId) =>
+  Post.findOne({
+    _id: postId,
+    ...PUBLISHED_FILTER,
+    poll: { $ne: null },
+  }).select("user poll");
+
+// @route   GET /api/posts/:postId/poll
+// @desc    Get a post's poll (vote counts once voted or closed)
+// @access  Public
+router.get("/:postId/poll", optionalAuth, async (req, res) => {
+  try {
+    const post = await findPollPost(req.params.postId);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: "NOT_FOUND",
+          message: "Poll not found",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getPollResults(post, req.user?._id),
+    });
+  } catch (error) {
+    console.error("Get Poll Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting poll",
+      },
+    });
+  }
+});
+
+// @route   POST /api/posts/:postId/poll/vote
+// @desc    Vote in a post's poll (one ballot per member)
+// @access  Private
+router.post(
+  "/:postId/poll/vote",
+  protect,
+  [
+    body("options")
+      .isArray({ min: 1 })
+      .withMessage("Please choose at least one option"),
+    body("options.*").isMongoId().withMessage("Invalid poll option"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const post = await findPollPost(req.params.postId);
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Poll not found",
+          },
+        });
+      }
+
+      if (await hasBlocked(post.user, req.user._id)) {
+        return sendBlocked(res);
+      }
+
+      if (isPollClosed(post.poll)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "POLL_CLOSED",
+            message: "This poll has closed",
+          },
+        });
+      }
+
+      const options = [...new Set(req.body.options)];
+      if (!post.poll.multiple && options.length > 1) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "This poll allows only one choice",
+          },
+        });
+      }
+      if (options.some((optionId) => !post.poll.options.id(optionId))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Invalid poll option",
+          },
+        });
+      }
+
+      try {
+        await PollVote.create({
+          post: post._id,
+          user: req.user._id,
+          options,
+        });
+      } catch (error) {
+        // Unique index: the member already has a ballot in this poll
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            error: {
+              code: "ALREADY_VOTED",
+              message: "You have already voted in this poll",
+            },
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
+        success: true,
+        data: await getPollResults(post, req.user._id),
+        message: "Vote recorded",
+      });
+    } catch (error) {
+      console.error("Poll Vote Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error recording vote",
+        },
+      });
+    }
+  },
+);
+
+// Related suggestions are shared by all readers, so extra posts are kept
+// to fill in for authors a reader has blocked or muted
+const RELATED_POSTS_SHOWN = 5;
+const RELATED_POSTS_CACHED = 10;
+const RELATED_PHOTOS_SHOWN = 6;
+
+// @route   GET /api/posts/:postId/related
+// @desc    Get posts and gallery photos related to a post
+// @access  Public
+router.get("/:postId/related", optionalAuth, async (req, res) => {
+  try {
+    const cacheKey = `related:${req.params.postId}`;
+    let related = await cache.get(cacheKey);
+
+    if (!related) {
+      const post = await Post.findOne({
+        _id: req.params.postId,
+        ...PUBLISHED_FILTER,
+      }).select("title content tags boards");
+
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Post not found",
+          },
+        });
+      }
+
+      related = {
+        posts: await getRelatedPosts(post, RELATED_POSTS_CACHED),
+        photos: await getRelatedPhotos(post, RELATED_PHOTOS_SHOWN * 2),
+      };
+
+      // Cache for 10 minutes
+      await cache.set(cacheKey, related, 600);
+    }
+
+    const hiddenUsers = getHiddenUserIds(req.user).map((id) => id.toString());
+    const isVisible = (item) =>
+      !item.user || !hiddenUsers.includes(item.user._id.toString());
+
+    res.json({
+      success: true,
+      data: {
+        posts: related.posts.filter(isVisible).slice(0, RELATED_POSTS_SHOWN),
+        photos: related.photos.filter(isVisible).slice(0, RELATED_PHOTOS_SHOWN),
+      },
+    });
+  } catch (error) {
+    console.error("Get Related Posts Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting related posts",
+      },
+    });
+  }
+});
+
+// @route   GET /api/posts/:postId/boards
+// @desc    Get boards for a post
+// @access  Public
+router.get("/:postId/boards", async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      deletedAt: null,
+    }).populate("boards", "name slug icon color description");
+
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -0,0 +1,387 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const Report = require("../models/Report");
+const {
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+} = require("../models/Report");
+const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
+const Photo = require("../models/Photo");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { protect, moderator } = require("../middleware/auth");
+const { MAX_SUSPENSION_DAYS, resolveReports } = require("../utils/moderation");
+
+// Look up a reported item and who is responsible for it
+const findTarget = async (targetType, targetId) => {
+  switch (targetType) {
+    case "post": {
+      const post = await Post.findOne({
+        _id: targetId,
+        ...PUBLISHED_FILTER,
+      }).select("user");
+      return post && { targetUser: post.user, post: post._id };
+    }
+    case "photo": {
+      const photo = await Photo.findOne({
+        _id: targetId,
+        deletedAt: null,
+      }).select("user");
+      return photo && { targetUser: photo.user };
+    }
+    case "comment": {
+      const comment = await Comment.findById(targetId).select(
+        "user post isDeleted",
+      );
+      return (
+        comment &&
+        !comment.isDeleted && { targetUser: comment.user, post: comment.post }
+      );
+    }
+    case "user": {
+      const user = await User.findById(targetId).select("isActive");
+      return user && user.isActive && { targetUser: user._id };
+    }
+    default:
+      return null;
+  }
+};
+
+// Short description of each reported item for the moderation queue;
+// items removed since the report was filed come back as null
+const describeTargets = async (reports) => {
+  const idsOf = (type) =>
+    reports.filter((r) => r.targetType === type).map((r) => r.target);
+
+  const [posts, photos, comments, users] = await Promise.all([
+    Post.find({ _id: { $in: idsOf("post") }, deletedAt: null }).select(
+      "title content",
+    ),
+    Photo.find({ _id: { $in: idsOf("photo") }, deletedAt: null }).select(
+      "title thumbnailUrl imageUrl",
+    ),
+    Comment.find({ _id: { $in: idsOf("comment") } }).select(
+      "content post isDeleted",
+    ),
+    User.find({ _id: { $in: idsOf("user") } }).select(
+      "username profile.avatar",
+    ),
+  ]);
+
+  const summaries = new Map();
+  posts.forEach((post) =>
+    summaries.set(post._id.toString(), {
+      title: post.title,
+      excerpt: post.content.slice(0, 300),
+      link: `/post/${post._id}`,
+    }),
+  );
+  photos.forEach((photo) =>
+    summaries.set(photo._id.toString(), {
+      title: photo.title,
+      image: photo.thumbnailUrl || photo.imageUrl,
+      link: "/gallery",
+    }),
+  );
+  comments
+    .filter((comment) => !comment.isDeleted)
+    .forEach((comment) =>
+      summaries.set(comment._id.toString(), {
+        excerpt: comment.content.slice(0, 300),
+        link: `/post/${comment.post}`,
+      }),
+    );
+  users.forEach((user) =>
+    summaries.set(user._id.toString(), {
+      title: user.username,
+      image: user.profile?.avatar,
+      link: `/profile/${user._id}`,
+    }),
+  );
+
+  return summaries;
+};
+
+// @route   POST /api/reports
+// @desc    Report a post, photo, comment or member to the moderators
+// @access  Private
+router.post(
+  "/",
+  protect,
+  [
+    body("targetType")
+      .isIn(REPORT_TARGET_TYPES)
+      .withMessage(
+        `Target type must be one of: ${REPORT_TARGET_TYPES.join(", ")}`,
+      ),
+    body("targetId").isMongoId().withMessage("Invalid target"),
+    body("reason")
+      .isIn(REPORT_REASONS)
+      .withMessage(`Reason must be one of: ${REPORT_REASONS.join(", ")}`),
+    body("details")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Details cannot exceed 1000 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const { targetType, targetId, reason, details } = req.body;
+      const target = await findTarget(targetType, targetId);
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Reported content not found",
+          },
+        });
+      }
+
+      if (target.targetUser.toString() === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "INVALID_TARGET",
+            message: "You cannot report yourself or your own content",
+          },
+        });
+      }
+
+      const existing = await Report.exists({
+        reporter: req.user._id,
+        targetType,
+        target: targetId,
+        status: "open",
+      });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: "ALREADY_REPORTED",
+            message: "You have already reported this",
+          },
+        });
+      }
+
+      const report = await Report.create({
+        reporter: req.user._id,
+        targetType,
+        target: targetId,
+        targetUser: target.targetUser,
+        post: target.post || null,
+        reason,
+        details: details || "",
+      });
+
+      res.status(201).json({
+        success: true,
+        data: report,
+        message: "Thanks for reporting. Moderators will review it.",
+      });
+    } catch (error) {
+      console.error("Create Report Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error submitting report",
+        },
+      });
+    }
+  },
+);
+
+// @route   GET /api/reports
+// @desc    Moderation queue (open reports by default)
+// @access  Private/Moderator
+router.get("/", protect, moderator, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = "open", targetType } = req.query;
+
+    const query = { status };
+    if (targetType) query.targetType = targetType;
+
+    const reports = await Report.find(query)
+      .sort({ createdAt: status === "open" ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit))
+      .populate("reporter", "username profile.avatar")
+      .populate("targetUser", "username profile.avatar role moderation")
+      .populate("resolution.resolvedBy", "username");
+
+    const [total, summaries, openCounts] = await Promise.all([
+      Report.countDocuments(query),
+      describeTargets(reports),
+      // How many members flagged the same item
+      Report.aggregate([
+        {
+          $match: {
+            status: "open",
+            target: { $in: reports.map((r) => r.target) },
+          },
+        },
+        { $group: { _id: "$target", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const countByTarget = new Map(
+      openCounts.map((c) => [c._id.toString(), c.count]),
+    );
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map((report) => ({
+          ...report.toObject(),
+          targetSummary: summaries.get(report.target.toString()) || null,
+          openReportCount: countByTarget.get(report.target.toString()) || 0,
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get Reports Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting reports",
+      },
+    });
+  }
+});
+
+// @route   PUT /api/reports/:reportId/resolve
+// @desc    Dismiss a report, remove the content, or warn or suspend the author
+// @access  Private/Moderator
+router.put(
+  "/:reportId/resolve",
+  protect,
+  moderator,
+  [
+    body("action")
+      .isIn(REPORT_ACTIONS)
+      .withMessage(`Action must be one of: ${REPORT_ACTIONS.join(", ")}`),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Note cannot exceed 1000 characters"),
+    body("suspendDays")
+      .optional()
+      .isInt({ min: 1, max: MAX_SUSPENSION_DAYS })
+      .withMessage(`Suspension must be 1-${MAX_SUSPENSION_DAYS} days`)
+      .toInt(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const report = await Report.findById(req.params.reportId).populate(
+        "targetUser",
+        "isAdmin role",
+      );
+
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: "NOT_FOUND",
+            message: "Report not found",
+          },
+        });
+      }
+
+      if (report.status !== "open") {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: "ALREADY_RESOLVED",
+            message: "This report has already been resolved",
+          },
+        });
+      }
+
+      const { action, note, suspendDays } = req.body;
+
+      if (action === "remove" && report.targetType === "user") {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Members cannot be removed from a report; suspend instead",
+          },
+        });
+      }
+
+      const targetUser = report.targetUser;
+      if (
+        ["warn", "suspend"].includes(action) &&
+        (targetUser?.isAdmin || targetUser?.role === "admin")
+      ) {
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: "FORBIDDEN",
+            message: "Admins cannot be warned or suspended",
+          },
+        });
+      }
+
+      report.targetUser = targetUser?._id || report.targetUser;
+      const resolved = await resolveReports(
+        report,
+        { action, note, suspendDays },
+        req.user,
+      );
+
+      res.json({
+        success: true,
+        data: { action, resolved },
+        message: `${resolved} ${resolved === 1 ? "report" : "reports"} resolved`,
+      });
+    } catch (error) {
+      console.error("Resolve Report Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error resolving report",
+        },
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,443 @@
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const Series = require("../models/Series");
+const { MAX_SERIES_PARTS } = require("../models/Series");
+const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
+const { protect, optionalAuth } = require("../middleware/auth");
+const { cache } = require("../utils/redis");
+
+const PART_FIELDS =
+  "title excerptHtml status publishAt metadata.createdAt metadata.likeCount metadata.commentCount";
+
+// Readers see the published parts; authors also see their own drafts
+const partsFilter = (userId, viewer) =>
+  viewer && userId.toString() === viewer._id.toString()
+    ? { deletedAt: null, mergedInto: null }
+    : PUBLISHED_FILTER;
+
+const findOwnSeries = (seriesId, userId) =>
+  Series.findOne({ _id: seriesId, user: userId });
+
+const sendSeriesNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message: "Series not found",
+    },
+  });
+
+const descriptionValidator = body("description")
+  .optional()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage("Description cannot exceed 1000 characters");
+
+// @route   GET /api/series/user/:userId
+// @desc    Get a member's series with their parts
+// @access  Public
+router.get("/user/:userId", optionalAuth, async (req, res) => {
+  try {
+    const series = await Series.find({ user: req.params.userId })
+      .sort({ updatedAt: -1 })
+      .populate({
+        path: "posts",
+        match: partsFilter(req.params.userId, req.user),
+        select: "title status metadata.createdAt",
+      });
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error("Get User Series Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting series",
+      },
+    });
+  }
+});
+
+// @route   GET /api/series/:seriesId
+// @desc    Get a series and its parts in reading order
+// @access  Public
+router.get("/:seriesId", optionalAuth, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.seriesId).populate(
+      "user",
+      "username profile.avatar",
+    );
+
+    if (!series) {
+      return sendSeriesNotFound(res);
+    }
+
+    await series.populate({
+      path: "posts",
+      match: partsFilter(series.user._id, req.user),
+      select: PART_FIELDS,
+    });
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error("Get Series Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting series",
+      },
+    });
+  }
+});
+
+// @route   POST /api/series
+// @desc    Create a series
+// @access  Private
+router.post(
+  "/",
+  protect,
+  [
+    body("title")
+      .trim()
+      .isLength({ min: 3, max: 150 })
+      .withMessage("Title must be 3-150 characters"),
+    descriptionValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const series = await Series.create({
+        user: req.user._id,
+        title: req.body.title,
+        description: req.body.description || "",
+      });
+
+      res.status(201).json({
+        success: true,
+        data: series,
+        message: "Series created",
+      });
+    } catch (error) {
+      console.error("Create Series Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error creating series",
+        },
+      });
+    }
+  },
+);
+
+// @route   PUT /api/series/:seriesId
+// @desc    Rename a series or change its description
+// @access  Private
+router.put(
+  "/:seriesId",
+  protect,
+  [
+    body("title")
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 150 })
+      .withMessage("Title must be 3-150 characters"),
+    descriptionValidator,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const series = await findOwnSeries(req.params.seriesId, req.user._id);
+      if (!series) {
+        return sendSeriesNotFound(res);
+      }
+
+      const { title, description } = req.body;
+      if (title) series.title = title;
+      if (description !== undefined) series.description = description;
+      await series.save();
+
+      res.json({
+        success: true,
+        data: series,
+        message: "Series updated",
+      });
+    } catch (error) {
+      console.error("Update Series Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error updating series",
+        },
+      });
+    }
+  },
+);
+
+// @route   DELETE /api/series/:seriesId
+// @desc    Delete a series; its posts are kept
+// @access  Private
+router.delete("/:seriesId", protect, async (req, res) => {
+  try {
+    const series = await findOwnSeries(req.params.seriesId, req.user._id);
+    if (!series) {
+      return sendSeriesNotFound(res);
+    }
+
+    await Post.updateMany(
+      { series: series._id },
+      { $set: { series: null } },
+      { timestamps: false },
+    );
+    await Series.findByIdAndDelete(series._id);
+    await Promise.all(
+      series.posts.map((postId) => cache.del(`post:${postId}`)),
+    );
+
+    res.json({
+      success: true,
+      message: "Series deleted",
+    });
+  } catch (error) {
+    console.error("Delete Series Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error deleting series",
+      },
+    });
+  }
+});
+
+// @route   POST /api/series/:seriesId/posts
+// @desc    Add one of your posts as the last part of a series
+// @access  Private
+router.post(
+  "/:seriesId/posts",
+  protect,
+  [body("postId").isMongoId().withMessage("Invalid post")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const series = await findOwnSeries(req.params.seriesId, req.user._id);
+      if (!series) {
+        return sendSeriesNotFound(res);
+      }
+
+      if (series.posts.length >= MAX_SERIES_PARTS) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "SERIES_FULL",
+            message: `A series can have at most ${MAX_SERIES_PARTS} parts`,
+          },
+        });
+      }
+
+      // Claim the post so it cannot be added to two series at once
+      const post = await Post.findOneAndUpdate(
+        {
+          _id: req.body.postId,
+          user: req.user._id,
+          deletedAt: null,
+          mergedInto: null,
+          series: null,
+        },
+        { $set: { series: series._id } },
+        { new: true, timestamps: false },
+      );
+
+      if (!post) {
+        const exists = await Post.exists({
+          _id: req.body.postId,
+          user: req.user._id,
+          deletedAt: null,
+          mergedInto: null,
+        });
+        return res.status(exists ? 400 : 404).json({
+          success: false,
+          error: exists
+            ? {
+                code: "ALREADY_IN_SERIES",
+                message: "This post is already part of a series",
+              }
+            : {
+                code: "NOT_FOUND",
+                message: "Post not found",
+              },
+        });
+      }
+
+      series.posts.push(post._id);
+      await series.save();
+      await cache.del(`post:${post._id}`);
+
+      res.json({
+        success: true,
+        data: series,
+        message: "Post added to series",
+      });
+    } catch (error) {
+      console.error("Add Series Post Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error adding post to series",
+        },
+      });
+    }
+  },
+);
+
+// @route   DELETE /api/series/:seriesId/posts/:postId
+// @desc    Take a post out of a series
+// @access  Private
+router.delete("/:seriesId/posts/:postId", protect, async (req, res) => {
+  try {
+    const series = await findOwnSeries(req.params.seriesId, req.user._id);
+    if (!series) {
+      return sendSeriesNotFound(res);
+    }
+
+    series.posts = series.posts.filter(
+      (p) => p.toString() !== req.params.postId,
+    );
+    await series.save();
+
+    await Post.updateOne(
+      { _id: req.params.postId, series: series._id },
+      { $set: { series: null } },
+      { timestamps: false },
+    );
+    await cache.del(`post:${req.params.postId}`);
+
+    res.json({
+      success: true,
+      data: series,
+      message: "Post removed from series",
+    });
+  } catch (error) {
+    console.error("Remove Series Post Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error removing post from series",
+      },
+    });
+  }
+});
+
+// @route   PUT /api/series/:seriesId/order
+// @desc    Reorder the parts of a series
+// @access  Private
+router.put(
+  "/:seriesId/order",
+  protect,
+  [
+    body("posts").isArray().withMessage("Posts must be a list"),
+    body("posts.*").isMongoId().withMessage("Invalid post"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const series = await findOwnSeries(req.params.seriesId, req.user._id);
+      if (!series) {
+        return sendSeriesNotFound(res);
+      }
+
+      const current = series.posts.map((p) => p.toString());
+      const ordered = [...new Set(req.body.posts)];
+      if (ordered.some((postId) => !current.includes(postId))) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Every post must already be part of the series",
+          },
+        });
+      }
+
+      // Parts left out, such as posts in the trash, keep their order at the end
+      series.posts = [
+        ...ordered,
+        ...current.filter((postId) => !ordered.includes(postId)),
+      ];
+      await series.save();
+
+      res.json({
+        success: true,
+        data: series,
+        message: "Series order updated",
+      });
+    } catch (error) {
+      console.error("Reorder Series Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error reordering series",
+        },
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const { body, query, validationResult } = require("express-validator");
 const Tag = require("../models/Tag");
 const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
+const User = require("../models/User");
 const { protect } = require("../middleware/auth");
 const { cache } = require("../utils/redis");
 
@@ -145,6 +147,7 @@ router.get("/search", async (req, res) => {
     // Also search in Post tags that might not exist in Tag collection
     const postsWithTags = await Post.distinct("tags.tag", {
       "tags.tag": { $regex: q.toLowerCase().trim(), $options: "i" },
+      ...PUBLISHED_FILTER,
     });
 
     // Merge and deduplicate results
@@ -185,6 +188,135 @@ router.get("/search", async (req, res) => {
   }
 });
 
+// A user can watch at most this many tags
+const MAX_WATCHED_TAGS = 50;
+
+// @route   GET /api/tags/watched
+// @desc    Get tags the current user watches
+// @access  Private
+router.get("/watched", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("subscriptions.tags");
+
+    res.json({
+      success: true,
+      data: user.subscriptions?.tags || [],
+    });
+  } catch (error) {
+    console.error("Get Watched Tags Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting watched tags",
+      },
+    });
+  }
+});
+
+// @route   POST /api/tags/watched
+// @desc    Watch a tag
+// @access  Private
+router.post(
+  "/watched",
+  protect,
+  [
+    body("name")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Tag name must be 1-50 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "Validation failed",
+            details: errors.array(),
+          },
+        });
+      }
+
+      const name = req.body.name.toLowerCase();
+
+      // Only add while under the limit; an already-watched tag is a no-op
+      const user = await User.findOneAndUpdate(
+        {
+          _id: req.user._id,
+          $or: [
+            { "subscriptions.tags": name },
+            {
+              [`subscriptions.tags.${MAX_WATCHED_TAGS - 1}`]: {
+                $exists: false,
+              },
+            },
+          ],
+        },
+        { $addToSet: { "subscriptions.tags": name } },
+        { new: true },
+      ).select("subscriptions.tags");
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: "LIMIT_REACHED",
+            message: `You can watch up to ${MAX_WATCHED_TAGS} tags`,
+          },
+        });
+      }
+
+      res.json({
+        success: true,
+        data: user.subscriptions.tags,
+        message: "Tag watched",
+      });
+    } catch (error) {
+      console.error("Watch Tag Error:", error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: "SERVER_ERROR",
+          message: "Error watching tag",
+        },
+      });
+    }
+  },
+);
+
+// @route   DELETE /api/tags/watched/:name
+// @desc    Stop watching a tag
+// @access  Private
+router.delete("/watched/:name", protect, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      {
+        $pull: { "subscriptions.tags": req.params.name.toLowerCase().trim() },
+      },
+      { new: true },
+    ).select("subscriptions.tags");
+
+    res.json({
+      success: true,
+      data: user.subscriptions.tags,
+      message: "Tag unwatched",
+    });
+  } catch (error) {
+    console.error("Unwatch Tag Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error unwatching tag",
+      },
+    });
+  }
+});
+
 // @route   GET /api/tags/:tagId
 // @desc    Get single tag
 // @access  Public
@@ -203,7 +335,7 @@ router.get("/:tagId", async (req, res) => {
     }
 
     // Get posts using this tag
-    const posts = await Post.find({ "tags.tag": tag.name })
+    const posts = await Post.find({ "tags.tag": tag.name, ...PUBLISHED_FILTER })
       .sort({ "metadata.createdAt": -1 })
       .limit(10)
       .populate("user", "username profile.avatar");
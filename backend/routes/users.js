@@ -1,17 +1,118 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
 const Photo = require("../models/Photo");
-const { protect } = require("../middleware/auth");
+const Follow = require("../models/Follow");
+const Notification = require("../models/Notification");
+const { protect, optionalAuth } = require("../middleware/auth");
+const { cache } = require("../utils/redis");
+const {
+  createNotification,
+  retractNotification,
+  publishUnreadCount,
+} = require("../utils/notifications");
+const { hasBlocked, sendBlocked } = require("../utils/blocks");
+
+// Fields shown for each user in follower/following lists
+const FOLLOW_LIST_FIELDS = "username profile.avatar profile.bio stats";
+
+// Fetch one page of a follow list
+// field: "follower" lists followers, "following" lists followed users
+const getFollowPage = async (
+  userId,
+  field,
+  viewer,
+  { page = 1, limit = 20 },
+) => {
+  const query =
+    field === "follower" ? { following: userId } : { follower: userId };
+
+  const follows = await Follow.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit))
+    .populate(field, FOLLOW_LIST_FIELDS);
+
+  const total = await Follow.countDocuments(query);
+
+  // Which of the listed users the viewer already follows
+  let followedIds = [];
+  if (viewer) {
+    const viewerFollows = await Follow.find({
+      follower: viewer._id,
+      following: { $in: follows.map((f) => f[field]?._id).filter(Boolean) },
+    }).select("following");
+    followedIds = viewerFollows.map((f) => f.following.toString());
+  }
+
+  const users = follows
+    .filter((f) => f[field])
+    .map((f) => ({
+      ...f[field].toJSON(),
+      followedAt: f.createdAt,
+      isFollowing: followedIds.includes(f[field]._id.toString()),
+    }));
+
+  return {
+    users,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// Fields shown for users in block and mute lists
+const RESTRICTED_LIST_FIELDS = "username profile.avatar";
+
+// @route   GET /api/users/me/blocks
+// @desc    Get the users the current user has blocked or muted
+// @access  Private
+router.get("/me/blocks", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select("blockedUsers mutedUsers")
+      .populate("blockedUsers", RESTRICTED_LIST_FIELDS)
+      .populate("mutedUsers", RESTRICTED_LIST_FIELDS);
+
+    res.json({
+      success: true,
+      data: {
+        blocked: user.blockedUsers,
+        muted: user.mutedUsers,
+      },
+    });
+  } catch (error) {
+    console.error("Get Blocks Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting blocked users",
+      },
+    });
+  }
+});
 
 // @route   GET /api/users/:userId
 // @desc    Get user profile
 // @access  Public
-router.get("/:userId", async (req, res) => {
+router.get("/:userId", optionalAuth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId).select("-email");
+    // Subscriptions, notification settings and moderation status stay
+    // private to the owner
+    const user = await User.findById(req.params.userId)
+      .select(
+        "-email -subscriptions -blockedUsers -mutedUsers -moderation -profile.preferences.notificationSettings",
+      )
+      .populate("badges.badge", "key name description icon sortOrder")
+      .populate("badges.board", "name icon");
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -22,9 +123,23 @@ router.get("/:userId", async (req, res) => {
       });
     }
 
+    const isFollowing = req.user
+      ? Boolean(
+          await Follow.exists({ follower: req.user._id, following: user._id }),
+        )
+      : false;
+
+    const hasUser = (list) =>
+      Boolean(list?.some((id) => id.toString() === user._id.toString()));
+
     res.json({
       success: true,
-      data: user,
+      data: {
+        ...user.toJSON(),
+        isFollowing,
+        isBlocked: hasUser(req.user?.blockedUsers),
+        isMuted: hasUser(req.user?.mutedUsers),
+      },
     });
   } catch (error) {
     console.error("Get User Error:", error);
@@ -128,12 +243,13 @@ router.get("/:userId/photos", async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
 
-    const photos = await Photo.find({ user: req.params.userId })
+    const query = { user: req.params.userId, deletedAt: null };
+    const photos = await Photo.find(query)
       .sort({ "metadata.uploadedAt": -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
-    const total = await Photo.countDocuments({ user: req.params.userId });
+    const total = await Photo.countDocuments(query);
 
     res.json({
       success: true,
@@ -166,12 +282,14 @@ router.get("/:userId/posts", async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
 
-    const posts = await Post.find({ user: req.params.userId })
+    const query = { user: req.params.userId, ...PUBLISHED_FILTER };
+
+    const posts = await Post.find(query)
       .sort({ "metadata.createdAt": -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit));
 
-    const total = await Post.countDocuments({ user: req.params.userId });
+    const total = await Post.countDocuments(query);
 
     res.json({
       success: true,
@@ -215,15 +333,14 @@ router.get("/:userId/bookmarks", protect, async (req, res) => {
 
     const { page = 1, limit = 20 } = req.query;
 
-    const posts = await Post.find({ "engagement.bookmarks": req.user._id })
+    const query = { "engagement.bookmarks": req.user._id, deletedAt: null };
+    const posts = await Post.find(query)
       .sort({ "metadata.createdAt": -1 })
       .skip((page - 1) * limit)
       .limit(parseInt(limit))
       .populate("user", "username profile.avatar");
 
-    const total = await Post.countDocuments({
-      "engagement.bookmarks": req.user._id,
-    });
+    const total = await Post.countDocuments(query);
 
     res.json({
       success: true,
@@ -249,4 +366,357 @@ router.get("/:userId/bookmarks", protect, async (req, res) => {
   }
 });
 
+const sendUserNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: {
+      code: "NOT_FOUND",
+      message: "User not found",
+    },
+  });
+
+// @route   POST /api/users/:userId/follow
+// @desc    Follow a user
+// @access  Private
+router.post("/:userId/follow", protect, async (req, res) => {
+  try {
+    if (req.user._id.toString() === req.params.userId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: "INVALID_ACTION",
+          message: "You cannot follow yourself",
+        },
+      });
+    }
+
+    const target = mongoose.isValidObjectId(req.params.userId)
+      ? await User.findById(req.params.userId).select("isActive")
+      : null;
+    if (!target || !target.isActive) {
+      return sendUserNotFound(res);
+    }
+
+    if (await hasBlocked(target._id, req.user._id)) {
+      return sendBlocked(res);
+    }
+
+    // Upsert keeps repeated follow requests idempotent
+    const result = await Follow.updateOne(
+      { follower: req.user._id, following: target._id },
+      { $setOnInsert: { follower: req.user._id, following: target._id } },
+      { upsert: true },
+    );
+
+    const { followerCount } = await Follow.syncCounts(target._id);
+    await Follow.syncCounts(req.user._id);
+
+    if (result.upsertedCount > 0) {
+      await createNotification({
+        user: target._id,
+        type: "follow",
+        fromUser: req.user._id,
+        message: "started following you",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        following: true,
+        followerCount,
+      },
+      message: "User followed",
+    });
+  } catch (error) {
+    console.error("Follow User Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error following user",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/users/:userId/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete("/:userId/follow", protect, async (req, res) => {
+  try {
+    const target = mongoose.isValidObjectId(req.params.userId)
+      ? await User.exists({ _id: req.params.userId })
+      : null;
+    if (!target) {
+      return sendUserNotFound(res);
+    }
+
+    const result = await Follow.deleteOne({
+      follower: req.user._id,
+      following: target._id,
+    });
+
+    const { followerCount } = await Follow.syncCounts(target._id);
+    await Follow.syncCounts(req.user._id);
+
+    if (result.deletedCount > 0) {
+      await retractNotification({
+        user: target._id,
+        type: "follow",
+        fromUser: req.user._id,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        following: false,
+        followerCount,
+      },
+      message: "User unfollowed",
+    });
+  } catch (error) {
+    console.error("Unfollow User Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error unfollowing user",
+      },
+    });
+  }
+});
+
+// @route   GET /api/users/:userId/followers
+// @desc    Get users following this user
+// @access  Public
+router.get("/:userId/followers", optionalAuth, async (req, res) => {
+  try {
+    const data = await getFollowPage(
+      req.params.userId,
+      "follower",
+      req.user,
+      req.query,
+    );
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get Followers Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting followers",
+      },
+    });
+  }
+});
+
+// @route   GET /api/users/:userId/following
+// @desc    Get users this user follows
+// @access  Public
+router.get("/:userId/following", optionalAuth, async (req, res) => {
+  try {
+    const data = await getFollowPage(
+      req.params.userId,
+      "following",
+      req.user,
+      req.query,
+    );
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Get Following Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error getting followed users",
+      },
+    });
+  }
+});
+
+// Validate the target of a block or mute request
+const findRestrictionTarget = async (req, res) => {
+  if (req.user._id.toString() === req.params.userId) {
+    res.status(400).json({
+      success: false,
+      error: {
+        code: "INVALID_ACTION",
+        message: "You cannot block or mute yourself",
+      },
+    });
+    return null;
+  }
+
+  const target = mongoose.isValidObjectId(req.params.userId)
+    ? await User.findById(req.params.userId).select("_id")
+    : null;
+  if (!target) {
+    sendUserNotFound(res);
+    return null;
+  }
+  return target;
+};
+
+// @route   POST /api/users/:userId/block
+// @desc    Block a user
+// @access  Private
+router.post("/:userId/block", protect, async (req, res) => {
+  try {
+    const target = await findRestrictionTarget(req, res);
+    if (!target) return;
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { blockedUsers: target._id },
+    });
+
+    // Blocking ends follows in both directions
+    const removed = await Follow.deleteMany({
+      $or: [
+        { follower: req.user._id, following: target._id },
+        { follower: target._id, following: req.user._id },
+      ],
+    });
+    if (removed.deletedCount > 0) {
+      await Follow.syncCounts(req.user._id);
+      await Follow.syncCounts(target._id);
+    }
+
+    // Drop their existing notifications to the blocker
+    await Notification.deleteMany({
+      user: req.user._id,
+      fromUser: target._id,
+    });
+    await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { userId: target._id, blocked: true },
+      message: "User blocked",
+    });
+  } catch (error) {
+    console.error("Block User Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error blocking user",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/users/:userId/block
+// @desc    Unblock a user
+// @access  Private
+router.delete("/:userId/block", protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return sendUserNotFound(res);
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { blockedUsers: req.params.userId },
+    });
+    // Their notifications count again
+    await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { userId: req.params.userId, blocked: false },
+      message: "User unblocked",
+    });
+  } catch (error) {
+    console.error("Unblock User Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error unblocking user",
+      },
+    });
+  }
+});
+
+// @route   POST /api/users/:userId/mute
+// @desc    Mute a user
+// @access  Private
+router.post("/:userId/mute", protect, async (req, res) => {
+  try {
+    const target = await findRestrictionTarget(req, res);
+    if (!target) return;
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $addToSet: { mutedUsers: target._id },
+    });
+
+    // Keep the unread count in step with the now-hidden notifications
+    await Notification.updateMany(
+      { user: req.user._id, fromUser: target._id, read: false },
+      { $set: { read: true } },
+    );
+    await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { userId: target._id, muted: true },
+      message: "User muted",
+    });
+  } catch (error) {
+    console.error("Mute User Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error muting user",
+      },
+    });
+  }
+});
+
+// @route   DELETE /api/users/:userId/mute
+// @desc    Unmute a user
+// @access  Private
+router.delete("/:userId/mute", protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return sendUserNotFound(res);
+    }
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $pull: { mutedUsers: req.params.userId },
+    });
+    // Their notifications count again
+    await cache.del(`notifications:count:${req.user._id}`);
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: { userId: req.params.userId, muted: false },
+      message: "User unmuted",
+    });
+  } catch (error) {
+    console.error("Unmute User Error:", error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: "SERVER_ERROR",
+        message: "Error unmuting user",
+      },
+    });
+  }
+});
+
 module.exports = router;
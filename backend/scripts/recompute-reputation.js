@@ -0,0 +1,40 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const connectDB = require("../config/db");
+const { getWeights, recomputeReputation } = require("../utils/reputation");
+
+// Usage: npm run recompute-reputation [-- --user <userId>]
+async function recomputeAll() {
+  try {
+    await connectDB();
+
+    const userFlag = process.argv.indexOf("--user");
+    const userId = userFlag > -1 ? process.argv[userFlag + 1] : null;
+    const query = userId ? { _id: userId } : {};
+
+    const weights = await getWeights();
+    console.log("Using weights:", weights);
+
+    let processed = 0;
+    const cursor = User.find(query).select("_id username").cursor();
+    for await (const user of cursor) {
+      const reputation = await recomputeReputation(user._id, weights);
+      processed += 1;
+      if (userId) {
+        console.log(`${user.username}: ${reputation}`);
+      } else if (processed % 100 === 0) {
+        console.log(`Processed ${processed} users...`);
+      }
+    }
+
+    console.log(`Reputation recomputed for ${processed} users`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("Error recomputing reputation:", error);
+    process.exit(1);
+  }
+}
+
+recomputeAll();
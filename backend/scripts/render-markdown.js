@@ -0,0 +1,45 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const connectDB = require("../config/db");
+const { renderMarkdown, renderExcerpt } = require("../utils/markdown");
+
+// Usage: npm run render-markdown [-- --all]
+// Renders posts saved before Markdown support; --all re-renders every post
+async function renderAll() {
+  try {
+    await connectDB();
+
+    const query = process.argv.includes("--all")
+      ? {}
+      : { contentHtml: { $in: [null, ""] } };
+
+    let processed = 0;
+    const cursor = Post.find(query).select("_id content").cursor();
+    for await (const post of cursor) {
+      await Post.updateOne(
+        { _id: post._id },
+        {
+          $set: {
+            contentHtml: renderMarkdown(post.content),
+            excerptHtml: renderExcerpt(post.content),
+          },
+        },
+        { timestamps: false },
+      );
+      processed += 1;
+      if (processed % 100 === 0) {
+        console.log(`Processed ${processed} posts...`);
+      }
+    }
+
+    console.log(`Markdown rendered for ${processed} posts`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("Error rendering Markdown:", error);
+    process.exit(1);
+  }
+}
+
+renderAll();
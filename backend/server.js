@@ -114,7 +114,9 @@ connectDB();
 
 // Connect to Redis
 const { connectRedis } = require("./utils/redis");
-connectRedis();
+const { initRealtime } = require("./utils/realtime");
+const { startScheduler } = require("./utils/scheduler");
+connectRedis().then(() => initRealtime());
 
 // Routes
 app.get("/", (req, res) => {
@@ -137,13 +139,18 @@ app.get("/api/health", (req, res) => {
 // API Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
+app.use("/api/posts/:postId/comments", require("./routes/comments"));
 app.use("/api/posts", require("./routes/posts"));
 app.use("/api/photos", require("./routes/photos"));
 app.use("/api/tags", require("./routes/tags"));
 app.use("/api/boards", require("./routes/boards"));
 app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/messages", require("./routes/messages"));
+app.use("/api/badges", require("./routes/badges"));
+app.use("/api/reports", require("./routes/reports"));
 app.use("/api/admin", require("./routes/admin"));
 app.use("/api/albums", require("./routes/albums"));
+app.use("/api/series", require("./routes/series"));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -173,4 +180,5 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
+  startScheduler(require("./jobs"));
 });
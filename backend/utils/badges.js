@@ -0,0 +1,209 @@
+/**
+ * Badge Evaluator
+ *
+ * Awards achievement badges when a member crosses a badge's threshold.
+ * Routes call evaluateBadges after the events that can move a metric
+ * (posting, receiving likes, uploading photos, signing in); each call
+ * only checks the criteria that event can affect.
+ */
+
+const mongoose = require("mongoose");
+const BadgeDefinition = require("../models/BadgeDefinition");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
+const Photo = require("../models/Photo");
+const Board = require("../models/Board");
+const { cache } = require("./redis");
+const { createNotification } = require("./notifications");
+
+const DEFINITIONS_CACHE_KEY = "badges:definitions";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Criteria each kind of event can change
+const EVENT_CRITERIA = {
+  post: ["postCount", "boardTopContributor"],
+  reputation: ["likesReceived", "reputation"],
+  photo: ["photoCount"],
+  visit: ["membershipDays"],
+};
+
+/**
+ * Active badge definitions, cached between events
+ * @returns {Promise<Array>}
+ */
+const getActiveDefinitions = async () => {
+  const cached = await cache.get(DEFINITIONS_CACHE_KEY);
+  if (cached) return cached;
+
+  const definitions = await BadgeDefinition.find({ isActive: true })
+    .sort({ sortOrder: 1 })
+    .lean();
+  await cache.set(DEFINITIONS_CACHE_KEY, definitions, 3600);
+  return definitions;
+};
+
+/**
+ * Drop cached definitions after an admin edits them
+ */
+const invalidateDefinitions = async () => {
+  await cache.del(DEFINITIONS_CACHE_KEY);
+};
+
+/**
+ * Boards where the user has the most posts, with at least `threshold` posts
+ * @param {Object} user
+ * @param {Object} criteria - { threshold, board }
+ * @param {Array} boardIds - Boards to check when the badge is not board-specific
+ * @returns {Promise<string|null>} - The first board the user leads
+ */
+const findLedBoard = async (user, criteria, boardIds) => {
+  const candidates = criteria.board
+    ? [criteria.board]
+    : boardIds ||
+      (await Post.distinct("boards", { user: user._id, ...PUBLISHED_FILTER }));
+
+  for (const boardId of candidates) {
+    const [top] = await Post.aggregate([
+      {
+        $match: {
+          boards: new mongoose.Types.ObjectId(boardId),
+          ...PUBLISHED_FILTER,
+        },
+      },
+      { $group: { _id: "$user", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 1 },
+    ]);
+    if (
+      top &&
+      top._id.toString() === user._id.toString() &&
+      top.count >= criteria.threshold
+    ) {
+      return boardId;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check one badge definition against a user
+ * @returns {Promise<{earned: boolean, board?: string}>}
+ */
+const checkCriteria = async (user, definition, options) => {
+  const { type, threshold } = definition.criteria;
+  const stats = user.stats || {};
+
+  switch (type) {
+    case "postCount":
+      return { earned: (stats.postCount || 0) >= threshold };
+    case "likesReceived": {
+      const counts = stats.reputationCounts || {};
+      const likes = (counts.postLikes || 0) + (counts.photoLikes || 0);
+      return { earned: likes >= threshold };
+    }
+    case "photoCount": {
+      const photos = await Photo.countDocuments({
+        user: user._id,
+        isPublic: true,
+        deletedAt: null,
+      });
+      return { earned: photos >= threshold };
+    }
+    case "membershipDays":
+      return {
+        earned:
+          Date.now() - new Date(user.createdAt).getTime() >= threshold * DAY,
+      };
+    case "reputation":
+      return { earned: (stats.reputation || 0) >= threshold };
+    case "boardTopContributor": {
+      const board = await findLedBoard(
+        user,
+        definition.criteria,
+        options.boards,
+      );
+      return { earned: Boolean(board), board };
+    }
+    default:
+      return { earned: false };
+  }
+};
+
+/**
+ * Give a user a badge and tell them about it
+ * @returns {Promise<boolean>} - False if they already had it
+ */
+const awardBadge = async (userId, definition, board = null) => {
+  const result = await User.updateOne(
+    { _id: userId, "badges.badge": { $ne: definition._id } },
+    {
+      $push: {
+        badges: { badge: definition._id, board, awardedAt: new Date() },
+      },
+    },
+  );
+  if (result.modifiedCount === 0) return false;
+
+  let boardName = "";
+  if (board) {
+    const boardDoc = await Board.findById(board).select("name");
+    if (boardDoc) boardName = ` in ${boardDoc.name}`;
+  }
+
+  await createNotification({
+    user: userId,
+    type: "system",
+    message: `awarded you the ${definition.icon} ${definition.name} badge${boardName}`,
+    metadata: { badge: definition.key },
+  });
+  return true;
+};
+
+/**
+ * Award any badges the user now qualifies for
+ * @param {string} userId
+ * @param {Object} options
+ * @param {string} options.event - Key of EVENT_CRITERIA; omit to check all
+ * @param {Array} options.boards - Boards touched by the event (posts)
+ * @returns {Promise<Array>} - Definitions newly awarded
+ */
+const evaluateBadges = async (userId, options = {}) => {
+  try {
+    if (!userId) return [];
+
+    const criteria = options.event ? EVENT_CRITERIA[options.event] : null;
+    const definitions = (await getActiveDefinitions()).filter(
+      (d) => !criteria || criteria.includes(d.criteria.type),
+    );
+    if (definitions.length === 0) return [];
+
+    const user = await User.findById(userId).select(
+      "stats badges createdAt isActive",
+    );
+    if (!user || !user.isActive) return [];
+
+    const earnedIds = new Set(user.badges.map((b) => b.badge.toString()));
+    const awarded = [];
+
+    for (const definition of definitions) {
+      if (earnedIds.has(definition._id.toString())) continue;
+
+      const { earned, board } = await checkCriteria(user, definition, options);
+      if (earned && (await awardBadge(user._id, definition, board))) {
+        awarded.push(definition);
+      }
+    }
+
+    return awarded;
+  } catch (error) {
+    console.error("Evaluate Badges Error:", error);
+    return [];
+  }
+};
+
+module.exports = {
+  evaluateBadges,
+  invalidateDefinitions,
+};
@@ -0,0 +1,42 @@
+/**
+ * Block & Mute Helpers
+ *
+ * A blocked user cannot like, comment on, mention or follow the blocker.
+ * Both blocked and muted users are hidden from the blocker's post lists,
+ * gallery and notifications.
+ */
+
+const User = require("../models/User");
+
+/**
+ * Check whether a user has blocked another user
+ * @param {string} ownerId - The user who may have blocked
+ * @param {string} actorId - The user trying to interact
+ * @returns {Promise<boolean>}
+ */
+const hasBlocked = async (ownerId, actorId) => {
+  if (!ownerId || !actorId) return false;
+  return Boolean(await User.exists({ _id: ownerId, blockedUsers: actorId }));
+};
+
+/**
+ * IDs of users whose content the viewer should not see
+ * @param {Object} user - Authenticated user document (may be null)
+ * @returns {Array}
+ */
+const getHiddenUserIds = (user) =>
+  user ? [...(user.blockedUsers || []), ...(user.mutedUsers || [])] : [];
+
+/**
+ * Send the standard response for an interaction prevented by a block
+ */
+const sendBlocked = (res) =>
+  res.status(403).json({
+    success: false,
+    error: {
+      code: "BLOCKED",
+      message: "You cannot interact with this user",
+    },
+  });
+
+module.exports = { hasBlocked, getHiddenUserIds, sendBlocked };
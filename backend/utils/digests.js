@@ -0,0 +1,151 @@
+/**
+ * Email Digests
+ *
+ * Notifications of a type a member gets by email are collected and sent as
+ * one email per digest period. A grouped notification that gains actors
+ * after it was emailed goes out again in the next digest. Members in quiet
+ * hours get theirs once the window ends.
+ */
+
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { isQuietHours } = require("./notifications");
+const { getHiddenUserIds } = require("./blocks");
+const { isMailConfigured, sendMail } = require("./mailer");
+
+// Hours between two digests to the same member
+const EMAIL_DIGEST_HOURS = parseInt(process.env.EMAIL_DIGEST_HOURS) || 24;
+
+// Notifications listed in one email
+const DIGEST_ITEM_LIMIT = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SETTINGS = "profile.preferences.notificationSettings";
+
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000";
+
+const PENDING = { "channels.email": true, emailedAt: null, read: false };
+
+// One line per notification, worded like the in-app inbox
+const describeNotification = (notification) => {
+  const name =
+    notification.fromUser?.username ||
+    (notification.type === "system" ? "Aqua Forum" : "Someone");
+  const others = (notification.actorCount || 1) - 1;
+  const actors =
+    others > 0
+      ? `${name} and ${others} ${others === 1 ? "other" : "others"}`
+      : name;
+  const title = notification.post?.title ? `: ${notification.post.title}` : "";
+  return `- ${actors} ${notification.message}${title}`;
+};
+
+/**
+ * Email a member their pending notifications and mark them as emailed
+ * @param {Object} user - User with email, blockedUsers and mutedUsers
+ * @returns {Promise<boolean>} - Whether an email was sent
+ */
+const sendDigest = async (user) => {
+  const startedAt = new Date();
+  const query = {
+    user: user._id,
+    ...PENDING,
+    activityAt: { $lte: startedAt },
+  };
+  const hiddenUsers = getHiddenUserIds(user);
+  if (hiddenUsers.length > 0) {
+    query.fromUser = { $nin: hiddenUsers };
+  }
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query)
+      .sort({ activityAt: -1 })
+      .limit(DIGEST_ITEM_LIMIT)
+      .populate("fromUser", "username")
+      .populate("post", "title"),
+    Notification.countDocuments(query),
+  ]);
+  if (notifications.length === 0) return false;
+
+  const lines = notifications.map(describeNotification);
+  if (total > notifications.length) {
+    lines.push(`...and ${total - notifications.length} more`);
+  }
+
+  await sendMail({
+    to: user.email,
+    subject: `${total} new ${total === 1 ? "notification" : "notifications"} on Aqua Forum`,
+    text: [
+      `Hi ${user.username},`,
+      "",
+      "Here is what happened since your last digest:",
+      "",
+      ...lines,
+      "",
+      `See everything at ${CLIENT_URL}/notifications`,
+      `Choose what you get by email at ${CLIENT_URL}/profile/${user._id}/edit`,
+    ].join("\n"),
+  });
+
+  // Everything summed up in this email counts as sent, listed or not
+  await Notification.updateMany(query, { $set: { emailedAt: startedAt } });
+  return true;
+};
+
+/**
+ * Send a digest to every member with pending email notifications whose
+ * last digest is at least EMAIL_DIGEST_HOURS old
+ * @returns {Promise<number>} - How many digests were sent
+ */
+const sendEmailDigests = async () => {
+  if (!isMailConfigured()) return 0;
+
+  const due = new Date(Date.now() - EMAIL_DIGEST_HOURS * HOUR_MS);
+  const userIds = await Notification.distinct("user", PENDING);
+
+  let sent = 0;
+  for (const userId of userIds) {
+    try {
+      const user = await User.findById(userId).select(
+        "username email isActive blockedUsers mutedUsers profile.preferences",
+      );
+      if (!user || !user.isActive) continue;
+      if (user.profile?.preferences?.notifications === false) continue;
+
+      const settings = user.profile.preferences.notificationSettings;
+      const lastSentAt = settings?.digestSentAt || null;
+      if (lastSentAt && lastSentAt > due) continue;
+      if (isQuietHours(settings?.quietHours)) continue;
+
+      // Claim the digest first so two API instances never both send it
+      const claimed = await User.updateOne(
+        { _id: user._id, [`${SETTINGS}.digestSentAt`]: lastSentAt },
+        { $set: { [`${SETTINGS}.digestSentAt`]: new Date() } },
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      let delivered = false;
+      try {
+        delivered = await sendDigest(user);
+      } finally {
+        // Nothing went out, so the member is still due
+        if (!delivered) {
+          await User.updateOne(
+            { _id: user._id },
+            { $set: { [`${SETTINGS}.digestSentAt`]: lastSentAt } },
+          );
+        }
+      }
+      if (delivered) sent += 1;
+    } catch (error) {
+      console.error(`Email Digest ${userId} Error:`, error);
+    }
+  }
+  return sent;
+};
+
+module.exports = {
+  EMAIL_DIGEST_HOURS,
+  sendEmailDigests,
+};
@@ -0,0 +1,51 @@
+/**
+ * Mailer
+ *
+ * Sends email over SMTP. Email is optional: without SMTP_HOST nothing is
+ * sent, and jobs that send mail leave their work for when it is set up.
+ */
+
+let transporter = null;
+
+/**
+ * Whether an SMTP server is configured
+ * @returns {boolean}
+ */
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+// Created on first use so the API starts without a mail server
+const getTransporter = () => {
+  if (!transporter) {
+    const nodemailer = require("nodemailer");
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send one email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Plain-text body
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = ({ to, subject, text }) =>
+  getTransporter().sendMail({
+    from: process.env.MAIL_FROM || "Aqua Forum <no-reply@localhost>",
+    to,
+    subject,
+    text,
+  });
+
+module.exports = {
+  isMailConfigured,
+  sendMail,
+};
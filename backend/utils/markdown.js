@@ -0,0 +1,120 @@
+/**
+ * Markdown Rendering
+ *
+ * Posts are written in GitHub-flavoured Markdown (headings, lists, tables,
+ * task lists, links and inline images). The HTML sent to browsers is always
+ * produced here and passed through an allowlist sanitizer, so raw HTML or
+ * javascript: links in a post can never run in a reader's browser.
+ */
+
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// Characters of Markdown rendered for list excerpts
+const EXCERPT_SOURCE_LENGTH = 500;
+
+// Single line breaks are kept so posts written as plain text look the same
+const marked = new Marked({ gfm: true, breaks: true });
+
+const POST_HTML_OPTIONS = {
+  allowedTags: [
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "p",
+    "br",
+    "hr",
+    "blockquote",
+    "pre",
+    "code",
+    "em",
+    "strong",
+    "del",
+    "a",
+    "img",
+    "ul",
+    "ol",
+    "li",
+    "input",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title"],
+    ol: ["start"],
+    input: ["type", "checked", "disabled"],
+    th: ["align"],
+    td: ["align"],
+    code: ["class"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links leave the forum in a new tab without passing referrer or opener
+    a: sanitizeHtml.simpleTransform("a", {
+      target: "_blank",
+      rel: "nofollow noopener noreferrer",
+    }),
+    // Task list checkboxes are shown read-only
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: {
+        type: attribs.type,
+        disabled: "",
+        ...(attribs.checked !== undefined && { checked: "" }),
+      },
+    }),
+  },
+  // Drop other kinds of input, and images whose source was not allowed
+  exclusiveFilter: (frame) =>
+    (frame.tag === "input" && frame.attribs.type !== "checkbox") ||
+    (frame.tag === "img" && !frame.attribs.src),
+};
+
+// Excerpts sit inside a link, so only inline formatting survives
+const EXCERPT_HTML_OPTIONS = {
+  allowedTags: ["strong", "em", "del", "code"],
+  allowedAttributes: {},
+};
+
+/**
+ * Render post Markdown to sanitized HTML
+ * @param {string} markdown
+ * @returns {string}
+ */
+const renderMarkdown = (markdown = "") =>
+  sanitizeHtml(marked.parse(markdown || ""), POST_HTML_OPTIONS);
+
+/**
+ * Short inline-only HTML for post lists
+ * @param {string} markdown
+ * @returns {string}
+ */
+const renderExcerpt = (markdown = "") => {
+  let source = markdown || "";
+  if (source.length > EXCERPT_SOURCE_LENGTH) {
+    source = `${source.slice(0, EXCERPT_SOURCE_LENGTH).replace(/\s+\S*$/, "")}…`;
+  }
+
+  // Keep a space where block elements ended so words do not run together
+  const html = marked
+    .parse(source)
+    .replace(/<\/(p|h[1-6]|li|blockquote|pre|tr|th|td)>|<br\s*\/?>/g, "$& ");
+
+  return sanitizeHtml(html, EXCERPT_HTML_OPTIONS).replace(/\s+/g, " ").trim();
+};
+
+module.exports = {
+  renderMarkdown,
+  renderExcerpt,
+};
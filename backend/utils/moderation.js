@@ -0,0 +1,203 @@
+/**
+ * Moderation
+ *
+ * Removing content and resolving member reports. Moderator comment deletes
+ * and the report queue remove comments through here so counters and caches
+ * stay consistent; removed posts and photos go to the trash.
+ */
+
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Report = require("../models/Report");
+const { cache } = require("./redis");
+const { createNotification } = require("./notifications");
+const { adjustReputation } = require("./reputation");
+const { trashPost, trashPhoto } = require("./trash");
+
+// Suspensions default to a week and are capped at a year
+const DEFAULT_SUSPENSION_DAYS = 7;
+const MAX_SUSPENSION_DAYS = 365;
+
+/**
+ * Take a removed reply off its parent. A blanked parent left without
+ * replies has nothing to show, so it is removed too, up the thread.
+ * @param {string} parentId
+ * @returns {Promise<Array>} - Ids of the blanked parents removed
+ */
+const detachFromParent = async (parentId) => {
+  const removedParents = [];
+  while (parentId) {
+    const parent = await Comment.findByIdAndUpdate(
+      parentId,
+      { $inc: { replyCount: -1 } },
+      { new: true },
+    );
+    if (!parent || !parent.isDeleted || parent.replyCount > 0) break;
+
+    await Comment.findByIdAndDelete(parent._id);
+    removedParents.push(parent._id);
+    parentId = parent.parent;
+  }
+  return removedParents;
+};
+
+/**
+ * Delete a comment. Comments with replies are blanked instead so the
+ * replies stay reachable.
+ * @param {Object} comment - Comment document
+ * @returns {Promise<Object>} - { removed, removedParents }: whether the
+ * comment was removed outright, and the blanked parents removed with it
+ */
+const removeComment = async (comment) => {
+  const removed = comment.replyCount === 0;
+  let removedParents = [];
+  if (removed) {
+    await Comment.findByIdAndDelete(comment._id);
+    removedParents = await detachFromParent(comment.parent);
+  } else {
+    comment.isDeleted = true;
+    await comment.save();
+  }
+
+  const post = await Post.findByIdAndUpdate(comment.post, {
+    $inc: { "metadata.commentCount": -1 },
+  });
+
+  // A deleted comment can no longer be the accepted answer
+  if (post && post.acceptedAnswer?.toString() === comment._id.toString()) {
+    await Post.findByIdAndUpdate(post._id, { acceptedAnswer: null });
+    if (comment.user.toString() !== post.user.toString()) {
+      await adjustReputation(comment.user, "acceptedAnswers", -1);
+    }
+  }
+
+  await cache.del(`post:${comment.post}`);
+  await cache.delPattern("posts:*");
+
+  return { removed, removedParents };
+};
+
+/**
+ * Remove whatever a report points at
+ * @param {Object} report
+ * @param {Object} moderator - User removing it
+ * @returns {Promise<boolean>} - False when the content was already gone
+ */
+const removeReportedContent = async (report, moderator) => {
+  switch (report.targetType) {
+    case "post":
+      return Boolean(await trashPost(report.target, moderator._id));
+    case "photo":
+      return Boolean(await trashPhoto(report.target, moderator._id));
+    case "comment": {
+      const comment = await Comment.findById(report.target);
+      if (!comment || comment.isDeleted) return false;
+      await removeComment(comment);
+      return true;
+    }
+    default:
+      return false;
+  }
+};
+
+// What reporters are told once their report is closed; system
+// notifications are shown after the forum's name
+const REPORTER_MESSAGES = {
+  dismiss: "moderators reviewed your report and found no rule violation",
+  remove: "moderators reviewed your report and removed the content",
+  warn: "moderators reviewed your report and warned the member",
+  suspend: "moderators reviewed your report and suspended the member",
+};
+
+/**
+ * Close every open report about the same target with one moderator action
+ * @param {Object} report - The report being handled
+ * @param {Object} options
+ * @param {string} options.action - dismiss, remove, warn or suspend
+ * @param {string} [options.note] - Shown to the member on warnings and suspensions
+ * @param {number} [options.suspendDays]
+ * @param {Object} moderator - User handling the report
+ * @returns {Promise<number>} - How many reports were closed
+ */
+const resolveReports = async (
+  report,
+  { action, note = "", suspendDays = DEFAULT_SUSPENSION_DAYS },
+  moderator,
+) => {
+  if (action === "remove") {
+    await removeReportedContent(report, moderator);
+  }
+
+  const reason = note ? `: ${note}` : "";
+  if (action === "warn") {
+    await User.findByIdAndUpdate(report.targetUser, {
+      $inc: { "moderation.warningCount": 1 },
+    });
+    await createNotification({
+      user: report.targetUser,
+      type: "system",
+      message: `moderators sent you a warning${reason}`,
+    });
+  }
+
+  if (action === "suspend") {
+    const days = Math.min(Math.max(suspendDays, 1), MAX_SUSPENSION_DAYS);
+    const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    await User.findByIdAndUpdate(report.targetUser, {
+      $set: {
+        "moderation.suspendedUntil": suspendedUntil,
+        "moderation.suspensionReason": note,
+      },
+    });
+    await createNotification({
+      user: report.targetUser,
+      type: "system",
+      message: `moderators suspended your account for ${days} ${days === 1 ? "day" : "days"}${reason}`,
+    });
+  }
+
+  const openReports = await Report.find({
+    targetType: report.targetType,
+    target: report.target,
+    status: "open",
+  }).select("reporter post");
+
+  await Report.updateMany(
+    { _id: { $in: openReports.map((r) => r._id) } },
+    {
+      $set: {
+        status: "resolved",
+        resolution: {
+          action,
+          note,
+          resolvedBy: moderator._id,
+          resolvedAt: new Date(),
+        },
+      },
+    },
+  );
+
+  // Let each reporter know how it was handled
+  const removedPost = action === "remove" && report.targetType === "post";
+  await Promise.all(
+    openReports.map((r) =>
+      createNotification({
+        user: r.reporter,
+        type: "system",
+        post: removedPost ? undefined : r.post || undefined,
+        message: `${REPORTER_MESSAGES[action]}. Thanks for reporting`,
+      }),
+    ),
+  );
+
+  return openReports.length;
+};
+
+module.exports = {
+  DEFAULT_SUSPENSION_DAYS,
+  MAX_SUSPENSION_DAYS,
+  removeComment,
+  removeReportedContent,
+  resolveReports,
+};
@@ -0,0 +1,540 @@
+/**
+ * Notification Service
+ *
+ * Creates notifications for social actions (likes, comments, follows,
+ * mentions) while honouring the recipient's preferences.
+ */
+
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Board = require("../models/Board");
+const { cache } = require("./redis");
+const { publish } = require("./realtime");
+const { getHiddenUserIds } = require("./blocks");
+
+// Toggle-style actions that must never produce more than one notification
+// per actor and target
+const DEDUPE_TYPES = ["like", "bookmark", "follow"];
+
+// Types collapsed into one "Alice and 12 others ..." entry per target
+const AGGREGATE_TYPES = [
+  "like",
+  "bookmark",
+  "follow",
+  "comment",
+  "board",
+  "message",
+];
+
+// Unread events on the same target within this window share one entry
+const AGGREGATION_WINDOW = 24 * 60 * 60 * 1000;
+
+// Actors populated for display; the full list stays in the document
+const ACTOR_PREVIEW_LIMIT = 3;
+
+// Matches @username mentions; stops at whitespace and common punctuation
+const MENTION_REGEX = /@([^\s@,.!?;:，。！？；：]{3,30})/gu;
+
+/**
+ * Build the filter identifying the recipient, type and target of an event
+ */
+const getTargetFilter = (data) => ({
+  user: data.user,
+  type: data.type,
+  post: data.post || null,
+  photo: data.photo || null,
+  board: data.board || null,
+  conversation: data.conversation || null,
+  // Comments on a post group by post; each one is its own comment document
+  ...(data.type !== "comment" && { comment: data.comment || null }),
+});
+
+/**
+ * Build the filter identifying "the same event" by the same actor,
+ * whether it is the only actor or one of a group
+ */
+const getActorFilter = (data) => ({
+  ...getTargetFilter(data),
+  $or: [{ fromUser: data.fromUser }, { actors: data.fromUser }],
+});
+
+/**
+ * Fold an event into a recent unread notification on the same target
+ * @returns {Promise<Object|null>} - The updated group, or null if none
+ */
+const addToGroup = async (data, channels, held) => {
+  const group = await Notification.findOne({
+    ...getTargetFilter(data),
+    read: false,
+    "channels.inApp": channels.inApp,
+    activityAt: { $gte: new Date(Date.now() - AGGREGATION_WINDOW) },
+    // Entries created before grouping existed have no actor list
+    "actors.0": { $exists: true },
+  }).sort({ activityAt: -1 });
+
+  if (!group) return null;
+
+  const alreadyActor = group.actors.some(
+    (id) => id.toString() === data.fromUser.toString(),
+  );
+  const update = {
+    $set: {
+      fromUser: data.fromUser,
+      activityAt: new Date(),
+      comment: data.comment || group.comment,
+      // New activity goes out in the next email digest
+      emailedAt: null,
+      held,
+    },
+  };
+  if (!alreadyActor) {
+    update.$push = { actors: { $each: [data.fromUser], $position: 0 } };
+    update.$inc = { actorCount: 1 };
+  }
+
+  return Notification.findByIdAndUpdate(group._id, update, { new: true });
+};
+
+/**
+ * Clear the cached unread count for a user
+ */
+const invalidateCount = async (userId) => {
+  await cache.del(`notifications:count:${userId}`);
+};
+
+/**
+ * Resolve the delivery channels a user wants for a notification type
+ * @param {Object} settings - profile.preferences.notificationSettings
+ * @param {string} type - Notification type
+ * @returns {{inApp: boolean, email: boolean}}
+ */
+const getChannels = (settings, type) => {
+  const preference = settings?.types?.[type];
+  return {
+    inApp: preference?.inApp !== false,
+    email: Boolean(preference?.email),
+  };
+};
+
+/**
+ * Check whether the current time falls in the user's quiet hours
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} now
+ * @returns {boolean}
+ */
+const isQuietHours = (quietHours, now = new Date()) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) {
+    return false;
+  }
+
+  let time;
+  try {
+    time = new Intl.DateTimeFormat("en-GB", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+      timeZone: quietHours.timezone || "UTC",
+    }).format(now);
+  } catch (error) {
+    // Unknown timezone
+    return false;
+  }
+
+  const { start, end } = quietHours;
+  // Windows such as 22:00-07:00 wrap past midnight
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+};
+
+/**
+ * Check whether the notification's post, board or the post's boards are muted
+ * @param {Object} settings - profile.preferences.notificationSettings
+ * @param {string} postId
+ * @param {string} boardId
+ * @returns {Promise<boolean>}
+ */
+const isMuted = async (settings, postId, boardId) => {
+  if ((!postId && !boardId) || !settings) return false;
+
+  const mutedBoards = (settings.mutedBoards || []).map((id) => id.toString());
+  if (boardId && mutedBoards.includes(boardId.toString())) return true;
+  if (!postId) return false;
+
+  const mutedPosts = (settings.mutedPosts || []).map((id) => id.toString());
+  if (mutedPosts.includes(postId.toString())) return true;
+
+  if (mutedBoards.length === 0) return false;
+
+  const post = await Post.findById(postId).select("boards");
+  return Boolean(
+    post && post.boards.some((b) => mutedBoards.includes(b.toString())),
+  );
+};
+
+/**
+ * Query for the notifications a user can see in their inbox; those from
+ * blocked or muted users stay hidden
+ * @param {Object} user - User document with blockedUsers and mutedUsers
+ * @param {Object} extra - Additional filters
+ * @returns {Object}
+ */
+const visibleInboxQuery = (user, extra = {}) => {
+  const query = Notification.inboxQuery(user._id, extra);
+  const hiddenUsers = getHiddenUserIds(user);
+  if (hiddenUsers.length > 0) {
+    query.fromUser = { $nin: hiddenUsers };
+  }
+  return query;
+};
+
+/**
+ * Count the unread notifications a user can see
+ * @param {Object} user - User document with blockedUsers and mutedUsers
+ * @returns {Promise<number>}
+ */
+const countUnread = (user) =>
+  Notification.countDocuments(visibleInboxQuery(user, { read: false }));
+
+/**
+ * Populate the actor previews of notifications, leaving out blocked and
+ * muted users and taking them off the actor count
+ * @param {Array|Object} notifications - Documents with unpopulated actors
+ * @param {Object} user - Recipient with blockedUsers and mutedUsers
+ */
+const populateVisibleActors = async (notifications, user) => {
+  const hiddenUsers = getHiddenUserIds(user);
+  const hidden = hiddenUsers.map((id) => id.toString());
+
+  for (const notification of [].concat(notifications)) {
+    const hiddenActors = notification.actors.filter((id) =>
+      hidden.includes(id.toString()),
+    ).length;
+    notification.actorCount = Math.max(
+      1,
+      notification.actorCount - hiddenActors,
+    );
+  }
+
+  await Notification.populate(notifications, {
+    path: "actors",
+    select: "username profile.avatar",
+    match: { _id: { $nin: hiddenUsers } },
+    perDocumentLimit: ACTOR_PREVIEW_LIMIT,
+  });
+};
+
+/**
+ * Push the current unread count to the user's open streams
+ * @param {string} userId
+ */
+const publishUnreadCount = async (userId) => {
+  try {
+    const user = await User.findById(userId).select("blockedUsers mutedUsers");
+    if (!user) return;
+    const count = await countUnread(user);
+    await publish(userId, "count", { count });
+  } catch (error) {
+    console.error("Publish Unread Count Error:", error);
+  }
+};
+
+/**
+ * Push a notification to the recipient's open notification streams
+ * @param {Object} notification - Notification document
+ * @param {Object} recipient - User with blockedUsers and mutedUsers
+ */
+const pushNotification = async (notification, recipient) => {
+  await populateVisibleActors(notification, recipient);
+  await notification.populate([
+    { path: "fromUser", select: "username profile.avatar" },
+    { path: "post", select: "title" },
+    { path: "photo", select: "title thumbnailUrl" },
+    { path: "board", select: "name icon color" },
+  ]);
+  await publish(recipient._id, "notification", notification);
+};
+
+/**
+ * Create a notification for a user
+ * @param {Object} data - Notification fields (user, type, fromUser, post, ...)
+ * @returns {Promise<Object|null>} - The notification, or null if skipped
+ */
+const createNotification = async (data) => {
+  try {
+    // Never notify users about their own actions
+    if (data.fromUser && data.user.toString() === data.fromUser.toString()) {
+      return null;
+    }
+
+    const recipient = await User.findById(data.user).select(
+      "profile.preferences isActive blockedUsers mutedUsers",
+    );
+    if (!recipient || !recipient.isActive) {
+      return null;
+    }
+    // Blocked and muted users never reach the recipient
+    if (
+      data.fromUser &&
+      [...recipient.blockedUsers, ...recipient.mutedUsers].some(
+        (id) => id.toString() === data.fromUser.toString(),
+      )
+    ) {
+      return null;
+    }
+    if (recipient.profile?.preferences?.notifications === false) {
+      return null;
+    }
+
+    const settings = recipient.profile?.preferences?.notificationSettings;
+    const channels = getChannels(settings, data.type);
+    if (!channels.inApp && !channels.email) {
+      return null;
+    }
+    if (await isMuted(settings, data.post, data.board)) {
+      return null;
+    }
+
+    if (DEDUPE_TYPES.includes(data.type)) {
+      const existing = await Notification.findOne(getActorFilter(data));
+      if (existing) {
+        return existing;
+      }
+    }
+
+    // Hold live delivery during quiet hours; the inbox still has it
+    const held = channels.inApp && isQuietHours(settings?.quietHours);
+
+    const grouped =
+      AGGREGATE_TYPES.includes(data.type) && data.fromUser
+        ? await addToGroup(data, channels, held)
+        : null;
+    const notification =
+      grouped ||
+      (await Notification.create({
+        ...data,
+        channels,
+        held,
+        actors: data.fromUser ? [data.fromUser] : [],
+      }));
+
+    // Email-only notifications wait for the digest and never reach the inbox
+    if (!channels.inApp) {
+      return notification;
+    }
+
+    // Clear user's notification count cache
+    await invalidateCount(data.user);
+
+    if (held) {
+      return notification;
+    }
+
+    await pushNotification(notification, recipient);
+    await publishUnreadCount(data.user);
+
+    return notification;
+  } catch (error) {
+    console.error("Create Notification Error:", error);
+    return null;
+  }
+};
+
+/**
+ * Push the notifications held during quiet hours to every member whose
+ * quiet hours have ended
+ * @returns {Promise<number>} - How many notifications were pushed
+ */
+const releaseHeldNotifications = async () => {
+  const userIds = await Notification.distinct("user", { held: true });
+
+  let released = 0;
+  for (const userId of userIds) {
+    try {
+      const recipient = await User.findById(userId).select(
+        "profile.preferences isActive blockedUsers mutedUsers",
+      );
+      const settings = recipient?.profile?.preferences?.notificationSettings;
+      if (recipient && isQuietHours(settings?.quietHours)) continue;
+
+      const held = await Notification.find({ user: userId, held: true })
+        .sort({ activityAt: 1 })
+        .select("_id");
+
+      let pushed = 0;
+      for (const { _id } of held) {
+        // Claim each one so two API instances never push it twice
+        const notification = await Notification.findOneAndUpdate(
+          { _id, held: true },
+          { $set: { held: false } },
+          { new: true },
+        );
+        // Read in the meantime, or nobody left to push to
+        if (!notification || notification.read) continue;
+        if (!recipient?.isActive) continue;
+        if (recipient.profile?.preferences?.notifications === false) continue;
+        if (
+          notification.fromUser &&
+          getHiddenUserIds(recipient).some(
+            (id) => id.toString() === notification.fromUser.toString(),
+          )
+        ) {
+          continue;
+        }
+
+        await pushNotification(notification, recipient);
+        pushed += 1;
+      }
+
+      if (pushed > 0) {
+        await publishUnreadCount(userId);
+        released += pushed;
+      }
+    } catch (error) {
+      console.error(`Release Held Notifications ${userId} Error:`, error);
+    }
+  }
+  return released;
+};
+
+/**
+ * Withdraw an unread notification when its action is undone (e.g. unlike)
+ * A grouped notification only loses the actor unless it was the last one.
+ * @param {Object} data - Same fields used to create the notification
+ */
+const retractNotification = async (data) => {
+  try {
+    const notifications = await Notification.find({
+      ...getActorFilter(data),
+      read: false,
+    });
+    if (notifications.length === 0) return;
+
+    for (const notification of notifications) {
+      const remaining = notification.actors.filter(
+        (id) => id.toString() !== data.fromUser.toString(),
+      );
+      if (remaining.length === 0) {
+        await Notification.findByIdAndDelete(notification._id);
+      } else {
+        await Notification.findByIdAndUpdate(notification._id, {
+          $set: {
+            actors: remaining,
+            actorCount: Math.max(1, notification.actorCount - 1),
+            fromUser: remaining[0],
+          },
+        });
+      }
+    }
+
+    await invalidateCount(data.user);
+    await publishUnreadCount(data.user);
+  } catch (error) {
+    console.error("Retract Notification Error:", error);
+  }
+};
+
+/**
+ * Extract unique @mentioned usernames from text
+ * @param {string} text
+ * @returns {string[]}
+ */
+const extractMentions = (text = "") => {
+  const usernames = new Set();
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    usernames.add(match[1]);
+  }
+  return [...usernames];
+};
+
+/**
+ * Notify every user mentioned in a piece of text
+ * @param {string} text - Text that may contain @mentions
+ * @param {Object} data - Notification fields shared by all mentions
+ * @param {Array} excludeUserIds - Users already notified about this action
+ */
+const notifyMentions = async (text, data, excludeUserIds = []) => {
+  const usernames = extractMentions(text);
+  if (usernames.length === 0) return;
+
+  const excluded = excludeUserIds.filter(Boolean).map((id) => id.toString());
+  const users = await User.find({ username: { $in: usernames } }).select("_id");
+
+  await Promise.all(
+    users
+      .filter((u) => !excluded.includes(u._id.toString()))
+      .map((u) =>
+        createNotification({
+          ...data,
+          user: u._id,
+          type: "mention",
+        }),
+      ),
+  );
+};
+
+/**
+ * Alert board subscribers about a new post
+ * Instant subscribers get one notification per post; digest subscribers
+ * share one entry per board that groups every poster in the window.
+ * @param {Object} post - The new post (user, boards, title)
+ */
+const notifyBoardSubscribers = async (post) => {
+  try {
+    if (!post.boards || post.boards.length === 0) return;
+
+    const boardIds = post.boards.map((b) => (b._id || b).toString());
+    const [subscribers, boards] = await Promise.all([
+      User.find({
+        _id: { $ne: post.user._id || post.user },
+        "subscriptions.boards": {
+          $elemMatch: {
+            board: { $in: boardIds },
+            alerts: { $in: ["instant", "digest"] },
+          },
+        },
+      }).select("subscriptions.boards"),
+      Board.find({ _id: { $in: boardIds } }).select("name"),
+    ]);
+    const boardNames = new Map(boards.map((b) => [b._id.toString(), b.name]));
+
+    for (const subscriber of subscribers) {
+      const matches = subscriber.subscriptions.boards.filter(
+        (s) =>
+          boardIds.includes(s.board.toString()) &&
+          ["instant", "digest"].includes(s.alerts),
+      );
+      // A post in several subscribed boards alerts once; instant wins
+      const subscription =
+        matches.find((s) => s.alerts === "instant") || matches[0];
+      const boardName = boardNames.get(subscription.board.toString());
+
+      await createNotification({
+        user: subscriber._id,
+        type: "board",
+        fromUser: post.user._id || post.user,
+        board: subscription.board,
+        post: subscription.alerts === "instant" ? post._id : null,
+        message: `posted in ${boardName}`,
+      });
+    }
+  } catch (error) {
+    console.error("Notify Board Subscribers Error:", error);
+  }
+};
+
+module.exports = {
+  ACTOR_PREVIEW_LIMIT,
+  visibleInboxQuery,
+  countUnread,
+  populateVisibleActors,
+  isQuietHours,
+  createNotification,
+  publishUnreadCount,
+  releaseHeldNotifications,
+  retractNotification,
+  extractMentions,
+  notifyMentions,
+  notifyBoardSubscribers,
+};
@@ -0,0 +1,140 @@
+/**
+ * Post Polls
+ *
+ * A post can carry one poll. Each member casts a single ballot (one
+ * option, or several for multiple choice polls) and only sees the tally
+ * once they have voted or the poll has closed.
+ */
+
+const mongoose = require("mongoose");
+const PollVote = require("../models/PollVote");
+
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+
+/**
+ * Poll as submitted by the editor, trimmed and with blank options removed
+ * @param {Object|null} input - { question, options: [string|{text}], multiple, closesAt }
+ * @returns {Object|null}
+ */
+const normalizePoll = (input) => {
+  if (!input) return null;
+
+  return {
+    question: (input.question || "").trim(),
+    options: (input.options || [])
+      .map((option) =>
+        (typeof option === "string" ? option : option?.text || "").trim(),
+      )
+      .filter(Boolean)
+      .map((text) => ({ text })),
+    multiple: Boolean(input.multiple),
+    closesAt: input.closesAt ? new Date(input.closesAt) : null,
+  };
+};
+
+/**
+ * Problems that stop a poll from going live with its post
+ * @param {Object|null} input - Raw or stored poll
+ * @returns {Array<string>} - Empty when the poll is valid (or absent)
+ */
+const getPollErrors = (input) => {
+  const poll = normalizePoll(input);
+  if (!poll) return [];
+
+  const errors = [];
+  if (!poll.question) {
+    errors.push("Poll question is required");
+  } else if (poll.question.length > 200) {
+    errors.push("Poll question cannot exceed 200 characters");
+  }
+
+  if (
+    poll.options.length < MIN_POLL_OPTIONS ||
+    poll.options.length > MAX_POLL_OPTIONS
+  ) {
+    errors.push(`Polls need ${MIN_POLL_OPTIONS}-${MAX_POLL_OPTIONS} options`);
+  }
+  if (poll.options.some((option) => option.text.length > 100)) {
+    errors.push("Poll options cannot exceed 100 characters");
+  }
+  const texts = poll.options.map((option) => option.text.toLowerCase());
+  if (new Set(texts).size !== texts.length) {
+    errors.push("Poll options must be different");
+  }
+
+  if (poll.closesAt) {
+    if (isNaN(poll.closesAt.getTime())) {
+      errors.push("Poll close date must be a valid date");
+    } else if (poll.closesAt <= new Date()) {
+      errors.push("Poll close date must be in the future");
+    }
+  }
+  return errors;
+};
+
+/**
+ * @param {Object} poll - Stored poll
+ * @returns {boolean}
+ */
+const isPollClosed = (poll) =>
+  Boolean(poll.closesAt) && new Date(poll.closesAt) <= new Date();
+
+/**
+ * Poll state for one reader; vote counts only once they are allowed to see them
+ * @param {Object} post - Post with its poll
+ * @param {string|null} userId - Reader, if logged in
+ * @returns {Promise<Object>}
+ */
+const getPollResults = async (post, userId) => {
+  const { poll } = post;
+  const ballot = userId
+    ? await PollVote.findOne({ post: post._id, user: userId }).select("options")
+    : null;
+  const isClosed = isPollClosed(poll);
+  const resultsVisible = Boolean(ballot) || isClosed;
+
+  const results = {
+    question: poll.question,
+    multiple: poll.multiple,
+    closesAt: poll.closesAt,
+    isClosed,
+    hasVoted: Boolean(ballot),
+    myVotes: ballot ? ballot.options : [],
+    resultsVisible,
+    options: poll.options.map((option) => ({
+      _id: option._id,
+      text: option.text,
+    })),
+  };
+  if (!resultsVisible) return results;
+
+  const postId = new mongoose.Types.ObjectId(String(post._id));
+  const [counts, totalVoters] = await Promise.all([
+    PollVote.aggregate([
+      { $match: { post: postId } },
+      { $unwind: "$options" },
+      { $group: { _id: "$options", votes: { $sum: 1 } } },
+    ]),
+    PollVote.countDocuments({ post: post._id }),
+  ]);
+  const votesByOption = new Map(
+    counts.map((count) => [count._id.toString(), count.votes]),
+  );
+
+  results.totalVoters = totalVoters;
+  results.options = results.options.map((option) => ({
+    ...option,
+    votes: votesByOption.get(option._id.toString()) || 0,
+  }));
+  return results;
+};
+
+module.exports = {
+  MIN_POLL_OPTIONS,
+  MAX_POLL_OPTIONS,
+  normalizePoll,
+  getPollErrors,
+  isPollClosed,
+  getPollResults,
+};
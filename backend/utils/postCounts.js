@@ -0,0 +1,68 @@
+/**
+ * Post Counts
+ *
+ * Author post counts, board post counts and tag usage only cover posts
+ * readers can see. Anything that takes a published post out of view, or
+ * brings one back, adjusts all three through here.
+ */
+
+const User = require("../models/User");
+const { UNPUBLISHED_STATUSES } = require("../models/Post");
+const Board = require("../models/Board");
+const Tag = require("../models/Tag");
+
+const idList = (values = []) => values.map((v) => (v._id || v).toString());
+
+/**
+ * Move board post counts from the old board list to the new one
+ * @param {Array} oldBoards - Board ids or documents
+ * @param {Array} newBoards - Board ids or documents
+ */
+const syncBoardCounts = async (oldBoards, newBoards) => {
+  const oldIds = idList(oldBoards);
+  const newIds = idList(newBoards);
+
+  await Promise.all([
+    ...oldIds
+      .filter((b) => !newIds.includes(b))
+      .map((boardId) =>
+        Board.findByIdAndUpdate(boardId, { $inc: { postCount: -1 } }),
+      ),
+    ...newIds
+      .filter((b) => !oldIds.includes(b))
+      .map((boardId) =>
+        Board.findByIdAndUpdate(boardId, { $inc: { postCount: 1 } }),
+      ),
+  ]);
+};
+
+/**
+ * Add a post to, or take it off, its author, board and tag counts.
+ * Drafts were never counted, and merged threads stopped counting when
+ * they were merged.
+ * @param {Object} post - Post document
+ * @param {number} amount - 1 when the post comes into view, -1 when it leaves
+ */
+const adjustPostCounts = async (post, amount) => {
+  if (UNPUBLISHED_STATUSES.includes(post.status) || post.mergedInto) return;
+
+  await User.findByIdAndUpdate(post.user._id || post.user, {
+    $inc: { "stats.postCount": amount },
+  });
+  await (amount > 0
+    ? syncBoardCounts([], post.boards)
+    : syncBoardCounts(post.boards, []));
+
+  const tagNames = [...new Set(post.tags.map((t) => t.tag.toLowerCase()))];
+  if (tagNames.length > 0) {
+    await Tag.updateMany(
+      { name: { $in: tagNames } },
+      { $inc: { usageCount: amount } },
+    );
+  }
+};
+
+module.exports = {
+  syncBoardCounts,
+  adjustPostCounts,
+};
@@ -0,0 +1,166 @@
+/**
+ * Post Publishing
+ *
+ * Drafts and scheduled posts stay out of listings, counters and alerts
+ * until they go live. Publishing — immediately at creation, from the
+ * drafts list, or by the scheduler — runs the same side effects.
+ */
+
+const Post = require("../models/Post");
+const { UNPUBLISHED_STATUSES } = require("../models/Post");
+const User = require("../models/User");
+const Tag = require("../models/Tag");
+const Board = require("../models/Board");
+const { cache } = require("./redis");
+const {
+  createNotification,
+  notifyMentions,
+  notifyBoardSubscribers,
+} = require("./notifications");
+const { evaluateBadges } = require("./badges");
+const { saveRevision } = require("./revisions");
+const { getPollErrors } = require("./polls");
+
+/**
+ * Problems that stop a post from going live (same rules as creating one)
+ * @param {Object} post
+ * @returns {Array<string>} - Empty when the post can be published
+ */
+const getPublishErrors = (post) => {
+  const errors = [];
+  const title = (post.title || "").trim();
+  const content = (post.content || "").trim();
+
+  if (title.length < 3 || title.length > 200) {
+    errors.push("Title must be 3-200 characters");
+  }
+  if (content.length < 10) {
+    errors.push("Content must be at least 10 characters");
+  }
+  if (!post.boards || post.boards.length === 0) {
+    errors.push("Please select at least one board");
+  }
+  errors.push(...getPollErrors(post.poll));
+  return errors;
+};
+
+/**
+ * Counters, revision history and alerts for a post that just went live
+ * @param {Object} post - Published post document
+ */
+const runPublishEffects = async (post) => {
+  const userId = post.user._id || post.user;
+
+  // Update user's post count
+  await User.findByIdAndUpdate(userId, {
+    $inc: { "stats.postCount": 1 },
+  });
+
+  // Track tag usage - increment usage count for all unique tags
+  if (post.tags.length > 0) {
+    const uniqueTagNames = [
+      ...new Set(post.tags.map((t) => t.tag.toLowerCase())),
+    ];
+    await Promise.all(
+      uniqueTagNames.map((tagName) =>
+        Tag.findOneAndUpdate(
+          { name: tagName },
+          { $inc: { usageCount: 1 } },
+          { upsert: true, new: true },
+        ),
+      ),
+    );
+  }
+
+  // Update board post counts
+  await Promise.all(
+    post.boards.map((boardId) =>
+      Board.findByIdAndUpdate(boardId._id || boardId, {
+        $inc: { postCount: 1 },
+      }),
+    ),
+  );
+
+  await saveRevision(post, userId);
+
+  await notifyMentions(`${post.title}\n${post.content}`, {
+    fromUser: userId,
+    post: post._id,
+    message: "mentioned you in a post",
+  });
+  // Fan-out can be large, so callers do not wait for it
+  notifyBoardSubscribers(post);
+  evaluateBadges(userId, { event: "post", boards: post.boards });
+
+  await cache.delPattern("posts:*");
+};
+
+/**
+ * Take a draft or scheduled post live
+ * @param {string} postId
+ * @returns {Promise<Object|null>} - The post, or null if it was already live
+ */
+const publishPost = async (postId) => {
+  const now = new Date();
+  // Claiming the status change first means a post is only published once
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, status: { $in: UNPUBLISHED_STATUSES }, deletedAt: null },
+    {
+      $set: {
+        status: "published",
+        publishAt: null,
+        "metadata.createdAt": now,
+        "metadata.updatedAt": now,
+        "metadata.revisionCount": 1,
+      },
+    },
+    { new: true },
+  );
+  if (!post) return null;
+
+  await runPublishEffects(post);
+  return post;
+};
+
+/**
+ * Publish every scheduled post whose time has come. Posts that were
+ * edited into an unpublishable state go back to drafts instead.
+ * @returns {Promise<number>} - How many posts went live
+ */
+const publishDuePosts = async () => {
+  const due = await Post.find({
+    status: "scheduled",
+    publishAt: { $lte: new Date() },
+    deletedAt: null,
+  }).select("user title content boards poll");
+
+  let published = 0;
+  for (const post of due) {
+    const errors = getPublishErrors(post);
+    if (errors.length > 0) {
+      await Post.updateOne(
+        { _id: post._id, status: "scheduled" },
+        { $set: { status: "draft", publishAt: null } },
+      );
+      await createNotification({
+        user: post.user,
+        type: "system",
+        post: post._id,
+        message: `could not publish your scheduled post: ${errors.join("; ")}`,
+      });
+      continue;
+    }
+
+    if (await publishPost(post._id)) {
+      published += 1;
+    }
+  }
+  return published;
+};
+
+module.exports = {
+  getPublishErrors,
+  runPublishEffects,
+  publishPost,
+  publishDuePosts,
+};
@@ -0,0 +1,168 @@
+/**
+ * Post Ranking
+ *
+ * Named sort modes for post lists. Hot and rising scores are computed from
+ * likes, comments and views by the rank-posts job and stored on each post,
+ * so list requests only ever sort on known, indexed fields.
+ */
+
+const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
+const { cache } = require("./redis");
+
+const POST_SORTS = ["new", "hot", "top", "rising", "discussed"];
+
+// Days covered by each period of the top and most discussed lists
+const SORT_PERIODS = { day: 1, week: 7, month: 30, all: null };
+
+// A comment takes more effort than a like; views count for little
+const ENGAGEMENT_WEIGHTS = { like: 1, comment: 2, view: 0.05 };
+
+// How fast hot posts sink as they age
+const HOT_GRAVITY = 1.5;
+
+// Older posts have sunk too far to matter and are scored zero
+const HOT_WINDOW_DAYS = 7;
+const RISING_WINDOW_HOURS = 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const BATCH_SIZE = 500;
+
+/**
+ * Weighted engagement of a post
+ * @param {Object} metadata - Post metadata
+ * @returns {number}
+ */
+const getEngagementPoints = (metadata) =>
+  (metadata.likeCount || 0) * ENGAGEMENT_WEIGHTS.like +
+  (metadata.commentCount || 0) * ENGAGEMENT_WEIGHTS.comment +
+  (metadata.viewCount || 0) * ENGAGEMENT_WEIGHTS.view;
+
+/**
+ * Hot and rising scores for a post at a moment in time
+ * @param {Object} metadata - Post metadata
+ * @param {Date} now
+ * @returns {Object} - { hotScore, risingScore }
+ */
+const getPostScores = (metadata, now = new Date()) => {
+  const ageHours = Math.max(0, (now - metadata.createdAt) / HOUR_MS);
+  const points = getEngagementPoints(metadata);
+
+  const hotScore =
+    ageHours < HOT_WINDOW_DAYS * 24
+      ? points / Math.pow(ageHours + 2, HOT_GRAVITY)
+      : 0;
+  // Rising favours new posts gaining engagement quickly
+  const risingScore =
+    ageHours < RISING_WINDOW_HOURS ? points / (ageHours + 1) : 0;
+
+  return { hotScore, risingScore };
+};
+
+/**
+ * Sort order and extra filter for a named sort mode
+ * @param {string} sort - One of POST_SORTS
+ * @param {string} [period] - One of SORT_PERIODS, for top and discussed
+ * @param {Date} [now]
+ * @returns {Object} - { sort, filter }
+ */
+const getSortSpec = (sort = "new", period = "all", now = new Date()) => {
+  const since = (days) => ({
+    "metadata.createdAt": { $gte: new Date(now - days * 24 * HOUR_MS) },
+  });
+  const periodFilter = SORT_PERIODS[period] ? since(SORT_PERIODS[period]) : {};
+  const newest = { "metadata.createdAt": -1 };
+
+  switch (sort) {
+    case "hot":
+      return { sort: { "metadata.hotScore": -1, ...newest }, filter: {} };
+    case "top":
+      return {
+        sort: {
+          "metadata.likeCount": -1,
+          "metadata.commentCount": -1,
+          ...newest,
+        },
+        filter: periodFilter,
+      };
+    case "rising":
+      return {
+        sort: { "metadata.risingScore": -1, ...newest },
+        filter: since(RISING_WINDOW_HOURS / 24),
+      };
+    case "discussed":
+      return {
+        sort: { "metadata.commentCount": -1, ...newest },
+        filter: periodFilter,
+      };
+    default:
+      return { sort: newest, filter: {} };
+  }
+};
+
+/**
+ * Recompute hot and rising scores for recent posts, and zero the scores of
+ * posts that have aged out
+ * @returns {Promise<number>} - How many posts were scored
+ */
+const rankPosts = async () => {
+  const now = new Date();
+  const cursor = Post.find({
+    ...PUBLISHED_FILTER,
+    $or: [
+      {
+        "metadata.createdAt": {
+          $gte: new Date(now - HOT_WINDOW_DAYS * 24 * HOUR_MS),
+        },
+      },
+      { "metadata.hotScore": { $gt: 0 } },
+      { "metadata.risingScore": { $gt: 0 } },
+    ],
+  })
+    .select(
+      "metadata.createdAt metadata.likeCount metadata.commentCount metadata.viewCount",
+    )
+    .lean()
+    .cursor();
+
+  let ranked = 0;
+  let batch = [];
+  const writeBatch = async () => {
+    if (batch.length === 0) return;
+    // Rankings are not edits, so updatedAt is left alone
+    await Post.bulkWrite(batch);
+    ranked += batch.length;
+    batch = [];
+  };
+
+  for await (const post of cursor) {
+    const { hotScore, risingScore } = getPostScores(post.metadata, now);
+    batch.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: {
+          $set: {
+            "metadata.hotScore": hotScore,
+            "metadata.risingScore": risingScore,
+          },
+        },
+        timestamps: false,
+      },
+    });
+    if (batch.length >= BATCH_SIZE) await writeBatch();
+  }
+  await writeBatch();
+
+  // Cached lists for every board are rebuilt with the new scores
+  await cache.delPattern("posts:*");
+  return ranked;
+};
+
+module.exports = {
+  POST_SORTS,
+  SORT_PERIODS,
+  getPostScores,
+  getSortSpec,
+  rankPosts,
+};
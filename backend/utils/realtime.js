@@ -0,0 +1,127 @@
+/**
+ * Real-time Event Service
+ *
+ * Pushes events to users connected over Server-Sent Events. Events are
+ * published on a Redis channel so every server instance can deliver them
+ * to its own connections; without Redis, delivery stays in-process.
+ */
+
+const { redisClient } = require("./redis");
+
+const CHANNEL = "realtime:events";
+const HEARTBEAT_INTERVAL = 25000;
+
+// userId -> Set of open SSE responses on this instance
+const clients = new Map();
+
+let subscriber = null;
+
+/**
+ * Write a single SSE frame to a response
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // Push the frame through the compression middleware immediately
+  if (typeof res.flush === "function") res.flush();
+};
+
+/**
+ * Deliver an event to this instance's connections for a user
+ */
+const deliverLocal = (userId, event, data) => {
+  const connections = clients.get(userId.toString());
+  if (!connections) return;
+  for (const res of connections) {
+    writeEvent(res, event, data);
+  }
+};
+
+/**
+ * Subscribe to the shared Redis channel
+ * Call after the main Redis client has connected.
+ */
+const initRealtime = async () => {
+  if (!redisClient || !redisClient.isOpen) {
+    console.log("Realtime events: Redis unavailable, using local delivery");
+    return;
+  }
+
+  try {
+    subscriber = redisClient.duplicate();
+    subscriber.on("error", (err) =>
+      console.error("Realtime Subscriber Error:", err),
+    );
+    await subscriber.connect();
+    await subscriber.subscribe(CHANNEL, (message) => {
+      try {
+        const { userId, event, data } = JSON.parse(message);
+        deliverLocal(userId, event, data);
+      } catch (error) {
+        console.error("Realtime message error:", error.message);
+      }
+    });
+    console.log("Realtime events subscribed");
+  } catch (error) {
+    console.error("Realtime subscribe failed:", error.message);
+    subscriber = null;
+  }
+};
+
+/**
+ * Publish an event to every connection of a user, on any instance
+ * @param {string} userId - Recipient user ID
+ * @param {string} event - SSE event name
+ * @param {Object} data - JSON payload
+ */
+const publish = async (userId, event, data) => {
+  if (subscriber && redisClient.isOpen) {
+    try {
+      await redisClient.publish(
+        CHANNEL,
+        JSON.stringify({ userId: userId.toString(), event, data }),
+      );
+      return;
+    } catch (error) {
+      console.error("Realtime publish error:", error.message);
+    }
+  }
+  deliverLocal(userId, event, data);
+};
+
+/**
+ * Register an SSE response for a user and keep it alive until it closes
+ * @param {string} userId - Connected user ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const addClient = (userId, req, res) => {
+  const key = userId.toString();
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  if (!clients.has(key)) clients.set(key, new Set());
+  clients.get(key).add(res);
+
+  // Comment frames keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => {
+    res.write(": ping\n\n");
+    if (typeof res.flush === "function") res.flush();
+  }, HEARTBEAT_INTERVAL);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const connections = clients.get(key);
+    if (connections) {
+      connections.delete(res);
+      if (connections.size === 0) clients.delete(key);
+    }
+  });
+};
+
+module.exports = { initRealtime, publish, addClient, writeEvent };
@@ -0,0 +1,257 @@
+/**
+ * Related Content
+ *
+ * Suggests other posts to read after a post, and gallery photos on the same
+ * subject. Candidate posts share a tag or board with the post, or a keyword
+ * in the title; each is scored by shared tags, shared boards and how similar
+ * its text is to the post's.
+ */
+
+const Post = require("../models/Post");
+const { PUBLISHED_FILTER } = require("../models/Post");
+const Photo = require("../models/Photo");
+
+// Posts fetched for scoring; the newest candidates win when there are more
+const CANDIDATE_LIMIT = 200;
+
+// Title words used to find posts outside the post's tags and boards
+const TITLE_KEYWORD_LIMIT = 5;
+
+const SCORE_WEIGHTS = { tag: 3, board: 1, text: 6 };
+
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "are",
+  "but",
+  "not",
+  "you",
+  "your",
+  "all",
+  "any",
+  "can",
+  "had",
+  "has",
+  "have",
+  "her",
+  "his",
+  "how",
+  "its",
+  "our",
+  "out",
+  "was",
+  "what",
+  "when",
+  "who",
+  "why",
+  "will",
+  "with",
+  "this",
+  "that",
+  "there",
+  "they",
+  "them",
+  "then",
+  "from",
+  "been",
+  "into",
+  "just",
+  "about",
+  "would",
+  "could",
+  "should",
+  "does",
+  "did",
+  "http",
+  "https",
+  "www",
+  "com",
+]);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const sameText = (values) =>
+  values.map((value) => new RegExp(`^${escapeRegex(value)}$`, "i"));
+
+/**
+ * Words of a text for comparison. Chinese has no spaces between words, so
+ * runs of Han characters are split into overlapping pairs instead.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+const tokenize = (text = "") => {
+  const tokens = [];
+  const words =
+    (text || "")
+      .toLowerCase()
+      .match(/\p{Script=Han}+|(?:(?!\p{Script=Han})[\p{L}\p{N}])+/gu) || [];
+
+  for (const word of words) {
+    if (/\p{Script=Han}/u.test(word)) {
+      if (word.length === 1) tokens.push(word);
+      for (let i = 0; i < word.length - 1; i += 1) {
+        tokens.push(word.slice(i, i + 2));
+      }
+    } else if (word.length > 2 && !STOP_WORDS.has(word)) {
+      tokens.push(word);
+    }
+  }
+  return tokens;
+};
+
+const countTerms = (tokens) => {
+  const counts = new Map();
+  tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+};
+
+/**
+ * Cosine similarity of two term counts, from 0 (nothing shared) to 1
+ * @param {Map} a
+ * @param {Map} b
+ * @returns {number}
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  for (const [term, count] of a) {
+    dot += count * (b.get(term) || 0);
+  }
+  if (dot === 0) return 0;
+
+  const norm = (counts) =>
+    Math.sqrt([...counts.values()].reduce((sum, n) => sum + n * n, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+const postText = (post) => `${post.title || ""}\n${post.content || ""}`;
+
+const tagNamesOf = (post) => [
+  ...new Set((post.tags || []).map((t) => t.tag.toLowerCase())),
+];
+
+/**
+ * Published posts most related to a post, best first
+ * @param {Object} post - Post document
+ * @param {number} limit
+ * @returns {Promise<Array>} - Posts with their relatedness score
+ */
+const getRelatedPosts = async (post, limit) => {
+  const tagNames = tagNamesOf(post);
+  const boardIds = (post.boards || []).map((b) => b._id || b);
+  const keywords = [...countTerms(tokenize(post.title)).keys()].slice(
+    0,
+    TITLE_KEYWORD_LIMIT,
+  );
+
+  const sources = [];
+  if (tagNames.length > 0) {
+    sources.push({ "tags.tag": { $in: sameText(tagNames) } });
+  }
+  if (boardIds.length > 0) {
+    sources.push({ boards: { $in: boardIds } });
+  }
+  if (keywords.length > 0) {
+    sources.push({
+      title: { $regex: keywords.map(escapeRegex).join("|"), $options: "i" },
+    });
+  }
+  if (sources.length === 0) return [];
+
+  const candidates = await Post.find({
+    ...PUBLISHED_FILTER,
+    _id: { $ne: post._id },
+    $or: sources,
+  })
+    .sort({ "metadata.createdAt": -1 })
+    .limit(CANDIDATE_LIMIT)
+    .select(
+      "title content tags boards user metadata.createdAt metadata.likeCount metadata.commentCount",
+    )
+    .populate("user", "username profile.avatar");
+
+  const postTerms = countTerms(tokenize(postText(post)));
+  const boardSet = new Set(boardIds.map((id) => id.toString()));
+  const tagSet = new Set(tagNames);
+
+  return candidates
+    .map((candidate) => {
+      const sharedTags = tagNamesOf(candidate).filter((t) => tagSet.has(t));
+      const sharedBoards = candidate.boards.filter((b) =>
+        boardSet.has(b.toString()),
+      ).length;
+      const similarity = cosineSimilarity(
+        postTerms,
+        countTerms(tokenize(postText(candidate))),
+      );
+      const score =
+        sharedTags.length * SCORE_WEIGHTS.tag +
+        sharedBoards * SCORE_WEIGHTS.board +
+        similarity * SCORE_WEIGHTS.text;
+
+      return {
+        _id: candidate._id,
+        title: candidate.title,
+        user: candidate.user,
+        metadata: candidate.metadata,
+        sharedTags,
+        score,
+      };
+    })
+    .filter((related) => related.score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score || b.metadata.createdAt - a.metadata.createdAt,
+    )
+    .slice(0, limit);
+};
+
+/**
+ * Public gallery photos tagged like a post, most shared tags first
+ * @param {Object} post - Post document
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+const getRelatedPhotos = async (post, limit) => {
+  const tagNames = tagNamesOf(post);
+  if (tagNames.length === 0) return [];
+
+  const photos = await Photo.find({
+    deletedAt: null,
+    isPublic: true,
+    $or: [
+      { tags: { $in: sameText(tagNames) } },
+      { "visionTags.tag": { $in: sameText(tagNames) } },
+    ],
+  })
+    .sort({ "metadata.likes": -1 })
+    .limit(CANDIDATE_LIMIT)
+    .select("title imageUrl thumbnailUrl tags visionTags user")
+    .populate("user", "username");
+
+  const tagSet = new Set(tagNames);
+  const sharedTagCount = (photo) =>
+    new Set(
+      [...photo.tags, ...photo.visionTags.map((t) => t.tag)]
+        .filter(Boolean)
+        .map((tag) => tag.toLowerCase())
+        .filter((tag) => tagSet.has(tag)),
+    ).size;
+
+  return photos
+    .map((photo) => ({
+      _id: photo._id,
+      title: photo.title,
+      imageUrl: photo.imageUrl,
+      thumbnailUrl: photo.thumbnailUrl,
+      user: photo.user,
+      sharedTags: sharedTagCount(photo),
+    }))
+    .sort((a, b) => b.sharedTags - a.sharedTags)
+    .slice(0, limit);
+};
+
+module.exports = {
+  getRelatedPosts,
+  getRelatedPhotos,
+};
@@ -0,0 +1,245 @@
+/**
+ * Reputation Service
+ *
+ * A user's reputation is a weighted sum of what other members gave their
+ * content: likes on posts and photos, bookmarks of posts and accepted
+ * answers. The raw counts live in `stats.reputationCounts` so the score can
+ * be recalculated for everyone when an admin changes the weights.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Photo = require("../models/Photo");
+const Setting = require("../models/Setting");
+const { cache } = require("./redis");
+const { evaluateBadges } = require("./badges");
+
+const REPUTATION_SOURCES = [
+  "postLikes",
+  "photoLikes",
+  "bookmarks",
+  "acceptedAnswers",
+];
+
+const DEFAULT_WEIGHTS = {
+  postLikes: 10,
+  photoLikes: 5,
+  bookmarks: 5,
+  acceptedAnswers: 15,
+};
+
+const MAX_WEIGHT = 1000;
+
+const WEIGHTS_KEY = "reputation.weights";
+const WEIGHTS_CACHE_KEY = `settings:${WEIGHTS_KEY}`;
+
+/**
+ * Current point weights per reputation source
+ * @returns {Promise<Object>}
+ */
+const getWeights = async () => {
+  const cached = await cache.get(WEIGHTS_CACHE_KEY);
+  if (cached) return cached;
+
+  const weights = await Setting.getValue(WEIGHTS_KEY, DEFAULT_WEIGHTS);
+  await cache.set(WEIGHTS_CACHE_KEY, weights, 3600);
+  return weights;
+};
+
+/**
+ * Aggregation expression computing the score from a user's counts
+ */
+const scoreExpression = (weights) => ({
+  $add: REPUTATION_SOURCES.map((source) => ({
+    $multiply: [
+      { $ifNull: [`$stats.reputationCounts.${source}`, 0] },
+      weights[source] ?? DEFAULT_WEIGHTS[source],
+    ],
+  })),
+});
+
+/**
+ * Change one of a user's reputation counts and refresh their score
+ * @param {string} userId - User receiving (or losing) the points
+ * @param {string} source - One of REPUTATION_SOURCES
+ * @param {number} delta - Usually 1 or -1
+ */
+const adjustReputation = async (userId, source, delta) => {
+  if (!userId || !delta) return;
+  try {
+    const weights = await getWeights();
+    const field = `stats.reputationCounts.${source}`;
+    await User.updateOne({ _id: userId }, [
+      {
+        $set: {
+          [field]: {
+            $max: [0, { $add: [{ $ifNull: [`$${field}`, 0] }, delta] }],
+          },
+        },
+      },
+      { $set: { "stats.reputation": scoreExpression(weights) } },
+    ]);
+    if (delta > 0) {
+      await evaluateBadges(userId, { event: "reputation" });
+    }
+  } catch (error) {
+    console.error("Adjust Reputation Error:", error);
+  }
+};
+
+/**
+ * Number of IDs in an array field, ignoring the content owner's own ID
+ */
+const countOthers = (field, userId) => ({
+  $size: { $setDifference: [{ $ifNull: [field, []] }, [userId]] },
+});
+
+/**
+ * Count a user's reputation sources from the underlying content
+ * @param {string} userId
+ * @returns {Promise<Object>} - Counts keyed by reputation source
+ */
+const countReputation = async (userId) => {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  const [postTotals, photoTotals, accepted] = await Promise.all([
+    Post.aggregate([
+      { $match: { user: id } },
+      {
+        $group: {
+          _id: null,
+          postLikes: { $sum: countOthers("$engagement.likes", id) },
+          bookmarks: { $sum: countOthers("$engagement.bookmarks", id) },
+        },
+      },
+    ]),
+    Photo.aggregate([
+      { $match: { user: id } },
+      {
+        $group: {
+          _id: null,
+          photoLikes: { $sum: countOthers("$likes", id) },
+        },
+      },
+    ]),
+    // Answers accepted on other members' posts
+    Post.aggregate([
+      { $match: { acceptedAnswer: { $ne: null }, user: { $ne: id } } },
+      {
+        $lookup: {
+          from: "comments",
+          localField: "acceptedAnswer",
+          foreignField: "_id",
+          as: "answer",
+        },
+      },
+      { $match: { "answer.user": id } },
+      { $count: "acceptedAnswers" },
+    ]),
+  ]);
+
+  return {
+    postLikes: postTotals[0]?.postLikes || 0,
+    bookmarks: postTotals[0]?.bookmarks || 0,
+    photoLikes: photoTotals[0]?.photoLikes || 0,
+    acceptedAnswers: accepted[0]?.acceptedAnswers || 0,
+  };
+};
+
+/**
+ * Rebuild a user's counts and score from their content
+ * @param {string} userId
+ * @param {Object} weights - Optional, avoids reloading for batch runs
+ * @returns {Promise<number>} - The new score
+ */
+const recomputeReputation = async (userId, weights) => {
+  const counts = await countReputation(userId);
+  const activeWeights = weights || (await getWeights());
+  const reputation = REPUTATION_SOURCES.reduce(
+    (sum, source) => sum + counts[source] * activeWeights[source],
+    0,
+  );
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "stats.reputationCounts": counts,
+        "stats.reputation": reputation,
+      },
+    },
+  );
+  return reputation;
+};
+
+/**
+ * Save new weights and rescore every user from their stored counts
+ * @param {Object} input - Partial weights keyed by reputation source
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} - The saved weights
+ */
+const saveWeights = async (input, userId) => {
+  const current = await getWeights();
+  const weights = { ...current };
+  for (const source of REPUTATION_SOURCES) {
+    const value = Number(input[source]);
+    if (Number.isInteger(value) && value >= 0 && value <= MAX_WEIGHT) {
+      weights[source] = value;
+    }
+  }
+
+  await Setting.setValue(WEIGHTS_KEY, weights, userId);
+  await cache.del(WEIGHTS_CACHE_KEY);
+  await User.updateMany({}, [
+    { $set: { "stats.reputation": scoreExpression(weights) } },
+  ]);
+  return weights;
+};
+
+/**
+ * Take back the points a post earned its author and accepted answerer
+ * Call before or after deleting the post, with the post document.
+ * @param {Object} post
+ * @param {Object} acceptedAnswer - The accepted comment, if any
+ */
+const revokePostReputation = async (post, acceptedAnswer) => {
+  const authorId = post.user._id || post.user;
+  const others = (ids = []) =>
+    ids.filter((id) => id.toString() !== authorId.toString()).length;
+
+  await adjustReputation(authorId, "postLikes", -others(post.engagement.likes));
+  await adjustReputation(
+    authorId,
+    "bookmarks",
+    -others(post.engagement.bookmarks),
+  );
+  if (
+    acceptedAnswer &&
+    acceptedAnswer.user.toString() !== authorId.toString()
+  ) {
+    await adjustReputation(acceptedAnswer.user, "acceptedAnswers", -1);
+  }
+};
+
+/**
+ * Take back the points a photo earned its owner
+ * @param {Object} photo
+ */
+const revokePhotoReputation = async (photo) => {
+  const ownerId = (photo.user._id || photo.user).toString();
+  const likes = photo.likes.filter((id) => id.toString() !== ownerId).length;
+  await adjustReputation(ownerId, "photoLikes", -likes);
+};
+
+module.exports = {
+  REPUTATION_SOURCES,
+  DEFAULT_WEIGHTS,
+  MAX_WEIGHT,
+  getWeights,
+  saveWeights,
+  adjustReputation,
+  recomputeReputation,
+  revokePostReputation,
+  revokePhotoReputation,
+};
@@ -0,0 +1,174 @@
+/**
+ * Post Revisions
+ *
+ * Every change to a post's title, content, tags or boards is kept as a
+ * PostRevision snapshot so edits can be reviewed, compared and undone.
+ * Posts written before revisions existed get their original version
+ * saved as revision 1 the first time they are edited.
+ */
+
+const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
+
+// Longer inputs fall back to a whole-block replacement to bound the LCS table
+const MAX_DIFF_CELLS = 4000000;
+
+const idList = (values = []) => values.map((v) => (v._id || v).toString());
+
+/**
+ * The versioned fields of a post
+ * @param {Object} post - Post document or plain object
+ * @returns {Object} - { title, content, tags, boards }
+ */
+const snapshot = (post) => ({
+  title: post.title,
+  content: post.content,
+  tags: (post.tags || []).map((t) => (typeof t === "object" ? t.tag : t)),
+  boards: idList(post.boards),
+});
+
+/**
+ * Whether an update changes any versioned field
+ * @param {Object} post - Current post
+ * @param {Object} fields - Fields about to be set
+ * @returns {boolean}
+ */
+const hasVersionedChanges = (post, fields) => {
+  const before = snapshot(post);
+  const after = snapshot({ ...before, ...fields });
+  return ["title", "content", "tags", "boards"].some(
+    (key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]),
+  );
+};
+
+/**
+ * Save the post's current state as its latest revision number
+ * @param {Object} post - Post whose metadata.revisionCount is already bumped
+ * @param {string} editorId
+ * @param {Object} options - { restoredFrom }
+ * @returns {Promise<Object>} - The PostRevision
+ */
+const saveRevision = (post, editorId, { restoredFrom = null } = {}) =>
+  PostRevision.create({
+    post: post._id,
+    revision: post.metadata.revisionCount,
+    editor: editorId,
+    ...snapshot(post),
+    restoredFrom,
+  });
+
+/**
+ * Record the original version of a post created before revisions existed
+ * @param {Object} post - Post document, updated in place
+ */
+const ensureOriginalRevision = async (post) => {
+  if (post.metadata.revisionCount > 0) return;
+
+  const result = await Post.updateOne(
+    { _id: post._id, "metadata.revisionCount": { $not: { $gt: 0 } } },
+    { $set: { "metadata.revisionCount": 1 } },
+  );
+  post.metadata.revisionCount = 1;
+  if (result.modifiedCount === 0) return;
+
+  await PostRevision.create({
+    post: post._id,
+    revision: 1,
+    editor: post.user._id || post.user,
+    ...snapshot(post),
+    createdAt: post.metadata.createdAt,
+  });
+};
+
+/**
+ * Line diff between two texts using the longest common subsequence
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array} - [{ type: "equal"|"added"|"removed", value }]
+ */
+const diffLines = (before = "", after = "") => {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      { type: "removed", value: before },
+      { type: "added", value: after },
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const push = (type, value) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.value += `\n${value}`;
+    } else {
+      changes.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push("equal", a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+
+  return changes;
+};
+
+// Items added and removed between two lists, compared by `key`
+const diffSets = (before = [], after = [], key = (value) => value) => {
+  const beforeKeys = before.map(key);
+  const afterKeys = after.map(key);
+  return {
+    added: after.filter((value) => !beforeKeys.includes(key(value))),
+    removed: before.filter((value) => !afterKeys.includes(key(value))),
+  };
+};
+
+/**
+ * Compare two revisions of the same post
+ * @param {Object} from - Older PostRevision
+ * @param {Object} to - Newer PostRevision; boards may be populated
+ * @returns {Object} - Per-field changes
+ */
+const diffRevisions = (from, to) => ({
+  title: diffLines(from.title, to.title),
+  content: diffLines(from.content, to.content),
+  tags: diffSets(from.tags, to.tags),
+  boards: diffSets(from.boards, to.boards, (board) =>
+    (board._id || board).toString(),
+  ),
+});
+
+module.exports = {
+  snapshot,
+  hasVersionedChanges,
+  saveRevision,
+  ensureOriginalRevision,
+  diffRevisions,
+};
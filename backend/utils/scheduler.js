@@ -0,0 +1,38 @@
+/**
+ * Background Scheduler
+ *
+ * Runs periodic jobs inside the API process. Each job is an object
+ * { name, intervalMs, run }; a job never overlaps with itself, so a slow
+ * run simply delays the next one.
+ */
+
+/**
+ * Start running jobs on their intervals
+ * @param {Array} jobs - [{ name, intervalMs, run }]
+ */
+const startScheduler = (jobs) => {
+  for (const job of jobs) {
+    let running = false;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await job.run();
+      } catch (error) {
+        console.error(`Job ${job.name} Error:`, error);
+      } finally {
+        running = false;
+      }
+    };
+
+    const timer = setInterval(tick, job.intervalMs);
+    // Jobs should not keep the process alive on shutdown
+    timer.unref();
+  }
+  console.log(`Scheduler started with ${jobs.length} jobs`);
+};
+
+module.exports = {
+  startScheduler,
+};
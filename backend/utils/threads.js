@@ -0,0 +1,329 @@
+/**
+ * Threads
+ *
+ * Moderator tools for reorganising discussions: moving a post to other
+ * boards, merging a duplicate thread into the canonical one, and splitting
+ * off-topic replies into a thread of their own. Every action is written to
+ * the moderation log, and the members whose posts or comments moved are
+ * notified.
+ */
+
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const ModerationLog = require("../models/ModerationLog");
+const Series = require("../models/Series");
+const { cache } = require("./redis");
+const { createNotification } = require("./notifications");
+const { adjustReputation } = require("./reputation");
+const { saveRevision, ensureOriginalRevision } = require("./revisions");
+const { runPublishEffects } = require("./publishing");
+const { syncBoardCounts, adjustPostCounts } = require("./postCounts");
+
+const idList = (values = []) => values.map((v) => (v._id || v).toString());
+
+const clearThreadCache = async (...postIds) => {
+  await Promise.all(postIds.map((postId) => cache.del(`post:${postId}`)));
+  await cache.delPattern("posts:*");
+};
+
+// System notifications are shown after the forum's name
+const notifyAuthors = async (userIds, moderator, { post, message }) => {
+  const recipients = [...new Set(idList(userIds))].filter(
+    (userId) => userId !== moderator._id.toString(),
+  );
+  await Promise.all(
+    recipients.map((user) =>
+      createNotification({ user, type: "system", post, message }),
+    ),
+  );
+};
+
+// A comment that leaves its thread can no longer be that thread's answer
+const releaseAcceptedAnswer = async (post, movedComments) => {
+  const answer = movedComments.find(
+    (c) => c._id.toString() === post.acceptedAnswer?.toString(),
+  );
+  if (!answer) return;
+
+  await Post.findByIdAndUpdate(post._id, { acceptedAnswer: null });
+  if (answer.user.toString() !== post.user.toString()) {
+    await adjustReputation(answer.user, "acceptedAnswers", -1);
+  }
+};
+
+/**
+ * A set of comments with every reply beneath them
+ * @param {Array} comments - Comment documents
+ * @returns {Promise<Array>}
+ */
+const withReplies = async (comments) => {
+  const found = new Map(comments.map((c) => [c._id.toString(), c]));
+  let frontier = comments.map((c) => c._id);
+
+  while (frontier.length > 0) {
+    const replies = await Comment.find({ parent: { $in: frontier } });
+    const fresh = replies.filter((r) => !found.has(r._id.toString()));
+    fresh.forEach((r) => found.set(r._id.toString(), r));
+    frontier = fresh.map((r) => r._id);
+  }
+  return [...found.values()];
+};
+
+/**
+ * Move a post to a different set of boards
+ * @param {Object} post - Published post document
+ * @param {Array} boards - Board documents to move it to
+ * @param {Object} moderator - User making the move
+ * @param {string} [reason]
+ * @returns {Promise<Object>} - The updated post
+ */
+const movePost = async (post, boards, moderator, reason = "") => {
+  const boardIds = idList(boards);
+  await syncBoardCounts(post.boards, boardIds);
+  await ensureOriginalRevision(post);
+
+  // Pins belong to a board, so they stay behind when the post leaves it
+  const pinnedBoards = idList(post.metadata.pinnedBoards).filter((b) =>
+    boardIds.includes(b),
+  );
+
+  const updatedPost = await Post.findByIdAndUpdate(
+    post._id,
+    {
+      $set: { boards: boardIds, "metadata.pinnedBoards": pinnedBoards },
+      $inc: { "metadata.revisionCount": 1 },
+    },
+    { new: true },
+  );
+  await saveRevision(updatedPost, moderator._id);
+
+  await ModerationLog.create({
+    moderator: moderator._id,
+    action: "move",
+    post: post._id,
+    fromBoards: post.boards,
+    toBoards: boardIds,
+    reason,
+  });
+
+  const suffix = reason ? `: ${reason}` : "";
+  const boardNames = boards.map((b) => `${b.icon} ${b.name}`).join(", ");
+  await notifyAuthors([post.user], moderator, {
+    post: post._id,
+    message: `moderators moved your post to ${boardNames}${suffix}`,
+  });
+
+  await clearThreadCache(post._id);
+  return updatedPost;
+};
+
+/**
+ * Merge a duplicate thread into another. Its comments move to the target
+ * and the post is left behind as a locked stub pointing there.
+ * @param {Object} source - Published post document being merged away
+ * @param {Object} target - Published post document that absorbs it
+ * @param {Object} moderator - User making the merge
+ * @param {string} [reason]
+ * @returns {Promise<number>} - How many comments moved
+ */
+const mergePost = async (source, target, moderator, reason = "") => {
+  const comments = await Comment.find({ post: source._id }).select(
+    "user isDeleted",
+  );
+
+  await Comment.updateMany(
+    { post: source._id },
+    { $set: { post: target._id } },
+  );
+  await Post.findByIdAndUpdate(target._id, {
+    $inc: { "metadata.commentCount": source.metadata.commentCount || 0 },
+  });
+  await releaseAcceptedAnswer(source, comments);
+
+  await Post.findByIdAndUpdate(source._id, {
+    $set: {
+      mergedInto: target._id,
+      "metadata.commentCount": 0,
+      "metadata.isLocked": true,
+      "metadata.lockedAt": new Date(),
+      "metadata.isPinned": false,
+      "metadata.pinnedBoards": [],
+      "metadata.hotScore": 0,
+      "metadata.risingScore": 0,
+      series: null,
+    },
+  });
+  // Stubs of threads merged into this one earlier redirect straight to the target
+  await Post.updateMany(
+    { mergedInto: source._id },
+    { $set: { mergedInto: target._id } },
+  );
+
+  // The stub no longer counts as a post of its author, boards or tags, and
+  // leaves its series
+  await adjustPostCounts(source, -1);
+  if (source.series) {
+    await Series.findByIdAndUpdate(source.series, {
+      $pull: { posts: source._id },
+    });
+  }
+
+  await ModerationLog.create({
+    moderator: moderator._id,
+    action: "merge",
+    post: source._id,
+    targetPost: target._id,
+    comments: comments.map((c) => c._id),
+    reason,
+  });
+
+  const suffix = reason ? `: ${reason}` : "";
+  await notifyAuthors([source.user], moderator, {
+    post: target._id,
+    message: `moderators merged your post into "${target.title}"${suffix}`,
+  });
+  // Thread authors hear about the merge itself rather than their comments
+  const threadAuthors = idList([source.user, target.user]);
+  await notifyAuthors(
+    comments
+      .filter((c) => !c.isDeleted && !threadAuthors.includes(c.user.toString()))
+      .map((c) => c.user),
+    moderator,
+    {
+      post: target._id,
+      message: `moderators moved your comment into "${target.title}"${suffix}`,
+    },
+  );
+  if (target.user.toString() !== source.user.toString()) {
+    await notifyAuthors([target.user], moderator, {
+      post: target._id,
+      message: `moderators merged "${source.title}" into your post${suffix}`,
+    });
+  }
+
+  await clearThreadCache(source._id, target._id);
+  return comments.length;
+};
+
+/**
+ * Split comments off into a new thread. The earliest selected comment
+ * becomes the new post, written by that comment's author; the rest of the
+ * selection and every reply beneath it become the new thread's comments.
+ * @param {Object} source - Published post document the comments are in
+ * @param {Array} selected - Comment documents chosen by the moderator
+ * @param {Object} options
+ * @param {string} options.title - Title of the new thread
+ * @param {Array} options.boards - Board ids for the new thread
+ * @param {Object} moderator - User making the split
+ * @param {string} [reason]
+ * @returns {Promise<Object>} - The new post
+ */
+const splitPost = async (
+  source,
+  selected,
+  { title, boards },
+  moderator,
+  reason = "",
+) => {
+  const moved = await withReplies(selected);
+  const movedById = new Map(moved.map((c) => [c._id.toString(), c]));
+  const isRoot = (c) => !c.parent || !movedById.has(c.parent.toString());
+  const [opener] = moved
+    .filter(isRoot)
+    .sort((a, b) => a.createdAt - b.createdAt);
+  const liveCount = moved.filter((c) => !c.isDeleted).length;
+
+  const post = await Post.create({
+    user: opener.user,
+    title,
+    content: opener.content,
+    boards,
+    metadata: { revisionCount: 1, commentCount: liveCount - 1 },
+  });
+  await runPublishEffects(post);
+
+  // Comments keep their place in the tree below whichever selected comment
+  // they hang from; that comment becomes top-level, and the opener's
+  // replies do too now the opener is the post itself
+  const rootOf = (c) => {
+    let root = c;
+    while (!isRoot(root)) root = movedById.get(root.parent.toString());
+    return root;
+  };
+  const updates = moved
+    .filter((c) => c !== opener)
+    .map((c) => {
+      const root = rootOf(c);
+      const shift = root === opener ? opener.depth + 1 : root.depth;
+      const parent =
+        c === root || c.parent.toString() === opener._id.toString()
+          ? null
+          : c.parent;
+      return {
+        updateOne: {
+          filter: { _id: c._id },
+          update: { $set: { post: post._id, parent, depth: c.depth - shift } },
+          timestamps: false,
+        },
+      };
+    });
+  if (updates.length > 0) {
+    await Comment.bulkWrite(updates);
+  }
+  await Comment.findByIdAndDelete(opener._id);
+
+  const leftParents = moved.filter((c) => isRoot(c) && c.parent);
+  await Promise.all(
+    leftParents.map((c) =>
+      Comment.findByIdAndUpdate(c.parent, { $inc: { replyCount: -1 } }),
+    ),
+  );
+  await Post.findByIdAndUpdate(source._id, {
+    $inc: { "metadata.commentCount": -liveCount },
+  });
+  await releaseAcceptedAnswer(source, moved);
+
+  await ModerationLog.create({
+    moderator: moderator._id,
+    action: "split",
+    post: source._id,
+    targetPost: post._id,
+    toBoards: boards,
+    comments: moved.map((c) => c._id),
+    reason,
+  });
+
+  const suffix = reason ? `: ${reason}` : "";
+  await notifyAuthors([opener.user], moderator, {
+    post: post._id,
+    message: `moderators turned your comment on "${source.title}" into a new thread${suffix}`,
+  });
+  await notifyAuthors(
+    moved
+      .filter(
+        (c) => !c.isDeleted && c.user.toString() !== opener.user.toString(),
+      )
+      .map((c) => c.user),
+    moderator,
+    {
+      post: post._id,
+      message: `moderators moved your comment to the new thread "${title}"${suffix}`,
+    },
+  );
+  const movedAuthors = idList(moved.map((c) => c.user));
+  if (!movedAuthors.includes(source.user.toString())) {
+    await notifyAuthors([source.user], moderator, {
+      post: post._id,
+      message: `moderators split replies from your post into "${title}"${suffix}`,
+    });
+  }
+
+  await clearThreadCache(source._id);
+  return post;
+};
+
+module.exports = {
+  movePost,
+  mergePost,
+  splitPost,
+};
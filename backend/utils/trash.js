@@ -0,0 +1,262 @@
+/**
+ * Trash
+ *
+ * Deleting a post or photo only marks it with deletedAt. Trashed items are
+ * hidden everywhere but can be restored until the retention period runs
+ * out; the purge job then deletes them, their comments and their media
+ * for good. Reputation earned by an item is only taken back at purge.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Photo = require("../models/Photo");
+const Comment = require("../models/Comment");
+const PostRevision = require("../models/PostRevision");
+const PollVote = require("../models/PollVote");
+const Series = require("../models/Series");
+const { cache } = require("./redis");
+const { mediaService } = require("./media");
+const { revokePostReputation, revokePhotoReputation } = require("./reputation");
+const { adjustPostCounts } = require("./postCounts");
+
+// Days a deleted item stays restorable
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/**
+ * When a trashed item will be purged
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+const getPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+/**
+ * Trash listing entry with its purge date
+ * @param {Object} item - Post or photo document
+ * @returns {Object}
+ */
+const withPurgeDate = (item) => ({
+  ...item.toObject(),
+  purgeAt: getPurgeDate(item.deletedAt),
+});
+
+const UPLOADS_DIR = path.resolve(__dirname, "..", "uploads");
+
+// Uploaded files live with the media provider, older ones on local disk.
+// Local paths outside the uploads directory are never touched.
+const deleteMediaFile = async (url) => {
+  if (!url) return;
+  if (url.startsWith("http")) {
+    await mediaService.delete(url);
+    return;
+  }
+  const filePath = path.resolve(path.join(__dirname, "..", url));
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) return;
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Delete a photo, its media file and the reputation it earned
+const removePhoto = async (photo) => {
+  // Media goes first so a failed delete is retried on the next purge
+  await deleteMediaFile(photo.imageUrl);
+
+  await revokePhotoReputation(photo);
+  await Photo.findByIdAndDelete(photo._id);
+  if (!photo.deletedAt) {
+    await User.findByIdAndUpdate(photo.user, {
+      $inc: { "stats.photoCount": -1 },
+    });
+  }
+};
+
+// Post images are gallery photos uploaded by the author. Only those are
+// removed, and only once no other post shows them.
+const purgePostMedia = async (post) => {
+  for (const { url } of post.media) {
+    const photo = await Photo.findOne({ imageUrl: url, user: post.user });
+    if (!photo) continue;
+
+    const sharedWith = await Post.exists({
+      _id: { $ne: post._id },
+      "media.url": url,
+    });
+    if (!sharedWith) {
+      await removePhoto(photo);
+    }
+  }
+};
+
+const clearPostCache = async (postId) => {
+  await cache.del(`post:${postId}`);
+  await cache.delPattern("posts:*");
+};
+
+/**
+ * Move a post to the trash
+ * @param {string} postId
+ * @param {string} deletedBy - User who deleted it
+ * @returns {Promise<Object|null>} - The post, or null if not found or already trashed
+ */
+const trashPost = async (postId, deletedBy) => {
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy } },
+    { new: true },
+  );
+  if (!post) return null;
+
+  await adjustPostCounts(post, -1);
+  await clearPostCache(post._id);
+  return post;
+};
+
+/**
+ * Take a post back out of the trash
+ * @param {string} postId
+ * @returns {Promise<Object|null>} - The post, or null if it was not in the trash
+ */
+const restorePost = async (postId) => {
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, ...IN_TRASH },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true },
+  );
+  if (!post) return null;
+
+  await adjustPostCounts(post, 1);
+  await clearPostCache(post._id);
+  return post;
+};
+
+/**
+ * Permanently delete a trashed post with its media, comments, history and
+ * poll votes
+ * @param {string} postId
+ * @returns {Promise<Object|null>} - The deleted post, or null if it was not in the trash
+ */
+const purgePost = async (postId) => {
+  const post = await Post.findOne({ _id: postId, ...IN_TRASH });
+  if (!post) return null;
+
+  // Media goes first so a failed delete is retried on the next purge
+  await purgePostMedia(post);
+  await Post.findByIdAndDelete(post._id);
+
+  const acceptedAnswer = post.acceptedAnswer
+    ? await Comment.findById(post.acceptedAnswer).select("user")
+    : null;
+  await revokePostReputation(post, acceptedAnswer);
+  await Comment.deleteMany({ post: post._id });
+  await PostRevision.deleteMany({ post: post._id });
+  await PollVote.deleteMany({ post: post._id });
+  if (post.series) {
+    await Series.findByIdAndUpdate(post.series, { $pull: { posts: post._id } });
+  }
+
+  return post;
+};
+
+/**
+ * Move a photo to the trash
+ * @param {string} photoId
+ * @param {string} deletedBy - User who deleted it
+ * @returns {Promise<Object|null>} - The photo, or null if not found or already trashed
+ */
+const trashPhoto = async (photoId, deletedBy) => {
+  const photo = await Photo.findOneAndUpdate(
+    { _id: photoId, deletedAt: null },
+    { $set: { deletedAt: new Date(), deletedBy } },
+    { new: true },
+  );
+  if (!photo) return null;
+
+  await User.findByIdAndUpdate(photo.user, {
+    $inc: { "stats.photoCount": -1 },
+  });
+  return photo;
+};
+
+/**
+ * Take a photo back out of the trash
+ * @param {string} photoId
+ * @returns {Promise<Object|null>} - The photo, or null if it was not in the trash
+ */
+const restorePhoto = async (photoId) => {
+  const photo = await Photo.findOneAndUpdate(
+    { _id: photoId, ...IN_TRASH },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true },
+  );
+  if (!photo) return null;
+
+  await User.findByIdAndUpdate(photo.user, {
+    $inc: { "stats.photoCount": 1 },
+  });
+  return photo;
+};
+
+/**
+ * Permanently delete a trashed photo and its media file
+ * @param {string} photoId
+ * @returns {Promise<Object|null>} - The deleted photo, or null if it was not in the trash
+ */
+const purgePhoto = async (photoId) => {
+  const photo = await Photo.findOne({ _id: photoId, ...IN_TRASH });
+  if (!photo) return null;
+
+  await removePhoto(photo);
+  return photo;
+};
+
+/**
+ * Purge every post and photo that has been in the trash longer than the
+ * retention period
+ * @returns {Promise<Object>} - { posts, photos } purged
+ */
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  const purged = { posts: 0, photos: 0 };
+
+  const posts = await Post.find({ deletedAt: { $lte: cutoff } }).select("_id");
+  for (const { _id } of posts) {
+    try {
+      if (await purgePost(_id)) purged.posts += 1;
+    } catch (error) {
+      console.error(`Purge Post ${_id} Error:`, error);
+    }
+  }
+
+  const photos = await Photo.find({ deletedAt: { $lte: cutoff } }).select(
+    "_id",
+  );
+  for (const { _id } of photos) {
+    try {
+      if (await purgePhoto(_id)) purged.photos += 1;
+    } catch (error) {
+      console.error(`Purge Photo ${_id} Error:`, error);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getPurgeDate,
+  withPurgeDate,
+  trashPost,
+  restorePost,
+  purgePost,
+  trashPhoto,
+  restorePhoto,
+  purgePhoto,
+  purgeExpiredTrash,
+};
@@ -0,0 +1,137 @@
+/**
+ * View Counting
+ *
+ * Each viewer (signed-in member, or IP address for guests) counts once per
+ * item within a time window. Counted views are buffered in Redis and added
+ * to MongoDB in batches by the flush-view-counts job, so reading a post or
+ * photo never writes to the database and cached responses still count.
+ * Every API instance runs the job, so a Redis lock lets only one flush at a
+ * time. Without Redis, views are written straight through without
+ * deduplication.
+ */
+
+const crypto = require("crypto");
+const Post = require("../models/Post");
+const Photo = require("../models/Photo");
+const { redisClient } = require("./redis");
+
+// Minutes before the same viewer counts again
+const VIEW_DEDUPE_MINUTES = parseInt(process.env.VIEW_DEDUPE_MINUTES) || 30;
+
+// Where each kind of item keeps its view count
+const VIEW_COUNTERS = {
+  post: { model: Post, field: "metadata.viewCount" },
+  photo: { model: Photo, field: "metadata.views" },
+};
+
+const isRedisReady = () => Boolean(redisClient && redisClient.isOpen);
+
+const pendingKey = (kind) => `views:pending:${kind}`;
+const flushingKey = (kind) => `views:flushing:${kind}`;
+
+const FLUSH_LOCK_KEY = "views:flush:lock";
+// Long enough for any flush; a crashed instance frees the lock after this
+const FLUSH_LOCK_MS = 5 * 60 * 1000;
+
+// Only the instance holding the lock may release it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+/**
+ * Count a view of a post or photo unless this viewer was counted recently
+ * @param {string} kind - "post" or "photo"
+ * @param {string} itemId
+ * @param {Object} req - Request, for the signed-in user or client IP
+ */
+const recordView = async (kind, itemId, req) => {
+  const { model, field } = VIEW_COUNTERS[kind];
+  const viewer = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+
+  try {
+    if (!isRedisReady()) {
+      await model.updateOne(
+        { _id: itemId },
+        { $inc: { [field]: 1 } },
+        { timestamps: false },
+      );
+      return;
+    }
+
+    const firstView = await redisClient.set(
+      `views:seen:${kind}:${itemId}:${viewer}`,
+      "1",
+      { NX: true, EX: VIEW_DEDUPE_MINUTES * 60 },
+    );
+    if (firstView) {
+      await redisClient.hIncrBy(pendingKey(kind), itemId.toString(), 1);
+    }
+  } catch (error) {
+    console.error("Record View Error:", error.message);
+  }
+};
+
+// Take the buffered counts for one kind of item. A batch left behind by an
+// interrupted flush is written before new views are picked up.
+const takePendingViews = async (kind) => {
+  if (!(await redisClient.exists(flushingKey(kind)))) {
+    if (!(await redisClient.exists(pendingKey(kind)))) return {};
+    await redisClient.rename(pendingKey(kind), flushingKey(kind));
+  }
+  return redisClient.hGetAll(flushingKey(kind));
+};
+
+// Write every kind's buffered counts; the caller holds the flush lock
+const flushLocked = async () => {
+  let flushed = 0;
+  for (const [kind, { model, field }] of Object.entries(VIEW_COUNTERS)) {
+    const counts = Object.entries(await takePendingViews(kind));
+    if (counts.length === 0) continue;
+
+    // View counts are not edits, so updatedAt is left alone
+    await model.bulkWrite(
+      counts.map(([itemId, views]) => ({
+        updateOne: {
+          filter: { _id: itemId },
+          update: { $inc: { [field]: parseInt(views) } },
+          timestamps: false,
+        },
+      })),
+    );
+    await redisClient.del(flushingKey(kind));
+    flushed += counts.reduce((sum, [, views]) => sum + parseInt(views), 0);
+  }
+  return flushed;
+};
+
+/**
+ * Add buffered view counts to posts and photos
+ * @returns {Promise<number>} - How many views were written
+ */
+const flushViewCounts = async () => {
+  if (!isRedisReady()) return 0;
+
+  const lockToken = crypto.randomUUID();
+  const locked = await redisClient.set(FLUSH_LOCK_KEY, lockToken, {
+    NX: true,
+    PX: FLUSH_LOCK_MS,
+  });
+  if (!locked) return 0;
+
+  try {
+    return await flushLocked();
+  } finally {
+    await redisClient.eval(RELEASE_LOCK_SCRIPT, {
+      keys: [FLUSH_LOCK_KEY],
+      arguments: [lockToken],
+    });
+  }
+};
+
+module.exports = {
+  VIEW_DEDUPE_MINUTES,
+  recordView,
+  flushViewCounts,
+};
@@ -1,7 +1,7 @@
 import React, { useEffect } from "react";
 import { Routes, Route, Navigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
-import { Box, CircularProgress } from "@mui/material";
+import { Box, CircularProgress, Alert } from "@mui/material";
 import { getCurrentUser } from "./slices/authSlice";
 import { fetchPosts } from "./slices/postsSlice";
 
@@ -16,9 +16,14 @@ import Register from "./pages/Register";
 import PostDetail from "./pages/PostDetail";
 import CreatePost from "./pages/CreatePost";
 import EditPost from "./pages/EditPost";
+import Drafts from "./pages/Drafts";
+import Trash from "./pages/Trash";
 import Profile from "./pages/Profile";
+import Series from "./pages/Series";
 import EditProfile from "./pages/EditProfile";
 import Gallery from "./pages/Gallery";
+import Notifications from "./pages/Notifications";
+import Messages from "./pages/Messages";
 import Admin from "./pages/Admin";
 import NotFound from "./pages/NotFound";
 
@@ -81,6 +86,9 @@ function App({ darkMode, toggleDarkMode }) {
     dispatch(fetchPosts());
   }, [dispatch]);
 
+  const suspendedUntil = user?.moderation?.suspendedUntil;
+  const isSuspended = suspendedUntil && new Date(suspendedUntil) > new Date();
+
   if (authLoading && localStorage.getItem("token")) {
     return (
       <Box
@@ -108,6 +116,15 @@ function App({ darkMode, toggleDarkMode }) {
         component="main"
         sx={{ flexGrow: 1, py: 3, maxWidth: "xl", mx: "auto", width: "100%" }}
       >
+        {isSuspended && (
+          <Alert severity="warning" sx={{ mx: 3, mb: 2 }}>
+            Your account is suspended until{" "}
+            {new Date(suspendedUntil).toLocaleString()}
+            {user.moderation.suspensionReason &&
+              ` (${user.moderation.suspensionReason})`}
+            . You can still read the forum, but cannot post, comment or message.
+          </Alert>
+        )}
         <Routes>
           <Route path="/" element={<Home />} />
           <Route
@@ -143,7 +160,24 @@ function App({ darkMode, toggleDarkMode }) {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/drafts"
+            element={
+              <ProtectedRoute>
+                <Drafts />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/trash"
+            element={
+              <ProtectedRoute>
+                <Trash />
+              </ProtectedRoute>
+            }
+          />
           <Route path="/profile/:userId" element={<Profile />} />
+          <Route path="/series/:seriesId" element={<Series />} />
           <Route
             path="/profile/:userId/edit"
             element={
@@ -153,6 +187,30 @@ function App({ darkMode, toggleDarkMode }) {
             }
           />
           <Route path="/gallery" element={<Gallery />} />
+          <Route
+            path="/notifications"
+            element={
+              <ProtectedRoute>
+                <Notifications />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/messages"
+            element={
+              <ProtectedRoute>
+                <Messages />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/messages/:conversationId"
+            element={
+              <ProtectedRoute>
+                <Messages />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/admin"
             element={
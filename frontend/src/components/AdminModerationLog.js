@@ -0,0 +1,153 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Paper,
+  Box,
+  Chip,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Typography,
+} from "@mui/material";
+import api from "../api";
+
+const ACTION_LABELS = {
+  move: "Moved",
+  merge: "Merged",
+  split: "Split",
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const boardList = (boards = []) =>
+  boards.map((b) => `${b.icon} ${b.name}`).join(", ");
+
+const PostLink = ({ post }) => {
+  if (!post) return "[purged]";
+  return <Link to={`/post/${post._id}`}>{post.title}</Link>;
+};
+
+// What happened to the post, in a few words
+const describeEntry = (entry) => {
+  switch (entry.action) {
+    case "move":
+      return `${boardList(entry.fromBoards)} → ${boardList(entry.toBoards)}`;
+    case "merge":
+      return (
+        <>
+          into <PostLink post={entry.targetPost} /> with {entry.comments.length}{" "}
+          comments
+        </>
+      );
+    case "split":
+      return (
+        <>
+          {entry.comments.length} comments into{" "}
+          <PostLink post={entry.targetPost} />
+        </>
+      );
+    default:
+      return null;
+  }
+};
+
+// Admin tab listing thread moves, merges and splits made by moderators
+const AdminModerationLog = () => {
+  const [action, setAction] = useState("all");
+  const [entries, setEntries] = useState([]);
+
+  const fetchLog = useCallback(async () => {
+    try {
+      const response = await api.get("/admin/moderation-log", {
+        params: { action: action === "all" ? undefined : action, limit: 50 },
+      });
+      setEntries(response.data.data.entries);
+    } catch (err) {
+      console.error("Failed to fetch moderation log:", err);
+    }
+  }, [action]);
+
+  useEffect(() => {
+    fetchLog();
+  }, [fetchLog]);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ mb: 2 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={action}
+          onChange={(e, value) => value && setAction(value)}
+        >
+          <ToggleButton value="all">All</ToggleButton>
+          <ToggleButton value="move">Moves</ToggleButton>
+          <ToggleButton value="merge">Merges</ToggleButton>
+          <ToggleButton value="split">Splits</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>When</TableCell>
+              <TableCell>Moderator</TableCell>
+              <TableCell>Action</TableCell>
+              <TableCell>Post</TableCell>
+              <TableCell>Details</TableCell>
+              <TableCell>Reason</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6}>
+                  <Typography color="text.secondary">
+                    No thread changes recorded yet.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {entries.map((entry) => (
+              <TableRow key={entry._id}>
+                <TableCell>{formatDate(entry.createdAt)}</TableCell>
+                <TableCell>
+                  {entry.moderator ? (
+                    <Link to={`/profile/${entry.moderator._id}`}>
+                      {entry.moderator.username}
+                    </Link>
+                  ) : (
+                    "[deleted]"
+                  )}
+                </TableCell>
+                <TableCell>
+                  <Chip size="small" label={ACTION_LABELS[entry.action]} />
+                </TableCell>
+                <TableCell>
+                  <PostLink post={entry.post} />
+                </TableCell>
+                <TableCell>{describeEntry(entry)}</TableCell>
+                <TableCell>{entry.reason || "—"}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default AdminModerationLog;
@@ -0,0 +1,174 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Paper,
+  Box,
+  Button,
+  Avatar,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  ToggleButton,
+  ToggleButtonGroup,
+  Alert,
+  Typography,
+} from "@mui/material";
+import { RestoreFromTrash, DeleteForever } from "@mui/icons-material";
+import api from "../api";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+// Admin tab listing every deleted post or photo still awaiting purge
+const AdminTrash = ({ onChange }) => {
+  const [type, setType] = useState("post");
+  const [items, setItems] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await api.get("/admin/trash", {
+        params: { type, limit: 50 },
+      });
+      setItems(response.data.data.items);
+    } catch (err) {
+      console.error("Failed to fetch trash:", err);
+    }
+  }, [type]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const runAction = async (request) => {
+    try {
+      const response = await request;
+      setMessage({ severity: "success", text: response.data.message });
+      fetchTrash();
+      onChange?.();
+    } catch (err) {
+      setMessage({
+        severity: "error",
+        text: err.response?.data?.error?.message || "Something went wrong",
+      });
+    }
+  };
+
+  const handlePurge = (item) => {
+    if (window.confirm("Delete this for good? This cannot be undone.")) {
+      runAction(api.delete(`/admin/trash/${type}/${item._id}`));
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2 }}>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={type}
+          onChange={(e, value) => value && setType(value)}
+        >
+          <ToggleButton value="post">Posts</ToggleButton>
+          <ToggleButton value="photo">Photos</ToggleButton>
+        </ToggleButtonGroup>
+        <Typography variant="body2" color="text.secondary">
+          Deleted items are removed for good once their purge date passes.
+        </Typography>
+      </Box>
+
+      {message && (
+        <Alert
+          severity={message.severity}
+          sx={{ mb: 2 }}
+          onClose={() => setMessage(null)}
+        >
+          {message.text}
+        </Alert>
+      )}
+
+      <TableContainer>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Title</TableCell>
+              <TableCell>Author</TableCell>
+              <TableCell>Deleted By</TableCell>
+              <TableCell>Deleted</TableCell>
+              <TableCell>Purge On</TableCell>
+              <TableCell>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {items.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={6}>
+                  <Typography color="text.secondary">
+                    The trash is empty.
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+            {items.map((item) => (
+              <TableRow key={item._id}>
+                <TableCell>
+                  <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                    {type === "photo" && (
+                      <Avatar
+                        variant="rounded"
+                        src={item.thumbnailUrl || item.imageUrl}
+                      />
+                    )}
+                    {item.title || "Untitled draft"}
+                  </Box>
+                </TableCell>
+                <TableCell>
+                  {item.user ? (
+                    <Link to={`/profile/${item.user._id}`}>
+                      {item.user.username}
+                    </Link>
+                  ) : (
+                    "[deleted]"
+                  )}
+                </TableCell>
+                <TableCell>{item.deletedBy?.username || "—"}</TableCell>
+                <TableCell>{formatDate(item.deletedAt)}</TableCell>
+                <TableCell>{formatDate(item.purgeAt)}</TableCell>
+                <TableCell>
+                  <Button
+                    size="small"
+                    startIcon={<RestoreFromTrash />}
+                    onClick={() =>
+                      runAction(
+                        api.post(`/admin/trash/${type}/${item._id}/restore`),
+                      )
+                    }
+                  >
+                    Restore
+                  </Button>
+                  <Button
+                    size="small"
+                    color="error"
+                    startIcon={<DeleteForever />}
+                    onClick={() => handlePurge(item)}
+                  >
+                    Delete Forever
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default AdminTrash;
@@ -0,0 +1,361 @@
+import React, { useEffect, useState } from "react";
+import {
+  Paper,
+  Box,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  IconButton,
+  Switch,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Alert,
+  Typography,
+} from "@mui/material";
+import { Add, Edit, Delete, AutoAwesome, Refresh } from "@mui/icons-material";
+import api from "../api";
+
+const CRITERIA_LABELS = {
+  postCount: "Posts published",
+  likesReceived: "Likes received",
+  photoCount: "Public photos",
+  membershipDays: "Days since joining",
+  reputation: "Reputation points",
+  boardTopContributor: "Top poster in a board (min. posts)",
+};
+
+const emptyForm = {
+  key: "",
+  name: "",
+  description: "",
+  icon: "🏅",
+  criteria: { type: "postCount", threshold: 1, board: "" },
+  sortOrder: 0,
+  isActive: true,
+};
+
+// Admin tab for creating and editing achievement badges
+const BadgeManager = () => {
+  const [badges, setBadges] = useState([]);
+  const [boards, setBoards] = useState([]);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingBadge, setEditingBadge] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [status, setStatus] = useState(null);
+
+  const fetchBadges = async () => {
+    try {
+      const response = await api.get("/badges/all");
+      setBadges(response.data.data);
+    } catch (err) {
+      console.error("Failed to fetch badges:", err);
+    }
+  };
+
+  useEffect(() => {
+    fetchBadges();
+    api
+      .get("/boards")
+      .then((response) => setBoards(response.data.data))
+      .catch((err) => console.error("Failed to fetch boards:", err));
+  }, []);
+
+  const showError = (err, fallback) =>
+    setStatus({
+      severity: "error",
+      message: err.response?.data?.error?.message || fallback,
+    });
+
+  const handleOpenDialog = (badge = null) => {
+    setEditingBadge(badge);
+    setForm(
+      badge
+        ? {
+            ...badge,
+            criteria: {
+              ...badge.criteria,
+              board: badge.criteria.board?._id || "",
+            },
+          }
+        : emptyForm,
+    );
+    setDialogOpen(true);
+  };
+
+  const handleSave = async () => {
+    try {
+      if (editingBadge) {
+        await api.put(`/badges/${editingBadge._id}`, form);
+      } else {
+        await api.post("/badges", form);
+      }
+      setDialogOpen(false);
+      setStatus(null);
+      fetchBadges();
+    } catch (err) {
+      showError(err, "Failed to save badge");
+    }
+  };
+
+  const handleToggle = async (badge) => {
+    try {
+      await api.put(`/badges/${badge._id}`, {
+        ...badge,
+        criteria: {
+          ...badge.criteria,
+          board: badge.criteria.board?._id || null,
+        },
+        isActive: !badge.isActive,
+      });
+      fetchBadges();
+    } catch (err) {
+      showError(err, "Failed to update badge");
+    }
+  };
+
+  const handleDelete = async (badge) => {
+    if (
+      window.confirm(
+        `Delete "${badge.name}"? It will be removed from ${badge.earnedCount} member(s).`,
+      )
+    ) {
+      try {
+        await api.delete(`/badges/${badge._id}`);
+        fetchBadges();
+      } catch (err) {
+        showError(err, "Failed to delete badge");
+      }
+    }
+  };
+
+  const handleInit = async () => {
+    try {
+      const response = await api.post("/badges/init");
+      setStatus({ severity: "success", message: response.data.message });
+      fetchBadges();
+    } catch (err) {
+      showError(err, "Failed to create default badges");
+    }
+  };
+
+  const handleEvaluate = async () => {
+    try {
+      await api.post("/badges/evaluate");
+      setStatus({
+        severity: "info",
+        message:
+          "Checking every member in the background. Refresh in a moment to see new counts.",
+      });
+    } catch (err) {
+      showError(err, "Failed to start badge evaluation");
+    }
+  };
+
+  const setCriteria = (field, value) =>
+    setForm({ ...form, criteria: { ...form.criteria, [field]: value } });
+
+  return (
+    <Paper>
+      <Box sx={{ p: 2, display: "flex", gap: 2, flexWrap: "wrap" }}>
+        <Button
+          variant="contained"
+          startIcon={<Add />}
+          onClick={() => handleOpenDialog()}
+        >
+          Add Badge
+        </Button>
+        <Button variant="outlined" onClick={handleInit}>
+          Create Default Badges
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<AutoAwesome />}
+          onClick={handleEvaluate}
+        >
+          Award to Existing Members
+        </Button>
+        <IconButton onClick={fetchBadges}>
+          <Refresh />
+        </IconButton>
+      </Box>
+
+      {status && (
+        <Alert
+          severity={status.severity}
+          onClose={() => setStatus(null)}
+          sx={{ mx: 2, mb: 2 }}
+        >
+          {status.message}
+        </Alert>
+      )}
+
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Badge</TableCell>
+              <TableCell>Criteria</TableCell>
+              <TableCell>Earned</TableCell>
+              <TableCell>Active</TableCell>
+              <TableCell>Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {badges.map((badge) => (
+              <TableRow key={badge._id}>
+                <TableCell>
+                  <Typography variant="body2" fontWeight={600}>
+                    {badge.icon} {badge.name}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {badge.key}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  {CRITERIA_LABELS[badge.criteria.type]}:{" "}
+                  {badge.criteria.threshold}
+                  {badge.criteria.board &&
+                    ` (${badge.criteria.board.icon} ${badge.criteria.board.name})`}
+                </TableCell>
+                <TableCell>{badge.earnedCount}</TableCell>
+                <TableCell>
+                  <Switch
+                    checked={badge.isActive}
+                    onChange={() => handleToggle(badge)}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell>
+                  <IconButton
+                    size="small"
+                    onClick={() => handleOpenDialog(badge)}
+                  >
+                    <Edit fontSize="small" />
+                  </IconButton>
+                  <IconButton
+                    size="small"
+                    color="error"
+                    onClick={() => handleDelete(badge)}
+                  >
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </TableCell>
+              </TableRow>
+            ))}
+            {badges.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  No badges yet
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Dialog
+        open={dialogOpen}
+        onClose={() => setDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          {editingBadge ? "Edit Badge" : "Create Badge"}
+        </DialogTitle>
+        <DialogContent>
+          <Box sx={{ pt: 2, display: "flex", flexDirection: "column", gap: 2 }}>
+            <TextField
+              label="Key"
+              value={form.key}
+              onChange={(e) => setForm({ ...form, key: e.target.value })}
+              disabled={Boolean(editingBadge)}
+              helperText="Lowercase letters, numbers and dashes"
+              required
+            />
+            <Box sx={{ display: "flex", gap: 2 }}>
+              <TextField
+                label="Icon"
+                value={form.icon}
+                onChange={(e) => setForm({ ...form, icon: e.target.value })}
+                sx={{ width: 100 }}
+              />
+              <TextField
+                label="Name"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                fullWidth
+                required
+              />
+            </Box>
+            <TextField
+              label="Description"
+              value={form.description || ""}
+              onChange={(e) =>
+                setForm({ ...form, description: e.target.value })
+              }
+              fullWidth
+            />
+            <TextField
+              select
+              label="Criteria"
+              value={form.criteria.type}
+              onChange={(e) => setCriteria("type", e.target.value)}
+            >
+              {Object.entries(CRITERIA_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>
+                  {label}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              type="number"
+              label="Threshold"
+              value={form.criteria.threshold}
+              onChange={(e) => setCriteria("threshold", Number(e.target.value))}
+              inputProps={{ min: 1 }}
+            />
+            {form.criteria.type === "boardTopContributor" && (
+              <TextField
+                select
+                label="Board"
+                value={form.criteria.board || ""}
+                onChange={(e) => setCriteria("board", e.target.value)}
+              >
+                <MenuItem value="">Any board</MenuItem>
+                {boards.map((board) => (
+                  <MenuItem key={board._id} value={board._id}>
+                    {board.icon} {board.name}
+                  </MenuItem>
+                ))}
+              </TextField>
+            )}
+            <TextField
+              type="number"
+              label="Sort Order"
+              value={form.sortOrder}
+              onChange={(e) =>
+                setForm({ ...form, sortOrder: Number(e.target.value) })
+              }
+            />
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default BadgeManager;
@@ -0,0 +1,106 @@
+import React, { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Card,
+  CardContent,
+  Typography,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Button,
+} from "@mui/material";
+import { fetchBlocks, updateRestriction } from "../slices/usersSlice";
+
+const RestrictedList = ({ title, emptyText, users, actionLabel, onRemove }) => (
+  <>
+    <Typography variant="subtitle1" fontWeight={600} sx={{ mt: 2 }}>
+      {title}
+    </Typography>
+    {users.length === 0 ? (
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+        {emptyText}
+      </Typography>
+    ) : (
+      <List dense>
+        {users.map((listedUser) => (
+          <ListItem
+            key={listedUser._id}
+            secondaryAction={
+              <Button size="small" onClick={() => onRemove(listedUser._id)}>
+                {actionLabel}
+              </Button>
+            }
+          >
+            <ListItemAvatar>
+              <Avatar src={listedUser.profile?.avatar}>
+                {listedUser.username?.charAt(0).toUpperCase()}
+              </Avatar>
+            </ListItemAvatar>
+            <ListItemText
+              primary={
+                <Typography
+                  component={Link}
+                  to={`/profile/${listedUser._id}`}
+                  sx={{ textDecoration: "none", color: "inherit" }}
+                >
+                  {listedUser.username}
+                </Typography>
+              }
+            />
+          </ListItem>
+        ))}
+      </List>
+    )}
+  </>
+);
+
+const BlockedUsersSettings = () => {
+  const dispatch = useDispatch();
+  const { blocked, muted } = useSelector((state) => state.users.blocks);
+
+  useEffect(() => {
+    dispatch(fetchBlocks());
+  }, [dispatch]);
+
+  return (
+    <Card sx={{ mt: 4 }}>
+      <CardContent sx={{ p: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          Blocked & Muted Users 🚫
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Blocked users cannot like, comment on, mention or follow you. Posts,
+          photos and notifications from blocked or muted users are hidden.
+        </Typography>
+
+        <RestrictedList
+          title="Blocked"
+          emptyText="You haven't blocked anyone"
+          users={blocked}
+          actionLabel="Unblock"
+          onRemove={(userId) =>
+            dispatch(
+              updateRestriction({ userId, kind: "block", enabled: false }),
+            )
+          }
+        />
+        <RestrictedList
+          title="Muted"
+          emptyText="You haven't muted anyone"
+          users={muted}
+          actionLabel="Unmute"
+          onRemove={(userId) =>
+            dispatch(
+              updateRestriction({ userId, kind: "mute", enabled: false }),
+            )
+          }
+        />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BlockedUsersSettings;
@@ -9,7 +9,7 @@ import {
   Box,
   FormHelperText,
 } from "@mui/material";
-import { fetchBoards } from "../slices/postsSlice";
+import { fetchBoards, fetchBoardSubscriptions } from "../slices/postsSlice";
 
 const BoardSelector = ({
   selectedBoards,
@@ -19,7 +19,8 @@ const BoardSelector = ({
   multiple = true,
 }) => {
   const dispatch = useDispatch();
-  const { boards } = useSelector((state) => state.posts);
+  const { boards, boardSubscriptions } = useSelector((state) => state.posts);
+  const { user } = useSelector((state) => state.auth);
   const [isLoaded, setIsLoaded] = useState(false);
 
   React.useEffect(() => {
@@ -28,6 +29,16 @@ const BoardSelector = ({
     }
   }, [dispatch, isLoaded, boards.length]);
 
+  // 載入訂閱狀態
+  React.useEffect(() => {
+    if (user) {
+      dispatch(fetchBoardSubscriptions());
+    }
+  }, [dispatch, user]);
+
+  const getSubscription = (boardId) =>
+    boardSubscriptions.find((s) => s.board === boardId);
+
   const handleChange = (event) => {
     const value = event.target.value;
     onChange(value);
@@ -71,6 +82,17 @@ const BoardSelector = ({
           <MenuItem key={board._id} value={board._id}>
             <span style={{ marginRight: 8 }}>{board.icon}</span>
             {board.name}
+            {getSubscription(board._id) && (
+              <Chip
+                size="small"
+                label={
+                  getSubscription(board._id).alerts === "off"
+                    ? "已訂閱"
+                    : "已訂閱 🔔"
+                }
+                sx={{ ml: 1, height: 20, fontSize: 11 }}
+              />
+            )}
             {board.postCount !== undefined && (
               <span
                 style={{
@@ -0,0 +1,67 @@
+import React, { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Box, Button, MenuItem, Select } from "@mui/material";
+import { NotificationsNone } from "@mui/icons-material";
+import {
+  fetchBoardSubscriptions,
+  subscribeBoard,
+  unsubscribeBoard,
+} from "../slices/postsSlice";
+
+const ALERT_OPTIONS = [
+  { value: "off", label: "不提醒" },
+  { value: "instant", label: "新文章即時提醒" },
+  { value: "digest", label: "每日摘要" },
+];
+
+const BoardSubscribeButton = ({ boardId }) => {
+  const dispatch = useDispatch();
+  const { boardSubscriptions } = useSelector((state) => state.posts);
+  const { user } = useSelector((state) => state.auth);
+
+  useEffect(() => {
+    if (user) {
+      dispatch(fetchBoardSubscriptions());
+    }
+  }, [dispatch, user]);
+
+  if (!user) return null;
+
+  const subscription = boardSubscriptions.find((s) => s.board === boardId);
+
+  if (!subscription) {
+    return (
+      <Button
+        variant="contained"
+        size="small"
+        startIcon={<NotificationsNone />}
+        onClick={() => dispatch(subscribeBoard({ boardId }))}
+      >
+        訂閱看板
+      </Button>
+    );
+  }
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+      <Select
+        size="small"
+        value={subscription.alerts}
+        onChange={(e) =>
+          dispatch(subscribeBoard({ boardId, alerts: e.target.value }))
+        }
+      >
+        {ALERT_OPTIONS.map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </Select>
+      <Button size="small" onClick={() => dispatch(unsubscribeBoard(boardId))}>
+        取消訂閱
+      </Button>
+    </Box>
+  );
+};
+
+export default BoardSubscribeButton;
@@ -0,0 +1,426 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  Box,
+  Typography,
+  Avatar,
+  Button,
+  IconButton,
+  TextField,
+  Alert,
+  CircularProgress,
+  Chip,
+} from "@mui/material";
+import {
+  Favorite,
+  FavoriteBorder,
+  Reply,
+  Edit,
+  Delete,
+  CheckCircle,
+  CheckCircleOutline,
+  Flag,
+} from "@mui/icons-material";
+import {
+  ROOT_THREAD,
+  fetchComments,
+  fetchReplies,
+  createComment,
+  updateComment,
+  deleteComment,
+  likeComment,
+  acceptAnswer,
+  clearComments,
+} from "../slices/commentsSlice";
+import { CommentSkeleton } from "./Skeleton";
+import ReportDialog from "./ReportDialog";
+
+// Mirrors MAX_COMMENT_DEPTH in the backend Comment model
+const MAX_DEPTH = 4;
+
+const formatTime = (date) => {
+  const now = new Date();
+  const diff = now - new Date(date);
+  const minutes = Math.floor(diff / 60000);
+  const hours = Math.floor(diff / 3600000);
+  const days = Math.floor(diff / 86400000);
+
+  if (minutes < 1) return "Just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  if (hours < 24) return `${hours}h ago`;
+  if (days < 7) return `${days}d ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+const CommentForm = ({
+  postId,
+  parent = null,
+  initialValue = "",
+  submitLabel = "Comment",
+  onDone,
+  onCancel,
+  onSubmit,
+}) => {
+  const dispatch = useDispatch();
+  const { submitting } = useSelector((state) => state.comments);
+  const [content, setContent] = useState(initialValue);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    const result = onSubmit
+      ? await onSubmit(content)
+      : await dispatch(createComment({ postId, content, parent }));
+
+    if (!result.error) {
+      setContent("");
+      onDone?.();
+    }
+  };
+
+  return (
+    <Box component="form" onSubmit={handleSubmit} sx={{ mb: 2 }}>
+      <TextField
+        fullWidth
+        multiline
+        minRows={parent ? 2 : 3}
+        size="small"
+        placeholder={parent ? "Write a reply..." : "Join the discussion..."}
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        inputProps={{ maxLength: 5000 }}
+      />
+      <Box sx={{ display: "flex", gap: 1, mt: 1, justifyContent: "flex-end" }}>
+        {onCancel && (
+          <Button size="small" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button
+          type="submit"
+          size="small"
+          variant="contained"
+          disabled={submitting || !content.trim()}
+        >
+          {submitLabel}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+const CommentItem = ({ comment, postId }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+  const replies = useSelector((state) => state.comments.threads[comment._id]);
+  const { currentPost } = useSelector((state) => state.posts);
+
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+  const [reportOpen, setReportOpen] = useState(false);
+
+  const isOwner = user && comment.user?._id === user._id;
+  const isModerator =
+    user?.isAdmin || user?.role === "admin" || user?.role === "moderator";
+  const isAccepted = currentPost?.acceptedAnswer === comment._id;
+  // Locked threads take no new replies or edits except from moderators
+  const canWrite =
+    isModerator ||
+    !(currentPost?._id === postId && currentPost.metadata?.isLocked);
+  // Post authors pick one answer among other members' comments
+  const canAccept =
+    user &&
+    !isOwner &&
+    currentPost?._id === postId &&
+    currentPost.user?._id === user._id;
+  const isLiked =
+    comment.liked ?? Boolean(user && comment.likes?.includes(user._id));
+
+  const loadReplies = async (page = 1) => {
+    setLoadingReplies(true);
+    await dispatch(fetchReplies({ postId, commentId: comment._id, page }));
+    setLoadingReplies(false);
+  };
+
+  const handleLike = () => {
+    if (!user) {
+      navigate("/login");
+      return;
+    }
+    dispatch(likeComment({ postId, commentId: comment._id }));
+  };
+
+  const handleReply = () => {
+    if (!user) {
+      navigate("/login");
+      return;
+    }
+    setReplying(!replying);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm("Are you sure you want to delete this comment?")) {
+      dispatch(deleteComment({ postId, commentId: comment._id }));
+    }
+  };
+
+  const unloadedReplies =
+    comment.replyCount - (replies ? replies.items.length : 0);
+
+  return (
+    <Box sx={{ display: "flex", mb: 2 }}>
+      <Avatar
+        src={comment.user?.profile?.avatar}
+        sx={{ width: 36, height: 36, mr: 1.5 }}
+      >
+        {comment.user?.username?.charAt(0).toUpperCase()}
+      </Avatar>
+      <Box sx={{ flex: 1, minWidth: 0 }}>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+          {comment.isDeleted ? (
+            <Typography variant="subtitle2" color="text.secondary">
+              [deleted]
+            </Typography>
+          ) : (
+            <Typography
+              variant="subtitle2"
+              component={Link}
+              to={`/profile/${comment.user?._id}`}
+              sx={{ textDecoration: "none", color: "inherit" }}
+            >
+              {comment.user?.username}
+            </Typography>
+          )}
+          <Typography variant="caption" color="text.secondary">
+            {formatTime(comment.createdAt)}
+            {comment.isEdited && !comment.isDeleted && " · edited"}
+          </Typography>
+          {isAccepted && !comment.isDeleted && (
+            <Chip
+              size="small"
+              color="success"
+              icon={<CheckCircle />}
+              label="Accepted answer"
+            />
+          )}
+        </Box>
+
+        {editing ? (
+          <CommentForm
+            postId={postId}
+            initialValue={comment.content}
+            submitLabel="Save"
+            onSubmit={(content) =>
+              dispatch(
+                updateComment({ postId, commentId: comment._id, content }),
+              )
+            }
+            onDone={() => setEditing(false)}
+            onCancel={() => setEditing(false)}
+          />
+        ) : (
+          <Typography
+            variant="body2"
+            color={comment.isDeleted ? "text.secondary" : "text.primary"}
+            sx={{ whiteSpace: "pre-wrap", my: 0.5 }}
+          >
+            {comment.isDeleted
+              ? "This comment has been deleted."
+              : comment.content}
+          </Typography>
+        )}
+
+        {!comment.isDeleted && !editing && (
+          <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+            <IconButton
+              size="small"
+              onClick={handleLike}
+              color={isLiked ? "error" : "default"}
+            >
+              {isLiked ? (
+                <Favorite fontSize="small" />
+              ) : (
+                <FavoriteBorder fontSize="small" />
+              )}
+            </IconButton>
+            <Typography variant="caption" color="text.secondary" sx={{ mr: 1 }}>
+              {comment.likeCount || 0}
+            </Typography>
+            {comment.depth < MAX_DEPTH && canWrite && (
+              <Button
+                size="small"
+                startIcon={<Reply fontSize="small" />}
+                onClick={handleReply}
+              >
+                Reply
+              </Button>
+            )}
+            {canAccept && (
+              <Button
+                size="small"
+                color="success"
+                startIcon={
+                  isAccepted ? (
+                    <CheckCircle fontSize="small" />
+                  ) : (
+                    <CheckCircleOutline fontSize="small" />
+                  )
+                }
+                onClick={() =>
+                  dispatch(acceptAnswer({ postId, commentId: comment._id }))
+                }
+              >
+                {isAccepted ? "Accepted" : "Accept"}
+              </Button>
+            )}
+            {isOwner && canWrite && (
+              <IconButton size="small" onClick={() => setEditing(true)}>
+                <Edit fontSize="small" />
+              </IconButton>
+            )}
+            {(isOwner || isModerator) && (
+              <IconButton size="small" onClick={handleDelete}>
+                <Delete fontSize="small" />
+              </IconButton>
+            )}
+            {user && !isOwner && (
+              <IconButton
+                size="small"
+                onClick={() => setReportOpen(true)}
+                title="Report comment"
+              >
+                <Flag fontSize="small" />
+              </IconButton>
+            )}
+          </Box>
+        )}
+
+        <ReportDialog
+          open={reportOpen}
+          onClose={() => setReportOpen(false)}
+          targetType="comment"
+          targetId={comment._id}
+        />
+
+        {replying && (
+          <CommentForm
+            postId={postId}
+            parent={comment._id}
+            submitLabel="Reply"
+            onDone={() => setReplying(false)}
+            onCancel={() => setReplying(false)}
+          />
+        )}
+
+        {/* Replies */}
+        {replies?.items.length > 0 && (
+          <Box sx={{ mt: 1, pl: 1, borderLeft: 2, borderColor: "divider" }}>
+            {replies.items.map((reply) => (
+              <CommentItem key={reply._id} comment={reply} postId={postId} />
+            ))}
+          </Box>
+        )}
+
+        {unloadedReplies > 0 && (
+          <Button
+            size="small"
+            onClick={() =>
+              loadReplies(replies ? replies.pagination.page + 1 : 1)
+            }
+            disabled={loadingReplies}
+          >
+            {loadingReplies ? (
+              <CircularProgress size={16} />
+            ) : (
+              `View ${unloadedReplies} ${unloadedReplies === 1 ? "reply" : "replies"}`
+            )}
+          </Button>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+const CommentThread = ({ postId }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const { threads, loading, error } = useSelector((state) => state.comments);
+  const { currentPost } = useSelector((state) => state.posts);
+  const rootThread = threads[ROOT_THREAD];
+  const isModerator =
+    user?.isAdmin || user?.role === "admin" || user?.role === "moderator";
+  const isLocked =
+    currentPost?._id === postId && currentPost.metadata?.isLocked;
+
+  useEffect(() => {
+    if (postId) {
+      dispatch(fetchComments({ postId, page: 1 }));
+    }
+    return () => {
+      dispatch(clearComments());
+    };
+  }, [dispatch, postId]);
+
+  const handleLoadMore = () => {
+    dispatch(fetchComments({ postId, page: rootThread.pagination.page + 1 }));
+  };
+
+  return (
+    <Box sx={{ mt: 4 }}>
+      <Typography variant="h6" fontWeight={600} gutterBottom>
+        Comments
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {isLocked && !isModerator ? (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          This thread is locked. New comments are turned off.
+        </Typography>
+      ) : user ? (
+        <CommentForm postId={postId} />
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          <Link to="/login">Log in</Link> to join the discussion.
+        </Typography>
+      )}
+
+      {loading && !rootThread ? (
+        Array.from({ length: 3 }).map((_, index) => (
+          <CommentSkeleton key={index} />
+        ))
+      ) : rootThread?.items.length > 0 ? (
+        <>
+          {rootThread.items.map((comment) => (
+            <CommentItem key={comment._id} comment={comment} postId={postId} />
+          ))}
+          {rootThread.pagination.page < rootThread.pagination.pages && (
+            <Box sx={{ display: "flex", justifyContent: "center" }}>
+              <Button
+                variant="outlined"
+                onClick={handleLoadMore}
+                disabled={loading}
+              >
+                Load More Comments
+              </Button>
+            </Box>
+          )}
+        </>
+      ) : (
+        <Typography variant="body2" color="text.secondary">
+          No comments yet. Be the first to reply!
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default CommentThread;
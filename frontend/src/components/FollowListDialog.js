@@ -0,0 +1,136 @@
+import React, { useEffect } from "react";
+import { Link } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Button,
+  Box,
+  Typography,
+  CircularProgress,
+} from "@mui/material";
+import {
+  fetchFollowList,
+  followUser,
+  unfollowUser,
+} from "../slices/usersSlice";
+
+// listType is "followers" or "following"
+const FollowListDialog = ({ userId, listType, open, onClose }) => {
+  const dispatch = useDispatch();
+  const { users, pagination, loading } = useSelector(
+    (state) => state.users.followList,
+  );
+  const { user } = useSelector((state) => state.auth);
+
+  useEffect(() => {
+    if (open) {
+      dispatch(fetchFollowList({ userId, listType, page: 1 }));
+    }
+  }, [dispatch, open, userId, listType]);
+
+  const handleToggleFollow = (listedUser) => {
+    dispatch(
+      listedUser.isFollowing
+        ? unfollowUser(listedUser._id)
+        : followUser(listedUser._id),
+    );
+  };
+
+  const hasMore = pagination && pagination.page < pagination.pages;
+
+  return (
+    <Dialog open={open} onClose={onClose} fullWidth maxWidth="xs">
+      <DialogTitle>
+        {listType === "followers" ? "Followers" : "Following"}
+      </DialogTitle>
+      <DialogContent dividers sx={{ p: 0 }}>
+        {!loading && users.length === 0 ? (
+          <Box sx={{ p: 4, textAlign: "center" }}>
+            <Typography color="text.secondary">
+              {listType === "followers"
+                ? "No followers yet"
+                : "Not following anyone yet"}
+            </Typography>
+          </Box>
+        ) : (
+          <List>
+            {users.map((listedUser) => (
+              <ListItem
+                key={listedUser._id}
+                secondaryAction={
+                  user &&
+                  user._id !== listedUser._id && (
+                    <Button
+                      size="small"
+                      variant={
+                        listedUser.isFollowing ? "outlined" : "contained"
+                      }
+                      onClick={() => handleToggleFollow(listedUser)}
+                    >
+                      {listedUser.isFollowing ? "Following" : "Follow"}
+                    </Button>
+                  )
+                }
+              >
+                <ListItemAvatar>
+                  <Avatar src={listedUser.profile?.avatar}>
+                    {listedUser.username?.charAt(0).toUpperCase()}
+                  </Avatar>
+                </ListItemAvatar>
+                <ListItemText
+                  primary={
+                    <Typography
+                      component={Link}
+                      to={`/profile/${listedUser._id}`}
+                      onClick={onClose}
+                      sx={{
+                        textDecoration: "none",
+                        color: "inherit",
+                        fontWeight: 600,
+                      }}
+                    >
+                      {listedUser.username}
+                    </Typography>
+                  }
+                  secondary={`${listedUser.stats?.followerCount || 0} followers`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {loading && (
+          <Box sx={{ display: "flex", justifyContent: "center", py: 2 }}>
+            <CircularProgress size={28} />
+          </Box>
+        )}
+        {hasMore && !loading && (
+          <Box sx={{ textAlign: "center", py: 1 }}>
+            <Button
+              onClick={() =>
+                dispatch(
+                  fetchFollowList({
+                    userId,
+                    listType,
+                    page: pagination.page + 1,
+                  }),
+                )
+              }
+            >
+              Load more
+            </Button>
+          </Box>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default FollowListDialog;
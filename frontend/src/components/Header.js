@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import {
@@ -20,6 +20,8 @@ import {
   ListItemIcon,
   ListItemText,
   Divider,
+  Badge,
+  Tooltip,
 } from "@mui/material";
 import {
   DarkMode,
@@ -31,8 +33,12 @@ import {
   AddCircle,
   Logout,
   Login,
+  MailOutline,
+  EditNote,
+  DeleteOutline,
 } from "@mui/icons-material";
 import { logout } from "../slices/authSlice";
+import { fetchUnreadMessageCount } from "../slices/messagesSlice";
 import NotificationPanel from "./NotificationPanel";
 
 const Header = ({ darkMode, toggleDarkMode, user }) => {
@@ -41,10 +47,19 @@ const Header = ({ darkMode, toggleDarkMode, user }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { isAuthenticated } = useSelector((state) => state.auth);
+  const unreadMessages = useSelector((state) => state.messages.unreadCount);
+  const isAdmin = user?.isAdmin || user?.role === "admin";
 
   const [mobileOpen, setMobileOpen] = useState(false);
   const [anchorEl, setAnchorEl] = useState(null);
 
+  // Later changes arrive over the notification stream
+  useEffect(() => {
+    if (isAuthenticated) {
+      dispatch(fetchUnreadMessageCount());
+    }
+  }, [dispatch, isAuthenticated]);
+
   const handleDrawerToggle = () => {
     setMobileOpen(!mobileOpen);
   };
@@ -70,6 +85,17 @@ const Header = ({ darkMode, toggleDarkMode, user }) => {
 
   const authMenuItems = [
     { text: "Create Post", icon: <AddCircle />, path: "/create" },
+    { text: "My Drafts", icon: <EditNote />, path: "/drafts" },
+    { text: "Trash", icon: <DeleteOutline />, path: "/trash" },
+    {
+      text: "Messages",
+      icon: (
+        <Badge badgeContent={unreadMessages} color="error">
+          <MailOutline />
+        </Badge>
+      ),
+      path: "/messages",
+    },
     {
       text: "Profile",
       icon: <Person />,
@@ -181,6 +207,18 @@ const Header = ({ darkMode, toggleDarkMode, user }) => {
                   >
                     New Post
                   </Button>
+                  <Tooltip title="Messages">
+                    <IconButton
+                      color="inherit"
+                      component={Link}
+                      to="/messages"
+                      sx={{ ml: 1 }}
+                    >
+                      <Badge badgeContent={unreadMessages} color="error">
+                        <MailOutline />
+                      </Badge>
+                    </IconButton>
+                  </Tooltip>
                   <NotificationPanel />
                   <IconButton onClick={handleMenuOpen}>
                     <Avatar src={user?.profile?.avatar} alt={user?.username}>
@@ -210,7 +248,27 @@ const Header = ({ darkMode, toggleDarkMode, user }) => {
                       </ListItemIcon>
                       Profile
                     </MenuItem>
-                    {user?.isAdmin && (
+                    <MenuItem
+                      component={Link}
+                      to="/drafts"
+                      onClick={handleMenuClose}
+                    >
+                      <ListItemIcon>
+                        <EditNote fontSize="small" />
+                      </ListItemIcon>
+                      My Drafts
+                    </MenuItem>
+                    <MenuItem
+                      component={Link}
+                      to="/trash"
+                      onClick={handleMenuClose}
+                    >
+                      <ListItemIcon>
+                        <DeleteOutline fontSize="small" />
+                      </ListItemIcon>
+                      Trash
+                    </MenuItem>
+                    {(isAdmin || user?.role === "moderator") && (
                       <MenuItem
                         component={Link}
                         to="/admin"
@@ -219,7 +277,7 @@ const Header = ({ darkMode, toggleDarkMode, user }) => {
                         <ListItemIcon>
                           <Person fontSize="small" />
                         </ListItemIcon>
-                        Admin Dashboard
+                        {isAdmin ? "Admin Dashboard" : "Moderation Queue"}
                       </MenuItem>
                     )}
                     <MenuItem onClick={handleLogout}>
@@ -0,0 +1,80 @@
+import React from "react";
+import { Typography } from "@mui/material";
+
+// Styles for the elements the server allows in rendered posts
+const markdownStyles = {
+  lineHeight: 1.8,
+  wordBreak: "break-word",
+  "& > :first-of-type": { mt: 0 },
+  "& > :last-child": { mb: 0 },
+  "& h1, & h2, & h3, & h4, & h5, & h6": {
+    lineHeight: 1.3,
+    mt: 3,
+    mb: 1.5,
+  },
+  "& h1": { fontSize: "1.75rem" },
+  "& h2": { fontSize: "1.5rem" },
+  "& h3": { fontSize: "1.25rem" },
+  "& h4, & h5, & h6": { fontSize: "1rem" },
+  "& p": { my: 1.5 },
+  "& a": { color: "primary.main" },
+  "& img": { maxWidth: "100%", borderRadius: 1 },
+  "& blockquote": {
+    mx: 0,
+    my: 2,
+    pl: 2,
+    borderLeft: 4,
+    borderColor: "divider",
+    color: "text.secondary",
+  },
+  "& code": {
+    fontFamily: "monospace",
+    fontSize: "0.9em",
+    px: 0.5,
+    borderRadius: 0.5,
+    bgcolor: "action.hover",
+  },
+  "& pre": {
+    p: 2,
+    overflowX: "auto",
+    borderRadius: 1,
+    bgcolor: "action.hover",
+  },
+  "& pre code": { p: 0, bgcolor: "transparent" },
+  "& ul, & ol": { pl: 3 },
+  "& li:has(> input[type=checkbox])": { listStyle: "none", ml: -3 },
+  "& table": {
+    borderCollapse: "collapse",
+    display: "block",
+    overflowX: "auto",
+    my: 2,
+  },
+  "& th, & td": { border: 1, borderColor: "divider", px: 1.5, py: 0.75 },
+  "& hr": { border: 0, borderTop: 1, borderColor: "divider", my: 3 },
+};
+
+// Post body rendered from Markdown. The HTML comes from the API, which
+// sanitizes it; posts without rendered HTML fall back to plain text.
+const MarkdownContent = ({ html, fallback, sx }) => {
+  if (!html) {
+    return (
+      <Typography
+        variant="body1"
+        sx={{ whiteSpace: "pre-wrap", lineHeight: 1.8, ...sx }}
+      >
+        {fallback}
+      </Typography>
+    );
+  }
+
+  return (
+    <Typography
+      component="div"
+      variant="body1"
+      sx={{ ...markdownStyles, ...sx }}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+export default MarkdownContent;
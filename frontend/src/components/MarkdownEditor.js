@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import {
+  Box,
+  Grid,
+  Paper,
+  TextField,
+  Typography,
+  CircularProgress,
+} from "@mui/material";
+import api from "../api";
+import MarkdownContent from "./MarkdownContent";
+
+// Wait this long after the last keystroke before refreshing the preview
+const PREVIEW_DELAY = 400;
+
+// Markdown text field with a live preview rendered by the server, so the
+// preview matches what readers will see
+const MarkdownEditor = ({
+  name = "content",
+  label = "Content",
+  value,
+  onChange,
+  error,
+  helperText,
+  rows = 14,
+}) => {
+  const [html, setHtml] = useState("");
+  const [previewing, setPreviewing] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+
+  useEffect(() => {
+    if (!value.trim()) {
+      setHtml("");
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setPreviewing(true);
+      try {
+        const response = await api.post("/posts/preview", { content: value });
+        if (!cancelled) {
+          setHtml(response.data.data.html);
+          setPreviewError(null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreviewError(
+            err.response?.data?.error?.message || "Preview unavailable",
+          );
+        }
+      }
+      if (!cancelled) setPreviewing(false);
+    }, PREVIEW_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value]);
+
+  return (
+    <Grid container spacing={2} sx={{ mb: 3 }}>
+      <Grid item xs={12} md={6}>
+        <TextField
+          fullWidth
+          label={label}
+          name={name}
+          value={value}
+          onChange={onChange}
+          error={error}
+          helperText={
+            helperText ||
+            "Markdown supported: **bold**, _italic_, # headings, lists, > quotes, `code`, [links](https://...) and tables"
+          }
+          multiline
+          rows={rows}
+          InputProps={{ sx: { fontFamily: "monospace", fontSize: 14 } }}
+        />
+      </Grid>
+      <Grid item xs={12} md={6}>
+        <Paper
+          variant="outlined"
+          sx={{
+            p: 2,
+            height: "100%",
+            minHeight: 200,
+            maxHeight: rows * 23 + 33,
+            overflowY: "auto",
+          }}
+        >
+          <Box
+            sx={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              mb: 1,
+            }}
+          >
+            <Typography variant="overline" color="text.secondary">
+              Preview
+            </Typography>
+            {previewing && <CircularProgress size={14} />}
+          </Box>
+          {previewError ? (
+            <Typography variant="body2" color="error">
+              {previewError}
+            </Typography>
+          ) : html ? (
+            <MarkdownContent html={html} />
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              Nothing to preview yet
+            </Typography>
+          )}
+        </Paper>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,364 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Paper,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CardActions,
+  Chip,
+  Avatar,
+  Tabs,
+  Tab,
+  TextField,
+  MenuItem,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Alert,
+  Typography,
+} from "@mui/material";
+import {
+  Refresh,
+  DoneAll,
+  DeleteForever,
+  Warning,
+  Block,
+} from "@mui/icons-material";
+import api from "../api";
+import { REPORT_REASON_LABELS } from "./ReportDialog";
+
+const TARGET_TYPE_LABELS = {
+  post: "Post",
+  photo: "Photo",
+  comment: "Comment",
+  user: "Member",
+};
+
+const ACTIONS = {
+  dismiss: { label: "Dismiss", icon: <DoneAll />, color: "inherit" },
+  remove: { label: "Remove Content", icon: <DeleteForever />, color: "error" },
+  warn: { label: "Warn Author", icon: <Warning />, color: "warning" },
+  suspend: { label: "Suspend Author", icon: <Block />, color: "error" },
+};
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const ReportCard = ({ report, onAction }) => {
+  const summary = report.targetSummary;
+  const author = report.targetUser;
+  const suspendedUntil = author?.moderation?.suspendedUntil;
+
+  return (
+    <Card variant="outlined" sx={{ mb: 2 }}>
+      <CardContent>
+        <Box
+          sx={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: 1,
+            mb: 1,
+          }}
+        >
+          <Chip size="small" label={TARGET_TYPE_LABELS[report.targetType]} />
+          <Chip
+            size="small"
+            color="error"
+            variant="outlined"
+            label={REPORT_REASON_LABELS[report.reason]}
+          />
+          {report.openReportCount > 1 && (
+            <Chip
+              size="small"
+              color="warning"
+              label={`${report.openReportCount} open reports`}
+            />
+          )}
+          <Typography
+            variant="caption"
+            color="text.secondary"
+            sx={{ ml: "auto" }}
+          >
+            Reported by {report.reporter?.username || "[deleted]"} ·{" "}
+            {formatDate(report.createdAt)}
+          </Typography>
+        </Box>
+
+        {report.details && (
+          <Typography variant="body2" sx={{ mb: 1.5, fontStyle: "italic" }}>
+            “{report.details}”
+          </Typography>
+        )}
+
+        <Paper variant="outlined" sx={{ p: 1.5, display: "flex", gap: 1.5 }}>
+          {summary?.image && (
+            <Avatar
+              src={summary.image}
+              variant={report.targetType === "user" ? "circular" : "rounded"}
+              sx={{ width: 56, height: 56 }}
+            />
+          )}
+          <Box sx={{ minWidth: 0 }}>
+            {summary ? (
+              <>
+                {summary.title && (
+                  <Typography
+                    variant="subtitle2"
+                    component={Link}
+                    to={summary.link}
+                    target="_blank"
+                    sx={{ color: "inherit" }}
+                  >
+                    {summary.title}
+                  </Typography>
+                )}
+                {summary.excerpt && (
+                  <Typography
+                    variant="body2"
+                    color="text.secondary"
+                    sx={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}
+                  >
+                    {summary.excerpt}
+                  </Typography>
+                )}
+                {!summary.title && (
+                  <Button
+                    size="small"
+                    component={Link}
+                    to={summary.link}
+                    target="_blank"
+                    sx={{ px: 0 }}
+                  >
+                    View in context
+                  </Button>
+                )}
+              </>
+            ) : (
+              <Typography variant="body2" color="text.secondary">
+                This content has already been removed.
+              </Typography>
+            )}
+            <Typography
+              variant="caption"
+              color="text.secondary"
+              sx={{ display: "block", mt: 0.5 }}
+            >
+              Author: {author?.username || "[deleted]"}
+              {author?.moderation?.warningCount > 0 &&
+                ` · ${author.moderation.warningCount} previous warnings`}
+              {suspendedUntil &&
+                new Date(suspendedUntil) > new Date() &&
+                ` · suspended until ${formatDate(suspendedUntil)}`}
+            </Typography>
+          </Box>
+        </Paper>
+
+        {report.status === "resolved" && report.resolution && (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1.5 }}>
+            {ACTIONS[report.resolution.action]?.label} by{" "}
+            {report.resolution.resolvedBy?.username || "a moderator"} on{" "}
+            {formatDate(report.resolution.resolvedAt)}
+            {report.resolution.note && ` — ${report.resolution.note}`}
+          </Typography>
+        )}
+      </CardContent>
+
+      {report.status === "open" && (
+        <CardActions sx={{ flexWrap: "wrap" }}>
+          {Object.entries(ACTIONS)
+            .filter(
+              ([action]) =>
+                !(action === "remove" && report.targetType === "user"),
+            )
+            .map(([action, { label, icon, color }]) => (
+              <Button
+                key={action}
+                size="small"
+                color={color}
+                startIcon={icon}
+                onClick={() => onAction(report, action)}
+              >
+                {label}
+              </Button>
+            ))}
+        </CardActions>
+      )}
+    </Card>
+  );
+};
+
+// Admin tab where moderators work through member reports
+const ModerationQueue = () => {
+  const [reports, setReports] = useState([]);
+  const [status, setStatus] = useState("open");
+  const [targetType, setTargetType] = useState("");
+  const [pending, setPending] = useState(null);
+  const [note, setNote] = useState("");
+  const [suspendDays, setSuspendDays] = useState(7);
+  const [message, setMessage] = useState(null);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      const params = { status, limit: 50 };
+      if (targetType) params.targetType = targetType;
+      const response = await api.get("/reports", { params });
+      setReports(response.data.data.reports);
+    } catch (err) {
+      console.error("Failed to fetch reports:", err);
+    }
+  }, [status, targetType]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const openAction = (report, action) => {
+    setPending({ report, action });
+    setNote("");
+    setSuspendDays(7);
+  };
+
+  const handleResolve = async () => {
+    const { report, action } = pending;
+    try {
+      const response = await api.put(`/reports/${report._id}/resolve`, {
+        action,
+        note,
+        ...(action === "suspend" && { suspendDays }),
+      });
+      setMessage({ severity: "success", text: response.data.message });
+      setPending(null);
+      fetchReports();
+    } catch (err) {
+      setMessage({
+        severity: "error",
+        text: err.response?.data?.error?.message || "Failed to resolve report",
+      });
+      setPending(null);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box
+        sx={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 2,
+          mb: 2,
+        }}
+      >
+        <Tabs value={status} onChange={(e, v) => setStatus(v)}>
+          <Tab value="open" label="Open" />
+          <Tab value="resolved" label="Resolved" />
+        </Tabs>
+        <TextField
+          select
+          size="small"
+          label="Type"
+          value={targetType}
+          onChange={(e) => setTargetType(e.target.value)}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {Object.entries(TARGET_TYPE_LABELS).map(([value, label]) => (
+            <MenuItem key={value} value={value}>
+              {label}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button
+          startIcon={<Refresh />}
+          onClick={fetchReports}
+          sx={{ ml: "auto" }}
+        >
+          Refresh
+        </Button>
+      </Box>
+
+      {message && (
+        <Alert
+          severity={message.severity}
+          sx={{ mb: 2 }}
+          onClose={() => setMessage(null)}
+        >
+          {message.text}
+        </Alert>
+      )}
+
+      {reports.length === 0 ? (
+        <Typography color="text.secondary" sx={{ py: 4, textAlign: "center" }}>
+          {status === "open"
+            ? "No open reports. The queue is clear."
+            : "No resolved reports yet."}
+        </Typography>
+      ) : (
+        reports.map((report) => (
+          <ReportCard key={report._id} report={report} onAction={openAction} />
+        ))
+      )}
+
+      <Dialog
+        open={Boolean(pending)}
+        onClose={() => setPending(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>{pending && ACTIONS[pending.action].label}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            This closes every open report about the same{" "}
+            {pending &&
+              TARGET_TYPE_LABELS[pending.report.targetType].toLowerCase()}{" "}
+            and notifies the reporters.
+          </Typography>
+          {pending?.action === "suspend" && (
+            <TextField
+              type="number"
+              label="Days"
+              value={suspendDays}
+              onChange={(e) => setSuspendDays(parseInt(e.target.value) || 1)}
+              inputProps={{ min: 1, max: 365 }}
+              sx={{ mb: 2 }}
+            />
+          )}
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label={
+              ["warn", "suspend"].includes(pending?.action)
+                ? "Message to the author (optional)"
+                : "Note (optional)"
+            }
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            inputProps={{ maxLength: 1000 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPending(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={pending ? ACTIONS[pending.action].color : "primary"}
+            onClick={handleResolve}
+          >
+            Confirm
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default ModerationQueue;
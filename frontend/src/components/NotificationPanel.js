@@ -29,9 +29,71 @@ import {
   fetchUnreadCount,
   markAsRead,
   markAllAsRead,
+  connectNotificationStream,
+  disconnectNotificationStream,
 } from "../slices/notificationsSlice";
 import { NotificationSkeleton } from "./Skeleton";
 
+export const getNotificationIcon = (type) => {
+  switch (type) {
+    case "like":
+      return "❤️";
+    case "comment":
+      return "💬";
+    case "reply":
+      return "↩️";
+    case "follow":
+      return "👤";
+    case "mention":
+      return "@";
+    case "bookmark":
+      return "🔖";
+    case "board":
+      return "📋";
+    case "message":
+      return "✉️";
+    default:
+      return "🔔";
+  }
+};
+
+// "Alice", "Alice and Bob" or "Alice and 12 others" for grouped notifications
+export const formatActors = (notification) => {
+  const name =
+    notification.fromUser?.username ||
+    (notification.type === "system" ? "Aqua Forum" : "Someone");
+  const others = (notification.actorCount || 1) - 1;
+  if (others <= 0) return name;
+  if (others === 1) {
+    const other = notification.actors?.find(
+      (actor) => actor._id !== notification.fromUser?._id,
+    );
+    if (other?.username) return `${name} and ${other.username}`;
+  }
+  return `${name} and ${others} ${others === 1 ? "other" : "others"}`;
+};
+
+// Where clicking a notification should take the user
+export const getNotificationPath = (notification) => {
+  // Badge awards open the recipient's own profile
+  if (notification.metadata?.badge) {
+    return `/profile/${notification.user}`;
+  }
+  if (notification.conversation) {
+    return `/messages/${notification.conversation._id || notification.conversation}`;
+  }
+  if (notification.post) {
+    return `/post/${notification.post._id || notification.post}`;
+  }
+  if (notification.photo) {
+    return "/gallery";
+  }
+  if (notification.board) {
+    return `/?board=${notification.board._id || notification.board}`;
+  }
+  return null;
+};
+
 const NotificationPanel = () => {
   const theme = useTheme();
   const navigate = useNavigate();
@@ -48,11 +110,9 @@ const NotificationPanel = () => {
   useEffect(() => {
     if (isAuthenticated) {
       dispatch(fetchUnreadCount());
-      // Set up polling for new notifications every 30 seconds
-      const interval = setInterval(() => {
-        dispatch(fetchUnreadCount());
-      }, 30000);
-      return () => clearInterval(interval);
+      // Live updates over SSE; the slice falls back to polling if it drops
+      dispatch(connectNotificationStream());
+      return () => dispatch(disconnectNotificationStream());
     }
   }, [isAuthenticated, dispatch]);
 
@@ -71,8 +131,9 @@ const NotificationPanel = () => {
     if (!notification.read) {
       await dispatch(markAsRead(notification._id));
     }
-    if (notification.post) {
-      navigate(`/posts/${notification.post._id || notification.post}`);
+    const path = getNotificationPath(notification);
+    if (path) {
+      navigate(path);
     }
     handleClose();
   };
@@ -81,23 +142,6 @@ const NotificationPanel = () => {
     dispatch(markAllAsRead());
   };
 
-  const getNotificationIcon = (type) => {
-    switch (type) {
-      case "like":
-        return "❤️";
-      case "comment":
-        return "💬";
-      case "reply":
-        return "↩️";
-      case "follow":
-        return "👤";
-      case "mention":
-        return "@";
-      default:
-        return "🔔";
-    }
-  };
-
   const formatTime = (date) => {
     const now = new Date();
     const diff = now - new Date(date);
@@ -234,7 +278,7 @@ const NotificationPanel = () => {
                             }}
                           >
                             <Box component="span" sx={{ fontWeight: 600 }}>
-                              {notification.fromUser?.username || "Someone"}
+                              {formatActors(notification)}
                             </Box>{" "}
                             {notification.message}
                           </Typography>
@@ -242,7 +286,9 @@ const NotificationPanel = () => {
                       }
                       secondary={
                         <Typography variant="caption" color="text.secondary">
-                          {formatTime(notification.createdAt)}
+                          {formatTime(
+                            notification.activityAt || notification.createdAt,
+                          )}
                         </Typography>
                       }
                     />
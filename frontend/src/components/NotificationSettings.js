@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Switch,
+  FormControlLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Button,
+  Alert,
+  Chip,
+  CircularProgress,
+  Grid,
+} from "@mui/material";
+import { Save } from "@mui/icons-material";
+import BoardSelector from "./BoardSelector";
+import {
+  fetchNotificationPreferences,
+  updateNotificationPreferences,
+  muteNotifications,
+} from "../slices/notificationsSlice";
+
+const TYPE_LABELS = {
+  like: "Likes",
+  comment: "Comments on your posts",
+  reply: "Replies to your comments",
+  follow: "New followers",
+  mention: "Mentions",
+  bookmark: "Bookmarks",
+  system: "System announcements",
+  board: "New posts in subscribed boards",
+  message: "Direct messages",
+};
+
+const getId = (item) => item?._id || item;
+
+const NotificationSettings = () => {
+  const dispatch = useDispatch();
+  const { preferences } = useSelector((state) => state.notifications);
+
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchNotificationPreferences());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (preferences) {
+      setForm({
+        enabled: preferences.enabled !== false,
+        types: preferences.types,
+        quietHours: {
+          ...preferences.quietHours,
+          // Suggest the browser's timezone until quiet hours are set up
+          timezone: preferences.quietHours?.enabled
+            ? preferences.quietHours.timezone
+            : Intl.DateTimeFormat().resolvedOptions().timeZone,
+        },
+        mutedBoards: (preferences.mutedBoards || []).map(getId),
+      });
+    }
+  }, [preferences]);
+
+  if (!form) {
+    return (
+      <Box sx={{ display: "flex", justifyContent: "center", py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const handleTypeChange = (type, channel) => (e) => {
+    setForm({
+      ...form,
+      types: {
+        ...form.types,
+        [type]: { ...form.types[type], [channel]: e.target.checked },
+      },
+    });
+  };
+
+  const handleQuietHoursChange = (field) => (e) => {
+    const value = field === "enabled" ? e.target.checked : e.target.value;
+    setForm({ ...form, quietHours: { ...form.quietHours, [field]: value } });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setStatus(null);
+    const result = await dispatch(updateNotificationPreferences(form));
+    setSaving(false);
+    setStatus(
+      result.error
+        ? {
+            severity: "error",
+            message:
+              result.payload?.error?.message || "Error saving preferences",
+          }
+        : { severity: "success", message: "Notification settings saved!" },
+    );
+  };
+
+  const handleUnmutePost = (postId) => {
+    dispatch(muteNotifications({ post: postId, muted: false }));
+  };
+
+  return (
+    <Card sx={{ mt: 4 }}>
+      <CardContent sx={{ p: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          Notification Settings 🔔
+        </Typography>
+
+        {status && (
+          <Alert severity={status.severity} sx={{ mb: 3 }}>
+            {status.message}
+          </Alert>
+        )}
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={form.enabled}
+              onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+            />
+          }
+          label="Receive notifications"
+        />
+
+        <Table size="small" sx={{ my: 2, opacity: form.enabled ? 1 : 0.5 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Type</TableCell>
+              <TableCell align="center">In-app</TableCell>
+              <TableCell align="center">Email</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {Object.entries(TYPE_LABELS).map(([type, label]) => (
+              <TableRow key={type}>
+                <TableCell>{label}</TableCell>
+                <TableCell align="center">
+                  <Switch
+                    size="small"
+                    checked={form.types?.[type]?.inApp !== false}
+                    onChange={handleTypeChange(type, "inApp")}
+                    disabled={!form.enabled}
+                  />
+                </TableCell>
+                <TableCell align="center">
+                  <Switch
+                    size="small"
+                    checked={Boolean(form.types?.[type]?.email)}
+                    onChange={handleTypeChange(type, "email")}
+                    disabled={!form.enabled}
+                  />
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+
+        <Typography variant="subtitle1" fontWeight={600} sx={{ mt: 3 }}>
+          Quiet Hours
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Notifications still arrive in your inbox, but without live alerts
+        </Typography>
+        <FormControlLabel
+          control={
+            <Switch
+              checked={Boolean(form.quietHours.enabled)}
+              onChange={handleQuietHoursChange("enabled")}
+            />
+          }
+          label="Enable quiet hours"
+        />
+        <Grid container spacing={2} sx={{ mt: 0.5 }}>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="time"
+              label="From"
+              value={form.quietHours.start || ""}
+              onChange={handleQuietHoursChange("start")}
+              disabled={!form.quietHours.enabled}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={6} md={3}>
+            <TextField
+              fullWidth
+              type="time"
+              label="To"
+              value={form.quietHours.end || ""}
+              onChange={handleQuietHoursChange("end")}
+              disabled={!form.quietHours.enabled}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Timezone"
+              value={form.quietHours.timezone || ""}
+              onChange={handleQuietHoursChange("timezone")}
+              disabled={!form.quietHours.enabled}
+              placeholder="e.g., Asia/Hong_Kong"
+            />
+          </Grid>
+        </Grid>
+
+        <Typography variant="subtitle1" fontWeight={600} sx={{ mt: 3, mb: 1 }}>
+          Muted Boards
+        </Typography>
+        <BoardSelector
+          selectedBoards={form.mutedBoards}
+          onChange={(mutedBoards) => setForm({ ...form, mutedBoards })}
+        />
+
+        {preferences.mutedPosts?.length > 0 && (
+          <>
+            <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 1 }}>
+              Muted Posts
+            </Typography>
+            <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+              {preferences.mutedPosts.map((post) => (
+                <Chip
+                  key={getId(post)}
+                  label={post.title || "Post"}
+                  onDelete={() => handleUnmutePost(getId(post))}
+                />
+              ))}
+            </Box>
+          </>
+        )}
+
+        <Box sx={{ mt: 4 }}>
+          <Button
+            variant="contained"
+            size="large"
+            startIcon={
+              saving ? <CircularProgress size={20} color="inherit" /> : <Save />
+            }
+            onClick={handleSave}
+            disabled={saving}
+          >
+            Save Notification Settings
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,153 @@
+import React from "react";
+import {
+  Box,
+  Paper,
+  Button,
+  IconButton,
+  TextField,
+  Typography,
+  FormControlLabel,
+  Switch,
+} from "@mui/material";
+import { Poll, Add, Close, Delete } from "@mui/icons-material";
+
+export const MAX_POLL_OPTIONS = 10;
+
+export const emptyPoll = () => ({
+  question: "",
+  options: ["", ""],
+  multiple: false,
+  closesAt: "",
+});
+
+// Poll builder for the post form. `value` is null until a poll is added;
+// closesAt is a datetime-local string.
+const PollEditor = ({ value, onChange, error, minCloseDate }) => {
+  if (!value) {
+    return (
+      <Button
+        variant="outlined"
+        startIcon={<Poll />}
+        onClick={() => onChange(emptyPoll())}
+        sx={{ mb: 3 }}
+      >
+        Add Poll
+      </Button>
+    );
+  }
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const updateOption = (index, text) =>
+    update({
+      options: value.options.map((option, i) => (i === index ? text : option)),
+    });
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          mb: 2,
+        }}
+      >
+        <Typography variant="subtitle1" fontWeight={600}>
+          Poll
+        </Typography>
+        <Button
+          size="small"
+          color="error"
+          startIcon={<Delete />}
+          onClick={() => onChange(null)}
+        >
+          Remove Poll
+        </Button>
+      </Box>
+
+      <TextField
+        fullWidth
+        size="small"
+        label="Question"
+        value={value.question}
+        onChange={(e) => update({ question: e.target.value })}
+        placeholder="e.g., Which canister filter should I buy?"
+        inputProps={{ maxLength: 200 }}
+        sx={{ mb: 2 }}
+      />
+
+      {value.options.map((option, index) => (
+        <Box key={index} sx={{ display: "flex", gap: 1, mb: 1 }}>
+          <TextField
+            fullWidth
+            size="small"
+            label={`Option ${index + 1}`}
+            value={option}
+            onChange={(e) => updateOption(index, e.target.value)}
+            inputProps={{ maxLength: 100 }}
+          />
+          <IconButton
+            aria-label="remove option"
+            onClick={() =>
+              update({ options: value.options.filter((_, i) => i !== index) })
+            }
+            disabled={value.options.length <= 2}
+          >
+            <Close />
+          </IconButton>
+        </Box>
+      ))}
+
+      <Button
+        size="small"
+        startIcon={<Add />}
+        onClick={() => update({ options: [...value.options, ""] })}
+        disabled={value.options.length >= MAX_POLL_OPTIONS}
+        sx={{ mb: 2 }}
+      >
+        Add Option
+      </Button>
+
+      <Box
+        sx={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 2,
+        }}
+      >
+        <FormControlLabel
+          control={
+            <Switch
+              checked={value.multiple}
+              onChange={(e) => update({ multiple: e.target.checked })}
+            />
+          }
+          label="Allow multiple choices"
+        />
+        <TextField
+          type="datetime-local"
+          size="small"
+          label="Closes (optional)"
+          value={value.closesAt}
+          onChange={(e) => update({ closesAt: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+          inputProps={{ min: minCloseDate }}
+        />
+      </Box>
+
+      {error && (
+        <Typography
+          variant="caption"
+          color="error"
+          sx={{ display: "block", mt: 1 }}
+        >
+          {error}
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default PollEditor;
@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { useDispatch } from "react-redux";
+import {
+  Button,
+  Menu,
+  MenuItem,
+  ListItemIcon,
+  ListItemText,
+  Divider,
+} from "@mui/material";
+import {
+  Shield,
+  PushPin,
+  Lock,
+  LockOpen,
+  DriveFileMove,
+  MergeType,
+  CallSplit,
+} from "@mui/icons-material";
+import { pinPost, lockPost } from "../slices/postsSlice";
+import ThreadToolsDialog from "./ThreadToolsDialog";
+
+// Moderator actions for a post: pin everywhere or per board, lock the
+// thread, and move, merge or split it
+const PostModerationMenu = ({ post, onError }) => {
+  const dispatch = useDispatch();
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [toolMode, setToolMode] = useState(null);
+
+  const { isPinned, pinnedBoards = [], isLocked } = post.metadata || {};
+
+  const runAction = async (action) => {
+    setAnchorEl(null);
+    const result = await dispatch(action);
+    if (result.error) {
+      onError?.(result.payload);
+    }
+  };
+
+  const openTool = (mode) => {
+    setAnchorEl(null);
+    setToolMode(mode);
+  };
+
+  return (
+    <>
+      <Button
+        startIcon={<Shield />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+        sx={{ mr: 1 }}
+      >
+        Moderate
+      </Button>
+      <Menu
+        anchorEl={anchorEl}
+        open={Boolean(anchorEl)}
+        onClose={() => setAnchorEl(null)}
+      >
+        <MenuItem
+          onClick={() =>
+            runAction(pinPost({ postId: post._id, isPinned: !isPinned }))
+          }
+        >
+          <ListItemIcon>
+            <PushPin fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>
+            {isPinned ? "Unpin everywhere" : "Pin everywhere"}
+          </ListItemText>
+        </MenuItem>
+        {post.boards?.map((board) => {
+          const pinnedHere = pinnedBoards.includes(board._id);
+          return (
+            <MenuItem
+              key={board._id}
+              onClick={() =>
+                runAction(
+                  pinPost({
+                    postId: post._id,
+                    isPinned: !pinnedHere,
+                    board: board._id,
+                  }),
+                )
+              }
+            >
+              <ListItemIcon>
+                <PushPin fontSize="small" color="disabled" />
+              </ListItemIcon>
+              <ListItemText>
+                {pinnedHere ? "Unpin from" : "Pin in"} {board.icon} {board.name}
+              </ListItemText>
+            </MenuItem>
+          );
+        })}
+        <Divider />
+        <MenuItem
+          onClick={() =>
+            runAction(lockPost({ postId: post._id, isLocked: !isLocked }))
+          }
+        >
+          <ListItemIcon>
+            {isLocked ? (
+              <LockOpen fontSize="small" />
+            ) : (
+              <Lock fontSize="small" />
+            )}
+          </ListItemIcon>
+          <ListItemText>
+            {isLocked ? "Unlock thread" : "Lock thread"}
+          </ListItemText>
+        </MenuItem>
+        <Divider />
+        <MenuItem onClick={() => openTool("move")}>
+          <ListItemIcon>
+            <DriveFileMove fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Move to boards…</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={() => openTool("merge")}>
+          <ListItemIcon>
+            <MergeType fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Merge into thread…</ListItemText>
+        </MenuItem>
+        <MenuItem onClick={() => openTool("split")}>
+          <ListItemIcon>
+            <CallSplit fontSize="small" />
+          </ListItemIcon>
+          <ListItemText>Split replies…</ListItemText>
+        </MenuItem>
+      </Menu>
+      {toolMode && (
+        <ThreadToolsDialog
+          mode={toolMode}
+          post={post}
+          onClose={() => setToolMode(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default PostModerationMenu;
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from "react";
+import { useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import {
+  Card,
+  CardContent,
+  Box,
+  Button,
+  Typography,
+  Radio,
+  RadioGroup,
+  Checkbox,
+  FormControlLabel,
+  FormGroup,
+  LinearProgress,
+  Alert,
+} from "@mui/material";
+import { Poll, CheckCircle } from "@mui/icons-material";
+import api from "../api";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const PollResults = ({ poll }) => (
+  <Box>
+    {poll.options.map((option) => {
+      const percent = poll.totalVoters
+        ? Math.round((option.votes / poll.totalVoters) * 100)
+        : 0;
+      const mine = poll.myVotes.includes(option._id);
+
+      return (
+        <Box key={option._id} sx={{ mb: 1.5 }}>
+          <Box
+            sx={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              mb: 0.5,
+            }}
+          >
+            <Typography
+              variant="body2"
+              fontWeight={mine ? 600 : 400}
+              sx={{ display: "flex", alignItems: "center", gap: 0.5 }}
+            >
+              {option.text}
+              {mine && <CheckCircle color="primary" sx={{ fontSize: 16 }} />}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {percent}% ({option.votes})
+            </Typography>
+          </Box>
+          <LinearProgress
+            variant="determinate"
+            value={percent}
+            sx={{ height: 8, borderRadius: 4 }}
+          />
+        </Box>
+      );
+    })}
+  </Box>
+);
+
+// Poll attached to a post: a ballot until the reader votes, then the tally
+const PostPoll = ({ postId }) => {
+  const { user } = useSelector((state) => state.auth);
+  const [poll, setPoll] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchPoll = async () => {
+      try {
+        const response = await api.get(`/posts/${postId}/poll`);
+        setPoll(response.data.data);
+      } catch (err) {
+        setError(err.response?.data?.error?.message || "Failed to load poll");
+      }
+    };
+    fetchPoll();
+  }, [postId, user]);
+
+  const handleToggle = (optionId) => {
+    if (!poll.multiple) {
+      setSelected([optionId]);
+      return;
+    }
+    setSelected((prev) =>
+      prev.includes(optionId)
+        ? prev.filter((id) => id !== optionId)
+        : [...prev, optionId],
+    );
+  };
+
+  const handleVote = async () => {
+    setSubmitting(true);
+    try {
+      const response = await api.post(`/posts/${postId}/poll/vote`, {
+        options: selected,
+      });
+      setPoll(response.data.data);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || "Failed to vote");
+    }
+    setSubmitting(false);
+  };
+
+  if (!poll) {
+    return error ? (
+      <Alert severity="error" sx={{ mb: 3 }}>
+        {error}
+      </Alert>
+    ) : null;
+  }
+
+  const canVote = user && !poll.hasVoted && !poll.isClosed;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 0.5 }}>
+          <Poll color="primary" />
+          <Typography variant="h6" fontWeight={600}>
+            {poll.question}
+          </Typography>
+        </Box>
+        <Typography
+          variant="caption"
+          color="text.secondary"
+          sx={{ display: "block", mb: 2 }}
+        >
+          {poll.multiple ? "Choose one or more" : "Choose one"}
+          {poll.resultsVisible &&
+            ` · ${poll.totalVoters} ${poll.totalVoters === 1 ? "voter" : "voters"}`}
+          {poll.closesAt &&
+            ` · ${poll.isClosed ? "Closed" : "Closes"} ${formatDate(poll.closesAt)}`}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {poll.resultsVisible ? (
+          <PollResults poll={poll} />
+        ) : canVote ? (
+          <>
+            {poll.multiple ? (
+              <FormGroup>
+                {poll.options.map((option) => (
+                  <FormControlLabel
+                    key={option._id}
+                    control={
+                      <Checkbox
+                        checked={selected.includes(option._id)}
+                        onChange={() => handleToggle(option._id)}
+                      />
+                    }
+                    label={option.text}
+                  />
+                ))}
+              </FormGroup>
+            ) : (
+              <RadioGroup
+                value={selected[0] || ""}
+                onChange={(e) => handleToggle(e.target.value)}
+              >
+                {poll.options.map((option) => (
+                  <FormControlLabel
+                    key={option._id}
+                    value={option._id}
+                    control={<Radio />}
+                    label={option.text}
+                  />
+                ))}
+              </RadioGroup>
+            )}
+            <Box sx={{ display: "flex", alignItems: "center", gap: 2, mt: 1 }}>
+              <Button
+                variant="contained"
+                onClick={handleVote}
+                disabled={selected.length === 0 || submitting}
+              >
+                Vote
+              </Button>
+              <Typography variant="caption" color="text.secondary">
+                Results are shown after you vote
+              </Typography>
+            </Box>
+          </>
+        ) : (
+          <>
+            {poll.options.map((option) => (
+              <Typography key={option._id} variant="body2" sx={{ mb: 0.5 }}>
+                • {option.text}
+              </Typography>
+            ))}
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              <Link to="/login">Log in</Link> to vote and see the results
+            </Typography>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PostPoll;
@@ -0,0 +1,258 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  Chip,
+  TextField,
+  MenuItem,
+  Typography,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { Restore } from "@mui/icons-material";
+import api from "../api";
+import { restoreRevision } from "../slices/postsSlice";
+
+const DIFF_STYLES = {
+  added: { bgcolor: "success.light", prefix: "+ " },
+  removed: {
+    bgcolor: "error.light",
+    prefix: "- ",
+    textDecoration: "line-through",
+  },
+  equal: { bgcolor: "transparent", prefix: "  " },
+};
+
+const formatRevision = (revision) =>
+  `#${revision.revision} · ${revision.editor?.username || "Unknown"} · ${new Date(
+    revision.createdAt,
+  ).toLocaleString()}`;
+
+const LineDiff = ({ changes }) => (
+  <Box
+    component="pre"
+    sx={{
+      m: 0,
+      p: 1,
+      fontFamily: "monospace",
+      fontSize: 13,
+      whiteSpace: "pre-wrap",
+      wordBreak: "break-word",
+      border: 1,
+      borderColor: "divider",
+      borderRadius: 1,
+    }}
+  >
+    {changes.map((change, index) =>
+      change.value.split("\n").map((line, lineIndex) => (
+        <Box
+          key={`${index}-${lineIndex}`}
+          sx={{
+            bgcolor: DIFF_STYLES[change.type].bgcolor,
+            textDecoration: DIFF_STYLES[change.type].textDecoration,
+          }}
+        >
+          {DIFF_STYLES[change.type].prefix}
+          {line}
+        </Box>
+      )),
+    )}
+  </Box>
+);
+
+const SetDiff = ({ label, changes, getLabel }) => {
+  if (changes.added.length === 0 && changes.removed.length === 0) return null;
+
+  return (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        {label}
+      </Typography>
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+        {changes.added.map((item) => (
+          <Chip
+            key={`added-${getLabel(item)}`}
+            size="small"
+            color="success"
+            variant="outlined"
+            label={`+ ${getLabel(item)}`}
+          />
+        ))}
+        {changes.removed.map((item) => (
+          <Chip
+            key={`removed-${getLabel(item)}`}
+            size="small"
+            color="error"
+            variant="outlined"
+            label={`- ${getLabel(item)}`}
+            sx={{ textDecoration: "line-through" }}
+          />
+        ))}
+      </Box>
+    </Box>
+  );
+};
+
+// Edit history of a post with a diff between any two revisions
+const PostRevisionHistory = ({ postId, open, onClose }) => {
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [revisions, setRevisions] = useState([]);
+  const [current, setCurrent] = useState(0);
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isModerator =
+    user?.isAdmin || user?.role === "admin" || user?.role === "moderator";
+
+  useEffect(() => {
+    if (!open) return;
+
+    const fetchRevisions = async () => {
+      try {
+        const response = await api.get(`/posts/${postId}/revisions`);
+        const { revisions: list, current: latest } = response.data.data;
+        setRevisions(list);
+        setCurrent(latest);
+        if (list.length > 0) {
+          setTo(list[0].revision);
+          setFrom(list[Math.min(1, list.length - 1)].revision);
+        }
+      } catch (err) {
+        setError(
+          err.response?.data?.error?.message || "Failed to load edit history",
+        );
+      }
+    };
+    fetchRevisions();
+  }, [open, postId]);
+
+  useEffect(() => {
+    if (!open || !from || !to) return;
+
+    const fetchDiff = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get(`/posts/${postId}/revisions/diff`, {
+          params: { from, to },
+        });
+        setDiff(response.data.data);
+        setError(null);
+      } catch (err) {
+        setError(
+          err.response?.data?.error?.message || "Failed to compare revisions",
+        );
+      }
+      setLoading(false);
+    };
+    fetchDiff();
+  }, [open, postId, from, to]);
+
+  const handleRestore = async () => {
+    if (
+      window.confirm(
+        `Restore revision ${to}? This saves it as a new revision of the post.`,
+      )
+    ) {
+      const result = await dispatch(restoreRevision({ postId, revision: to }));
+      if (result.error) {
+        setError(result.payload);
+      } else {
+        onClose();
+      }
+    }
+  };
+
+  const revisionSelect = (label, value, onChange) => (
+    <TextField
+      select
+      size="small"
+      label={label}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      sx={{ flex: 1 }}
+    >
+      {revisions.map((revision) => (
+        <MenuItem key={revision._id} value={revision.revision}>
+          {formatRevision(revision)}
+          {revision.restoredFrom && ` (restored #${revision.restoredFrom})`}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Edit History</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {revisions.length === 0 && !error ? (
+          <Typography color="text.secondary">
+            This post has not been edited.
+          </Typography>
+        ) : (
+          <>
+            <Box sx={{ display: "flex", gap: 2, pt: 1, mb: 3 }}>
+              {revisionSelect("From", from, setFrom)}
+              {revisionSelect("To", to, setTo)}
+            </Box>
+
+            {loading && (
+              <Box sx={{ display: "flex", justifyContent: "center", py: 2 }}>
+                <CircularProgress size={24} />
+              </Box>
+            )}
+
+            {diff && !loading && (
+              <>
+                <Typography variant="subtitle2" gutterBottom>
+                  Title
+                </Typography>
+                <Box sx={{ mb: 2 }}>
+                  <LineDiff changes={diff.changes.title} />
+                </Box>
+                <SetDiff
+                  label="Tags"
+                  changes={diff.changes.tags}
+                  getLabel={(tag) => tag}
+                />
+                <SetDiff
+                  label="Boards"
+                  changes={diff.changes.boards}
+                  getLabel={(board) => `${board.icon} ${board.name}`}
+                />
+                <Typography variant="subtitle2" gutterBottom>
+                  Content
+                </Typography>
+                <LineDiff changes={diff.changes.content} />
+              </>
+            )}
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {isModerator && to && to !== current && (
+          <Button startIcon={<Restore />} onClick={handleRestore}>
+            Restore Revision #{to}
+          </Button>
+        )}
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default PostRevisionHistory;
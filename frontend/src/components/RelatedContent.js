@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Paper,
+  Box,
+  Typography,
+  List,
+  ListItemButton,
+  ListItemText,
+  ImageList,
+  ImageListItem,
+  ImageListItemBar,
+  Skeleton,
+} from "@mui/material";
+import { Favorite, ChatBubble } from "@mui/icons-material";
+import api from "../api";
+
+// Sidebar of other discussions and gallery photos on the same subject
+const RelatedContent = ({ postId }) => {
+  const [related, setRelated] = useState(null);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    setRelated(null);
+
+    api
+      .get(`/posts/${postId}/related`, { signal: abortController.signal })
+      .then((response) => setRelated(response.data.data))
+      .catch((err) => {
+        if (err.name !== "CanceledError") {
+          console.error("Failed to fetch related posts:", err);
+          setRelated({ posts: [], photos: [] });
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [postId]);
+
+  if (!related) {
+    return (
+      <Paper sx={{ p: 2 }}>
+        <Skeleton variant="text" width="60%" height={28} />
+        {[1, 2, 3].map((i) => (
+          <Skeleton key={i} variant="text" />
+        ))}
+      </Paper>
+    );
+  }
+
+  if (related.posts.length === 0 && related.photos.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ position: { md: "sticky" }, top: { md: 88 } }}>
+      {related.posts.length > 0 && (
+        <Paper sx={{ p: 2, mb: 3 }}>
+          <Typography variant="h6" fontWeight={600}>
+            Related Discussions
+          </Typography>
+          <List dense disablePadding>
+            {related.posts.map((post) => (
+              <ListItemButton
+                key={post._id}
+                component={Link}
+                to={`/post/${post._id}`}
+                sx={{ px: 0, alignItems: "flex-start" }}
+              >
+                <ListItemText
+                  primary={post.title}
+                  primaryTypographyProps={{ fontWeight: 500 }}
+                  secondary={
+                    <Box
+                      component="span"
+                      sx={{ display: "flex", alignItems: "center", gap: 1 }}
+                    >
+                      <span>{post.user?.username || "[deleted]"}</span>
+                      <Favorite sx={{ fontSize: 14 }} />
+                      {post.metadata?.likeCount || 0}
+                      <ChatBubble sx={{ fontSize: 14 }} />
+                      {post.metadata?.commentCount || 0}
+                    </Box>
+                  }
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {related.photos.length > 0 && (
+        <Paper sx={{ p: 2 }}>
+          <Typography variant="h6" fontWeight={600} gutterBottom>
+            From the Gallery
+          </Typography>
+          <ImageList cols={2} gap={8} sx={{ m: 0 }}>
+            {related.photos.map((photo) => (
+              <ImageListItem
+                key={photo._id}
+                component="a"
+                href={photo.imageUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                <img
+                  src={photo.thumbnailUrl || photo.imageUrl}
+                  alt={photo.title}
+                  loading="lazy"
+                  style={{ aspectRatio: "1", objectFit: "cover" }}
+                />
+                <ImageListItemBar
+                  title={photo.title}
+                  subtitle={photo.user?.username}
+                />
+              </ImageListItem>
+            ))}
+          </ImageList>
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default RelatedContent;
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  RadioGroup,
+  Radio,
+  FormControlLabel,
+  Alert,
+  Typography,
+} from "@mui/material";
+import api from "../api";
+
+// Mirrors REPORT_REASONS in the backend Report model
+export const REPORT_REASON_LABELS = {
+  spam: "Spam or advertising",
+  harassment: "Harassment or abuse",
+  dangerous_advice: "Dangerous advice that could harm fish or people",
+  misinformation: "Misleading information",
+  inappropriate: "Inappropriate content",
+  other: "Something else",
+};
+
+const TARGET_LABELS = {
+  post: "post",
+  photo: "photo",
+  comment: "comment",
+  user: "member",
+};
+
+// Flag a post, photo, comment or member for the moderators
+const ReportDialog = ({ open, onClose, targetType, targetId }) => {
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [submitted, setSubmitted] = useState(false);
+
+  const handleClose = () => {
+    onClose();
+    setReason("");
+    setDetails("");
+    setError(null);
+    setSubmitted(false);
+  };
+
+  const handleSubmit = async () => {
+    setSubmitting(true);
+    try {
+      await api.post("/reports", { targetType, targetId, reason, details });
+      setSubmitted(true);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || "Failed to send report");
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Report {TARGET_LABELS[targetType]}</DialogTitle>
+      <DialogContent>
+        {submitted ? (
+          <Alert severity="success">
+            Thanks for reporting. Moderators will review it and you will get a
+            notification once it has been handled.
+          </Alert>
+        ) : (
+          <>
+            {error && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {error}
+              </Alert>
+            )}
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Why are you reporting this?
+            </Typography>
+            <RadioGroup
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+            >
+              {Object.entries(REPORT_REASON_LABELS).map(([value, label]) => (
+                <FormControlLabel
+                  key={value}
+                  value={value}
+                  control={<Radio size="small" />}
+                  label={label}
+                />
+              ))}
+            </RadioGroup>
+            <TextField
+              fullWidth
+              multiline
+              rows={3}
+              label="Details (optional)"
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              inputProps={{ maxLength: 1000 }}
+              sx={{ mt: 2 }}
+            />
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>{submitted ? "Close" : "Cancel"}</Button>
+        {!submitted && (
+          <Button
+            variant="contained"
+            color="error"
+            onClick={handleSubmit}
+            disabled={!reason || submitting}
+          >
+            Report
+          </Button>
+        )}
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReportDialog;
@@ -0,0 +1,40 @@
+import React from "react";
+import { Box, Tooltip } from "@mui/material";
+
+// Contributor levels by minimum reputation, highest first
+export const LEVELS = [
+  { min: 5000, name: "Master Aquarist", icon: "🐋" },
+  { min: 1000, name: "Expert", icon: "🦈" },
+  { min: 250, name: "Aquarist", icon: "🐠" },
+  { min: 50, name: "Hobbyist", icon: "🐟" },
+  { min: 0, name: "Newcomer", icon: "🦐" },
+];
+
+export const getLevel = (reputation = 0) =>
+  LEVELS.find((level) => reputation >= level.min) || LEVELS[LEVELS.length - 1];
+
+// Compact "🐠 1,234" shown next to usernames
+const ReputationBadge = ({ reputation = 0, sx }) => {
+  const level = getLevel(reputation);
+  return (
+    <Tooltip
+      title={`${level.name} · ${reputation.toLocaleString()} reputation`}
+    >
+      <Box
+        component="span"
+        sx={{
+          display: "inline-flex",
+          alignItems: "center",
+          gap: 0.5,
+          fontSize: 12,
+          color: "text.secondary",
+          ...sx,
+        }}
+      >
+        {level.icon} {reputation.toLocaleString()}
+      </Box>
+    </Tooltip>
+  );
+};
+
+export default ReputationBadge;
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import {
+  Card,
+  CardContent,
+  Typography,
+  Grid,
+  TextField,
+  Button,
+  Alert,
+  Box,
+  CircularProgress,
+} from "@mui/material";
+import api from "../api";
+
+const SOURCE_LABELS = {
+  postLikes: "Like on a post",
+  photoLikes: "Like on a photo",
+  bookmarks: "Bookmark of a post",
+  acceptedAnswers: "Accepted answer",
+};
+
+// Admin form for the points each reputation source is worth
+const ReputationWeightsSettings = () => {
+  const [weights, setWeights] = useState(null);
+  const [maxWeight, setMaxWeight] = useState(1000);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    const fetchWeights = async () => {
+      try {
+        const response = await api.get("/admin/reputation/weights");
+        setWeights(response.data.data.weights);
+        setMaxWeight(response.data.data.maxWeight);
+      } catch (err) {
+        setStatus({
+          severity: "error",
+          message:
+            err.response?.data?.error?.message ||
+            "Failed to load reputation weights",
+        });
+      }
+    };
+    fetchWeights();
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setStatus(null);
+    try {
+      const response = await api.put("/admin/reputation/weights", weights);
+      setWeights(response.data.data.weights);
+      setStatus({
+        severity: "success",
+        message: "Weights saved and every user's reputation was updated",
+      });
+    } catch (err) {
+      setStatus({
+        severity: "error",
+        message: err.response?.data?.error?.message || "Failed to save weights",
+      });
+    }
+    setSaving(false);
+  };
+
+  if (!weights) {
+    return status ? (
+      <Alert severity={status.severity}>{status.message}</Alert>
+    ) : (
+      <Box sx={{ display: "flex", justifyContent: "center", py: 4 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  return (
+    <Card>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>
+          Reputation Weights
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+          Points a member earns each time someone else interacts with their
+          content. Run <code>npm run recompute-reputation</code> in the backend
+          to rebuild scores from historical data.
+        </Typography>
+
+        {status && (
+          <Alert severity={status.severity} sx={{ mb: 2 }}>
+            {status.message}
+          </Alert>
+        )}
+
+        <Grid container spacing={2}>
+          {Object.entries(SOURCE_LABELS).map(([source, label]) => (
+            <Grid item xs={12} sm={6} key={source}>
+              <TextField
+                fullWidth
+                type="number"
+                label={label}
+                value={weights[source] ?? 0}
+                onChange={(e) =>
+                  setWeights({ ...weights, [source]: Number(e.target.value) })
+                }
+                inputProps={{ min: 0, max: maxWeight, step: 1 }}
+              />
+            </Grid>
+          ))}
+        </Grid>
+
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving}
+          sx={{ mt: 3 }}
+        >
+          {saving ? "Saving..." : "Save Weights"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReputationWeightsSettings;
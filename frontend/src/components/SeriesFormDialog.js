@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert,
+} from "@mui/material";
+import api from "../api";
+
+// Create a series, or rename an existing one when `series` is given
+const SeriesFormDialog = ({ series, onClose, onSaved }) => {
+  const [title, setTitle] = useState(series?.title || "");
+  const [description, setDescription] = useState(series?.description || "");
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const fields = { title: title.trim(), description: description.trim() };
+      const response = series
+        ? await api.put(`/series/${series._id}`, fields)
+        : await api.post("/series", fields);
+      onSaved(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error?.message || "Failed to save series");
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{series ? "Edit Series" : "New Series"}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <TextField
+          autoFocus
+          fullWidth
+          label="Title"
+          placeholder="e.g. 120L planted tank build"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          inputProps={{ maxLength: 150 }}
+          sx={{ mt: 1, mb: 2 }}
+        />
+        <TextField
+          fullWidth
+          multiline
+          minRows={3}
+          label="Description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          inputProps={{ maxLength: 1000 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={title.trim().length < 3 || saving}
+        >
+          {series ? "Save" : "Create"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default SeriesFormDialog;
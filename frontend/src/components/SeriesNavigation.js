@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  Paper,
+  Box,
+  Button,
+  Collapse,
+  List,
+  ListItemButton,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import {
+  ArrowBack,
+  ArrowForward,
+  ExpandMore,
+  ExpandLess,
+  MenuBook,
+} from "@mui/icons-material";
+import api from "../api";
+
+// Where a post sits in its series: previous and next parts and the full
+// table of contents
+const SeriesNavigation = ({ seriesId, postId }) => {
+  const [series, setSeries] = useState(null);
+  const [showContents, setShowContents] = useState(false);
+
+  useEffect(() => {
+    const abortController = new AbortController();
+    setSeries(null);
+
+    api
+      .get(`/series/${seriesId}`, { signal: abortController.signal })
+      .then((response) => setSeries(response.data.data))
+      .catch((err) => {
+        if (err.name !== "CanceledError") {
+          console.error("Failed to fetch series:", err);
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [seriesId]);
+
+  const index = series ? series.posts.findIndex((p) => p._id === postId) : -1;
+  if (index === -1) {
+    return null;
+  }
+
+  const previous = series.posts[index - 1];
+  const next = series.posts[index + 1];
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          gap: 1,
+          flexWrap: "wrap",
+        }}
+      >
+        <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+          <MenuBook color="primary" />
+          <Typography variant="body2">
+            Part {index + 1} of {series.posts.length} in{" "}
+            <Link to={`/series/${series._id}`}>{series.title}</Link>
+          </Typography>
+        </Box>
+        <Button
+          size="small"
+          endIcon={showContents ? <ExpandLess /> : <ExpandMore />}
+          onClick={() => setShowContents((prev) => !prev)}
+        >
+          Contents
+        </Button>
+      </Box>
+
+      <Collapse in={showContents}>
+        <List dense disablePadding sx={{ mt: 1 }}>
+          {series.posts.map((part, i) => (
+            <ListItemButton
+              key={part._id}
+              component={Link}
+              to={`/post/${part._id}`}
+              selected={i === index}
+            >
+              <ListItemText primary={`${i + 1}. ${part.title}`} />
+            </ListItemButton>
+          ))}
+        </List>
+      </Collapse>
+
+      <Box sx={{ display: "flex", justifyContent: "space-between", mt: 1 }}>
+        {previous ? (
+          <Button
+            component={Link}
+            to={`/post/${previous._id}`}
+            startIcon={<ArrowBack />}
+            sx={{ textTransform: "none" }}
+          >
+            {previous.title}
+          </Button>
+        ) : (
+          <span />
+        )}
+        {next && (
+          <Button
+            component={Link}
+            to={`/post/${next._id}`}
+            endIcon={<ArrowForward />}
+            sx={{ textTransform: "none" }}
+          >
+            {next.title}
+          </Button>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default SeriesNavigation;
@@ -0,0 +1,254 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Box,
+  Button,
+  TextField,
+  List,
+  ListItemButton,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  Alert,
+  Typography,
+} from "@mui/material";
+import { Search } from "@mui/icons-material";
+import BoardSelector from "./BoardSelector";
+import api from "../api";
+import { movePost, mergePost, splitPost } from "../slices/postsSlice";
+
+const TITLES = {
+  move: "Move Thread",
+  merge: "Merge Into Another Thread",
+  split: "Split Replies Into a New Thread",
+};
+
+const SUBMIT_LABELS = { move: "Move", merge: "Merge", split: "Split" };
+
+const excerpt = (text = "", length = 120) =>
+  text.length > length ? `${text.slice(0, length)}…` : text;
+
+// Moderator dialog to move a post to other boards, merge it into another
+// thread, or split selected replies off into a thread of their own
+const ThreadToolsDialog = ({ mode, post, onClose }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const [boards, setBoards] = useState(
+    () => post.boards?.map((b) => b._id) || [],
+  );
+  const [reason, setReason] = useState("");
+  const [search, setSearch] = useState("");
+  const [results, setResults] = useState(null);
+  const [target, setTarget] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [title, setTitle] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (mode !== "split") return undefined;
+    const abortController = new AbortController();
+
+    api
+      .get(`/posts/${post._id}/comments`, {
+        params: { limit: 50 },
+        signal: abortController.signal,
+      })
+      .then((response) =>
+        setComments(response.data.data.comments.filter((c) => !c.isDeleted)),
+      )
+      .catch((err) => {
+        if (err.name !== "CanceledError") {
+          console.error("Failed to fetch comments:", err);
+        }
+      });
+
+    return () => {
+      abortController.abort();
+    };
+  }, [mode, post._id]);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!search.trim()) return;
+    try {
+      const response = await api.get("/posts/search", {
+        params: { q: search.trim() },
+      });
+      setResults(response.data.data.posts.filter((p) => p._id !== post._id));
+    } catch (err) {
+      setError(err.response?.data?.error?.message || "Search failed");
+    }
+  };
+
+  const toggleComment = (commentId) => {
+    setSelected((prev) =>
+      prev.includes(commentId)
+        ? prev.filter((id) => id !== commentId)
+        : [...prev, commentId],
+    );
+  };
+
+  const canSubmit = {
+    move: boards.length > 0,
+    merge: Boolean(target),
+    split: selected.length > 0 && title.trim().length >= 3 && boards.length > 0,
+  }[mode];
+
+  const handleSubmit = async () => {
+    const actions = {
+      move: () => movePost({ postId: post._id, boards, reason }),
+      merge: () => mergePost({ postId: post._id, target: target._id, reason }),
+      split: () =>
+        splitPost({
+          postId: post._id,
+          comments: selected,
+          title: title.trim(),
+          boards,
+          reason,
+        }),
+    };
+
+    setSubmitting(true);
+    setError(null);
+    const result = await dispatch(actions[mode]());
+    setSubmitting(false);
+    if (result.error) {
+      setError(result.payload);
+      return;
+    }
+
+    onClose();
+    if (mode === "split") {
+      navigate(`/post/${result.payload._id}`);
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{TITLES[mode]}</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {mode === "merge" && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              All comments move to the thread you pick. This post stays behind
+              as a locked link to it.
+            </Typography>
+            <Box
+              component="form"
+              onSubmit={handleSearch}
+              sx={{ display: "flex", gap: 1, mb: 1 }}
+            >
+              <TextField
+                size="small"
+                fullWidth
+                placeholder="Search for the canonical thread..."
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              <Button type="submit" startIcon={<Search />}>
+                Search
+              </Button>
+            </Box>
+            {results?.length === 0 && (
+              <Typography color="text.secondary">No threads found.</Typography>
+            )}
+            <List dense sx={{ maxHeight: 280, overflow: "auto" }}>
+              {results?.map((result) => (
+                <ListItemButton
+                  key={result._id}
+                  selected={target?._id === result._id}
+                  onClick={() => setTarget(result)}
+                >
+                  <ListItemText
+                    primary={result.title}
+                    secondary={`${result.user?.username || "[deleted]"} · ${result.metadata?.commentCount || 0} comments`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </>
+        )}
+
+        {mode === "split" && (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Replies beneath the selected comments go with them. The earliest
+              selected comment becomes the new thread&apos;s post.
+            </Typography>
+            <TextField
+              fullWidth
+              label="New thread title"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              inputProps={{ maxLength: 200 }}
+              sx={{ mb: 2 }}
+            />
+            {comments.length === 0 && (
+              <Typography color="text.secondary">
+                This thread has no comments to split off.
+              </Typography>
+            )}
+            <List dense sx={{ maxHeight: 280, overflow: "auto", mb: 2 }}>
+              {comments.map((comment) => (
+                <ListItemButton
+                  key={comment._id}
+                  onClick={() => toggleComment(comment._id)}
+                >
+                  <ListItemIcon>
+                    <Checkbox
+                      edge="start"
+                      checked={selected.includes(comment._id)}
+                      tabIndex={-1}
+                      disableRipple
+                    />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={excerpt(comment.content)}
+                    secondary={`${comment.user?.username || "[deleted]"} · ${comment.replyCount} ${comment.replyCount === 1 ? "reply" : "replies"}`}
+                  />
+                </ListItemButton>
+              ))}
+            </List>
+          </>
+        )}
+
+        {mode !== "merge" && (
+          <BoardSelector selectedBoards={boards} onChange={setBoards} />
+        )}
+
+        <TextField
+          fullWidth
+          label="Reason (sent to the authors)"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          inputProps={{ maxLength: 500 }}
+        />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!canSubmit || submitting}
+        >
+          {SUBMIT_LABELS[mode]}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ThreadToolsDialog;
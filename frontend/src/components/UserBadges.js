@@ -0,0 +1,68 @@
+import React from "react";
+import { Box, Chip, Tooltip } from "@mui/material";
+
+// Earned badges whose definition still exists, in the admin's order
+const sortBadges = (badges = []) =>
+  badges
+    .filter((earned) => earned.badge?.name)
+    .sort((a, b) => (a.badge.sortOrder || 0) - (b.badge.sortOrder || 0));
+
+const getTitle = (earned) =>
+  earned.board?.name
+    ? `${earned.badge.name} · ${earned.board.name}`
+    : earned.badge.name;
+
+// Row of badge icons for bylines; `max` limits how many are shown
+const UserBadges = ({ badges, max = 3, variant = "icons", sx }) => {
+  const earned = sortBadges(badges);
+  if (earned.length === 0) return null;
+
+  if (variant === "chips") {
+    return (
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, ...sx }}>
+        {earned.map((item) => (
+          <Tooltip
+            key={item.badge._id}
+            title={`${item.badge.description || item.badge.name} · earned ${new Date(
+              item.awardedAt,
+            ).toLocaleDateString()}`}
+          >
+            <Chip
+              size="small"
+              variant="outlined"
+              label={`${item.badge.icon} ${getTitle(item)}`}
+            />
+          </Tooltip>
+        ))}
+      </Box>
+    );
+  }
+
+  const shown = earned.slice(0, max);
+  const hidden = earned.length - shown.length;
+
+  return (
+    <Box
+      component="span"
+      sx={{ display: "inline-flex", alignItems: "center", gap: 0.25, ...sx }}
+    >
+      {shown.map((item) => (
+        <Tooltip key={item.badge._id} title={getTitle(item)}>
+          <Box component="span" sx={{ fontSize: 14, lineHeight: 1 }}>
+            {item.badge.icon}
+          </Box>
+        </Tooltip>
+      ))}
+      {hidden > 0 && (
+        <Box
+          component="span"
+          sx={{ fontSize: 11, color: "text.secondary", ml: 0.25 }}
+        >
+          +{hidden}
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default UserBadges;
@@ -65,6 +65,11 @@ import {
 } from "@dnd-kit/sortable";
 import { CSS } from "@dnd-kit/utilities";
 import api from "../api";
+import ReputationWeightsSettings from "../components/ReputationWeightsSettings";
+import BadgeManager from "../components/BadgeManager";
+import ModerationQueue from "../components/ModerationQueue";
+import AdminModerationLog from "../components/AdminModerationLog";
+import AdminTrash from "../components/AdminTrash";
 
 // Sortable Table Row Component for Boards
 function SortableTableRow({ board, onEdit, onToggle, onDelete }) {
@@ -148,6 +153,9 @@ const AdminDashboard = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const { isAuthenticated, user } = useSelector((state) => state.auth);
+  // Moderators only get the moderation queue
+  const isAdmin = user?.isAdmin || user?.role === "admin";
+  const isModerator = isAdmin || user?.role === "moderator";
 
   const [tabValue, setTabValue] = useState(0);
   const [stats, setStats] = useState(null);
@@ -198,17 +206,18 @@ const AdminDashboard = () => {
   );
 
   useEffect(() => {
-    if (!isAuthenticated || !user?.isAdmin) {
+    if (!isAuthenticated || !isModerator) {
       navigate("/");
       return;
     }
+    if (!isAdmin) return;
     fetchStats();
     fetchUsers();
     fetchPosts();
     fetchPhotos();
     fetchBoards();
     fetchTags();
-  }, [isAuthenticated, user, navigate]);
+  }, [isAuthenticated, isAdmin, isModerator, navigate]);
 
   const fetchStats = async () => {
     try {
@@ -305,7 +314,7 @@ const AdminDashboard = () => {
   };
 
   const handleDeletePost = async (postId) => {
-    if (window.confirm("Are you sure you want to delete this post?")) {
+    if (window.confirm("Move this post to the trash?")) {
       try {
         await api.delete(`/admin/posts/${postId}`);
         fetchPosts();
@@ -317,7 +326,7 @@ const AdminDashboard = () => {
   };
 
   const handleDeletePhoto = async (photoId) => {
-    if (window.confirm("Are you sure you want to delete this photo?")) {
+    if (window.confirm("Move this photo to the trash?")) {
       try {
         await api.delete(`/admin/photos/${photoId}`);
         fetchPhotos();
@@ -487,7 +496,7 @@ const AdminDashboard = () => {
     }
   };
 
-  if (!isAuthenticated || !user?.isAdmin) {
+  if (!isAuthenticated || !isModerator) {
     return (
       <Container maxWidth="lg" sx={{ py: 4 }}>
         <Alert severity="error">
@@ -497,6 +506,17 @@ const AdminDashboard = () => {
     );
   }
 
+  if (!isAdmin) {
+    return (
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        <Typography variant="h4" sx={{ mb: 4, fontWeight: 700 }}>
+          Moderation Queue
+        </Typography>
+        <ModerationQueue />
+      </Container>
+    );
+  }
+
   return (
     <Container maxWidth="xl" sx={{ py: 4 }}>
       <Typography variant="h4" sx={{ mb: 4, fontWeight: 700 }}>
@@ -625,6 +645,11 @@ const AdminDashboard = () => {
           <Tab label="Photos" />
           <Tab label="Tags" />
           <Tab label="Boards" />
+          <Tab label="Reputation" />
+          <Tab label="Badges" />
+          <Tab label="Moderation" />
+          <Tab label="Trash" />
+          <Tab label="Audit Log" />
         </Tabs>
       </Paper>
 
@@ -989,6 +1014,19 @@ const AdminDashboard = () => {
         </Paper>
       )}
 
+      {/* Reputation Tab */}
+      {tabValue === 5 && <ReputationWeightsSettings />}
+
+      {/* Badges Tab */}
+      {tabValue === 6 && <BadgeManager />}
+
+      {/* Moderation Tab */}
+      {tabValue === 7 && <ModerationQueue />}
+
+      {tabValue === 8 && <AdminTrash onChange={fetchStats} />}
+
+      {tabValue === 9 && <AdminModerationLog />}
+
       {/* Edit User Dialog */}
       <Dialog
         open={editDialogOpen}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import { useNavigate, useSearchParams } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import {
@@ -13,17 +13,59 @@ import {
   CircularProgress,
   IconButton,
 } from "@mui/material";
-import { AddCircle, Send, ArrowBack } from "@mui/icons-material";
-import { createPost } from "../slices/postsSlice";
+import { Send, ArrowBack, Save, Schedule } from "@mui/icons-material";
+import {
+  createPost,
+  fetchPost,
+  saveDraft,
+  publishDraft,
+} from "../slices/postsSlice";
 import BoardSelector from "../components/BoardSelector";
 import TagAutocomplete from "../components/TagAutocomplete";
 import ImageUpload from "../components/ImageUpload";
+import MarkdownEditor from "../components/MarkdownEditor";
+import PollEditor, { MAX_POLL_OPTIONS } from "../components/PollEditor";
+
+// Wait this long after the last keystroke before autosaving
+const AUTOSAVE_DELAY = 2000;
+
+// datetime-local inputs take local time without a timezone
+const toLocalInput = (date) => {
+  const local = new Date(date);
+  local.setMinutes(local.getMinutes() - local.getTimezoneOffset());
+  return local.toISOString().slice(0, 16);
+};
+
+// Poll as sent to the API; blank options are dropped by the server
+const toPollPayload = (poll) =>
+  poll && {
+    ...poll,
+    closesAt: poll.closesAt ? new Date(poll.closesAt).toISOString() : null,
+  };
+
+const validatePoll = (poll) => {
+  if (!poll) return null;
+  const options = poll.options.map((option) => option.trim()).filter(Boolean);
+  if (!poll.question.trim()) return "Poll question is required";
+  if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+    return `Polls need 2-${MAX_POLL_OPTIONS} options`;
+  }
+  const texts = options.map((option) => option.toLowerCase());
+  if (new Set(texts).size !== texts.length) {
+    return "Poll options must be different";
+  }
+  if (poll.closesAt && new Date(poll.closesAt) <= new Date()) {
+    return "Poll close date must be in the future";
+  }
+  return null;
+};
 
 const CreatePost = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const { loading, error, boards } = useSelector((state) => state.posts);
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const draftParam = searchParams.get("draft");
 
   const [formData, setFormData] = useState({
     title: "",
@@ -32,8 +74,114 @@ const CreatePost = () => {
   const [selectedBoards, setSelectedBoards] = useState([]);
   const [selectedTags, setSelectedTags] = useState([]);
   const [uploadedImages, setUploadedImages] = useState([]);
+  const [poll, setPoll] = useState(null);
   const [formErrors, setFormErrors] = useState({});
   const [boardError, setBoardError] = useState(false);
+  const [publishAt, setPublishAt] = useState("");
+  const [saveState, setSaveState] = useState({ status: "idle" });
+
+  // Refs so autosave callbacks always see the latest draft
+  const draftIdRef = useRef(null);
+  const dirtyRef = useRef(false);
+  const savingRef = useRef(null);
+
+  // Load a draft opened from the drafts list
+  useEffect(() => {
+    if (!draftParam || draftParam === draftIdRef.current) return;
+
+    const loadDraft = async () => {
+      const result = await dispatch(fetchPost(draftParam));
+      if (result.error) return;
+
+      const draft = result.payload;
+      draftIdRef.current = draft._id;
+      setFormData({ title: draft.title || "", content: draft.content || "" });
+      setSelectedBoards(draft.boards.map((board) => board._id || board));
+      setSelectedTags(
+        draft.tags.map((t) => (typeof t === "object" ? t.tag : t)),
+      );
+      setUploadedImages(draft.media || []);
+      setPoll(
+        draft.poll && {
+          question: draft.poll.question || "",
+          // Blank options are not saved; keep at least two inputs
+          options: [
+            ...draft.poll.options.map((option) => option.text),
+            "",
+            "",
+          ].slice(0, Math.max(2, draft.poll.options.length)),
+          multiple: draft.poll.multiple,
+          closesAt: draft.poll.closesAt
+            ? toLocalInput(draft.poll.closesAt)
+            : "",
+        },
+      );
+      setPublishAt(draft.publishAt ? toLocalInput(draft.publishAt) : "");
+    };
+    loadDraft();
+  }, [dispatch, draftParam]);
+
+  const saveDraftNow = useCallback(async () => {
+    // Let an in-flight save finish so its new draft id is reused
+    if (savingRef.current) await savingRef.current;
+    if (!formData.title.trim() && !formData.content.trim()) {
+      return draftIdRef.current;
+    }
+
+    dirtyRef.current = false;
+    setSaveState({ status: "saving" });
+    const request = dispatch(
+      saveDraft({
+        postId: draftIdRef.current,
+        data: {
+          title: formData.title,
+          content: formData.content,
+          boards: selectedBoards,
+          tags: selectedTags,
+          media: uploadedImages,
+          poll: toPollPayload(poll),
+        },
+      }),
+    );
+    savingRef.current = request;
+    const result = await request;
+    savingRef.current = null;
+
+    if (result.error) {
+      setSaveState({ status: "error", message: result.payload });
+      return null;
+    }
+    if (!draftIdRef.current) {
+      draftIdRef.current = result.payload._id;
+      setSearchParams({ draft: result.payload._id }, { replace: true });
+    }
+    setSaveState({ status: "saved", savedAt: new Date() });
+    return result.payload._id;
+  }, [
+    dispatch,
+    setSearchParams,
+    formData,
+    selectedBoards,
+    selectedTags,
+    uploadedImages,
+    poll,
+  ]);
+
+  // Autosave a moment after the author stops typing
+  useEffect(() => {
+    if (!dirtyRef.current) return;
+    const timer = setTimeout(() => {
+      if (dirtyRef.current) saveDraftNow();
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [saveDraftNow]);
+
+  const markDirty =
+    (setter) =>
+    (...args) => {
+      dirtyRef.current = true;
+      setter(...args);
+    };
 
   // Get the board ID from URL query param and pre-select if present
   useEffect(() => {
@@ -63,6 +211,10 @@ const CreatePost = () => {
     } else if (formData.content.length > 10000) {
       errors.content = "Content cannot exceed 10000 characters";
     }
+    const pollError = validatePoll(poll);
+    if (pollError) {
+      errors.poll = pollError;
+    }
 
     // Check boards
     if (selectedBoards.length === 0) {
@@ -77,6 +229,7 @@ const CreatePost = () => {
 
   const handleChange = (e) => {
     const { name, value } = e.target;
+    dirtyRef.current = true;
     setFormData((prev) => ({ ...prev, [name]: value }));
     if (formErrors[name]) {
       setFormErrors((prev) => ({ ...prev, [name]: "" }));
@@ -84,24 +237,40 @@ const CreatePost = () => {
   };
 
   const handleImagesChange = (images) => {
+    dirtyRef.current = true;
     setUploadedImages(images);
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (validateForm()) {
-      const postData = {
-        title: formData.title,
-        content: formData.content,
-        boards: selectedBoards,
-        tags: selectedTags,
-        media: uploadedImages,
-      };
+      const scheduledFor = publishAt ? new Date(publishAt).toISOString() : null;
+      let result;
 
-      const result = await dispatch(createPost(postData));
+      if (draftIdRef.current) {
+        // Save the latest edits, then publish the existing draft
+        const postId = await saveDraftNow();
+        if (!postId) return;
+        result = await dispatch(
+          publishDraft({ postId, publishAt: scheduledFor }),
+        );
+      } else {
+        dirtyRef.current = false;
+        result = await dispatch(
+          createPost({
+            title: formData.title,
+            content: formData.content,
+            boards: selectedBoards,
+            tags: selectedTags,
+            media: uploadedImages,
+            poll: toPollPayload(poll),
+            publishAt: scheduledFor,
+          }),
+        );
+      }
 
       if (!result.error) {
-        navigate("/");
+        navigate(result.payload.status === "scheduled" ? "/drafts" : "/");
       }
     }
   };
@@ -156,25 +325,16 @@ const CreatePost = () => {
               sx={{ mb: 3 }}
             />
 
-            <TextField
-              fullWidth
-              label="Content"
-              name="content"
+            <MarkdownEditor
               value={formData.content}
               onChange={handleChange}
               error={!!formErrors.content}
-              helperText={
-                formErrors.content ||
-                "Share your story, ask questions, or give advice"
-              }
-              multiline
-              rows={8}
-              sx={{ mb: 3 }}
+              helperText={formErrors.content}
             />
 
             <BoardSelector
               selectedBoards={selectedBoards}
-              onChange={setSelectedBoards}
+              onChange={markDirty(setSelectedBoards)}
               error={boardError}
               helperText={
                 boardError
@@ -185,7 +345,7 @@ const CreatePost = () => {
 
             <TagAutocomplete
               value={selectedTags}
-              onChange={setSelectedTags}
+              onChange={markDirty(setSelectedTags)}
               placeholder="e.g., 燈魚, 孔雀魚, 水草缸"
             />
 
@@ -195,7 +355,28 @@ const CreatePost = () => {
               maxImages={5}
             />
 
-            <Box sx={{ display: "flex", gap: 2 }}>
+            <PollEditor
+              value={poll}
+              onChange={(value) => {
+                markDirty(setPoll)(value);
+                setFormErrors((prev) => ({ ...prev, poll: "" }));
+              }}
+              error={formErrors.poll}
+              minCloseDate={toLocalInput(new Date())}
+            />
+
+            <TextField
+              type="datetime-local"
+              label="Schedule (optional)"
+              value={publishAt}
+              onChange={(e) => setPublishAt(e.target.value)}
+              InputLabelProps={{ shrink: true }}
+              inputProps={{ min: toLocalInput(new Date()) }}
+              helperText="Leave empty to publish right away"
+              sx={{ mb: 3 }}
+            />
+
+            <Box sx={{ display: "flex", gap: 2, alignItems: "center" }}>
               <Button
                 type="submit"
                 variant="contained"
@@ -203,13 +384,24 @@ const CreatePost = () => {
                 startIcon={
                   loading ? (
                     <CircularProgress size={20} color="inherit" />
+                  ) : publishAt ? (
+                    <Schedule />
                   ) : (
                     <Send />
                   )
                 }
                 disabled={loading}
               >
-                Publish Post
+                {publishAt ? "Schedule Post" : "Publish Post"}
+              </Button>
+              <Button
+                variant="outlined"
+                size="large"
+                startIcon={<Save />}
+                onClick={saveDraftNow}
+                disabled={saveState.status === "saving"}
+              >
+                Save Draft
               </Button>
               <Button
                 variant="outlined"
@@ -218,6 +410,17 @@ const CreatePost = () => {
               >
                 Cancel
               </Button>
+              <Typography
+                variant="caption"
+                color={
+                  saveState.status === "error" ? "error" : "text.secondary"
+                }
+              >
+                {saveState.status === "saving" && "Saving draft..."}
+                {saveState.status === "saved" &&
+                  `Draft saved at ${saveState.savedAt.toLocaleTimeString()}`}
+                {saveState.status === "error" && saveState.message}
+              </Typography>
             </Box>
           </Box>
         </CardContent>
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useNavigate } from "react-router-dom";
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  CardActions,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { Edit, Send, Delete, EventBusy, AddCircle } from "@mui/icons-material";
+import {
+  fetchDrafts,
+  publishDraft,
+  unschedulePost,
+  deletePost,
+} from "../slices/postsSlice";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// The author's unpublished and scheduled posts
+const Drafts = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { drafts, draftsLoading } = useSelector((state) => state.posts);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchDrafts());
+  }, [dispatch]);
+
+  const runAction = async (action) => {
+    setActionError(null);
+    const result = await dispatch(action);
+    if (result.error) {
+      setActionError(result.payload);
+    }
+    return result;
+  };
+
+  const handlePublish = async (draft) => {
+    const result = await runAction(publishDraft({ postId: draft._id }));
+    if (!result.error) {
+      navigate(`/post/${draft._id}`);
+    }
+  };
+
+  const handleDelete = (draft) => {
+    if (window.confirm("Move this draft to the trash?")) {
+      runAction(deletePost(draft._id));
+    }
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          mb: 3,
+        }}
+      >
+        <Typography variant="h4" component="h1" fontWeight={700}>
+          My Drafts
+        </Typography>
+        <Button
+          variant="contained"
+          startIcon={<AddCircle />}
+          component={Link}
+          to="/create"
+        >
+          New Post
+        </Button>
+      </Box>
+
+      {actionError && (
+        <Alert
+          severity="error"
+          sx={{ mb: 2 }}
+          onClose={() => setActionError(null)}
+        >
+          {actionError}
+        </Alert>
+      )}
+
+      {draftsLoading && drafts.length === 0 ? (
+        <Box sx={{ display: "flex", justifyContent: "center", py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : drafts.length === 0 ? (
+        <Typography color="text.secondary">
+          No drafts. Posts you start writing are saved here automatically.
+        </Typography>
+      ) : (
+        drafts.map((draft) => (
+          <Card key={draft._id} sx={{ mb: 2 }}>
+            <CardContent>
+              <Box
+                sx={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 1,
+                  mb: 1,
+                }}
+              >
+                <Chip
+                  size="small"
+                  color={draft.status === "scheduled" ? "primary" : "default"}
+                  label={
+                    draft.status === "scheduled"
+                      ? `Scheduled for ${formatDate(draft.publishAt)}`
+                      : "Draft"
+                  }
+                />
+                <Typography variant="caption" color="text.secondary">
+                  Last saved {formatDate(draft.updatedAt)}
+                </Typography>
+              </Box>
+              <Typography variant="h6" fontWeight={600}>
+                {draft.title || "Untitled draft"}
+              </Typography>
+              <Typography
+                variant="body2"
+                color="text.secondary"
+                sx={{
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  display: "-webkit-box",
+                  WebkitLineClamp: 2,
+                  WebkitBoxOrient: "vertical",
+                }}
+              >
+                {draft.content}
+              </Typography>
+            </CardContent>
+            <CardActions>
+              <Button
+                size="small"
+                startIcon={<Edit />}
+                component={Link}
+                to={`/create?draft=${draft._id}`}
+              >
+                Continue Editing
+              </Button>
+              <Button
+                size="small"
+                startIcon={<Send />}
+                onClick={() => handlePublish(draft)}
+              >
+                Publish Now
+              </Button>
+              {draft.status === "scheduled" && (
+                <Button
+                  size="small"
+                  startIcon={<EventBusy />}
+                  onClick={() => runAction(unschedulePost(draft._id))}
+                >
+                  Unschedule
+                </Button>
+              )}
+              <Button
+                size="small"
+                color="error"
+                startIcon={<Delete />}
+                onClick={() => handleDelete(draft)}
+              >
+                Delete
+              </Button>
+            </CardActions>
+          </Card>
+        ))
+      )}
+    </Container>
+  );
+};
+
+export default Drafts;
@@ -16,6 +16,7 @@ import { Edit, Send } from "@mui/icons-material";
 import { updatePost, fetchPost } from "../slices/postsSlice";
 import BoardSelector from "../components/BoardSelector";
 import TagAutocomplete from "../components/TagAutocomplete";
+import MarkdownEditor from "../components/MarkdownEditor";
 
 const EditPost = () => {
   const { postId } = useParams();
@@ -155,17 +156,11 @@ const EditPost = () => {
                 sx={{ mb: 3 }}
               />
 
-              <TextField
-                fullWidth
-                label="Content"
-                name="content"
+              <MarkdownEditor
                 value={formData.content}
                 onChange={handleChange}
                 error={!!formErrors.content}
                 helperText={formErrors.content}
-                multiline
-                rows={8}
-                sx={{ mb: 3 }}
               />
 
               <BoardSelector
@@ -17,6 +17,8 @@ import {
 } from "@mui/material";
 import { PhotoCamera, Save, ArrowBack } from "@mui/icons-material";
 import { updateUser, fetchUser } from "../slices/usersSlice";
+import NotificationSettings from "../components/NotificationSettings";
+import BlockedUsersSettings from "../components/BlockedUsersSettings";
 
 const EditProfile = () => {
   const { userId } = useParams();
@@ -286,6 +288,10 @@ const EditProfile = () => {
           </Box>
         </CardContent>
       </Card>
+
+      <NotificationSettings />
+
+      <BlockedUsersSettings />
     </Container>
   );
 };
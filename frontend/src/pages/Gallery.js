@@ -20,9 +20,15 @@ import {
   IconButton,
   Chip,
 } from "@mui/material";
-import { Favorite, FavoriteBorder, CloudUpload } from "@mui/icons-material";
+import {
+  Favorite,
+  FavoriteBorder,
+  CloudUpload,
+  Flag,
+} from "@mui/icons-material";
 import { fetchPhotos, uploadPhoto, likePhoto } from "../slices/photosSlice";
 import { useNavigate } from "react-router-dom";
+import ReportDialog from "../components/ReportDialog";
 
 const Gallery = () => {
   const dispatch = useDispatch();
@@ -30,12 +36,13 @@ const Gallery = () => {
   const { photos, loading, error, uploading, pagination } = useSelector(
     (state) => state.photos,
   );
-  const { isAuthenticated } = useSelector((state) => state.auth);
+  const { isAuthenticated, user } = useSelector((state) => state.auth);
   const fileInputRef = useRef(null);
 
   const [filter, setFilter] = useState("all");
   const [searchQuery, setSearchQuery] = useState("");
   const [uploadDialogOpen, setUploadDialogOpen] = useState(false);
+  const [reportPhotoId, setReportPhotoId] = useState(null);
   const [uploadData, setUploadData] = useState({
     title: "",
     description: "",
@@ -295,9 +302,20 @@ const Gallery = () => {
                       {photo.metadata?.likes || 0}
                     </Typography>
                   </Box>
-                  <Typography variant="body2" color="text.secondary">
-                    by {photo.user?.username}
-                  </Typography>
+                  <Box sx={{ display: "flex", alignItems: "center" }}>
+                    <Typography variant="body2" color="text.secondary">
+                      by {photo.user?.username}
+                    </Typography>
+                    {isAuthenticated && photo.user?._id !== user?._id && (
+                      <IconButton
+                        size="small"
+                        onClick={() => setReportPhotoId(photo._id)}
+                        title="Report photo"
+                      >
+                        <Flag fontSize="small" />
+                      </IconButton>
+                    )}
+                  </Box>
                 </CardActions>
               </Card>
             </Grid>
@@ -406,6 +424,13 @@ const Gallery = () => {
           </CardContent>
         </Card>
       )}
+
+      <ReportDialog
+        open={Boolean(reportPhotoId)}
+        onClose={() => setReportPhotoId(null)}
+        targetType="photo"
+        targetId={reportPhotoId}
+      />
     </Container>
   );
 };
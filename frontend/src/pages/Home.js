@@ -17,18 +17,61 @@ import {
   IconButton,
   Tabs,
   Tab,
+  TextField,
+  MenuItem,
 } from "@mui/material";
-import { Favorite, Visibility, Bookmark, AddCircle } from "@mui/icons-material";
+import {
+  Favorite,
+  Visibility,
+  Bookmark,
+  AddCircle,
+  PushPin,
+  Lock,
+} from "@mui/icons-material";
 import {
   fetchPosts,
   fetchBoards,
   fetchPostsByBoard,
   setSelectedBoard,
+  fetchFeed,
+  fetchWatchedTags,
+  watchTag,
+  unwatchTag,
+  fetchBoardSubscriptions,
 } from "../slices/postsSlice";
+import BoardSubscribeButton from "../components/BoardSubscribeButton";
+import ReputationBadge from "../components/ReputationBadge";
+import UserBadges from "../components/UserBadges";
 
 // Constants
 const MAX_VISIBLE_TAGS = 5;
 
+const SORT_OPTIONS = [
+  { value: "new", label: "Newest" },
+  { value: "hot", label: "Hot" },
+  { value: "top", label: "Top" },
+  { value: "rising", label: "Rising" },
+  { value: "discussed", label: "Most Discussed" },
+];
+
+const PERIOD_OPTIONS = [
+  { value: "day", label: "Today" },
+  { value: "week", label: "This Week" },
+  { value: "month", label: "This Month" },
+  { value: "all", label: "All Time" },
+];
+
+// Sorts that can be limited to a period
+const PERIOD_SORTS = ["top", "discussed"];
+
+// List options kept in the URL: sort, and period where it applies
+const getListOptions = (searchParams) => {
+  const sort = searchParams.get("sort") || "new";
+  return PERIOD_SORTS.includes(sort)
+    ? { sort, period: searchParams.get("period") || "week" }
+    : { sort };
+};
+
 // Format date helper
 const formatDate = (dateString) => {
   const date = new Date(dateString);
@@ -73,14 +116,28 @@ const TagChip = ({ tag }) => {
   );
 };
 
-const PostCard = ({ post }) => {
+// Pinned everywhere, or within the board being viewed
+const isPinnedIn = (post, boardId) =>
+  Boolean(
+    post.metadata?.isPinned ||
+    (boardId && post.metadata?.pinnedBoards?.includes(boardId)),
+  );
+
+const PostCard = ({ post, pinned = false }) => {
   const firstImage = post.media?.[0]?.url;
 
   return (
-    <Card sx={{ height: "100%", display: "flex", flexDirection: "column" }}>
+    <Card
+      sx={{
+        height: "100%",
+        display: "flex",
+        flexDirection: "column",
+        ...(pinned && { border: 2, borderColor: "primary.main" }),
+      }}
+    >
       <CardContent sx={{ flexGrow: 1 }}>
         {/* Boards */}
-        {post.boards?.length > 0 && (
+        {(post.boards?.length > 0 || pinned) && (
           <Box
             sx={{
               display: "flex",
@@ -90,6 +147,23 @@ const PostCard = ({ post }) => {
               mb: 1,
             }}
           >
+            {pinned && (
+              <Chip
+                icon={<PushPin />}
+                label="Pinned"
+                size="small"
+                color="primary"
+                sx={{ fontSize: 11, mr: "auto" }}
+              />
+            )}
+            {post.metadata?.isLocked && (
+              <Lock
+                fontSize="small"
+                color="action"
+                titleAccess="Locked"
+                sx={{ alignSelf: "center" }}
+              />
+            )}
             {post.boards.slice(0, 3).map((board, index) => (
               <Chip
                 key={index}
@@ -114,6 +188,11 @@ const PostCard = ({ post }) => {
           <Typography variant="body2" color="text.secondary">
             {post.user?.username}
           </Typography>
+          <ReputationBadge
+            reputation={post.user?.stats?.reputation}
+            sx={{ ml: 1 }}
+          />
+          <UserBadges badges={post.user?.badges} sx={{ ml: 1 }} />
           <Typography
             variant="body2"
             color="text.secondary"
@@ -150,10 +229,13 @@ const PostCard = ({ post }) => {
             WebkitLineClamp: 3,
             WebkitBoxOrient: "vertical",
             textDecoration: "none",
+            "& code": { fontFamily: "monospace" },
           }}
-        >
-          {post.content}
-        </Typography>
+          // Excerpt HTML is sanitized by the API down to inline formatting
+          {...(post.excerptHtml
+            ? { dangerouslySetInnerHTML: { __html: post.excerptHtml } }
+            : { children: post.content })}
+        />
         {/* Thumbnail */}
         {firstImage && (
           <Box
@@ -212,43 +294,218 @@ const PostCard = ({ post }) => {
   );
 };
 
+// Posts from followed users, subscribed boards and watched tags
+const ForYouFeed = () => {
+  const dispatch = useDispatch();
+  const { feed, watchedTags, boards, boardSubscriptions } = useSelector(
+    (state) => state.posts,
+  );
+  const [newTag, setNewTag] = useState("");
+
+  useEffect(() => {
+    dispatch(fetchFeed());
+    dispatch(fetchWatchedTags());
+    dispatch(fetchBoardSubscriptions());
+  }, [dispatch]);
+
+  const subscribedBoards = boards.filter((board) =>
+    boardSubscriptions.some((s) => s.board === board._id),
+  );
+
+  const refreshFeed = () => dispatch(fetchFeed());
+
+  const handleWatchTag = async (e) => {
+    e.preventDefault();
+    const name = newTag.trim();
+    if (!name) return;
+    const result = await dispatch(watchTag(name));
+    if (!result.error) {
+      setNewTag("");
+      refreshFeed();
+    }
+  };
+
+  const handleUnwatchTag = async (name) => {
+    const result = await dispatch(unwatchTag(name));
+    if (!result.error) {
+      refreshFeed();
+    }
+  };
+
+  return (
+    <>
+      {/* My Boards */}
+      {subscribedBoards.length > 0 && (
+        <Box
+          sx={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            gap: 1,
+            mb: 2,
+          }}
+        >
+          <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+            我的看板:
+          </Typography>
+          {subscribedBoards.map((board) => (
+            <Chip
+              key={board._id}
+              label={`${board.icon} ${board.name}`}
+              size="small"
+              component={Link}
+              to={`/?board=${board._id}`}
+              clickable
+              sx={{
+                backgroundColor: board.color + "20",
+                borderColor: board.color,
+                border: "1px solid",
+              }}
+            />
+          ))}
+        </Box>
+      )}
+
+      {/* Watched Tags */}
+      <Box
+        component="form"
+        onSubmit={handleWatchTag}
+        sx={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: 1,
+          mb: 3,
+        }}
+      >
+        <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+          Watched tags:
+        </Typography>
+        {watchedTags.map((tag) => (
+          <Chip
+            key={tag}
+            label={`#${tag}`}
+            size="small"
+            onDelete={() => handleUnwatchTag(tag)}
+          />
+        ))}
+        <TextField
+          size="small"
+          placeholder="Add a tag"
+          value={newTag}
+          onChange={(e) => setNewTag(e.target.value)}
+          sx={{ width: 160 }}
+        />
+      </Box>
+
+      {feed.error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {feed.error}
+        </Alert>
+      )}
+
+      {feed.loading && feed.posts.length === 0 ? (
+        <Grid container spacing={3}>
+          {[1, 2, 3].map((i) => (
+            <Grid item xs={12} sm={6} md={4} key={i}>
+              <Skeleton
+                variant="rectangular"
+                height={220}
+                sx={{ borderRadius: 1 }}
+              />
+            </Grid>
+          ))}
+        </Grid>
+      ) : feed.posts.length > 0 ? (
+        <>
+          <Grid container spacing={3}>
+            {feed.posts.map((post) => (
+              <Grid item xs={12} sm={6} md={4} key={post._id}>
+                <PostCard post={post} />
+              </Grid>
+            ))}
+          </Grid>
+
+          {feed.hasMore && (
+            <Box sx={{ display: "flex", justifyContent: "center", mt: 4 }}>
+              <Button
+                variant="outlined"
+                onClick={() => dispatch(fetchFeed({ cursor: feed.nextCursor }))}
+                disabled={feed.loading}
+              >
+                Load More
+              </Button>
+            </Box>
+          )}
+        </>
+      ) : (
+        <Box sx={{ textAlign: "center", py: 8 }}>
+          <Typography variant="h6" color="text.secondary" gutterBottom>
+            Your feed is empty
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Follow other fishkeepers, subscribe to boards or watch tags to see
+            their posts here.
+          </Typography>
+        </Box>
+      )}
+    </>
+  );
+};
+
 const Home = () => {
   const dispatch = useDispatch();
   const { posts, boards, loading, error, pagination, selectedBoard } =
     useSelector((state) => state.posts);
+  const { user } = useSelector((state) => state.auth);
   const [searchParams, setSearchParams] = useSearchParams();
+  const isForYou = Boolean(user) && searchParams.get("view") === "foryou";
+  const { sort, period } = getListOptions(searchParams);
 
   useEffect(() => {
     dispatch(fetchBoards());
   }, [dispatch]);
 
   useEffect(() => {
+    if (isForYou) return;
     const boardId = searchParams.get("board");
+    const params = { page: 1, ...getListOptions(searchParams) };
     if (boardId) {
-      dispatch(fetchPostsByBoard({ boardId, params: { page: 1 } }));
+      dispatch(fetchPostsByBoard({ boardId, params }));
       dispatch(setSelectedBoard(boardId));
     } else {
-      dispatch(fetchPosts({ page: 1 }));
+      dispatch(fetchPosts(params));
       dispatch(setSelectedBoard(null));
     }
-  }, [dispatch, searchParams]);
+  }, [dispatch, searchParams, isForYou]);
+
+  // Change some list options while keeping the others
+  const updateParams = (changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        next.set(key, value);
+      } else {
+        next.delete(key);
+      }
+    });
+    setSearchParams(next);
+  };
 
   const handleBoardSelect = (boardId) => {
-    if (boardId) {
-      setSearchParams({ board: boardId });
-    } else {
-      setSearchParams({});
-    }
+    updateParams({ board: boardId });
   };
 
   const handleLoadMore = () => {
     const boardId = searchParams.get("board");
+    const params = {
+      page: pagination.page + 1,
+      ...getListOptions(searchParams),
+    };
     if (boardId) {
-      dispatch(
-        fetchPostsByBoard({ boardId, params: { page: pagination.page + 1 } }),
-      );
+      dispatch(fetchPostsByBoard({ boardId, params }));
     } else {
-      dispatch(fetchPosts({ page: pagination.page + 1 }));
+      dispatch(fetchPosts(params));
     }
   };
 
@@ -278,152 +535,222 @@ const Home = () => {
         </Typography>
       </Box>
 
-      {/* Board Navigation */}
-      <Box sx={{ mb: 4 }}>
+      {/* Feed Selection */}
+      {user && (
         <Tabs
-          value={currentBoardId || ""}
-          variant="scrollable"
-          scrollButtons="auto"
-          sx={{ borderBottom: 1, borderColor: "divider" }}
+          value={isForYou ? "foryou" : "latest"}
+          onChange={(e, value) =>
+            setSearchParams(value === "foryou" ? { view: "foryou" } : {})
+          }
+          sx={{ mb: 3 }}
         >
-          <Tab label="全部" value="" onClick={() => handleBoardSelect(null)} />
-          {boards.map((board) => (
-            <Tab
-              key={board._id}
-              value={board._id}
-              label={
-                <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
-                  <span>{board.icon}</span>
-                  <span>{board.name}</span>
-                  {board.postCount !== undefined && (
-                    <Chip
-                      label={board.postCount}
-                      size="small"
-                      sx={{ height: 20, fontSize: 10 }}
-                    />
-                  )}
-                </Box>
-              }
-              onClick={() => handleBoardSelect(board._id)}
-            />
-          ))}
+          <Tab label="Latest" value="latest" />
+          <Tab label="For you" value="foryou" />
         </Tabs>
-      </Box>
+      )}
 
-      {/* Current Board Info */}
-      {currentBoard && (
-        <Box
-          sx={{
-            display: "flex",
-            alignItems: "center",
-            mb: 3,
-            p: 2,
-            borderRadius: 1,
-            backgroundColor: currentBoard.color + "10",
-            border: "1px solid",
-            borderColor: currentBoard.color + "30",
-          }}
-        >
-          <Typography variant="h5" sx={{ mr: 2 }}>
-            {currentBoard.icon}
-          </Typography>
-          <Box sx={{ flex: 1 }}>
-            <Typography variant="h6">{currentBoard.name}</Typography>
-            <Typography variant="body2" color="text.secondary">
-              {currentBoard.description}
-            </Typography>
+      {isForYou ? (
+        <ForYouFeed />
+      ) : (
+        <>
+          {/* Board Navigation */}
+          <Box sx={{ mb: 4 }}>
+            <Tabs
+              value={currentBoardId || ""}
+              variant="scrollable"
+              scrollButtons="auto"
+              sx={{ borderBottom: 1, borderColor: "divider" }}
+            >
+              <Tab
+                label="全部"
+                value=""
+                onClick={() => handleBoardSelect(null)}
+              />
+              {boards.map((board) => (
+                <Tab
+                  key={board._id}
+                  value={board._id}
+                  label={
+                    <Box
+                      sx={{ display: "flex", alignItems: "center", gap: 0.5 }}
+                    >
+                      <span>{board.icon}</span>
+                      <span>{board.name}</span>
+                      {board.postCount !== undefined && (
+                        <Chip
+                          label={board.postCount}
+                          size="small"
+                          sx={{ height: 20, fontSize: 10 }}
+                        />
+                      )}
+                    </Box>
+                  }
+                  onClick={() => handleBoardSelect(board._id)}
+                />
+              ))}
+            </Tabs>
           </Box>
-          <Button
-            variant="outlined"
-            size="small"
-            onClick={() => handleBoardSelect(null)}
-          >
-            回到全部
-          </Button>
-        </Box>
-      )}
 
-      <Box
-        sx={{
-          display: "flex",
-          justifyContent: "space-between",
-          alignItems: "center",
-          mb: 3,
-        }}
-      >
-        <Typography variant="h5" component="h2" fontWeight={600}>
-          {currentBoard ? `${currentBoard.name} 的文章` : "Recent Posts"}
-        </Typography>
-        <Button
-          component={Link}
-          to={currentBoardId ? `/create?board=${currentBoardId}` : "/create"}
-          variant="contained"
-          startIcon={<AddCircle />}
-        >
-          Create Post
-        </Button>
-      </Box>
+          {/* Current Board Info */}
+          {currentBoard && (
+            <Box
+              sx={{
+                display: "flex",
+                alignItems: "center",
+                mb: 3,
+                p: 2,
+                borderRadius: 1,
+                backgroundColor: currentBoard.color + "10",
+                border: "1px solid",
+                borderColor: currentBoard.color + "30",
+              }}
+            >
+              <Typography variant="h5" sx={{ mr: 2 }}>
+                {currentBoard.icon}
+              </Typography>
+              <Box sx={{ flex: 1 }}>
+                <Typography variant="h6">{currentBoard.name}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {currentBoard.description}
+                </Typography>
+              </Box>
+              <Box sx={{ display: "flex", gap: 1 }}>
+                <BoardSubscribeButton boardId={currentBoard._id} />
+                <Button
+                  variant="outlined"
+                  size="small"
+                  onClick={() => handleBoardSelect(null)}
+                >
+                  回到全部
+                </Button>
+              </Box>
+            </Box>
+          )}
 
-      {loading && posts.length === 0 ? (
-        <Grid container spacing={3}>
-          {[1, 2, 3, 4, 5, 6].map((i) => (
-            <Grid item xs={12} sm={6} md={4} key={i}>
-              <Card>
-                <CardContent>
-                  <Skeleton
-                    variant="circular"
-                    width={32}
-                    height={32}
-                    sx={{ mb: 1 }}
-                  />
-                  <Skeleton variant="text" width="80%" height={28} />
-                  <Skeleton variant="text" width="100%" />
-                  <Skeleton variant="text" width="100%" />
-                  <Skeleton variant="text" width="60%" />
-                </CardContent>
-              </Card>
+          <Box
+            sx={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "center",
+              mb: 3,
+            }}
+          >
+            <Typography variant="h5" component="h2" fontWeight={600}>
+              {currentBoard ? `${currentBoard.name} 的文章` : "Posts"}
+            </Typography>
+            <Box sx={{ display: "flex", gap: 1, ml: "auto", mr: 2 }}>
+              <TextField
+                select
+                size="small"
+                label="Sort"
+                value={sort}
+                onChange={(e) =>
+                  updateParams({
+                    sort: e.target.value === "new" ? null : e.target.value,
+                  })
+                }
+                sx={{ minWidth: 150 }}
+              >
+                {SORT_OPTIONS.map((option) => (
+                  <MenuItem key={option.value} value={option.value}>
+                    {option.label}
+                  </MenuItem>
+                ))}
+              </TextField>
+              {period && (
+                <TextField
+                  select
+                  size="small"
+                  label="Period"
+                  value={period}
+                  onChange={(e) => updateParams({ period: e.target.value })}
+                  sx={{ minWidth: 130 }}
+                >
+                  {PERIOD_OPTIONS.map((option) => (
+                    <MenuItem key={option.value} value={option.value}>
+                      {option.label}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              )}
+            </Box>
+            <Button
+              component={Link}
+              to={
+                currentBoardId ? `/create?board=${currentBoardId}` : "/create"
+              }
+              variant="contained"
+              startIcon={<AddCircle />}
+            >
+              Create Post
+            </Button>
+          </Box>
+
+          {loading && posts.length === 0 ? (
+            <Grid container spacing={3}>
+              {[1, 2, 3, 4, 5, 6].map((i) => (
+                <Grid item xs={12} sm={6} md={4} key={i}>
+                  <Card>
+                    <CardContent>
+                      <Skeleton
+                        variant="circular"
+                        width={32}
+                        height={32}
+                        sx={{ mb: 1 }}
+                      />
+                      <Skeleton variant="text" width="80%" height={28} />
+                      <Skeleton variant="text" width="100%" />
+                      <Skeleton variant="text" width="100%" />
+                      <Skeleton variant="text" width="60%" />
+                    </CardContent>
+                  </Card>
+                </Grid>
+              ))}
             </Grid>
-          ))}
-        </Grid>
-      ) : posts.length > 0 ? (
-        <>
-          <Grid container spacing={3}>
-            {posts.map((post) => (
-              <Grid item xs={12} sm={6} md={4} key={post._id}>
-                <PostCard post={post} />
+          ) : posts.length > 0 ? (
+            <>
+              <Grid container spacing={3}>
+                {posts.map((post) => (
+                  <Grid item xs={12} sm={6} md={4} key={post._id}>
+                    <PostCard
+                      post={post}
+                      pinned={isPinnedIn(post, selectedBoard)}
+                    />
+                  </Grid>
+                ))}
               </Grid>
-            ))}
-          </Grid>
 
-          {pagination.page < pagination.pages && (
-            <Box sx={{ display: "flex", justifyContent: "center", mt: 4 }}>
+              {pagination.page < pagination.pages && (
+                <Box sx={{ display: "flex", justifyContent: "center", mt: 4 }}>
+                  <Button
+                    variant="outlined"
+                    onClick={handleLoadMore}
+                    disabled={loading}
+                  >
+                    Load More
+                  </Button>
+                </Box>
+              )}
+            </>
+          ) : (
+            <Box sx={{ textAlign: "center", py: 8 }}>
+              <Typography variant="h6" color="text.secondary" gutterBottom>
+                No posts yet
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                Be the first to share your aquarium experience!
+              </Typography>
               <Button
-                variant="outlined"
-                onClick={handleLoadMore}
-                disabled={loading}
+                component={Link}
+                to="/create"
+                variant="contained"
+                startIcon={<AddCircle />}
               >
-                Load More
+                Create Your First Post
               </Button>
             </Box>
           )}
         </>
-      ) : (
-        <Box sx={{ textAlign: "center", py: 8 }}>
-          <Typography variant="h6" color="text.secondary" gutterBottom>
-            No posts yet
-          </Typography>
-          <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
-            Be the first to share your aquarium experience!
-          </Typography>
-          <Button
-            component={Link}
-            to="/create"
-            variant="contained"
-            startIcon={<AddCircle />}
-          >
-            Create Your First Post
-          </Button>
-        </Box>
       )}
     </Container>
   );
@@ -0,0 +1,411 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemAvatar,
+  ListItemText,
+  Avatar,
+  Badge,
+  Button,
+  TextField,
+  IconButton,
+  CircularProgress,
+  Alert,
+  Divider,
+  useTheme,
+} from "@mui/material";
+import { Send, ArrowBack } from "@mui/icons-material";
+import {
+  fetchConversations,
+  fetchConversation,
+  sendMessage,
+  markConversationRead,
+  clearActiveConversation,
+} from "../slices/messagesSlice";
+
+const formatTime = (date) => {
+  const value = new Date(date);
+  return value.toDateString() === new Date().toDateString()
+    ? value.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+    : value.toLocaleDateString();
+};
+
+const UserAvatar = ({ user, size = 40 }) => (
+  <Avatar src={user?.profile?.avatar} sx={{ width: size, height: size }}>
+    {user?.username?.charAt(0).toUpperCase()}
+  </Avatar>
+);
+
+const ConversationList = ({ conversations, activeId, currentUserId }) => (
+  <List sx={{ p: 0 }}>
+    {conversations.map((conversation) => {
+      const fromMe = conversation.lastMessage?.sender === currentUserId;
+      return (
+        <ListItemButton
+          key={conversation._id}
+          component={Link}
+          to={`/messages/${conversation._id}`}
+          selected={conversation._id === activeId}
+        >
+          <ListItemAvatar>
+            <Badge
+              color="error"
+              badgeContent={conversation.unreadCount}
+              overlap="circular"
+            >
+              <UserAvatar user={conversation.otherUser} />
+            </Badge>
+          </ListItemAvatar>
+          <ListItemText
+            primary={
+              <Box sx={{ display: "flex", justifyContent: "space-between" }}>
+                <Typography
+                  variant="body2"
+                  sx={{ fontWeight: conversation.unreadCount ? 700 : 600 }}
+                >
+                  {conversation.otherUser?.username || "Deleted user"}
+                </Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {formatTime(conversation.lastMessageAt)}
+                </Typography>
+              </Box>
+            }
+            secondary={`${fromMe ? "You: " : ""}${conversation.lastMessage?.content || ""}`}
+            secondaryTypographyProps={{ noWrap: true }}
+          />
+        </ListItemButton>
+      );
+    })}
+  </List>
+);
+
+const MessageBubble = ({ message, mine }) => {
+  const theme = useTheme();
+  return (
+    <Box
+      sx={{
+        display: "flex",
+        justifyContent: mine ? "flex-end" : "flex-start",
+        mb: 1,
+      }}
+    >
+      <Box
+        sx={{
+          maxWidth: "75%",
+          px: 2,
+          py: 1,
+          borderRadius: 2,
+          bgcolor: mine ? "primary.main" : theme.palette.action.hover,
+          color: mine ? "primary.contrastText" : "text.primary",
+        }}
+      >
+        <Typography
+          variant="body2"
+          sx={{ whiteSpace: "pre-wrap", wordBreak: "break-word" }}
+        >
+          {message.content}
+        </Typography>
+        <Typography
+          variant="caption"
+          sx={{ display: "block", textAlign: "right", opacity: 0.7 }}
+        >
+          {formatTime(message.createdAt)}
+        </Typography>
+      </Box>
+    </Box>
+  );
+};
+
+const Messages = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { conversationId } = useParams();
+  const { user } = useSelector((state) => state.auth);
+  const {
+    conversations,
+    pagination,
+    activeConversation,
+    messages,
+    hasMore,
+    canMessage,
+    inboxStale,
+    loading,
+    messagesLoading,
+    sending,
+    error,
+  } = useSelector((state) => state.messages);
+
+  const [draft, setDraft] = useState("");
+  const bottomRef = useRef(null);
+
+  // Set by the profile "Message" button to start a new conversation
+  const recipient = !conversationId ? location.state?.recipient : null;
+
+  useEffect(() => {
+    dispatch(fetchConversations());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (inboxStale) {
+      dispatch(fetchConversations());
+    }
+  }, [dispatch, inboxStale]);
+
+  // Jump to the existing conversation with the requested recipient
+  useEffect(() => {
+    if (!recipient) return;
+    const existing = conversations.find(
+      (c) => c.otherUser?._id === recipient._id,
+    );
+    if (existing) {
+      navigate(`/messages/${existing._id}`, { replace: true });
+    }
+  }, [recipient, conversations, navigate]);
+
+  useEffect(() => {
+    if (conversationId) {
+      dispatch(fetchConversation({ conversationId }));
+    }
+    return () => {
+      dispatch(clearActiveConversation());
+    };
+  }, [dispatch, conversationId]);
+
+  const lastMessage = messages[messages.length - 1];
+
+  // Keep the open conversation read while new messages arrive
+  useEffect(() => {
+    if (!activeConversation || !lastMessage) return;
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+    if ((lastMessage.sender?._id || lastMessage.sender) !== user?._id) {
+      dispatch(markConversationRead(activeConversation._id));
+    }
+  }, [dispatch, activeConversation, lastMessage, user]);
+
+  const otherUser = activeConversation?.otherUser || recipient;
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    const content = draft.trim();
+    if (!content) return;
+
+    const result = await dispatch(
+      sendMessage(
+        activeConversation
+          ? { conversationId: activeConversation._id, content }
+          : { recipient: recipient._id, content },
+      ),
+    );
+    if (!result.error) {
+      setDraft("");
+      if (!activeConversation) {
+        navigate(`/messages/${result.payload.conversationId}`, {
+          replace: true,
+        });
+      }
+    }
+  };
+
+  const showThread = Boolean(conversationId || recipient);
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" component="h1" fontWeight={700} sx={{ mb: 3 }}>
+        Messages ✉️
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.error?.message || error.message || "Something went wrong"}
+        </Alert>
+      )}
+
+      <Card>
+        <Grid container sx={{ height: "70vh" }}>
+          <Grid
+            item
+            xs={12}
+            md={4}
+            sx={{
+              borderRight: { md: 1 },
+              borderColor: { md: "divider" },
+              overflowY: "auto",
+              height: "100%",
+              display: { xs: showThread ? "none" : "block", md: "block" },
+            }}
+          >
+            {!loading && conversations.length === 0 ? (
+              <Box sx={{ p: 4, textAlign: "center" }}>
+                <Typography color="text.secondary">
+                  No conversations yet. Start one from a member's profile.
+                </Typography>
+              </Box>
+            ) : (
+              <ConversationList
+                conversations={conversations}
+                activeId={conversationId}
+                currentUserId={user?._id}
+              />
+            )}
+            {loading && (
+              <Box sx={{ display: "flex", justifyContent: "center", py: 2 }}>
+                <CircularProgress size={28} />
+              </Box>
+            )}
+            {!loading && pagination.page < pagination.pages && (
+              <Box sx={{ textAlign: "center", py: 1 }}>
+                <Button
+                  onClick={() =>
+                    dispatch(fetchConversations({ page: pagination.page + 1 }))
+                  }
+                >
+                  Load more
+                </Button>
+              </Box>
+            )}
+          </Grid>
+
+          <Grid
+            item
+            xs={12}
+            md={8}
+            sx={{
+              height: "100%",
+              display: { xs: showThread ? "flex" : "none", md: "flex" },
+              flexDirection: "column",
+            }}
+          >
+            {!showThread ? (
+              <Box
+                sx={{
+                  flex: 1,
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                }}
+              >
+                <Typography color="text.secondary">
+                  Select a conversation
+                </Typography>
+              </Box>
+            ) : (
+              <>
+                <Box
+                  sx={{ display: "flex", alignItems: "center", gap: 1, p: 2 }}
+                >
+                  <IconButton
+                    component={Link}
+                    to="/messages"
+                    sx={{ display: { md: "none" } }}
+                  >
+                    <ArrowBack />
+                  </IconButton>
+                  {otherUser && (
+                    <>
+                      <UserAvatar user={otherUser} size={32} />
+                      <Typography
+                        component={Link}
+                        to={`/profile/${otherUser._id}`}
+                        fontWeight={600}
+                        sx={{ textDecoration: "none", color: "inherit" }}
+                      >
+                        {otherUser.username}
+                      </Typography>
+                    </>
+                  )}
+                </Box>
+                <Divider />
+
+                <Box sx={{ flex: 1, overflowY: "auto", p: 2 }}>
+                  {hasMore && (
+                    <Box sx={{ textAlign: "center", mb: 2 }}>
+                      <Button
+                        size="small"
+                        disabled={messagesLoading}
+                        onClick={() =>
+                          dispatch(
+                            fetchConversation({
+                              conversationId,
+                              before: messages[0]?.createdAt,
+                            }),
+                          )
+                        }
+                      >
+                        Load earlier messages
+                      </Button>
+                    </Box>
+                  )}
+                  {messagesLoading && messages.length === 0 && (
+                    <Box sx={{ display: "flex", justifyContent: "center" }}>
+                      <CircularProgress size={28} />
+                    </Box>
+                  )}
+                  {messages.map((message) => (
+                    <MessageBubble
+                      key={message._id}
+                      message={message}
+                      mine={
+                        (message.sender?._id || message.sender) === user?._id
+                      }
+                    />
+                  ))}
+                  <div ref={bottomRef} />
+                </Box>
+
+                <Divider />
+                {canMessage ? (
+                  <Box
+                    component="form"
+                    onSubmit={handleSend}
+                    sx={{ display: "flex", gap: 1, p: 2 }}
+                  >
+                    <TextField
+                      fullWidth
+                      size="small"
+                      multiline
+                      maxRows={4}
+                      placeholder="Write a message..."
+                      value={draft}
+                      onChange={(e) => setDraft(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Enter" && !e.shiftKey) {
+                          handleSend(e);
+                        }
+                      }}
+                      inputProps={{ maxLength: 2000 }}
+                    />
+                    <IconButton
+                      type="submit"
+                      color="primary"
+                      disabled={sending || !draft.trim()}
+                    >
+                      <Send />
+                    </IconButton>
+                  </Box>
+                ) : (
+                  <Typography
+                    variant="body2"
+                    color="text.secondary"
+                    sx={{ p: 2, textAlign: "center" }}
+                  >
+                    You can't reply to this conversation.
+                  </Typography>
+                )}
+              </>
+            )}
+          </Grid>
+        </Grid>
+      </Card>
+    </Container>
+  );
+};
+
+export default Messages;
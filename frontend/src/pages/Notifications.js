@@ -0,0 +1,402 @@
+import React, { useEffect, useRef, useState, useCallback } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  List,
+  ListItem,
+  ListItemAvatar,
+  ListItemText,
+  ListSubheader,
+  Avatar,
+  AvatarGroup,
+  Button,
+  Checkbox,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  CircularProgress,
+  Alert,
+  useTheme,
+} from "@mui/material";
+import { CheckCircleOutline, Delete, DoneAll } from "@mui/icons-material";
+import {
+  fetchNotifications,
+  markAsRead,
+  markAllAsRead,
+  markNotificationsRead,
+  deleteNotifications,
+} from "../slices/notificationsSlice";
+import {
+  formatActors,
+  getNotificationIcon,
+  getNotificationPath,
+} from "../components/NotificationPanel";
+
+const TYPE_OPTIONS = [
+  { value: "", label: "All types" },
+  { value: "like", label: "Likes" },
+  { value: "comment", label: "Comments" },
+  { value: "reply", label: "Replies" },
+  { value: "mention", label: "Mentions" },
+  { value: "follow", label: "Follows" },
+  { value: "bookmark", label: "Bookmarks" },
+  { value: "board", label: "Board posts" },
+  { value: "message", label: "Messages" },
+  { value: "system", label: "System" },
+];
+
+const getDayLabel = (date) => {
+  const day = new Date(date);
+  const today = new Date();
+  const yesterday = new Date();
+  yesterday.setDate(today.getDate() - 1);
+
+  if (day.toDateString() === today.toDateString()) return "Today";
+  if (day.toDateString() === yesterday.toDateString()) return "Yesterday";
+  return day.toLocaleDateString("en-US", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+};
+
+// Split notifications (already newest first) into consecutive day groups
+const groupByDay = (notifications) =>
+  notifications.reduce((groups, notification) => {
+    const label = getDayLabel(
+      notification.activityAt || notification.createdAt,
+    );
+    const last = groups[groups.length - 1];
+    if (last && last.label === label) {
+      last.items.push(notification);
+    } else {
+      groups.push({ label, items: [notification] });
+    }
+    return groups;
+  }, []);
+
+const Notifications = () => {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { notifications, unreadCount, loading, error, pagination } =
+    useSelector((state) => state.notifications);
+
+  const [type, setType] = useState("");
+  const [readFilter, setReadFilter] = useState("all");
+  const [selected, setSelected] = useState([]);
+  const sentinelRef = useRef(null);
+
+  const loadPage = useCallback(
+    (page) =>
+      dispatch(
+        fetchNotifications({
+          page,
+          type: type || undefined,
+          read: readFilter === "all" ? undefined : readFilter === "read",
+        }),
+      ),
+    [dispatch, type, readFilter],
+  );
+
+  useEffect(() => {
+    setSelected([]);
+    loadPage(1);
+  }, [loadPage]);
+
+  const hasMore = pagination.page < pagination.pages;
+
+  // Load the next page when the bottom of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          loadPage(pagination.page + 1);
+        }
+      },
+      { rootMargin: "200px" },
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading, loadPage, pagination.page]);
+
+  const toggleSelected = (id) => {
+    setSelected((current) =>
+      current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id],
+    );
+  };
+
+  const allSelected =
+    notifications.length > 0 && selected.length === notifications.length;
+
+  const handleSelectAll = () => {
+    setSelected(allSelected ? [] : notifications.map((n) => n._id));
+  };
+
+  const handleMarkSelectedRead = async () => {
+    await dispatch(markNotificationsRead(selected));
+    setSelected([]);
+  };
+
+  const handleDeleteSelected = async () => {
+    if (
+      window.confirm(
+        `Delete ${selected.length} notification${selected.length > 1 ? "s" : ""}?`,
+      )
+    ) {
+      await dispatch(deleteNotifications(selected));
+      setSelected([]);
+    }
+  };
+
+  const handleNotificationClick = async (notification) => {
+    if (!notification.read) {
+      await dispatch(markAsRead(notification._id));
+    }
+    const path = getNotificationPath(notification);
+    if (path) {
+      navigate(path);
+    }
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "space-between",
+          mb: 3,
+        }}
+      >
+        <Box>
+          <Typography variant="h4" component="h1" fontWeight={700}>
+            Notifications 🔔
+          </Typography>
+          <Typography variant="body1" color="text.secondary">
+            {unreadCount > 0 ? `${unreadCount} unread` : "You're all caught up"}
+          </Typography>
+        </Box>
+        <Button
+          startIcon={<DoneAll />}
+          onClick={() => dispatch(markAllAsRead())}
+          disabled={unreadCount === 0}
+        >
+          Mark all as read
+        </Button>
+      </Box>
+
+      {/* Filters */}
+      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 2, mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 160 }}>
+          <InputLabel id="notification-type-label">Type</InputLabel>
+          <Select
+            labelId="notification-type-label"
+            label="Type"
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+          >
+            {TYPE_OPTIONS.map((option) => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={readFilter}
+          onChange={(e, value) => value && setReadFilter(value)}
+        >
+          <ToggleButton value="all">All</ToggleButton>
+          <ToggleButton value="unread">Unread</ToggleButton>
+          <ToggleButton value="read">Read</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.error?.message || error.message || "Something went wrong"}
+        </Alert>
+      )}
+
+      <Card>
+        {/* Bulk actions */}
+        <Box
+          sx={{
+            display: "flex",
+            alignItems: "center",
+            gap: 1,
+            px: 1,
+            py: 0.5,
+            borderBottom: 1,
+            borderColor: "divider",
+          }}
+        >
+          <Checkbox
+            checked={allSelected}
+            indeterminate={selected.length > 0 && !allSelected}
+            onChange={handleSelectAll}
+            disabled={notifications.length === 0}
+          />
+          <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+            {selected.length > 0 ? `${selected.length} selected` : "Select"}
+          </Typography>
+          <Button
+            size="small"
+            startIcon={<CheckCircleOutline />}
+            onClick={handleMarkSelectedRead}
+            disabled={selected.length === 0}
+          >
+            Mark read
+          </Button>
+          <Button
+            size="small"
+            color="error"
+            startIcon={<Delete />}
+            onClick={handleDeleteSelected}
+            disabled={selected.length === 0}
+          >
+            Delete
+          </Button>
+        </Box>
+
+        {!loading && notifications.length === 0 ? (
+          <Box sx={{ p: 6, textAlign: "center" }}>
+            <Typography variant="body1" color="text.secondary">
+              No notifications found
+            </Typography>
+          </Box>
+        ) : (
+          <List sx={{ p: 0 }}>
+            {groupByDay(notifications).map((group) => (
+              <li key={group.label}>
+                <ul style={{ padding: 0 }}>
+                  <ListSubheader sx={{ bgcolor: "background.paper" }}>
+                    {group.label}
+                  </ListSubheader>
+                  {group.items.map((notification) => (
+                    <ListItem
+                      key={notification._id}
+                      alignItems="flex-start"
+                      sx={{
+                        cursor: "pointer",
+                        bgcolor: notification.read
+                          ? "transparent"
+                          : theme.palette.action.hover,
+                        "&:hover": {
+                          bgcolor: theme.palette.action.selected,
+                        },
+                      }}
+                      onClick={() => handleNotificationClick(notification)}
+                    >
+                      <Checkbox
+                        checked={selected.includes(notification._id)}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => toggleSelected(notification._id)}
+                        sx={{ mr: 1 }}
+                      />
+                      <ListItemAvatar>
+                        {notification.actors?.length > 1 ? (
+                          <AvatarGroup
+                            max={2}
+                            total={notification.actorCount}
+                            sx={{
+                              "& .MuiAvatar-root": { width: 28, height: 28 },
+                            }}
+                          >
+                            {notification.actors.map((actor) => (
+                              <Avatar
+                                key={actor._id}
+                                src={actor.profile?.avatar}
+                                alt={actor.username}
+                              >
+                                {actor.username?.[0]?.toUpperCase()}
+                              </Avatar>
+                            ))}
+                          </AvatarGroup>
+                        ) : (
+                          <Avatar
+                            src={notification.fromUser?.profile?.avatar}
+                            sx={{ width: 40, height: 40 }}
+                          >
+                            {notification.fromUser?.username?.[0]?.toUpperCase() ||
+                              getNotificationIcon(notification.type)}
+                          </Avatar>
+                        )}
+                      </ListItemAvatar>
+                      <ListItemText
+                        primary={
+                          <Typography
+                            variant="body2"
+                            sx={{ fontWeight: notification.read ? 400 : 600 }}
+                          >
+                            {getNotificationIcon(notification.type)}{" "}
+                            <Box component="span" sx={{ fontWeight: 600 }}>
+                              {formatActors(notification)}
+                            </Box>{" "}
+                            {notification.message}
+                          </Typography>
+                        }
+                        secondary={
+                          <>
+                            {notification.post?.title && (
+                              <Typography
+                                component="span"
+                                variant="body2"
+                                color="text.secondary"
+                                sx={{ display: "block" }}
+                              >
+                                {notification.post.title}
+                              </Typography>
+                            )}
+                            <Typography
+                              component="span"
+                              variant="caption"
+                              color="text.secondary"
+                            >
+                              {new Date(
+                                notification.activityAt ||
+                                  notification.createdAt,
+                              ).toLocaleTimeString([], {
+                                hour: "2-digit",
+                                minute: "2-digit",
+                              })}
+                            </Typography>
+                          </>
+                        }
+                      />
+                    </ListItem>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </List>
+        )}
+
+        <Box
+          ref={sentinelRef}
+          sx={{ display: "flex", justifyContent: "center" }}
+        >
+          {loading && <CircularProgress size={28} sx={{ my: 3 }} />}
+        </Box>
+      </Card>
+    </Container>
+  );
+};
+
+export default Notifications;
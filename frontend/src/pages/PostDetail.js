@@ -15,6 +15,7 @@ import {
   Alert,
   Divider,
   Modal,
+  Grid,
 } from "@mui/material";
 import {
   Favorite,
@@ -30,8 +31,32 @@ import {
   Close,
   ChevronLeft,
   ChevronRight,
+  NotificationsActive,
+  NotificationsOff,
+  PushPin,
+  Lock,
+  Flag,
 } from "@mui/icons-material";
-import { fetchPost, likePost, deletePost } from "../slices/postsSlice";
+import {
+  fetchPost,
+  likePost,
+  bookmarkPost,
+  deletePost,
+} from "../slices/postsSlice";
+import {
+  fetchNotificationPreferences,
+  muteNotifications,
+} from "../slices/notificationsSlice";
+import CommentThread from "../components/CommentThread";
+import ReputationBadge from "../components/ReputationBadge";
+import UserBadges from "../components/UserBadges";
+import PostRevisionHistory from "../components/PostRevisionHistory";
+import MarkdownContent from "../components/MarkdownContent";
+import PostPoll from "../components/PostPoll";
+import PostModerationMenu from "../components/PostModerationMenu";
+import ReportDialog from "../components/ReportDialog";
+import RelatedContent from "../components/RelatedContent";
+import SeriesNavigation from "../components/SeriesNavigation";
 import "react-image-gallery/styles/css/image-gallery.css";
 
 const styleModal = {
@@ -65,12 +90,16 @@ const PostDetail = () => {
   const dispatch = useDispatch();
   const { currentPost, loading, error } = useSelector((state) => state.posts);
   const { user } = useSelector((state) => state.auth);
+  const { preferences } = useSelector((state) => state.notifications);
 
   const [isLiked, setIsLiked] = useState(false);
   const [likeCount, setLikeCount] = useState(0);
   const [isBookmarked, setIsBookmarked] = useState(false);
   const [lightboxOpen, setLightboxOpen] = useState(false);
   const [currentImageIndex, setCurrentImageIndex] = useState(0);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [moderationError, setModerationError] = useState(null);
+  const [reportOpen, setReportOpen] = useState(false);
 
   useEffect(() => {
     const abortController = new AbortController();
@@ -84,6 +113,14 @@ const PostDetail = () => {
     };
   }, [dispatch, postId]);
 
+  // Threads merged by moderators redirect to the thread they were merged into
+  const mergedInto = currentPost?._id === postId && currentPost.mergedInto;
+  useEffect(() => {
+    if (mergedInto) {
+      navigate(`/post/${mergedInto}`, { replace: true });
+    }
+  }, [mergedInto, navigate]);
+
   useEffect(() => {
     if (currentPost) {
       setIsLiked(
@@ -92,9 +129,22 @@ const PostDetail = () => {
         ),
       );
       setLikeCount(currentPost.metadata?.likeCount || 0);
+      setIsBookmarked(
+        Boolean(user && currentPost.engagement?.bookmarks?.includes(user._id)),
+      );
     }
   }, [currentPost, user]);
 
+  useEffect(() => {
+    if (user && !preferences) {
+      dispatch(fetchNotificationPreferences());
+    }
+  }, [dispatch, user, preferences]);
+
+  const isMuted = Boolean(
+    preferences?.mutedPosts?.some((post) => (post._id || post) === postId),
+  );
+
   const handleLike = async () => {
     if (!user) {
       navigate("/login");
@@ -107,12 +157,27 @@ const PostDetail = () => {
     }
   };
 
-  const handleBookmark = () => {
-    setIsBookmarked(!isBookmarked);
+  const handleBookmark = async () => {
+    if (!user) {
+      navigate("/login");
+      return;
+    }
+    const result = await dispatch(bookmarkPost(postId));
+    if (!result.error) {
+      setIsBookmarked(result.payload.bookmarked);
+    }
+  };
+
+  const handleMute = () => {
+    dispatch(muteNotifications({ post: postId, muted: !isMuted }));
   };
 
   const handleDelete = async () => {
-    if (window.confirm("Are you sure you want to delete this post?")) {
+    if (
+      window.confirm(
+        "Move this post to the trash? You can restore it from your trash.",
+      )
+    ) {
       const result = await dispatch(deletePost(postId));
       if (!result.error) {
         navigate("/");
@@ -181,414 +246,547 @@ const PostDetail = () => {
   }
 
   const isOwner = user?._id === currentPost.user?._id;
+  const isDraft = ["draft", "scheduled"].includes(currentPost.status);
+  const isModerator =
+    user?.isAdmin || user?.role === "admin" || user?.role === "moderator";
+  const isLocked = Boolean(currentPost.metadata?.isLocked);
 
   return (
-    <Container maxWidth="md" sx={{ py: 4 }}>
-      {/* Boards */}
-      {currentPost.boards?.length > 0 && (
-        <Box
-          sx={{
-            display: "flex",
-            flexWrap: "wrap",
-            gap: 1,
-            mb: 3,
-            justifyContent: "flex-end",
-          }}
-        >
-          {currentPost.boards.map((board, index) => (
-            <Chip
-              key={index}
-              label={`${board.icon} ${board.name}`}
-              component={Link}
-              to={`/?board=${board._id}`}
-              clickable
-              sx={{
-                backgroundColor: board.color + "20",
-                border: "1px solid",
-                borderColor: board.color + "40",
-                fontSize: "0.7rem",
-              }}
-            />
-          ))}
-        </Box>
-      )}
-
-      <Typography
-        variant="h3"
-        component="h1"
-        gutterBottom
-        fontWeight={700}
-        marginBottom={3}
-      >
-        {currentPost.title}
-      </Typography>
-
-      <Box sx={{ display: "flex", alignItems: "center", mb: 3 }}>
-        <Avatar
-          src={currentPost.user?.profile?.avatar}
-          sx={{ width: 48, height: 48, mr: 2 }}
-        >
-          {currentPost.user?.username?.charAt(0).toUpperCase()}
-        </Avatar>
-        <Box sx={{ flex: 1 }}>
-          <Typography variant="subtitle1" fontWeight={600}>
-            {currentPost.user?.username}
-          </Typography>
-          <Typography variant="body2" color="text.secondary">
-            {formatDate(currentPost.metadata?.createdAt)}
-          </Typography>
-        </Box>
-
-        {isOwner && (
-          <Box>
-            <Button
-              component={Link}
-              to={`/edit/${postId}`}
-              startIcon={<Edit />}
-              sx={{ mr: 1 }}
+    <Container maxWidth={isDraft ? "md" : "lg"} sx={{ py: 4 }}>
+      <Grid container spacing={4}>
+        <Grid item xs={12} md={isDraft ? 12 : 8}>
+          {isDraft && (
+            <Alert
+              severity="info"
+              sx={{ mb: 3 }}
+              action={
+                <Button
+                  color="inherit"
+                  size="small"
+                  component={Link}
+                  to={`/create?draft=${postId}`}
+                >
+                  Continue Editing
+                </Button>
+              }
             >
-              Edit
-            </Button>
-            <Button color="error" startIcon={<Delete />} onClick={handleDelete}>
-              Delete
-            </Button>
-          </Box>
-        )}
-      </Box>
+              {currentPost.status === "scheduled"
+                ? `Only you can see this post until it is published on ${formatDate(currentPost.publishAt)}.`
+                : "This is a draft. Only you can see it."}
+            </Alert>
+          )}
 
-      {/* Media Gallery with Carousel */}
-      {currentPost.media?.length > 0 && (
-        <Box sx={{ mb: 3 }}>
-          {/* Main carousel */}
-          <Box
-            sx={{
-              position: "relative",
-              borderRadius: 2,
-              overflow: "hidden",
-              cursor: "pointer",
-              "&:hover .nav-buttons": {
-                opacity: 1,
-              },
-            }}
-            onClick={() => openLightbox(currentImageIndex)}
-          >
+          {isLocked && (
+            <Alert severity="warning" icon={<Lock />} sx={{ mb: 3 }}>
+              This thread is locked. New comments and edits are turned off.
+            </Alert>
+          )}
+
+          {moderationError && (
+            <Alert
+              severity="error"
+              sx={{ mb: 3 }}
+              onClose={() => setModerationError(null)}
+            >
+              {moderationError}
+            </Alert>
+          )}
+
+          {/* Boards */}
+          {currentPost.boards?.length > 0 && (
             <Box
-              component="img"
-              src={currentPost.media[currentImageIndex]?.url}
-              alt={`Image ${currentImageIndex + 1}`}
               sx={{
-                width: "100%",
-                height: 400,
-                objectFit: "contain",
-                backgroundColor: "#f5f5f5",
+                display: "flex",
+                flexWrap: "wrap",
+                gap: 1,
+                mb: 3,
+                justifyContent: "flex-end",
               }}
-            />
+            >
+              {currentPost.metadata?.isPinned && (
+                <Chip
+                  icon={<PushPin />}
+                  label="Pinned"
+                  color="primary"
+                  size="small"
+                  sx={{ mr: "auto" }}
+                />
+              )}
+              {currentPost.boards.map((board, index) => (
+                <Chip
+                  key={index}
+                  label={`${board.icon} ${board.name}`}
+                  component={Link}
+                  to={`/?board=${board._id}`}
+                  clickable
+                  sx={{
+                    backgroundColor: board.color + "20",
+                    border: "1px solid",
+                    borderColor: board.color + "40",
+                    fontSize: "0.7rem",
+                  }}
+                />
+              ))}
+            </Box>
+          )}
+
+          <Typography
+            variant="h3"
+            component="h1"
+            gutterBottom
+            fontWeight={700}
+            marginBottom={3}
+          >
+            {currentPost.title}
+          </Typography>
+
+          <Box sx={{ display: "flex", alignItems: "center", mb: 3 }}>
+            <Avatar
+              src={currentPost.user?.profile?.avatar}
+              sx={{ width: 48, height: 48, mr: 2 }}
+            >
+              {currentPost.user?.username?.charAt(0).toUpperCase()}
+            </Avatar>
+            <Box sx={{ flex: 1 }}>
+              <Typography variant="subtitle1" fontWeight={600}>
+                {currentPost.user?.username}{" "}
+                <ReputationBadge
+                  reputation={currentPost.user?.stats?.reputation}
+                />
+                <UserBadges badges={currentPost.user?.badges} sx={{ ml: 1 }} />
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {formatDate(currentPost.metadata?.createdAt)}
+                {currentPost.metadata?.editedAt && (
+                  <>
+                    {" · "}
+                    <Box
+                      component="span"
+                      onClick={() => setHistoryOpen(true)}
+                      title={`Last edited ${formatDate(currentPost.metadata.editedAt)}`}
+                      sx={{ cursor: "pointer", textDecoration: "underline" }}
+                    >
+                      edited
+                    </Box>
+                  </>
+                )}
+              </Typography>
+            </Box>
+
+            {(isOwner || (isModerator && !isDraft)) && (
+              <Box>
+                {isModerator && !isDraft && (
+                  <PostModerationMenu
+                    post={currentPost}
+                    onError={setModerationError}
+                  />
+                )}
+                {isOwner && (!isLocked || isModerator) && (
+                  <Button
+                    component={Link}
+                    to={isDraft ? `/create?draft=${postId}` : `/edit/${postId}`}
+                    startIcon={<Edit />}
+                    sx={{ mr: 1 }}
+                  >
+                    Edit
+                  </Button>
+                )}
+                {isOwner && (
+                  <Button
+                    color="error"
+                    startIcon={<Delete />}
+                    onClick={handleDelete}
+                  >
+                    Delete
+                  </Button>
+                )}
+              </Box>
+            )}
+          </Box>
 
-            {/* Navigation buttons */}
-            {currentPost.media.length > 1 && (
-              <>
+          {/* Media Gallery with Carousel */}
+          {currentPost.media?.length > 0 && (
+            <Box sx={{ mb: 3 }}>
+              {/* Main carousel */}
+              <Box
+                sx={{
+                  position: "relative",
+                  borderRadius: 2,
+                  overflow: "hidden",
+                  cursor: "pointer",
+                  "&:hover .nav-buttons": {
+                    opacity: 1,
+                  },
+                }}
+                onClick={() => openLightbox(currentImageIndex)}
+              >
+                <Box
+                  component="img"
+                  src={currentPost.media[currentImageIndex]?.url}
+                  alt={`Image ${currentImageIndex + 1}`}
+                  sx={{
+                    width: "100%",
+                    height: 400,
+                    objectFit: "contain",
+                    backgroundColor: "#f5f5f5",
+                  }}
+                />
+
+                {/* Navigation buttons */}
+                {currentPost.media.length > 1 && (
+                  <>
+                    <IconButton
+                      className="nav-buttons"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        prevImage();
+                      }}
+                      sx={{
+                        position: "absolute",
+                        left: 8,
+                        top: "50%",
+                        transform: "translateY(-50%)",
+                        backgroundColor: "rgba(0,0,0,0.5)",
+                        color: "white",
+                        opacity: 0,
+                        transition: "opacity 0.2s",
+                        "&:hover": {
+                          backgroundColor: "rgba(0,0,0,0.7)",
+                        },
+                      }}
+                    >
+                      <ChevronLeft />
+                    </IconButton>
+                    <IconButton
+                      className="nav-buttons"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        nextImage();
+                      }}
+                      sx={{
+                        position: "absolute",
+                        right: 8,
+                        top: "50%",
+                        transform: "translateY(-50%)",
+                        backgroundColor: "rgba(0,0,0,0.5)",
+                        color: "white",
+                        opacity: 0,
+                        transition: "opacity 0.2s",
+                        "&:hover": {
+                          backgroundColor: "rgba(0,0,0,0.7)",
+                        },
+                      }}
+                    >
+                      <ChevronRight />
+                    </IconButton>
+                  </>
+                )}
+
+                {/* Fullscreen button */}
                 <IconButton
-                  className="nav-buttons"
                   onClick={(e) => {
                     e.stopPropagation();
-                    prevImage();
+                    openLightbox(currentImageIndex);
                   }}
                   sx={{
                     position: "absolute",
-                    left: 8,
-                    top: "50%",
-                    transform: "translateY(-50%)",
+                    bottom: 8,
+                    right: 8,
                     backgroundColor: "rgba(0,0,0,0.5)",
                     color: "white",
-                    opacity: 0,
-                    transition: "opacity 0.2s",
                     "&:hover": {
                       backgroundColor: "rgba(0,0,0,0.7)",
                     },
                   }}
                 >
-                  <ChevronLeft />
+                  <Fullscreen />
                 </IconButton>
-                <IconButton
-                  className="nav-buttons"
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    nextImage();
-                  }}
+
+                {/* Image counter */}
+                <Box
                   sx={{
                     position: "absolute",
-                    right: 8,
-                    top: "50%",
-                    transform: "translateY(-50%)",
+                    bottom: 8,
+                    left: 8,
                     backgroundColor: "rgba(0,0,0,0.5)",
                     color: "white",
-                    opacity: 0,
-                    transition: "opacity 0.2s",
-                    "&:hover": {
-                      backgroundColor: "rgba(0,0,0,0.7)",
-                    },
+                    px: 1.5,
+                    py: 0.5,
+                    borderRadius: 1,
+                    fontSize: 12,
                   }}
                 >
-                  <ChevronRight />
-                </IconButton>
-              </>
-            )}
-
-            {/* Fullscreen button */}
-            <IconButton
-              onClick={(e) => {
-                e.stopPropagation();
-                openLightbox(currentImageIndex);
-              }}
-              sx={{
-                position: "absolute",
-                bottom: 8,
-                right: 8,
-                backgroundColor: "rgba(0,0,0,0.5)",
-                color: "white",
-                "&:hover": {
-                  backgroundColor: "rgba(0,0,0,0.7)",
-                },
-              }}
-            >
-              <Fullscreen />
-            </IconButton>
-
-            {/* Image counter */}
-            <Box
-              sx={{
-                position: "absolute",
-                bottom: 8,
-                left: 8,
-                backgroundColor: "rgba(0,0,0,0.5)",
-                color: "white",
-                px: 1.5,
-                py: 0.5,
-                borderRadius: 1,
-                fontSize: 12,
-              }}
-            >
-              {currentImageIndex + 1} / {currentPost.media.length}
-            </Box>
-          </Box>
+                  {currentImageIndex + 1} / {currentPost.media.length}
+                </Box>
+              </Box>
 
-          {/* Thumbnail strip */}
-          {currentPost.media.length > 1 && (
-            <Box
-              sx={{
-                display: "flex",
-                gap: 1,
-                mt: 2,
-                overflowX: "auto",
-                pb: 1,
-              }}
-            >
-              {currentPost.media.map((item, index) => (
+              {/* Thumbnail strip */}
+              {currentPost.media.length > 1 && (
                 <Box
-                  key={index}
-                  onClick={() => setCurrentImageIndex(index)}
                   sx={{
-                    width: 80,
-                    height: 60,
-                    flexShrink: 0,
-                    borderRadius: 1,
-                    overflow: "hidden",
-                    cursor: "pointer",
-                    border: index === currentImageIndex ? 2 : 0,
-                    borderColor: "primary.main",
-                    opacity: index === currentImageIndex ? 1 : 0.6,
-                    transition: "all 0.2s",
-                    "&:hover": {
-                      opacity: 1,
-                    },
+                    display: "flex",
+                    gap: 1,
+                    mt: 2,
+                    overflowX: "auto",
+                    pb: 1,
                   }}
                 >
-                  <Box
-                    component="img"
-                    src={item.url}
-                    alt={`Thumbnail ${index + 1}`}
-                    sx={{
-                      width: "100%",
-                      height: "100%",
-                      objectFit: "cover",
-                    }}
-                  />
+                  {currentPost.media.map((item, index) => (
+                    <Box
+                      key={index}
+                      onClick={() => setCurrentImageIndex(index)}
+                      sx={{
+                        width: 80,
+                        height: 60,
+                        flexShrink: 0,
+                        borderRadius: 1,
+                        overflow: "hidden",
+                        cursor: "pointer",
+                        border: index === currentImageIndex ? 2 : 0,
+                        borderColor: "primary.main",
+                        opacity: index === currentImageIndex ? 1 : 0.6,
+                        transition: "all 0.2s",
+                        "&:hover": {
+                          opacity: 1,
+                        },
+                      }}
+                    >
+                      <Box
+                        component="img"
+                        src={item.url}
+                        alt={`Thumbnail ${index + 1}`}
+                        sx={{
+                          width: "100%",
+                          height: "100%",
+                          objectFit: "cover",
+                        }}
+                      />
+                    </Box>
+                  ))}
                 </Box>
-              ))}
+              )}
             </Box>
           )}
-        </Box>
-      )}
-
-      {/* Lightbox Modal */}
-      <Modal
-        open={lightboxOpen}
-        onClose={closeLightbox}
-        sx={{
-          display: "flex",
-          alignItems: "center",
-          justifyContent: "center",
-          bgcolor: "rgba(0,0,0,0.9)",
-        }}
-      >
-        <Box sx={styleModal}>
-          {/* Close button */}
-          <IconButton
-            onClick={closeLightbox}
-            sx={{
-              position: "absolute",
-              top: 8,
-              right: 8,
-              color: "white",
-              zIndex: 1,
-            }}
-          >
-            <Close />
-          </IconButton>
 
-          {/* Main image */}
-          <Box
-            component="img"
-            src={currentPost.media[currentImageIndex]?.url}
-            alt={`Image ${currentImageIndex + 1}`}
+          {/* Lightbox Modal */}
+          <Modal
+            open={lightboxOpen}
+            onClose={closeLightbox}
             sx={{
-              maxWidth: "85vw",
-              maxHeight: "80vh",
-              objectFit: "contain",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              bgcolor: "rgba(0,0,0,0.9)",
             }}
-          />
-
-          {/* Navigation */}
-          {currentPost.media.length > 1 && (
-            <>
+          >
+            <Box sx={styleModal}>
+              {/* Close button */}
               <IconButton
-                onClick={prevImage}
+                onClick={closeLightbox}
                 sx={{
                   position: "absolute",
-                  left: 8,
-                  top: "50%",
-                  transform: "translateY(-50%)",
+                  top: 8,
+                  right: 8,
                   color: "white",
-                  backgroundColor: "rgba(0,0,0,0.5)",
-                  "&:hover": {
-                    backgroundColor: "rgba(0,0,0,0.7)",
-                  },
+                  zIndex: 1,
                 }}
               >
-                <ChevronLeft />
+                <Close />
               </IconButton>
-              <IconButton
-                onClick={nextImage}
+
+              {/* Main image */}
+              <Box
+                component="img"
+                src={currentPost.media[currentImageIndex]?.url}
+                alt={`Image ${currentImageIndex + 1}`}
                 sx={{
-                  position: "absolute",
-                  right: 8,
-                  top: "50%",
-                  transform: "translateY(-50%)",
-                  color: "white",
-                  backgroundColor: "rgba(0,0,0,0.5)",
-                  "&:hover": {
-                    backgroundColor: "rgba(0,0,0,0.7)",
-                  },
+                  maxWidth: "85vw",
+                  maxHeight: "80vh",
+                  objectFit: "contain",
+                }}
+              />
+
+              {/* Navigation */}
+              {currentPost.media.length > 1 && (
+                <>
+                  <IconButton
+                    onClick={prevImage}
+                    sx={{
+                      position: "absolute",
+                      left: 8,
+                      top: "50%",
+                      transform: "translateY(-50%)",
+                      color: "white",
+                      backgroundColor: "rgba(0,0,0,0.5)",
+                      "&:hover": {
+                        backgroundColor: "rgba(0,0,0,0.7)",
+                      },
+                    }}
+                  >
+                    <ChevronLeft />
+                  </IconButton>
+                  <IconButton
+                    onClick={nextImage}
+                    sx={{
+                      position: "absolute",
+                      right: 8,
+                      top: "50%",
+                      transform: "translateY(-50%)",
+                      color: "white",
+                      backgroundColor: "rgba(0,0,0,0.5)",
+                      "&:hover": {
+                        backgroundColor: "rgba(0,0,0,0.7)",
+                      },
+                    }}
+                  >
+                    <ChevronRight />
+                  </IconButton>
+                </>
+              )}
+
+              {/* Counter */}
+              <Box
+                sx={{
+                  textAlign: "center",
+                  color: "text.secondary",
+                  mt: 1,
                 }}
               >
-                <ChevronRight />
-              </IconButton>
-            </>
+                {currentImageIndex + 1} / {currentPost.media.length}
+              </Box>
+            </Box>
+          </Modal>
+
+          {currentPost.series && (
+            <SeriesNavigation
+              seriesId={currentPost.series}
+              postId={currentPost._id}
+            />
+          )}
+
+          <Card sx={{ mb: 8 }}>
+            <CardContent>
+              <MarkdownContent
+                html={currentPost.contentHtml}
+                fallback={currentPost.content}
+              />
+            </CardContent>
+          </Card>
+
+          {/* Poll */}
+          {currentPost.poll && !isDraft && (
+            <PostPoll postId={currentPost._id} />
+          )}
+
+          {/* Tags */}
+          {currentPost.tags?.length > 0 && (
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="subtitle2" color="tags.dark" gutterBottom>
+                Tags
+              </Typography>
+              <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+                {currentPost.tags.map((tag, index) => (
+                  <Chip
+                    key={index}
+                    label={typeof tag === "object" ? tag.tag : tag}
+                    variant="outlined"
+                    size="small"
+                    clickable
+                    sx={{
+                      color: "tags.main",
+                    }}
+                  />
+                ))}
+              </Box>
+            </Box>
           )}
 
-          {/* Counter */}
+          <Divider sx={{ my: 3 }} />
+
+          {/* Actions */}
           <Box
             sx={{
-              textAlign: "center",
-              color: "text.secondary",
-              mt: 1,
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
             }}
           >
-            {currentImageIndex + 1} / {currentPost.media.length}
-          </Box>
-        </Box>
-      </Modal>
+            <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
+              <IconButton
+                onClick={handleLike}
+                color={isLiked ? "error" : "default"}
+              >
+                {isLiked ? <Favorite /> : <FavoriteBorder />}
+              </IconButton>
+              <Typography>{likeCount}</Typography>
+
+              <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+                <ChatBubble fontSize="small" color="action" />
+                <Typography variant="body2" color="text.secondary">
+                  {currentPost.metadata?.commentCount || 0}
+                </Typography>
+              </Box>
+
+              <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
+                <Visibility fontSize="small" color="action" />
+                <Typography variant="body2" color="text.secondary">
+                  {currentPost.metadata?.viewCount || 0}
+                </Typography>
+              </Box>
+            </Box>
 
-      <Card sx={{ mb: 8 }}>
-        <CardContent>
-          <Typography
-            variant="body1"
-            sx={{
-              whiteSpace: "pre-wrap",
-              lineHeight: 1.8,
-            }}
-          >
-            {currentPost.content}
-          </Typography>
-        </CardContent>
-      </Card>
-
-      {/* Tags */}
-      {currentPost.tags?.length > 0 && (
-        <Box sx={{ mb: 3 }}>
-          <Typography variant="subtitle2" color="tags.dark" gutterBottom>
-            Tags
-          </Typography>
-          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
-            {currentPost.tags.map((tag, index) => (
-              <Chip
-                key={index}
-                label={typeof tag === "object" ? tag.tag : tag}
-                variant="outlined"
-                size="small"
-                clickable
-                sx={{
-                  color: "tags.main",
-                }}
-              />
-            ))}
-          </Box>
-        </Box>
-      )}
-
-      <Divider sx={{ my: 3 }} />
-
-      {/* Actions */}
-      <Box
-        sx={{
-          display: "flex",
-          alignItems: "center",
-          justifyContent: "space-between",
-        }}
-      >
-        <Box sx={{ display: "flex", alignItems: "center", gap: 2 }}>
-          <IconButton
-            onClick={handleLike}
-            color={isLiked ? "error" : "default"}
-          >
-            {isLiked ? <Favorite /> : <FavoriteBorder />}
-          </IconButton>
-          <Typography>{likeCount}</Typography>
-
-          <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
-            <ChatBubble fontSize="small" color="action" />
-            <Typography variant="body2" color="text.secondary">
-              {currentPost.metadata?.commentCount || 0}
-            </Typography>
+            <Box>
+              {user && (
+                <IconButton
+                  onClick={handleMute}
+                  title={
+                    isMuted ? "Unmute notifications" : "Mute notifications"
+                  }
+                >
+                  {isMuted ? <NotificationsOff /> : <NotificationsActive />}
+                </IconButton>
+              )}
+              <IconButton onClick={handleBookmark}>
+                {isBookmarked ? <Bookmark /> : <BookmarkBorder />}
+              </IconButton>
+              <IconButton onClick={handleShare}>
+                <Share />
+              </IconButton>
+              {user && !isOwner && !isDraft && (
+                <IconButton
+                  onClick={() => setReportOpen(true)}
+                  title="Report post"
+                >
+                  <Flag />
+                </IconButton>
+              )}
+            </Box>
           </Box>
 
-          <Box sx={{ display: "flex", alignItems: "center", gap: 0.5 }}>
-            <Visibility fontSize="small" color="action" />
-            <Typography variant="body2" color="text.secondary">
-              {currentPost.metadata?.viewCount || 0}
-            </Typography>
-          </Box>
-        </Box>
-
-        <Box>
-          <IconButton onClick={handleBookmark}>
-            {isBookmarked ? <Bookmark /> : <BookmarkBorder />}
-          </IconButton>
-          <IconButton onClick={handleShare}>
-            <Share />
-          </IconButton>
-        </Box>
-      </Box>
+          {/* Comments */}
+          <CommentThread postId={postId} />
+        </Grid>
+
+        {/* Related discussions and photos */}
+        {!isDraft && (
+          <Grid item xs={12} md={4}>
+            <RelatedContent postId={postId} />
+          </Grid>
+        )}
+      </Grid>
+
+      <ReportDialog
+        open={reportOpen}
+        onClose={() => setReportOpen(false)}
+        targetType="post"
+        targetId={postId}
+      />
+
+      <PostRevisionHistory
+        postId={postId}
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+      />
     </Container>
   );
 };
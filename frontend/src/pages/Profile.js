@@ -1,5 +1,5 @@
 import React, { useEffect, useState } from "react";
-import { useParams, Link } from "react-router-dom";
+import { useParams, Link, useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import {
   Container,
@@ -16,13 +16,34 @@ import {
   Alert,
   Skeleton,
   CircularProgress,
+  IconButton,
+  Menu,
+  MenuItem,
 } from "@mui/material";
-import { PhotoCamera, Edit } from "@mui/icons-material";
+import {
+  PhotoCamera,
+  Edit,
+  PersonAdd,
+  Check,
+  MoreVert,
+  MailOutline,
+  MenuBook,
+  Add,
+} from "@mui/icons-material";
 import {
   fetchUser,
   fetchUserPosts,
   fetchUserPhotos,
+  fetchUserSeries,
+  followUser,
+  unfollowUser,
+  updateRestriction,
 } from "../slices/usersSlice";
+import FollowListDialog from "../components/FollowListDialog";
+import ReportDialog from "../components/ReportDialog";
+import SeriesFormDialog from "../components/SeriesFormDialog";
+import { getLevel } from "../components/ReputationBadge";
+import UserBadges from "../components/UserBadges";
 import { fetchPosts } from "../slices/postsSlice";
 import { fetchPhotos } from "../slices/photosSlice";
 
@@ -57,6 +78,40 @@ const ProfilePostCard = ({ post }) => (
   </Card>
 );
 
+const ProfileSeriesCard = ({ series }) => (
+  <Card sx={{ mb: 2 }}>
+    <CardContent>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+        <MenuBook color="primary" />
+        <Typography
+          variant="h6"
+          component={Link}
+          to={`/series/${series._id}`}
+          sx={{ textDecoration: "none", color: "inherit" }}
+        >
+          {series.title}
+        </Typography>
+      </Box>
+      {series.description && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          {series.description}
+        </Typography>
+      )}
+      <Box sx={{ display: "flex", gap: 1, mt: 1, flexWrap: "wrap" }}>
+        <Chip
+          size="small"
+          label={`${series.posts.length} ${series.posts.length === 1 ? "part" : "parts"}`}
+        />
+        <Chip
+          size="small"
+          variant="outlined"
+          label={`Updated ${formatDate(series.updatedAt)}`}
+        />
+      </Box>
+    </CardContent>
+  </Card>
+);
+
 const ProfilePhotoCard = ({ photo }) => (
   <Card sx={{ height: "100%" }}>
     <Box
@@ -82,21 +137,57 @@ const ProfilePhotoCard = ({ photo }) => (
 
 const Profile = () => {
   const { userId } = useParams();
+  const navigate = useNavigate();
   const dispatch = useDispatch();
-  const { currentUser, userPosts, userPhotos, loading, error } = useSelector(
-    (state) => state.users,
-  );
+  const { currentUser, userPosts, userPhotos, userSeries, loading, error } =
+    useSelector((state) => state.users);
   const { user } = useSelector((state) => state.auth);
   const [tabValue, setTabValue] = useState(0);
+  const [followListType, setFollowListType] = useState(null);
+  const [followPending, setFollowPending] = useState(false);
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [seriesFormOpen, setSeriesFormOpen] = useState(false);
 
   useEffect(() => {
     dispatch(fetchUser(userId));
     dispatch(fetchUserPosts({ userId }));
     dispatch(fetchUserPhotos({ userId }));
+    dispatch(fetchUserSeries(userId));
   }, [dispatch, userId]);
 
   const isOwner = user?._id === userId;
 
+  const handleToggleFollow = async () => {
+    if (!user) {
+      navigate("/login");
+      return;
+    }
+    setFollowPending(true);
+    await dispatch(
+      currentUser.isFollowing ? unfollowUser(userId) : followUser(userId),
+    );
+    setFollowPending(false);
+  };
+
+  const handleRestriction = async (kind, enabled) => {
+    setMenuAnchor(null);
+    if (
+      kind === "block" &&
+      enabled &&
+      !window.confirm(
+        `Block ${currentUser.username}? They won't be able to interact with you and you'll stop following each other.`,
+      )
+    ) {
+      return;
+    }
+    const result = await dispatch(updateRestriction({ userId, kind, enabled }));
+    // Blocking removes follows, so refresh the counters
+    if (!result.error && kind === "block") {
+      dispatch(fetchUser(userId));
+    }
+  };
+
   if (loading) {
     return (
       <Container maxWidth="lg" sx={{ py: 4 }}>
@@ -178,6 +269,18 @@ const Profile = () => {
               <Typography variant="h4" fontWeight={700}>
                 {currentUser.username}
               </Typography>
+              <Chip
+                size="small"
+                label={`${getLevel(currentUser.stats?.reputation).icon} ${
+                  getLevel(currentUser.stats?.reputation).name
+                }`}
+                sx={{ mt: 0.5 }}
+              />
+              <UserBadges
+                badges={currentUser.badges}
+                variant="chips"
+                sx={{ mt: 1.5 }}
+              />
               {currentUser.profile?.bio && (
                 <Typography
                   variant="body1"
@@ -204,7 +307,7 @@ const Profile = () => {
                 Joined {formatDate(currentUser.profile?.joinDate)}
               </Typography>
             </Box>
-            {isOwner && (
+            {isOwner ? (
               <Button
                 component={Link}
                 to={`/profile/${userId}/edit`}
@@ -213,10 +316,89 @@ const Profile = () => {
               >
                 Edit Profile
               </Button>
+            ) : (
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                {!currentUser.isBlocked && (
+                  <Button
+                    variant={currentUser.isFollowing ? "outlined" : "contained"}
+                    startIcon={
+                      currentUser.isFollowing ? <Check /> : <PersonAdd />
+                    }
+                    onClick={handleToggleFollow}
+                    disabled={followPending}
+                  >
+                    {currentUser.isFollowing ? "Following" : "Follow"}
+                  </Button>
+                )}
+                {user && !currentUser.isBlocked && (
+                  <Button
+                    variant="outlined"
+                    startIcon={<MailOutline />}
+                    onClick={() =>
+                      navigate("/messages", {
+                        state: {
+                          recipient: {
+                            _id: currentUser._id,
+                            username: currentUser.username,
+                            profile: { avatar: currentUser.profile?.avatar },
+                          },
+                        },
+                      })
+                    }
+                  >
+                    Message
+                  </Button>
+                )}
+                {user && (
+                  <>
+                    <IconButton onClick={(e) => setMenuAnchor(e.currentTarget)}>
+                      <MoreVert />
+                    </IconButton>
+                    <Menu
+                      anchorEl={menuAnchor}
+                      open={Boolean(menuAnchor)}
+                      onClose={() => setMenuAnchor(null)}
+                    >
+                      <MenuItem
+                        onClick={() =>
+                          handleRestriction("mute", !currentUser.isMuted)
+                        }
+                      >
+                        {currentUser.isMuted ? "Unmute" : "Mute"}
+                      </MenuItem>
+                      <MenuItem
+                        onClick={() =>
+                          handleRestriction("block", !currentUser.isBlocked)
+                        }
+                        sx={{ color: "error.main" }}
+                      >
+                        {currentUser.isBlocked ? "Unblock" : "Block"}
+                      </MenuItem>
+                      <MenuItem
+                        onClick={() => {
+                          setMenuAnchor(null);
+                          setReportOpen(true);
+                        }}
+                        sx={{ color: "error.main" }}
+                      >
+                        Report
+                      </MenuItem>
+                    </Menu>
+                  </>
+                )}
+              </Box>
             )}
           </Box>
 
           <Box sx={{ display: "flex", gap: 3, mt: 3 }}>
+            <Box>
+              <Typography variant="h6" fontWeight={700}>
+                {(currentUser.stats?.reputation || 0).toLocaleString()}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Reputation
+              </Typography>
+            </Box>
             <Box>
               <Typography variant="h6" fontWeight={700}>
                 {currentUser.stats?.postCount || 0}
@@ -233,7 +415,10 @@ const Profile = () => {
                 Photos
               </Typography>
             </Box>
-            <Box>
+            <Box
+              sx={{ cursor: "pointer" }}
+              onClick={() => setFollowListType("followers")}
+            >
               <Typography variant="h6" fontWeight={700}>
                 {currentUser.stats?.followerCount || 0}
               </Typography>
@@ -241,10 +426,35 @@ const Profile = () => {
                 Followers
               </Typography>
             </Box>
+            <Box
+              sx={{ cursor: "pointer" }}
+              onClick={() => setFollowListType("following")}
+            >
+              <Typography variant="h6" fontWeight={700}>
+                {currentUser.stats?.followingCount || 0}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Following
+              </Typography>
+            </Box>
           </Box>
         </CardContent>
       </Card>
 
+      <FollowListDialog
+        userId={userId}
+        listType={followListType}
+        open={Boolean(followListType)}
+        onClose={() => setFollowListType(null)}
+      />
+
+      <ReportDialog
+        open={reportOpen}
+        onClose={() => setReportOpen(false)}
+        targetType="user"
+        targetId={userId}
+      />
+
       <Card>
         <Tabs
           value={tabValue}
@@ -253,6 +463,7 @@ const Profile = () => {
         >
           <Tab label={`Posts (${userPosts.length})`} />
           <Tab label={`Photos (${userPhotos.length})`} />
+          <Tab label={`Series (${userSeries.length})`} />
         </Tabs>
 
         <CardContent>
@@ -313,8 +524,59 @@ const Profile = () => {
               )}
             </>
           )}
+
+          {tabValue === 2 && (
+            <>
+              {isOwner && userSeries.length > 0 && (
+                <Box
+                  sx={{ display: "flex", justifyContent: "flex-end", mb: 2 }}
+                >
+                  <Button
+                    startIcon={<Add />}
+                    onClick={() => setSeriesFormOpen(true)}
+                  >
+                    New Series
+                  </Button>
+                </Box>
+              )}
+              {userSeries.length > 0 ? (
+                userSeries.map((series) => (
+                  <ProfileSeriesCard key={series._id} series={series} />
+                ))
+              ) : (
+                <Box sx={{ textAlign: "center", py: 4 }}>
+                  <Typography variant="body1" color="text.secondary">
+                    No series yet
+                  </Typography>
+                  {isOwner && (
+                    <>
+                      <Typography variant="body2" color="text.secondary">
+                        Group posts about one tank or project into an ordered
+                        series.
+                      </Typography>
+                      <Button
+                        variant="contained"
+                        startIcon={<MenuBook />}
+                        onClick={() => setSeriesFormOpen(true)}
+                        sx={{ mt: 2 }}
+                      >
+                        Start a Series
+                      </Button>
+                    </>
+                  )}
+                </Box>
+              )}
+            </>
+          )}
         </CardContent>
       </Card>
+
+      {seriesFormOpen && (
+        <SeriesFormDialog
+          onClose={() => setSeriesFormOpen(false)}
+          onSaved={(series) => navigate(`/series/${series._id}`)}
+        />
+      )}
     </Container>
   );
 };
@@ -0,0 +1,326 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useParams, Link, useNavigate } from "react-router-dom";
+import { useSelector } from "react-redux";
+import {
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Avatar,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  TextField,
+  MenuItem,
+  Alert,
+  Skeleton,
+} from "@mui/material";
+import {
+  Edit,
+  Delete,
+  ArrowUpward,
+  ArrowDownward,
+  Close,
+  MenuBook,
+} from "@mui/icons-material";
+import api from "../api";
+import SeriesFormDialog from "../components/SeriesFormDialog";
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+// A member's posts on one subject, in the order they are meant to be read.
+// The author can add, remove and reorder parts here.
+const Series = () => {
+  const { seriesId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useSelector((state) => state.auth);
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [editOpen, setEditOpen] = useState(false);
+  const [ownPosts, setOwnPosts] = useState([]);
+
+  const userId = user?._id;
+  const isOwner = Boolean(series && userId === series.user?._id);
+
+  const fetchSeries = useCallback(async () => {
+    try {
+      const response = await api.get(`/series/${seriesId}`);
+      setSeries(response.data.data);
+    } catch (err) {
+      setMessage({
+        severity: "error",
+        text: err.response?.data?.error?.message || "Failed to load series",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [seriesId]);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [fetchSeries]);
+
+  // Posts the author could still add
+  const fetchOwnPosts = useCallback(async () => {
+    try {
+      const response = await api.get(`/users/${userId}/posts`, {
+        params: { limit: 100 },
+      });
+      setOwnPosts(response.data.data.posts.filter((p) => !p.series));
+    } catch (err) {
+      console.error("Failed to fetch posts:", err);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    if (isOwner) {
+      fetchOwnPosts();
+    }
+  }, [isOwner, fetchOwnPosts]);
+
+  const runAction = async (request) => {
+    setMessage(null);
+    try {
+      const response = await request;
+      setMessage({ severity: "success", text: response.data.message });
+      await fetchSeries();
+      fetchOwnPosts();
+    } catch (err) {
+      setMessage({
+        severity: "error",
+        text: err.response?.data?.error?.message || "Something went wrong",
+      });
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const posts = series.posts.map((p) => p._id);
+    const [moved] = posts.splice(index, 1);
+    posts.splice(index + offset, 0, moved);
+    runAction(api.put(`/series/${seriesId}/order`, { posts }));
+  };
+
+  const handleDelete = async () => {
+    if (
+      !window.confirm(
+        "Delete this series? The posts in it are kept and can be added to another series.",
+      )
+    ) {
+      return;
+    }
+    try {
+      await api.delete(`/series/${seriesId}`);
+      navigate(`/profile/${userId}`);
+    } catch (err) {
+      setMessage({
+        severity: "error",
+        text: err.response?.data?.error?.message || "Failed to delete series",
+      });
+    }
+  };
+
+  if (loading) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Skeleton variant="text" width="60%" height={48} />
+        <Skeleton variant="rectangular" height={240} sx={{ borderRadius: 1 }} />
+      </Container>
+    );
+  }
+
+  if (!series) {
+    return (
+      <Container maxWidth="md" sx={{ py: 4 }}>
+        <Alert severity="error">{message?.text || "Series not found"}</Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Box sx={{ display: "flex", alignItems: "flex-start", gap: 2, mb: 1 }}>
+        <MenuBook color="primary" sx={{ mt: 1 }} />
+        <Box sx={{ flex: 1 }}>
+          <Typography variant="h4" fontWeight={700}>
+            {series.title}
+          </Typography>
+          <Box sx={{ display: "flex", alignItems: "center", gap: 1, mt: 1 }}>
+            <Avatar
+              src={series.user?.profile?.avatar}
+              sx={{ width: 24, height: 24 }}
+            >
+              {series.user?.username?.charAt(0).toUpperCase()}
+            </Avatar>
+            <Typography
+              variant="body2"
+              component={Link}
+              to={`/profile/${series.user?._id}`}
+              sx={{ color: "inherit" }}
+            >
+              {series.user?.username}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              · {series.posts.length}{" "}
+              {series.posts.length === 1 ? "part" : "parts"}
+            </Typography>
+          </Box>
+        </Box>
+        {isOwner && (
+          <Box>
+            <IconButton onClick={() => setEditOpen(true)} title="Edit series">
+              <Edit />
+            </IconButton>
+            <IconButton
+              onClick={handleDelete}
+              color="error"
+              title="Delete series"
+            >
+              <Delete />
+            </IconButton>
+          </Box>
+        )}
+      </Box>
+
+      {series.description && (
+        <Typography
+          color="text.secondary"
+          sx={{ mb: 3, whiteSpace: "pre-line" }}
+        >
+          {series.description}
+        </Typography>
+      )}
+
+      {message && (
+        <Alert
+          severity={message.severity}
+          sx={{ mb: 2 }}
+          onClose={() => setMessage(null)}
+        >
+          {message.text}
+        </Alert>
+      )}
+
+      <Paper sx={{ mt: 2 }}>
+        {series.posts.length === 0 ? (
+          <Typography color="text.secondary" sx={{ p: 3 }}>
+            {isOwner
+              ? "Add your posts below to start the series."
+              : "This series has no posts yet."}
+          </Typography>
+        ) : (
+          <List>
+            {series.posts.map((post, index) => (
+              <ListItem
+                key={post._id}
+                divider={index < series.posts.length - 1}
+                secondaryAction={
+                  isOwner && (
+                    <>
+                      <IconButton
+                        size="small"
+                        disabled={index === 0}
+                        onClick={() => handleMove(index, -1)}
+                        title="Move up"
+                      >
+                        <ArrowUpward fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        disabled={index === series.posts.length - 1}
+                        onClick={() => handleMove(index, 1)}
+                        title="Move down"
+                      >
+                        <ArrowDownward fontSize="small" />
+                      </IconButton>
+                      <IconButton
+                        size="small"
+                        onClick={() =>
+                          runAction(
+                            api.delete(`/series/${seriesId}/posts/${post._id}`),
+                          )
+                        }
+                        title="Remove from series"
+                      >
+                        <Close fontSize="small" />
+                      </IconButton>
+                    </>
+                  )
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box
+                      component="span"
+                      sx={{ display: "flex", alignItems: "center", gap: 1 }}
+                    >
+                      <Typography
+                        component={Link}
+                        to={`/post/${post._id}`}
+                        fontWeight={500}
+                        sx={{ color: "inherit", textDecoration: "none" }}
+                      >
+                        {index + 1}. {post.title || "Untitled draft"}
+                      </Typography>
+                      {["draft", "scheduled"].includes(post.status) && (
+                        <Chip size="small" label={post.status} />
+                      )}
+                    </Box>
+                  }
+                  secondary={`${formatDate(post.metadata?.createdAt)} · ${post.metadata?.likeCount || 0} likes · ${post.metadata?.commentCount || 0} comments`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Paper>
+
+      {isOwner && (
+        <TextField
+          select
+          fullWidth
+          label="Add a post to this series"
+          value=""
+          onChange={(e) =>
+            runAction(
+              api.post(`/series/${seriesId}/posts`, { postId: e.target.value }),
+            )
+          }
+          helperText={
+            ownPosts.length === 0
+              ? "All your posts are already in a series"
+              : "New parts are added at the end"
+          }
+          disabled={ownPosts.length === 0}
+          sx={{ mt: 3 }}
+        >
+          {ownPosts.map((post) => (
+            <MenuItem key={post._id} value={post._id}>
+              {post.title}
+            </MenuItem>
+          ))}
+        </TextField>
+      )}
+
+      {editOpen && (
+        <SeriesFormDialog
+          series={series}
+          onClose={() => setEditOpen(false)}
+          onSaved={() => {
+            setEditOpen(false);
+            fetchSeries();
+          }}
+        />
+      )}
+    </Container>
+  );
+};
+
+export default Series;
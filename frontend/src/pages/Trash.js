@@ -0,0 +1,174 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  Container,
+  Typography,
+  Box,
+  Card,
+  CardContent,
+  CardActions,
+  Button,
+  Avatar,
+  Tabs,
+  Tab,
+  Alert,
+  CircularProgress,
+} from "@mui/material";
+import { RestoreFromTrash, DeleteForever } from "@mui/icons-material";
+import api from "../api";
+
+const TRASH_TABS = [
+  { type: "posts", label: "Posts", empty: "No deleted posts." },
+  { type: "photos", label: "Photos", empty: "No deleted photos." },
+];
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+// The member's deleted posts and photos, restorable until they are purged
+const Trash = () => {
+  const [tab, setTab] = useState(0);
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const { type, empty } = TRASH_TABS[tab];
+
+  const fetchTrash = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.get(`/${type}/trash`);
+      setItems(response.data.data);
+    } catch (err) {
+      setMessage({
+        severity: "error",
+        text: err.response?.data?.error?.message || "Failed to load trash",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [type]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const runAction = async (request, item) => {
+    setMessage(null);
+    try {
+      const response = await request;
+      setItems((current) => current.filter((i) => i._id !== item._id));
+      setMessage({ severity: "success", text: response.data.message });
+    } catch (err) {
+      setMessage({
+        severity: "error",
+        text: err.response?.data?.error?.message || "Something went wrong",
+      });
+    }
+  };
+
+  const handleRestore = (item) =>
+    runAction(api.post(`/${type}/trash/${item._id}/restore`), item);
+
+  const handlePurge = (item) => {
+    if (window.confirm("Delete this for good? This cannot be undone.")) {
+      runAction(api.delete(`/${type}/trash/${item._id}`), item);
+    }
+  };
+
+  return (
+    <Container maxWidth="md" sx={{ py: 4 }}>
+      <Typography variant="h4" component="h1" fontWeight={700} gutterBottom>
+        Trash
+      </Typography>
+      <Typography color="text.secondary" sx={{ mb: 2 }}>
+        Deleted posts and photos can be restored until they are removed for
+        good.
+      </Typography>
+
+      <Tabs value={tab} onChange={(e, v) => setTab(v)} sx={{ mb: 2 }}>
+        {TRASH_TABS.map(({ type: tabType, label }) => (
+          <Tab key={tabType} label={label} />
+        ))}
+      </Tabs>
+
+      {message && (
+        <Alert
+          severity={message.severity}
+          sx={{ mb: 2 }}
+          onClose={() => setMessage(null)}
+        >
+          {message.text}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: "flex", justifyContent: "center", py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : items.length === 0 ? (
+        <Typography color="text.secondary">{empty}</Typography>
+      ) : (
+        items.map((item) => (
+          <Card key={item._id} sx={{ mb: 2 }}>
+            <CardContent sx={{ display: "flex", gap: 2 }}>
+              {type === "photos" && (
+                <Avatar
+                  variant="rounded"
+                  src={item.thumbnailUrl || item.imageUrl}
+                  alt={item.title}
+                  sx={{ width: 72, height: 72 }}
+                />
+              )}
+              <Box sx={{ minWidth: 0 }}>
+                <Typography variant="h6" fontWeight={600}>
+                  {item.title || "Untitled draft"}
+                </Typography>
+                {item.content && (
+                  <Typography
+                    variant="body2"
+                    color="text.secondary"
+                    sx={{
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                      display: "-webkit-box",
+                      WebkitLineClamp: 2,
+                      WebkitBoxOrient: "vertical",
+                    }}
+                  >
+                    {item.content}
+                  </Typography>
+                )}
+                <Typography variant="caption" color="text.secondary">
+                  Deleted {formatDate(item.deletedAt)} · removed for good on{" "}
+                  {formatDate(item.purgeAt)}
+                </Typography>
+              </Box>
+            </CardContent>
+            <CardActions>
+              <Button
+                size="small"
+                startIcon={<RestoreFromTrash />}
+                onClick={() => handleRestore(item)}
+              >
+                Restore
+              </Button>
+              <Button
+                size="small"
+                color="error"
+                startIcon={<DeleteForever />}
+                onClick={() => handlePurge(item)}
+              >
+                Delete Forever
+              </Button>
+            </CardActions>
+          </Card>
+        ))
+      )}
+    </Container>
+  );
+};
+
+export default Trash;
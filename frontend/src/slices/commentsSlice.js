@@ -0,0 +1,281 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import api from "../api";
+
+// Key for the list of top-level comments; replies are keyed by parent id
+export const ROOT_THREAD = "root";
+
+// Fetch top-level comments for a post
+export const fetchComments = createAsyncThunk(
+  "comments/fetchComments",
+  async ({ postId, page = 1 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/posts/${postId}/comments`, {
+        params: { page },
+      });
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch comments",
+      );
+    }
+  },
+);
+
+// Fetch replies to a comment
+export const fetchReplies = createAsyncThunk(
+  "comments/fetchReplies",
+  async ({ postId, commentId, page = 1 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(
+        `/posts/${postId}/comments/${commentId}/replies`,
+        { params: { page } },
+      );
+      return { commentId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch replies",
+      );
+    }
+  },
+);
+
+// Create Comment or Reply
+export const createComment = createAsyncThunk(
+  "comments/createComment",
+  async ({ postId, content, parent = null }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/comments`, {
+        content,
+        parent,
+      });
+      return { postId, comment: response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to add comment",
+      );
+    }
+  },
+);
+
+// Update Comment
+export const updateComment = createAsyncThunk(
+  "comments/updateComment",
+  async ({ postId, commentId, content }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/posts/${postId}/comments/${commentId}`, {
+        content,
+      });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to update comment",
+      );
+    }
+  },
+);
+
+// Delete Comment
+export const deleteComment = createAsyncThunk(
+  "comments/deleteComment",
+  async ({ postId, commentId }, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(
+        `/posts/${postId}/comments/${commentId}`,
+      );
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to delete comment",
+      );
+    }
+  },
+);
+
+// Like Comment
+export const likeComment = createAsyncThunk(
+  "comments/likeComment",
+  async ({ postId, commentId }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        `/posts/${postId}/comments/${commentId}/like`,
+      );
+      return { commentId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to like comment",
+      );
+    }
+  },
+);
+
+// Accept a comment as the answer (or clear it if already accepted)
+export const acceptAnswer = createAsyncThunk(
+  "comments/acceptAnswer",
+  async ({ postId, commentId }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        `/posts/${postId}/comments/${commentId}/accept`,
+      );
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to accept answer",
+      );
+    }
+  },
+);
+
+// Find a loaded comment in any thread
+const findComment = (state, commentId) => {
+  for (const thread of Object.values(state.threads)) {
+    const comment = thread.items.find((c) => c._id === commentId);
+    if (comment) return comment;
+  }
+  return null;
+};
+
+// Take a removed comment out of its thread and off its parent's reply count
+const dropComment = (state, commentId, parent) => {
+  const thread = state.threads[parent || ROOT_THREAD];
+  if (thread) {
+    thread.items = thread.items.filter((c) => c._id !== commentId);
+    thread.pagination.total -= 1;
+  }
+  if (parent) {
+    const parentComment = findComment(state, parent);
+    if (parentComment) parentComment.replyCount -= 1;
+  }
+};
+
+// Merge a fetched page into a thread, replacing it on page 1
+const mergeThread = (state, key, { comments, pagination }) => {
+  const existing = state.threads[key];
+  state.threads[key] = {
+    items:
+      pagination.page > 1 && existing
+        ? [...existing.items, ...comments]
+        : comments,
+    pagination,
+  };
+};
+
+const initialState = {
+  postId: null,
+  threads: {},
+  loading: false,
+  submitting: false,
+  error: null,
+};
+
+const commentsSlice = createSlice({
+  name: "comments",
+  initialState,
+  reducers: {
+    clearComments: () => initialState,
+    clearCommentsError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch Comments
+      .addCase(fetchComments.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchComments.fulfilled, (state, action) => {
+        state.loading = false;
+        if (state.postId !== action.payload.postId) {
+          state.threads = {};
+          state.postId = action.payload.postId;
+        }
+        mergeThread(state, ROOT_THREAD, action.payload);
+      })
+      .addCase(fetchComments.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Fetch Replies
+      .addCase(fetchReplies.fulfilled, (state, action) => {
+        mergeThread(state, action.payload.commentId, action.payload);
+      })
+      .addCase(fetchReplies.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Create Comment
+      .addCase(createComment.pending, (state) => {
+        state.submitting = true;
+        state.error = null;
+      })
+      .addCase(createComment.fulfilled, (state, action) => {
+        const { comment } = action.payload;
+        const key = comment.parent || ROOT_THREAD;
+        state.submitting = false;
+
+        if (!state.threads[key]) {
+          state.threads[key] = {
+            items: [],
+            pagination: { page: 1, limit: 20, total: 0, pages: 1 },
+          };
+        }
+        state.threads[key].items.push(comment);
+        state.threads[key].pagination.total += 1;
+
+        if (comment.parent) {
+          const parent = findComment(state, comment.parent);
+          if (parent) parent.replyCount += 1;
+        }
+      })
+      .addCase(createComment.rejected, (state, action) => {
+        state.submitting = false;
+        state.error = action.payload;
+      })
+      // Update Comment
+      .addCase(updateComment.fulfilled, (state, action) => {
+        const comment = findComment(state, action.payload._id);
+        if (comment) {
+          comment.content = action.payload.content;
+          comment.isEdited = action.payload.isEdited;
+        }
+      })
+      .addCase(updateComment.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Delete Comment
+      .addCase(deleteComment.fulfilled, (state, action) => {
+        const { _id, parent, removed, removedParents = [] } = action.payload;
+        if (removed) {
+          dropComment(state, _id, parent);
+          // Blanked parents left without replies were removed as well
+          removedParents.forEach((parentId) => {
+            const parentComment = findComment(state, parentId);
+            if (parentComment) {
+              dropComment(state, parentId, parentComment.parent);
+            }
+          });
+        } else {
+          const comment = findComment(state, _id);
+          if (comment) {
+            comment.isDeleted = true;
+            comment.content = "";
+            comment.user = null;
+          }
+        }
+      })
+      .addCase(deleteComment.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      // Like Comment
+      .addCase(likeComment.fulfilled, (state, action) => {
+        const { commentId, liked, likeCount } = action.payload;
+        const comment = findComment(state, commentId);
+        if (comment) {
+          comment.likeCount = likeCount;
+          comment.liked = liked;
+        }
+      });
+  },
+});
+
+export const { clearComments, clearCommentsError } = commentsSlice.actions;
+export default commentsSlice.reducer;
@@ -0,0 +1,241 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import api from "../api";
+
+export const fetchConversations = createAsyncThunk(
+  "messages/fetchConversations",
+  async ({ page = 1 } = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/messages/conversations", {
+        params: { page, limit: 20 },
+      });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error fetching conversations" },
+      );
+    }
+  },
+);
+
+export const fetchUnreadMessageCount = createAsyncThunk(
+  "messages/fetchUnreadMessageCount",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/messages/unread-count");
+      return response.data.data.count;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error fetching unread messages" },
+      );
+    }
+  },
+);
+
+// Loads the newest page, or older messages when `before` is given
+export const fetchConversation = createAsyncThunk(
+  "messages/fetchConversation",
+  async ({ conversationId, before }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(
+        `/messages/conversations/${conversationId}`,
+        { params: { before } },
+      );
+      return { ...response.data.data, before };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error fetching conversation" },
+      );
+    }
+  },
+);
+
+// Pass `conversationId` to reply, or `recipient` to start a conversation
+export const sendMessage = createAsyncThunk(
+  "messages/sendMessage",
+  async ({ conversationId, recipient, content }, { rejectWithValue }) => {
+    try {
+      const response = conversationId
+        ? await api.post(`/messages/conversations/${conversationId}`, {
+            content,
+          })
+        : await api.post("/messages", { recipient, content });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error sending message" },
+      );
+    }
+  },
+);
+
+export const markConversationRead = createAsyncThunk(
+  "messages/markConversationRead",
+  async (conversationId, { rejectWithValue }) => {
+    try {
+      const response = await api.put(
+        `/messages/conversations/${conversationId}/read`,
+      );
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error marking as read" },
+      );
+    }
+  },
+);
+
+// Add a message to the open conversation unless it is already there
+const appendMessage = (state, conversationId, message) => {
+  if (
+    state.activeConversation?._id !== conversationId ||
+    state.messages.some((m) => m._id === message._id)
+  ) {
+    return;
+  }
+  state.messages.push(message);
+};
+
+// Move a conversation to the top of the inbox with its new last message
+const bumpConversation = (state, conversationId, message) => {
+  const index = state.conversations.findIndex((c) => c._id === conversationId);
+  if (index === -1) return false;
+  const [conversation] = state.conversations.splice(index, 1);
+  conversation.lastMessage = {
+    content: message.content,
+    sender: message.sender?._id || message.sender,
+    createdAt: message.createdAt,
+  };
+  conversation.lastMessageAt = message.createdAt;
+  state.conversations.unshift(conversation);
+  return true;
+};
+
+const messagesSlice = createSlice({
+  name: "messages",
+  initialState: {
+    conversations: [],
+    pagination: {
+      page: 1,
+      limit: 20,
+      total: 0,
+      pages: 0,
+    },
+    activeConversation: null,
+    // Oldest first, as displayed
+    messages: [],
+    hasMore: false,
+    canMessage: true,
+    // Set when a message arrives for a conversation the inbox hasn't loaded
+    inboxStale: false,
+    unreadCount: 0,
+    loading: false,
+    messagesLoading: false,
+    sending: false,
+    error: null,
+  },
+  reducers: {
+    clearMessagesError: (state) => {
+      state.error = null;
+    },
+    clearActiveConversation: (state) => {
+      state.activeConversation = null;
+      state.messages = [];
+      state.hasMore = false;
+      state.canMessage = true;
+    },
+    // A message pushed over the notification stream
+    messageReceived: (state, action) => {
+      const { conversationId, message, unreadCount } = action.payload;
+      appendMessage(state, conversationId, message);
+      const known = bumpConversation(state, conversationId, message);
+      if (!known) state.inboxStale = true;
+      const conversation = state.conversations[0];
+      const senderId = message.sender?._id || message.sender;
+      if (
+        known &&
+        state.activeConversation?._id !== conversationId &&
+        conversation.otherUser?._id === senderId
+      ) {
+        conversation.unreadCount += 1;
+      }
+      state.unreadCount = unreadCount;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch conversations
+      .addCase(fetchConversations.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchConversations.fulfilled, (state, action) => {
+        state.loading = false;
+        state.inboxStale = false;
+        state.conversations =
+          action.payload.pagination.page === 1
+            ? action.payload.conversations
+            : [...state.conversations, ...action.payload.conversations];
+        state.pagination = action.payload.pagination;
+        state.unreadCount = action.payload.unreadCount;
+      })
+      .addCase(fetchConversations.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Unread count
+      .addCase(fetchUnreadMessageCount.fulfilled, (state, action) => {
+        state.unreadCount = action.payload;
+      })
+      // Fetch conversation
+      .addCase(fetchConversation.pending, (state) => {
+        state.messagesLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchConversation.fulfilled, (state, action) => {
+        const { conversation, messages, hasMore, canMessage, before } =
+          action.payload;
+        state.messagesLoading = false;
+        state.activeConversation = conversation;
+        // The API returns newest first
+        const page = [...messages].reverse();
+        state.messages = before ? [...page, ...state.messages] : page;
+        state.hasMore = hasMore;
+        state.canMessage = canMessage;
+      })
+      .addCase(fetchConversation.rejected, (state, action) => {
+        state.messagesLoading = false;
+        state.error = action.payload;
+      })
+      // Send message
+      .addCase(sendMessage.pending, (state) => {
+        state.sending = true;
+        state.error = null;
+      })
+      .addCase(sendMessage.fulfilled, (state, action) => {
+        const { conversationId, message } = action.payload;
+        state.sending = false;
+        appendMessage(state, conversationId, message);
+        bumpConversation(state, conversationId, message);
+      })
+      .addCase(sendMessage.rejected, (state, action) => {
+        state.sending = false;
+        state.error = action.payload;
+        if (action.payload?.error?.code === "BLOCKED") {
+          state.canMessage = false;
+        }
+      })
+      // Mark read
+      .addCase(markConversationRead.fulfilled, (state, action) => {
+        const { conversationId, unreadCount } = action.payload;
+        const conversation = state.conversations.find(
+          (c) => c._id === conversationId,
+        );
+        if (conversation) conversation.unreadCount = 0;
+        state.unreadCount = unreadCount;
+      });
+  },
+});
+
+export const { clearMessagesError, clearActiveConversation, messageReceived } =
+  messagesSlice.actions;
+export default messagesSlice.reducer;
@@ -1,12 +1,19 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
-import api from "../api";
+import api, { API_URL } from "../api";
+import { messageReceived } from "./messagesSlice";
+
+// Polling interval used while the notification stream is down
+const POLL_INTERVAL = 30000;
+
+let eventSource = null;
+let pollTimer = null;
 
 export const fetchNotifications = createAsyncThunk(
   "notifications/fetchNotifications",
-  async ({ page = 1, unreadOnly = false }, { rejectWithValue }) => {
+  async ({ page = 1, unreadOnly = false, read, type }, { rejectWithValue }) => {
     try {
       const response = await api.get("/notifications", {
-        params: { page, limit: 20, unreadOnly },
+        params: { page, limit: 20, unreadOnly, read, type },
       });
       return response.data.data;
     } catch (error) {
@@ -59,6 +66,139 @@ export const markAllAsRead = createAsyncThunk(
   },
 );
 
+export const markNotificationsRead = createAsyncThunk(
+  "notifications/markNotificationsRead",
+  async (ids, { rejectWithValue }) => {
+    try {
+      await api.put("/notifications/read", { ids });
+      return ids;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error marking as read" },
+      );
+    }
+  },
+);
+
+export const deleteNotifications = createAsyncThunk(
+  "notifications/deleteNotifications",
+  async (ids, { rejectWithValue }) => {
+    try {
+      await api.delete("/notifications", { data: { ids } });
+      return ids;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error deleting notifications" },
+      );
+    }
+  },
+);
+
+export const fetchNotificationPreferences = createAsyncThunk(
+  "notifications/fetchNotificationPreferences",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/notifications/preferences");
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error fetching preferences" },
+      );
+    }
+  },
+);
+
+export const updateNotificationPreferences = createAsyncThunk(
+  "notifications/updateNotificationPreferences",
+  async (preferences, { rejectWithValue }) => {
+    try {
+      const response = await api.put("/notifications/preferences", preferences);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error updating preferences" },
+      );
+    }
+  },
+);
+
+export const muteNotifications = createAsyncThunk(
+  "notifications/muteNotifications",
+  async ({ post, board, muted }, { rejectWithValue }) => {
+    try {
+      const response = await api.post("/notifications/mute", {
+        post,
+        board,
+        muted,
+      });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data || { message: "Error muting notifications" },
+      );
+    }
+  },
+);
+
+// Poll the unread count until the stream reconnects
+const startPolling = (dispatch) => {
+  if (pollTimer) return;
+  dispatch(fetchUnreadCount());
+  pollTimer = setInterval(() => dispatch(fetchUnreadCount()), POLL_INTERVAL);
+};
+
+const stopPolling = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+// Open the Server-Sent Events stream, falling back to polling when it drops
+export const connectNotificationStream = () => (dispatch) => {
+  const token = localStorage.getItem("token");
+  if (!token || eventSource) return;
+
+  if (typeof EventSource === "undefined") {
+    startPolling(dispatch);
+    return;
+  }
+
+  eventSource = new EventSource(
+    `${API_URL}/notifications/stream?token=${encodeURIComponent(token)}`,
+  );
+
+  eventSource.onopen = () => {
+    stopPolling();
+    dispatch(setStreamConnected(true));
+  };
+
+  // EventSource retries on its own; poll in the meantime
+  eventSource.onerror = () => {
+    dispatch(setStreamConnected(false));
+    startPolling(dispatch);
+  };
+
+  eventSource.addEventListener("notification", (event) => {
+    dispatch(addNotification(JSON.parse(event.data)));
+  });
+
+  eventSource.addEventListener("count", (event) => {
+    dispatch(setUnreadCount(JSON.parse(event.data).count));
+  });
+
+  eventSource.addEventListener("message", (event) => {
+    dispatch(messageReceived(JSON.parse(event.data)));
+  });
+};
+
+export const disconnectNotificationStream = () => (dispatch) => {
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+  stopPolling();
+  dispatch(setStreamConnected(false));
+};
+
 const notificationsSlice = createSlice({
   name: "notifications",
   initialState: {
@@ -72,14 +212,30 @@ const notificationsSlice = createSlice({
     },
     loading: false,
     error: null,
+    streamConnected: false,
+    preferences: null,
   },
   reducers: {
     clearNotificationsError: (state) => {
       state.error = null;
     },
     addNotification: (state, action) => {
+      // A grouped notification arrives again each time someone joins it
+      const existing = state.notifications.findIndex(
+        (n) => n._id === action.payload._id,
+      );
+      if (existing > -1) {
+        state.notifications.splice(existing, 1);
+      } else {
+        state.unreadCount += 1;
+      }
       state.notifications.unshift(action.payload);
-      state.unreadCount += 1;
+    },
+    setUnreadCount: (state, action) => {
+      state.unreadCount = action.payload;
+    },
+    setStreamConnected: (state, action) => {
+      state.streamConnected = action.payload;
     },
   },
   extraReducers: (builder) => {
@@ -91,10 +247,11 @@ const notificationsSlice = createSlice({
       })
       .addCase(fetchNotifications.fulfilled, (state, action) => {
         state.loading = false;
-        state.notifications = [
-          ...state.notifications,
-          ...action.payload.notifications,
-        ];
+        // The first page replaces the list so filters and reopening start fresh
+        state.notifications =
+          action.payload.pagination.page === 1
+            ? action.payload.notifications
+            : [...state.notifications, ...action.payload.notifications];
         state.pagination = action.payload.pagination;
         state.unreadCount = action.payload.unreadCount;
       })
@@ -122,10 +279,52 @@ const notificationsSlice = createSlice({
           n.read = true;
         });
         state.unreadCount = 0;
+      })
+      // Bulk mark as read
+      .addCase(markNotificationsRead.fulfilled, (state, action) => {
+        state.notifications.forEach((n) => {
+          if (action.payload.includes(n._id)) n.read = true;
+        });
+      })
+      // Bulk delete
+      .addCase(deleteNotifications.fulfilled, (state, action) => {
+        state.notifications = state.notifications.filter(
+          (n) => !action.payload.includes(n._id),
+        );
+        if (state.pagination) {
+          state.pagination.total = Math.max(
+            0,
+            state.pagination.total - action.payload.length,
+          );
+        }
+      })
+      // Preferences
+      .addCase(fetchNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updateNotificationPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updateNotificationPreferences.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(muteNotifications.fulfilled, (state, action) => {
+        const { post, board, muted } = action.payload;
+        if (!state.preferences) return;
+        const field = post ? "mutedPosts" : "mutedBoards";
+        const id = post || board;
+        const list = state.preferences[field].filter(
+          (item) => (item._id || item) !== id,
+        );
+        state.preferences[field] = muted ? [...list, id] : list;
       });
   },
 });
 
-export const { clearNotificationsError, addNotification } =
-  notificationsSlice.actions;
+export const {
+  clearNotificationsError,
+  addNotification,
+  setUnreadCount,
+  setStreamConnected,
+} = notificationsSlice.actions;
 export default notificationsSlice.reducer;
@@ -1,5 +1,38 @@
 import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
 import api from "../api";
+import { createComment, deleteComment, acceptAnswer } from "./commentsSlice";
+
+// Swap an edited post into the list and detail view
+const replacePost = (state, post) => {
+  const index = state.posts.findIndex((p) => p._id === post._id);
+  if (index !== -1) {
+    state.posts[index] = post;
+  }
+  if (state.currentPost?._id === post._id) {
+    state.currentPost = post;
+  }
+};
+
+// Apply moderator changes (pin, lock) to every copy of a post
+const updatePostMetadata = (state, postId, changes) => {
+  const post = state.posts.find((p) => p._id === postId);
+  if (post) {
+    Object.assign(post.metadata, changes);
+  }
+  if (state.currentPost?._id === postId) {
+    Object.assign(state.currentPost.metadata, changes);
+  }
+};
+
+// Keep the drafts list in step with a saved or rescheduled draft
+const upsertDraft = (state, draft) => {
+  const index = state.drafts.findIndex((p) => p._id === draft._id);
+  if (index !== -1) {
+    state.drafts[index] = draft;
+  } else {
+    state.drafts.unshift(draft);
+  }
+};
 
 // Fetch Posts
 export const fetchPosts = createAsyncThunk(
@@ -64,6 +97,87 @@ export const updatePost = createAsyncThunk(
   },
 );
 
+// Fetch my drafts and scheduled posts
+export const fetchDrafts = createAsyncThunk(
+  "posts/fetchDrafts",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/posts/drafts");
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch drafts",
+      );
+    }
+  },
+);
+
+// Save Draft - creates the draft on first save, then updates it in place
+export const saveDraft = createAsyncThunk(
+  "posts/saveDraft",
+  async ({ postId, data }, { rejectWithValue }) => {
+    try {
+      const response = postId
+        ? await api.put(`/posts/${postId}`, data)
+        : await api.post("/posts", { ...data, status: "draft" });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to save draft",
+      );
+    }
+  },
+);
+
+// Publish a draft now, or schedule it when publishAt is in the future
+export const publishDraft = createAsyncThunk(
+  "posts/publishDraft",
+  async ({ postId, publishAt }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/publish`, {
+        publishAt,
+      });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to publish post",
+      );
+    }
+  },
+);
+
+// Move a scheduled post back to drafts
+export const unschedulePost = createAsyncThunk(
+  "posts/unschedulePost",
+  async (postId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/unschedule`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to unschedule post",
+      );
+    }
+  },
+);
+
+// Restore an earlier revision (moderators)
+export const restoreRevision = createAsyncThunk(
+  "posts/restoreRevision",
+  async ({ postId, revision }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(
+        `/posts/${postId}/revisions/${revision}/restore`,
+      );
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to restore revision",
+      );
+    }
+  },
+);
+
 // Delete Post
 export const deletePost = createAsyncThunk(
   "posts/deletePost",
@@ -94,6 +208,110 @@ export const likePost = createAsyncThunk(
   },
 );
 
+// Bookmark Post
+export const bookmarkPost = createAsyncThunk(
+  "posts/bookmarkPost",
+  async (postId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/bookmark`);
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to bookmark post",
+      );
+    }
+  },
+);
+
+// Pin or unpin a post everywhere, or within one board (moderators)
+export const pinPost = createAsyncThunk(
+  "posts/pinPost",
+  async ({ postId, isPinned, board }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/posts/${postId}/pin`, {
+        isPinned,
+        board,
+      });
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to pin post",
+      );
+    }
+  },
+);
+
+// Lock or unlock a thread (moderators)
+export const lockPost = createAsyncThunk(
+  "posts/lockPost",
+  async ({ postId, isLocked }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/posts/${postId}/lock`, { isLocked });
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to lock thread",
+      );
+    }
+  },
+);
+
+// Move a post to different boards (moderators)
+export const movePost = createAsyncThunk(
+  "posts/movePost",
+  async ({ postId, boards, reason }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/move`, {
+        boards,
+        reason,
+      });
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to move post",
+      );
+    }
+  },
+);
+
+// Merge a duplicate thread into another (moderators)
+export const mergePost = createAsyncThunk(
+  "posts/mergePost",
+  async ({ postId, target, reason }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/merge`, {
+        target,
+        reason,
+      });
+      return { postId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to merge threads",
+      );
+    }
+  },
+);
+
+// Split comments off into a new thread (moderators)
+export const splitPost = createAsyncThunk(
+  "posts/splitPost",
+  async ({ postId, comments, title, boards, reason }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/posts/${postId}/split`, {
+        comments,
+        title,
+        boards,
+        reason,
+      });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to split thread",
+      );
+    }
+  },
+);
+
 // Search Posts
 export const searchPosts = createAsyncThunk(
   "posts/searchPosts",
@@ -158,9 +376,127 @@ export const searchTags = createAsyncThunk(
   },
 );
 
+// Personalized feed (cursor paginated)
+export const fetchFeed = createAsyncThunk(
+  "posts/fetchFeed",
+  async ({ cursor } = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/posts/feed", { params: { cursor } });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch feed",
+      );
+    }
+  },
+);
+
+// Watched tags
+export const fetchWatchedTags = createAsyncThunk(
+  "posts/fetchWatchedTags",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/tags/watched");
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch watched tags",
+      );
+    }
+  },
+);
+
+export const watchTag = createAsyncThunk(
+  "posts/watchTag",
+  async (name, { rejectWithValue }) => {
+    try {
+      const response = await api.post("/tags/watched", { name });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to watch tag",
+      );
+    }
+  },
+);
+
+export const unwatchTag = createAsyncThunk(
+  "posts/unwatchTag",
+  async (name, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(
+        `/tags/watched/${encodeURIComponent(name)}`,
+      );
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to unwatch tag",
+      );
+    }
+  },
+);
+
+// Board subscriptions
+export const fetchBoardSubscriptions = createAsyncThunk(
+  "posts/fetchBoardSubscriptions",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/boards/subscriptions");
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "取得訂閱看板失敗",
+      );
+    }
+  },
+);
+
+export const subscribeBoard = createAsyncThunk(
+  "posts/subscribeBoard",
+  async ({ boardId, alerts = "off" }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/boards/${boardId}/subscribe`, {
+        alerts,
+      });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "訂閱看板失敗",
+      );
+    }
+  },
+);
+
+export const unsubscribeBoard = createAsyncThunk(
+  "posts/unsubscribeBoard",
+  async (boardId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/boards/${boardId}/subscribe`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "取消訂閱失敗",
+      );
+    }
+  },
+);
+
 const initialState = {
+  feed: {
+    posts: [],
+    nextCursor: null,
+    hasMore: false,
+    loading: false,
+    error: null,
+  },
+  watchedTags: [],
+  // [{ board: boardId, alerts }]
+  boardSubscriptions: [],
   posts: [],
   currentPost: null,
+  // My drafts and scheduled posts
+  drafts: [],
+  draftsLoading: false,
   boards: [],
   pagination: {
     page: 1,
@@ -227,8 +563,12 @@ const postsSlice = createSlice({
       })
       .addCase(createPost.fulfilled, (state, action) => {
         state.loading = false;
-        state.posts.unshift(action.payload);
-        state.pagination.total += 1;
+        if (action.payload.status === "scheduled") {
+          upsertDraft(state, action.payload);
+        } else {
+          state.posts.unshift(action.payload);
+          state.pagination.total += 1;
+        }
       })
       .addCase(createPost.rejected, (state, action) => {
         state.loading = false;
@@ -236,20 +576,46 @@ const postsSlice = createSlice({
       })
       // Update Post
       .addCase(updatePost.fulfilled, (state, action) => {
-        const index = state.posts.findIndex(
-          (p) => p._id === action.payload._id,
-        );
-        if (index !== -1) {
-          state.posts[index] = action.payload;
-        }
-        if (state.currentPost?._id === action.payload._id) {
-          state.currentPost = action.payload;
-        }
+        replacePost(state, action.payload);
+      })
+      // Restore Revision
+      .addCase(restoreRevision.fulfilled, (state, action) => {
+        replacePost(state, action.payload);
       })
       // Delete Post
       .addCase(deletePost.fulfilled, (state, action) => {
-        state.posts = state.posts.filter((p) => p._id !== action.payload);
-        state.pagination.total -= 1;
+        if (state.posts.some((p) => p._id === action.payload)) {
+          state.posts = state.posts.filter((p) => p._id !== action.payload);
+          state.pagination.total -= 1;
+        }
+        state.drafts = state.drafts.filter((p) => p._id !== action.payload);
+      })
+      // Drafts
+      .addCase(fetchDrafts.pending, (state) => {
+        state.draftsLoading = true;
+      })
+      .addCase(fetchDrafts.fulfilled, (state, action) => {
+        state.draftsLoading = false;
+        state.drafts = action.payload;
+      })
+      .addCase(fetchDrafts.rejected, (state, action) => {
+        state.draftsLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(saveDraft.fulfilled, (state, action) => {
+        upsertDraft(state, action.payload);
+      })
+      .addCase(unschedulePost.fulfilled, (state, action) => {
+        upsertDraft(state, action.payload);
+      })
+      .addCase(publishDraft.fulfilled, (state, action) => {
+        if (action.payload.status === "published") {
+          state.drafts = state.drafts.filter(
+            (p) => p._id !== action.payload._id,
+          );
+        } else {
+          upsertDraft(state, action.payload);
+        }
       })
       // Like Post
       .addCase(likePost.fulfilled, (state, action) => {
@@ -262,6 +628,32 @@ const postsSlice = createSlice({
           state.currentPost.metadata.likeCount = likeCount;
         }
       })
+      .addCase(pinPost.fulfilled, (state, action) => {
+        const { postId, ...changes } = action.payload;
+        updatePostMetadata(state, postId, changes);
+      })
+      .addCase(lockPost.fulfilled, (state, action) => {
+        const { postId, ...changes } = action.payload;
+        updatePostMetadata(state, postId, changes);
+      })
+      .addCase(movePost.fulfilled, (state, action) => {
+        const { postId, boards, pinnedBoards } = action.payload;
+        updatePostMetadata(state, postId, { pinnedBoards });
+        const post = state.posts.find((p) => p._id === postId);
+        if (post) {
+          post.boards = boards;
+        }
+        if (state.currentPost?._id === postId) {
+          state.currentPost.boards = boards;
+        }
+      })
+      .addCase(mergePost.fulfilled, (state, action) => {
+        const { postId, mergedInto } = action.payload;
+        state.posts = state.posts.filter((p) => p._id !== postId);
+        if (state.currentPost?._id === postId) {
+          state.currentPost.mergedInto = mergedInto;
+        }
+      })
       // Search Posts
       .addCase(searchPosts.pending, (state) => {
         state.loading = true;
@@ -297,6 +689,79 @@ const postsSlice = createSlice({
       // Search Tags (autocomplete)
       .addCase(searchTags.fulfilled, (state, action) => {
         state.tagSuggestions = action.payload;
+      })
+      // Personalized feed
+      .addCase(fetchFeed.pending, (state) => {
+        state.feed.loading = true;
+        state.feed.error = null;
+      })
+      .addCase(fetchFeed.fulfilled, (state, action) => {
+        state.feed.loading = false;
+        // No cursor means the first page
+        state.feed.posts = action.meta.arg?.cursor
+          ? [...state.feed.posts, ...action.payload.posts]
+          : action.payload.posts;
+        state.feed.nextCursor = action.payload.nextCursor;
+        state.feed.hasMore = action.payload.hasMore;
+      })
+      .addCase(fetchFeed.rejected, (state, action) => {
+        state.feed.loading = false;
+        state.feed.error = action.payload;
+      })
+      // Watched tags
+      .addCase(fetchWatchedTags.fulfilled, (state, action) => {
+        state.watchedTags = action.payload;
+      })
+      .addCase(watchTag.fulfilled, (state, action) => {
+        state.watchedTags = action.payload;
+      })
+      .addCase(unwatchTag.fulfilled, (state, action) => {
+        state.watchedTags = action.payload;
+      })
+      // Board subscriptions
+      .addCase(fetchBoardSubscriptions.fulfilled, (state, action) => {
+        state.boardSubscriptions = action.payload.map((s) => ({
+          board: s.board._id,
+          alerts: s.alerts,
+        }));
+      })
+      .addCase(subscribeBoard.fulfilled, (state, action) => {
+        const { board, alerts } = action.payload;
+        const existing = state.boardSubscriptions.find(
+          (s) => s.board === board,
+        );
+        if (existing) {
+          existing.alerts = alerts;
+        } else {
+          state.boardSubscriptions.push({ board, alerts });
+        }
+      })
+      .addCase(unsubscribeBoard.fulfilled, (state, action) => {
+        state.boardSubscriptions = state.boardSubscriptions.filter(
+          (s) => s.board !== action.payload.board,
+        );
+      })
+      // Keep the comment counter in sync with the comment thread
+      .addCase(createComment.fulfilled, (state, action) => {
+        if (state.currentPost?._id === action.payload.postId) {
+          state.currentPost.metadata.commentCount += 1;
+        }
+      })
+      .addCase(deleteComment.fulfilled, (state, action) => {
+        if (state.currentPost?._id === action.payload.postId) {
+          state.currentPost.metadata.commentCount = Math.max(
+            0,
+            state.currentPost.metadata.commentCount - 1,
+          );
+          if (state.currentPost.acceptedAnswer === action.payload._id) {
+            state.currentPost.acceptedAnswer = null;
+          }
+        }
+      })
+      .addCase(acceptAnswer.fulfilled, (state, action) => {
+        if (state.currentPost?._id === action.payload.postId) {
+          state.currentPost.acceptedAnswer = action.payload.acceptedAnswer;
+        }
       });
   },
 });
@@ -61,20 +61,136 @@ export const fetchUserPhotos = createAsyncThunk(
   },
 );
 
+// A member's post series (their drafts are included for themselves)
+export const fetchUserSeries = createAsyncThunk(
+  "users/fetchUserSeries",
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/series/user/${userId}`);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch series",
+      );
+    }
+  },
+);
+
+export const followUser = createAsyncThunk(
+  "users/followUser",
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/users/${userId}/follow`);
+      return { userId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to follow user",
+      );
+    }
+  },
+);
+
+export const unfollowUser = createAsyncThunk(
+  "users/unfollowUser",
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/users/${userId}/follow`);
+      return { userId, ...response.data.data };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to unfollow user",
+      );
+    }
+  },
+);
+
+// listType is "followers" or "following"
+export const fetchFollowList = createAsyncThunk(
+  "users/fetchFollowList",
+  async ({ userId, listType, page = 1 }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/users/${userId}/${listType}`, {
+        params: { page },
+      });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch users",
+      );
+    }
+  },
+);
+
+export const fetchBlocks = createAsyncThunk(
+  "users/fetchBlocks",
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get("/users/me/blocks");
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || "Failed to fetch blocked users",
+      );
+    }
+  },
+);
+
+// kind is "block" or "mute"; enabled adds or removes the restriction
+export const updateRestriction = createAsyncThunk(
+  "users/updateRestriction",
+  async ({ userId, kind, enabled }, { rejectWithValue }) => {
+    try {
+      const url = `/users/${userId}/${kind}`;
+      if (enabled) {
+        await api.post(url);
+      } else {
+        await api.delete(url);
+      }
+      return { userId, kind, enabled };
+    } catch (error) {
+      return rejectWithValue(
+        error.response?.data?.error?.message || `Failed to ${kind} user`,
+      );
+    }
+  },
+);
+
 const initialState = {
   currentUser: null,
   userPosts: [],
   userPhotos: [],
+  userSeries: [],
   pagination: {
     page: 1,
     limit: 20,
     total: 0,
     pages: 0,
   },
+  blocks: {
+    blocked: [],
+    muted: [],
+  },
+  followList: {
+    users: [],
+    pagination: null,
+    loading: false,
+  },
   loading: false,
   error: null,
 };
 
+// Apply a follow/unfollow result to the profile and any open follow list
+const applyFollowResult = (state, { userId, following, followerCount }) => {
+  if (state.currentUser?._id === userId) {
+    state.currentUser.isFollowing = following;
+    state.currentUser.stats = { ...state.currentUser.stats, followerCount };
+  }
+  const listed = state.followList.users.find((u) => u._id === userId);
+  if (listed) {
+    listed.isFollowing = following;
+  }
+};
+
 const usersSlice = createSlice({
   name: "users",
   initialState,
@@ -83,6 +199,7 @@ const usersSlice = createSlice({
       state.currentUser = null;
       state.userPosts = [];
       state.userPhotos = [];
+      state.userSeries = [];
     },
     clearError: (state) => {
       state.error = null;
@@ -134,6 +251,54 @@ const usersSlice = createSlice({
       .addCase(fetchUserPhotos.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+      .addCase(fetchUserSeries.fulfilled, (state, action) => {
+        state.userSeries = action.payload;
+      })
+      // Follow / Unfollow
+      .addCase(followUser.fulfilled, (state, action) => {
+        applyFollowResult(state, action.payload);
+      })
+      .addCase(unfollowUser.fulfilled, (state, action) => {
+        applyFollowResult(state, action.payload);
+      })
+      // Blocks and mutes
+      .addCase(fetchBlocks.fulfilled, (state, action) => {
+        state.blocks = action.payload;
+      })
+      .addCase(updateRestriction.fulfilled, (state, action) => {
+        const { userId, kind, enabled } = action.payload;
+        const list = kind === "block" ? "blocked" : "muted";
+        if (!enabled) {
+          state.blocks[list] = state.blocks[list].filter(
+            (u) => u._id !== userId,
+          );
+        }
+        if (state.currentUser?._id === userId) {
+          state.currentUser[kind === "block" ? "isBlocked" : "isMuted"] =
+            enabled;
+          if (kind === "block" && enabled) {
+            state.currentUser.isFollowing = false;
+          }
+        }
+      })
+      // Follow lists
+      .addCase(fetchFollowList.pending, (state, action) => {
+        state.followList.loading = true;
+        if (action.meta.arg.page === 1 || !action.meta.arg.page) {
+          state.followList.users = [];
+        }
+      })
+      .addCase(fetchFollowList.fulfilled, (state, action) => {
+        state.followList.loading = false;
+        state.followList.users =
+          action.payload.pagination.page === 1
+            ? action.payload.users
+            : [...state.followList.users, ...action.payload.users];
+        state.followList.pagination = action.payload.pagination;
+      })
+      .addCase(fetchFollowList.rejected, (state) => {
+        state.followList.loading = false;
       });
   },
 });
@@ -5,6 +5,8 @@ import usersReducer from "./slices/usersSlice";
 import photosReducer from "./slices/photosSlice";
 import notificationsReducer from "./slices/notificationsSlice";
 import albumsReducer from "./slices/albumsSlice";
+import commentsReducer from "./slices/commentsSlice";
+import messagesReducer from "./slices/messagesSlice";
 
 export const store = configureStore({
   reducer: {
@@ -14,5 +16,7 @@ export const store = configureStore({
     photos: photosReducer,
     notifications: notificationsReducer,
     albums: albumsReducer,
+    comments: commentsReducer,
+    messages: messagesReducer,
   },
 });